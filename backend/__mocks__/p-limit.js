@@ -0,0 +1,5 @@
+// p-limit is published as an ES module only, which Jest does not load here. Jest uses this
+// mock for every test instead: tasks run straight away, with no concurrency limit.
+module.exports = {
+  default: () => Object.assign(task => task(), { activeCount: 0, pendingCount: 0 })
+};
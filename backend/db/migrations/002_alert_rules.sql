@@ -0,0 +1,25 @@
+-- 002_alert_rules.sql
+--
+-- User-defined alert rules evaluated alongside the built-in alert types.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(128) NOT NULL,
+  description TEXT DEFAULT NULL,
+  collection_id VARCHAR(64) DEFAULT NULL,
+  condition_expression TEXT NOT NULL,
+  severity VARCHAR(16) NOT NULL,
+  message_template TEXT NOT NULL,
+  cooldown_minutes INT UNSIGNED DEFAULT NULL,
+  is_enabled TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_alert_rules_collection (collection_id),
+  CONSTRAINT fk_alert_rules_collection
+    FOREIGN KEY (collection_id) REFERENCES collections (collection_id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- 003_alert_cooldowns.sql
+--
+-- When each (collection, alert type) pair last raised an alert, so cooldowns survive restarts
+-- and are shared by every API instance.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+CREATE TABLE IF NOT EXISTS alert_cooldowns (
+  collection_id VARCHAR(64) NOT NULL,
+  alert_type VARCHAR(64) NOT NULL,
+  last_triggered_at DATETIME(3) NOT NULL,
+  PRIMARY KEY (collection_id, alert_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
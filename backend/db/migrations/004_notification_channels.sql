@@ -0,0 +1,15 @@
+-- 004_notification_channels.sql
+--
+-- Named notification channels that tracked_collections.notification_channel refers to.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  name VARCHAR(64) NOT NULL,
+  description TEXT DEFAULT NULL,
+  destinations JSON NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,29 @@
+-- 005_notification_outbox.sql
+--
+-- One row per alert notification and destination. The outbox worker retries failed
+-- deliveries until they succeed or run out of attempts, after which they stay as dead letters.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  delivery_id CHAR(36) NOT NULL,
+  alert_id VARCHAR(64) DEFAULT NULL,
+  collection_id VARCHAR(64) NOT NULL,
+  alert_type VARCHAR(64) NOT NULL,
+  channel VARCHAR(64) NOT NULL,
+  destination JSON NOT NULL,
+  alert JSON NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  max_attempts INT UNSIGNED NOT NULL,
+  next_attempt_at DATETIME(3) NOT NULL,
+  last_error TEXT DEFAULT NULL,
+  delivered_at DATETIME(3) DEFAULT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uniq_notification_outbox_delivery (delivery_id),
+  KEY idx_notification_outbox_due (status, next_attempt_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
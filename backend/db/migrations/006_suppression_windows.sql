@@ -0,0 +1,32 @@
+-- 006_suppression_windows.sql
+--
+-- Maintenance windows and recurring quiet hours. While one is active, matching alerts are
+-- still recorded but their notifications are suppressed or deferred to the window's end.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+CREATE TABLE IF NOT EXISTS suppression_windows (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(128) NOT NULL,
+  description VARCHAR(255) DEFAULT NULL,
+  -- NULL applies the window to every collection.
+  collection_id VARCHAR(64) DEFAULT NULL,
+  kind VARCHAR(16) NOT NULL,
+  action VARCHAR(16) NOT NULL DEFAULT 'suppress',
+  -- maintenance: a single period.
+  starts_at DATETIME(3) DEFAULT NULL,
+  ends_at DATETIME(3) DEFAULT NULL,
+  -- quiet_hours: a daily period in local time, optionally on some weekdays only.
+  days_of_week JSON DEFAULT NULL,
+  start_time CHAR(5) DEFAULT NULL,
+  end_time CHAR(5) DEFAULT NULL,
+  timezone VARCHAR(64) DEFAULT NULL,
+  alert_types JSON DEFAULT NULL,
+  severities JSON DEFAULT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_suppression_windows_collection (collection_id),
+  KEY idx_suppression_windows_kind_end (kind, ends_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
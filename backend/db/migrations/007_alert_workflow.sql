@@ -0,0 +1,17 @@
+-- 007_alert_workflow.sql
+--
+-- Triage state of an alert, shared by everyone looking at it: who acknowledged it and when,
+-- who it is assigned to, until when it is snoozed, and a free-text note.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+ALTER TABLE alert_events
+  ADD COLUMN acknowledged TINYINT(1) NOT NULL DEFAULT 0 AFTER resolved_at,
+  ADD COLUMN acknowledged_by VARCHAR(100) DEFAULT NULL AFTER acknowledged,
+  ADD COLUMN acknowledged_at DATETIME(3) DEFAULT NULL AFTER acknowledged_by,
+  ADD COLUMN assigned_to VARCHAR(100) DEFAULT NULL AFTER acknowledged_at,
+  ADD COLUMN snoozed_until DATETIME(3) DEFAULT NULL AFTER assigned_to,
+  ADD COLUMN note TEXT DEFAULT NULL AFTER snoozed_until,
+  ADD KEY idx_alert_events_acknowledged (acknowledged, resolved),
+  ADD KEY idx_alert_events_assigned_to (assigned_to);
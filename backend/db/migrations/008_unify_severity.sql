@@ -0,0 +1,33 @@
+-- 008_unify_severity.sql
+--
+-- Moves stored alerts and rules to the single severity scale info < warning < error < critical.
+-- Rules used low/medium/high/critical, which map to info/warning/error/critical. Severity
+-- filters of notification channels and suppression windows are mapped when they are read.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+UPDATE alert_events
+SET severity = CASE severity
+  WHEN 'low' THEN 'info'
+  WHEN 'medium' THEN 'warning'
+  WHEN 'high' THEN 'error'
+END
+WHERE severity IN ('low', 'medium', 'high');
+
+UPDATE alert_rules
+SET severity = CASE severity
+  WHEN 'low' THEN 'info'
+  WHEN 'medium' THEN 'warning'
+  WHEN 'high' THEN 'error'
+END
+WHERE severity IN ('low', 'medium', 'high');
+
+-- Queued notifications carry a copy of their alert.
+UPDATE notification_outbox
+SET alert = JSON_SET(alert, '$.severity', CASE JSON_UNQUOTE(JSON_EXTRACT(alert, '$.severity'))
+  WHEN 'low' THEN 'info'
+  WHEN 'medium' THEN 'warning'
+  WHEN 'high' THEN 'error'
+END)
+WHERE JSON_UNQUOTE(JSON_EXTRACT(alert, '$.severity')) IN ('low', 'medium', 'high');
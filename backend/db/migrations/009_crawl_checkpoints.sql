@@ -0,0 +1,21 @@
+-- 009_crawl_checkpoints.sql
+--
+-- Where the crawler left off, per target, collection and event stream (listings or
+-- purchases), so the next run only asks for newer events and skips the ones it has seen.
+
+SET NAMES utf8mb4;
+SET time_zone = '+00:00';
+
+CREATE TABLE IF NOT EXISTS crawl_checkpoints (
+  target_id VARCHAR(64) NOT NULL,
+  collection_id VARCHAR(64) NOT NULL,
+  stream VARCHAR(16) NOT NULL,
+  -- Timestamp and source ID of the newest event seen.
+  last_event_at DATETIME(3) DEFAULT NULL,
+  last_event_id VARCHAR(128) DEFAULT NULL,
+  -- Last pagination cursor the source returned, for cursor-paginated targets.
+  next_cursor VARCHAR(512) DEFAULT NULL,
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (target_id, collection_id, stream),
+  KEY idx_crawl_checkpoints_collection (collection_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
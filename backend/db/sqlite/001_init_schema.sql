@@ -0,0 +1,122 @@
+-- 001_init_schema.sql
+--
+-- SQLite counterpart of db/migrations/001_init_schema.sql for the file-backed storage driver.
+-- Timestamps are stored as ISO-8601 UTC strings so they sort lexicographically.
+
+CREATE TABLE IF NOT EXISTS collections (
+  collection_id TEXT NOT NULL PRIMARY KEY,
+  slug TEXT DEFAULT NULL UNIQUE,
+  name TEXT NOT NULL,
+  source TEXT DEFAULT NULL,
+  metadata TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS tracked_collections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  collection_id TEXT NOT NULL UNIQUE
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  display_name TEXT NOT NULL,
+  is_enabled INTEGER NOT NULL DEFAULT 1,
+  alert_thresholds TEXT DEFAULT NULL,
+  notification_channel TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS market_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  collection_id TEXT NOT NULL
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  snapshot_time TEXT NOT NULL,
+  floor_price REAL DEFAULT NULL,
+  ceiling_price REAL DEFAULT NULL,
+  listed_count INTEGER DEFAULT NULL,
+  sales_24h INTEGER DEFAULT NULL,
+  volume_24h REAL DEFAULT NULL,
+  raw_payload TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (collection_id, snapshot_time)
+);
+CREATE INDEX IF NOT EXISTS idx_market_snapshots_time ON market_snapshots (snapshot_time);
+
+CREATE TABLE IF NOT EXISTS listing_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  collection_id TEXT NOT NULL
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  source_id TEXT NOT NULL UNIQUE,
+  event_time TEXT NOT NULL,
+  price REAL NOT NULL,
+  quantity INTEGER DEFAULT 1,
+  seller TEXT DEFAULT NULL,
+  raw_payload TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_listing_events_collection_time ON listing_events (collection_id, event_time);
+
+CREATE TABLE IF NOT EXISTS purchase_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  collection_id TEXT NOT NULL
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  source_id TEXT NOT NULL UNIQUE,
+  event_time TEXT NOT NULL,
+  price REAL NOT NULL,
+  quantity INTEGER DEFAULT 1,
+  buyer TEXT DEFAULT NULL,
+  seller TEXT DEFAULT NULL,
+  raw_payload TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_purchase_events_collection_time ON purchase_events (collection_id, event_time);
+
+CREATE TABLE IF NOT EXISTS analytics_metrics (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  collection_id TEXT NOT NULL
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  metric_date TEXT NOT NULL,
+  metric_type TEXT NOT NULL,
+  metric_timeframe TEXT NOT NULL,
+  metric_value REAL NOT NULL,
+  computed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  raw_payload TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (collection_id, metric_date, metric_type, metric_timeframe)
+);
+CREATE INDEX IF NOT EXISTS idx_analytics_metrics_collection_type ON analytics_metrics (collection_id, metric_type);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  collection_id TEXT NOT NULL
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  alert_type TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  message TEXT NOT NULL,
+  event_time TEXT NOT NULL,
+  resolved INTEGER NOT NULL DEFAULT 0,
+  resolved_at TEXT DEFAULT NULL,
+  raw_payload TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (collection_id, alert_type, event_time)
+);
+CREATE INDEX IF NOT EXISTS idx_alert_events_collection_resolved ON alert_events (collection_id, resolved);
+CREATE INDEX IF NOT EXISTS idx_alert_events_type ON alert_events (alert_type);
+
+-- Seed starter configuration
+INSERT OR IGNORE INTO collections (collection_id, slug, name, source, metadata)
+VALUES (
+  'demo-collection',
+  'demo-collection',
+  'Demo Collection',
+  'seed',
+  json_object('description', 'Starter collection for local development', 'category', 'demo')
+);
+
+INSERT OR IGNORE INTO tracked_collections (collection_id, display_name, is_enabled, alert_thresholds, notification_channel)
+VALUES (
+  'demo-collection',
+  'Demo Collection',
+  1,
+  json_object('price_drop_percent', 10, 'volume_spike_percent', 50),
+  'default'
+);
@@ -0,0 +1,20 @@
+-- 002_alert_rules.sql
+--
+-- SQLite counterpart of db/migrations/002_alert_rules.sql.
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  description TEXT DEFAULT NULL,
+  collection_id TEXT DEFAULT NULL
+    REFERENCES collections (collection_id) ON DELETE CASCADE,
+  condition_expression TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  message_template TEXT NOT NULL,
+  cooldown_minutes INTEGER DEFAULT NULL,
+  is_enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_collection ON alert_rules (collection_id);
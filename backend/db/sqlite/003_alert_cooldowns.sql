@@ -0,0 +1,10 @@
+-- 003_alert_cooldowns.sql
+--
+-- SQLite counterpart of db/migrations/003_alert_cooldowns.sql.
+
+CREATE TABLE IF NOT EXISTS alert_cooldowns (
+  collection_id TEXT NOT NULL,
+  alert_type TEXT NOT NULL,
+  last_triggered_at TEXT NOT NULL,
+  PRIMARY KEY (collection_id, alert_type)
+);
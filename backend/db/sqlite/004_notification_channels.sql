@@ -0,0 +1,11 @@
+-- 004_notification_channels.sql
+--
+-- SQLite counterpart of db/migrations/004_notification_channels.sql.
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  name TEXT NOT NULL PRIMARY KEY,
+  description TEXT DEFAULT NULL,
+  destinations TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,28 @@
+-- 006_suppression_windows.sql
+--
+-- SQLite counterpart of db/migrations/006_suppression_windows.sql.
+
+CREATE TABLE IF NOT EXISTS suppression_windows (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  description TEXT DEFAULT NULL,
+  collection_id TEXT DEFAULT NULL,
+  kind TEXT NOT NULL,
+  action TEXT NOT NULL DEFAULT 'suppress',
+  starts_at TEXT DEFAULT NULL,
+  ends_at TEXT DEFAULT NULL,
+  days_of_week TEXT DEFAULT NULL,
+  start_time TEXT DEFAULT NULL,
+  end_time TEXT DEFAULT NULL,
+  timezone TEXT DEFAULT NULL,
+  alert_types TEXT DEFAULT NULL,
+  severities TEXT DEFAULT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppression_windows_collection
+  ON suppression_windows (collection_id);
+
+CREATE INDEX IF NOT EXISTS idx_suppression_windows_kind_end
+  ON suppression_windows (kind, ends_at);
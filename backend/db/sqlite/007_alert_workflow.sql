@@ -0,0 +1,12 @@
+-- 007_alert_workflow.sql
+--
+-- SQLite counterpart of db/migrations/007_alert_workflow.sql.
+
+ALTER TABLE alert_events ADD COLUMN acknowledged INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE alert_events ADD COLUMN acknowledged_by TEXT DEFAULT NULL;
+ALTER TABLE alert_events ADD COLUMN acknowledged_at TEXT DEFAULT NULL;
+ALTER TABLE alert_events ADD COLUMN assigned_to TEXT DEFAULT NULL;
+ALTER TABLE alert_events ADD COLUMN snoozed_until TEXT DEFAULT NULL;
+ALTER TABLE alert_events ADD COLUMN note TEXT DEFAULT NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_events_acknowledged ON alert_events (acknowledged, resolved);
+CREATE INDEX IF NOT EXISTS idx_alert_events_assigned_to ON alert_events (assigned_to);
@@ -0,0 +1,27 @@
+-- 008_unify_severity.sql
+--
+-- SQLite counterpart of db/migrations/008_unify_severity.sql.
+
+UPDATE alert_events
+SET severity = CASE severity
+  WHEN 'low' THEN 'info'
+  WHEN 'medium' THEN 'warning'
+  WHEN 'high' THEN 'error'
+END
+WHERE severity IN ('low', 'medium', 'high');
+
+UPDATE alert_rules
+SET severity = CASE severity
+  WHEN 'low' THEN 'info'
+  WHEN 'medium' THEN 'warning'
+  WHEN 'high' THEN 'error'
+END
+WHERE severity IN ('low', 'medium', 'high');
+
+UPDATE notification_outbox
+SET alert = json_set(alert, '$.severity', CASE json_extract(alert, '$.severity')
+  WHEN 'low' THEN 'info'
+  WHEN 'medium' THEN 'warning'
+  WHEN 'high' THEN 'error'
+END)
+WHERE json_extract(alert, '$.severity') IN ('low', 'medium', 'high');
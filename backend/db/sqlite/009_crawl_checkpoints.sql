@@ -0,0 +1,17 @@
+-- 009_crawl_checkpoints.sql
+--
+-- SQLite counterpart of db/migrations/009_crawl_checkpoints.sql.
+
+CREATE TABLE IF NOT EXISTS crawl_checkpoints (
+  target_id TEXT NOT NULL,
+  collection_id TEXT NOT NULL,
+  stream TEXT NOT NULL,
+  last_event_at TEXT DEFAULT NULL,
+  last_event_id TEXT DEFAULT NULL,
+  next_cursor TEXT DEFAULT NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (target_id, collection_id, stream)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawl_checkpoints_collection
+  ON crawl_checkpoints (collection_id);
@@ -31,12 +31,31 @@ function toBoolean(value, fallback) {
   return fallback;
 }
 
+function toCron(value, fallback) {
+  return value === undefined ? fallback : value.trim();
+}
+
 const env = {
   dataRetentionHours: toInt(process.env.DATA_RETENTION_HOURS, 72),
+  metricsRetentionHours: toInt(process.env.METRICS_RETENTION_HOURS, null),
   cleanupBatchSize: toInt(process.env.CLEANUP_BATCH_SIZE, 500),
   cleanupWarningThreshold: toInt(process.env.CLEANUP_WARNING_THRESHOLD, 1000),
   enableCleanupCron: toBoolean(process.env.ENABLE_CLEANUP_CRON, false),
   enableHourlyCron: toBoolean(process.env.ENABLE_CRON, false),
+  crawlerEnabled: toBoolean(process.env.CRAWLER_ENABLED, false),
+  enableNotificationOutbox: toBoolean(process.env.ENABLE_NOTIFICATION_OUTBOX, true),
+  notificationOutboxCron: process.env.NOTIFICATION_OUTBOX_CRON || '*/15 * * * * *',
+  notificationOutboxRetentionHours: toInt(process.env.NOTIFICATION_OUTBOX_RETENTION_HOURS, 72),
+  enableDigest: toBoolean(process.env.ENABLE_DIGEST, false),
+  // An empty expression turns that digest off.
+  digestDailyCron: toCron(process.env.DIGEST_DAILY_CRON, '0 8 * * *'),
+  digestWeeklyCron: toCron(process.env.DIGEST_WEEKLY_CRON, '0 8 * * 1'),
+  digestChannel: process.env.DIGEST_CHANNEL || 'default',
+  digestTopCount: toInt(process.env.DIGEST_TOP_COUNT, 5),
+  storageDriver: (process.env.STORAGE_DRIVER || 'memory').trim().toLowerCase(),
+  sqlite: {
+    filename: process.env.SQLITE_FILENAME || 'data/collections.sqlite',
+  },
   db: {
     host: process.env.DB_HOST || 'localhost',
     port: toInt(process.env.DB_PORT, 3306),
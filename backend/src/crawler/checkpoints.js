@@ -0,0 +1,78 @@
+/**
+ * Incremental crawling helpers. A checkpoint records, per target, collection and event stream,
+ * the timestamp and source ID of the newest event seen and the last pagination cursor. Stream
+ * endpoints may use them as templates, e.g. `/collection/{collectionId}/listings?since={since}`:
+ *
+ *   {since}        timestamp of the newest event seen (ISO 8601)
+ *   {lastEventId}  source ID of that event
+ *   {cursor}       last pagination cursor the source returned
+ *
+ * They are empty until the stream has a checkpoint.
+ */
+
+// Event streams with checkpoints, and the normalized payload field holding their events.
+const EVENT_STREAMS = {
+  listings: 'listingEvents',
+  purchases: 'purchaseEvents'
+};
+
+const TEMPLATE_FIELDS = {
+  since: 'lastEventAt',
+  lastEventId: 'lastEventId',
+  cursor: 'cursor'
+};
+
+/**
+ * Fill the `{collectionId}` and checkpoint placeholders of an endpoint template
+ */
+function fillEndpoint(template, collectionId, checkpoint = null) {
+  let endpoint = template.replace('{collectionId}', collectionId);
+
+  Object.entries(TEMPLATE_FIELDS).forEach(([placeholder, field]) => {
+    const value = checkpoint && checkpoint[field] ? checkpoint[field] : '';
+    endpoint = endpoint.split(`{${placeholder}}`).join(encodeURIComponent(value));
+  });
+
+  return endpoint;
+}
+
+/**
+ * Whether the checkpoint already covers an event: it is older than the newest event seen,
+ * or is that event
+ */
+function isSeenEvent(event, checkpoint) {
+  if (!checkpoint || !checkpoint.lastEventAt) return false;
+
+  const time = event.createdAt.getTime();
+  const lastEventTime = new Date(checkpoint.lastEventAt).getTime();
+  return time < lastEventTime || (time === lastEventTime && event.eventId === checkpoint.lastEventId);
+}
+
+/**
+ * The checkpoint after a crawl of the stream fetched `events`: the newest of them, unless the
+ * previous checkpoint is newer, and the cursor of this crawl
+ */
+function advanceCheckpoint(previous, events, cursor) {
+  let newest = previous && previous.lastEventAt
+    ? { createdAt: new Date(previous.lastEventAt), eventId: previous.lastEventId }
+    : null;
+
+  events.forEach(event => {
+    if (!newest || event.createdAt.getTime() > newest.createdAt.getTime()) {
+      newest = event;
+    }
+  });
+
+  return {
+    lastEventAt: newest ? newest.createdAt.toISOString() : null,
+    lastEventId: newest ? newest.eventId : null,
+    cursor: cursor || (previous ? previous.cursor : null) || null
+  };
+}
+
+module.exports = {
+  EVENT_STREAMS,
+  fillEndpoint,
+  isSeenEvent,
+  advanceCheckpoint
+};
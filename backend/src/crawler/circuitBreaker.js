@@ -0,0 +1,255 @@
+/**
+ * Per-target circuit breakers, so that a target whose source is down is skipped instead of
+ * costing every run its retries and backoff.
+ *
+ * A breaker starts `closed` and counts the outcome of each request to its target, after retries.
+ * Only failures that say the source is unavailable count: network errors, timeouts, 5xx and 429.
+ * Other client errors show the source is answering, so they count as successes. The breaker
+ * opens when either threshold is reached:
+ *
+ *   consecutiveFailures   failed requests in a row
+ *   failureRate           share of failed requests among the last `windowSize`, once at least
+ *                         `minimumRequests` of them have been made
+ *
+ * An `open` breaker skips its target until `coolOffMs` have passed. Then it is `half_open`:
+ * the next crawl of the target goes ahead as a trial, a failure opens the breaker again and
+ * `halfOpenSuccesses` successes close it.
+ *
+ * The breakers live in the process, shared by every crawler in it, so they hold across the
+ * runs of the API server's hourly refresh but not across separate CLI runs.
+ */
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_CIRCUIT_BREAKER = {
+  enabled: true,
+  consecutiveFailures: 5,
+  failureRate: 0.5,
+  windowSize: 20,
+  minimumRequests: 10,
+  coolOffMs: 15 * 60 * 1000,
+  halfOpenSuccesses: 2
+};
+
+// Transitions kept for getStats(), oldest dropped first
+const MAX_TRANSITIONS = 50;
+
+class CircuitBreaker {
+  /**
+   * @param {string} targetId - Crawler target the breaker guards
+   * @param {Object} settings - Overrides of DEFAULT_CIRCUIT_BREAKER
+   * @param {Object} options
+   * @param {Function} options.now - Current time in milliseconds
+   * @param {Function} options.onTransition - Called with each state change
+   */
+  constructor(targetId, settings = {}, options = {}) {
+    this.targetId = targetId;
+    this.settings = { ...DEFAULT_CIRCUIT_BREAKER, ...settings };
+    this.now = options.now || Date.now;
+    this.onTransition = options.onTransition || (() => {});
+    this.state = BREAKER_STATES.CLOSED;
+    this.outcomes = []; // Recent request outcomes, true for failures
+    this.consecutiveFailures = 0;
+    this.trialSuccesses = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether the target may be crawled now; an open breaker whose cool-off has passed turns
+   * half-open and lets the crawl through as a trial
+   */
+  allowRequest() {
+    if (!this.settings.enabled || this.state !== BREAKER_STATES.OPEN) return true;
+    if (this.now() < this.retryAt) return false;
+
+    this.transition(BREAKER_STATES.HALF_OPEN, 'Cool-off expired');
+    return true;
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.pushOutcome(false);
+
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      this.trialSuccesses += 1;
+      if (this.trialSuccesses >= this.settings.halfOpenSuccesses) {
+        this.outcomes = [];
+        this.openedAt = null;
+        this.retryAt = null;
+        this.transition(BREAKER_STATES.CLOSED, 'Trial requests succeeded');
+      }
+    }
+  }
+
+  /**
+   * Count a failed request; `context.collectionId` is recorded with the transition it causes
+   */
+  recordFailure(error, context = {}) {
+    this.consecutiveFailures += 1;
+    this.pushOutcome(true);
+    this.lastError = error ? error.message : null;
+
+    if (!this.settings.enabled || this.state === BREAKER_STATES.OPEN) return;
+
+    if (this.state === BREAKER_STATES.HALF_OPEN) {
+      this.open('Trial request failed', context);
+    } else if (this.consecutiveFailures >= this.settings.consecutiveFailures) {
+      this.open(`${this.consecutiveFailures} consecutive failed requests`, context);
+    } else if (
+      this.outcomes.length >= this.settings.minimumRequests &&
+      this.getFailureRate() >= this.settings.failureRate
+    ) {
+      const percent = Math.round(this.getFailureRate() * 100);
+      this.open(`${percent}% of the last ${this.outcomes.length} requests failed`, context);
+    }
+  }
+
+  /**
+   * Close the breaker by hand, forgetting the failures counted so far
+   */
+  reset() {
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      this.transition(BREAKER_STATES.CLOSED, 'Reset');
+    }
+  }
+
+  open(reason, context) {
+    this.openedAt = this.now();
+    this.retryAt = this.openedAt + this.settings.coolOffMs;
+    this.trialSuccesses = 0;
+    this.transition(BREAKER_STATES.OPEN, reason, context);
+  }
+
+  transition(state, reason, context = {}) {
+    const from = this.state;
+    this.state = state;
+    if (state === BREAKER_STATES.HALF_OPEN) {
+      this.trialSuccesses = 0;
+    }
+
+    this.onTransition({
+      targetId: this.targetId,
+      collectionId: context.collectionId || null,
+      from,
+      to: state,
+      reason,
+      at: new Date(this.now()).toISOString(),
+      consecutiveFailures: this.consecutiveFailures,
+      failureRate: this.getFailureRate(),
+      retryAt: state === BREAKER_STATES.OPEN ? new Date(this.retryAt).toISOString() : null
+    });
+  }
+
+  pushOutcome(failed) {
+    this.outcomes.push(failed);
+    if (this.outcomes.length > this.settings.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  getFailureRate() {
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter(Boolean).length / this.outcomes.length;
+  }
+
+  getState() {
+    return {
+      targetId: this.targetId,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureRate: Number(this.getFailureRate().toFixed(2)),
+      recentRequests: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Circuit breakers by target ID, created on first use, with the transitions they went through
+ */
+class CircuitBreakerRegistry {
+  /**
+   * @param {Object} options
+   * @param {Function} options.now - Current time in milliseconds
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.breakers = new Map();
+    this.transitions = [];
+  }
+
+  /**
+   * The target's breaker, with the given defaults overridden by the target's `circuitBreaker`
+   * settings; settings are re-read on every call so configuration changes apply to the next run
+   */
+  get(target, defaults = {}) {
+    const settings = { ...DEFAULT_CIRCUIT_BREAKER, ...defaults, ...target.circuitBreaker };
+
+    if (!this.breakers.has(target.id)) {
+      this.breakers.set(target.id, new CircuitBreaker(target.id, settings, {
+        now: () => this.now(),
+        onTransition: transition => this.recordTransition(transition)
+      }));
+    }
+
+    const breaker = this.breakers.get(target.id);
+    breaker.settings = settings;
+    return breaker;
+  }
+
+  find(targetId) {
+    return this.breakers.get(targetId) || null;
+  }
+
+  recordTransition(transition) {
+    this.transitions.push(transition);
+    if (this.transitions.length > MAX_TRANSITIONS) {
+      this.transitions.shift();
+    }
+  }
+
+  /**
+   * Transitions at or after `since`, oldest first
+   */
+  getTransitions(since = null) {
+    if (!since) return [...this.transitions];
+
+    const sinceTime = new Date(since).getTime();
+    return this.transitions.filter(transition => new Date(transition.at).getTime() >= sinceTime);
+  }
+
+  getStats() {
+    return {
+      breakers: [...this.breakers.values()].map(breaker => breaker.getState()),
+      transitions: this.getTransitions()
+    };
+  }
+
+  clear() {
+    this.breakers.clear();
+    this.transitions = [];
+  }
+}
+
+// Shared by the crawlers of the process, and read by the admin routes
+const circuitBreakers = new CircuitBreakerRegistry();
+
+module.exports = {
+  BREAKER_STATES,
+  DEFAULT_CIRCUIT_BREAKER,
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  circuitBreakers
+};
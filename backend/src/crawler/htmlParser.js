@@ -0,0 +1,134 @@
+const cheerio = require('cheerio');
+
+/**
+ * Extraction of crawler records from HTML pages, for targets with `mode: 'html'`.
+ *
+ * Each endpoint's page is matched with the target's `selectors` entry of the same name
+ * (`collection`, `listings`, `purchases`, `snapshot`), and each matched element becomes one
+ * record. The record's fields come from the element's `data-*` attributes, overridden by the
+ * target's `fieldSelectors` map for that endpoint:
+ *
+ *   '.price'             trimmed text of the first matching descendant
+ *   'time@datetime'      attribute of the first matching descendant
+ *   '@data-id'           attribute of the element itself
+ *
+ * Field names are the ones the JSON parsers read (`id`, `price`, `seller`, `tokenId`,
+ * `timestamp`, ...), so the records go through `normalizePayload` like JSON responses.
+ */
+
+const LIST_ENDPOINTS = ['listings', 'purchases'];
+
+const PAYLOAD_KEYS = {
+  collection: 'metadata',
+  listings: 'listings',
+  purchases: 'purchases',
+  snapshot: 'snapshot'
+};
+
+/**
+ * Split a field selector into the element selector and the attribute to read
+ */
+function parseFieldSelector(fieldSelector) {
+  const at = fieldSelector.lastIndexOf('@');
+  if (at === -1) {
+    return { selector: fieldSelector.trim(), attribute: null };
+  }
+  return {
+    selector: fieldSelector.slice(0, at).trim(),
+    attribute: fieldSelector.slice(at + 1).trim()
+  };
+}
+
+/**
+ * Read one field of a matched element; undefined when nothing matches
+ */
+function extractField($, element, fieldSelector) {
+  const { selector, attribute } = parseFieldSelector(fieldSelector);
+  const node = selector ? $(element).find(selector).first() : $(element);
+  if (node.length === 0) {
+    return undefined;
+  }
+
+  const value = attribute ? node.attr(attribute) : node.text().replace(/\s+/g, ' ').trim();
+  return value === undefined || value === '' ? undefined : value;
+}
+
+/**
+ * Build a record from a matched element
+ */
+function extractRecord($, element, fieldSelectors = {}) {
+  const record = { ...$(element).data() };
+
+  Object.entries(fieldSelectors).forEach(([field, fieldSelector]) => {
+    const value = extractField($, element, fieldSelector);
+    if (value !== undefined) {
+      record[field] = value;
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Extract a record for every element of the page matching `itemSelector`
+ */
+function extractHtmlRecords(html, itemSelector, fieldSelectors = {}) {
+  if (!html || typeof html !== 'string') return [];
+
+  const $ = cheerio.load(html);
+  return $(itemSelector)
+    .toArray()
+    .map(element => extractRecord($, element, fieldSelectors));
+}
+
+/**
+ * Turn the HTML pages fetched for a target into the raw payload `normalizePayload` expects.
+ * `pages` holds each endpoint's page by endpoint name, null when its request failed; paginated
+ * listings and purchases come as the records already extracted from all their pages. A
+ * collection or snapshot page without a matching element is reported in `errors`.
+ */
+function parseHtmlPayload(pages, target) {
+  const selectors = target.selectors || {};
+  const fieldSelectors = target.fieldSelectors || {};
+  const rawPayload = {};
+  const errors = [];
+
+  Object.entries(PAYLOAD_KEYS).forEach(([endpoint, payloadKey]) => {
+    const page = pages[endpoint];
+    const isList = LIST_ENDPOINTS.includes(endpoint);
+
+    if (!page) {
+      rawPayload[payloadKey] = isList ? [] : null;
+      return;
+    }
+
+    if (Array.isArray(page)) {
+      rawPayload[payloadKey] = page;
+      return;
+    }
+
+    if (!selectors[endpoint]) {
+      errors.push(`No ${endpoint} selector configured for HTML target ${target.id}`);
+      rawPayload[payloadKey] = isList ? [] : null;
+      return;
+    }
+
+    const records = extractHtmlRecords(page, selectors[endpoint], fieldSelectors[endpoint]);
+    if (isList) {
+      rawPayload[payloadKey] = records;
+    } else if (records.length === 0) {
+      errors.push(`No element matches the ${endpoint} selector "${selectors[endpoint]}"`);
+      rawPayload[payloadKey] = null;
+    } else {
+      rawPayload[payloadKey] = records[0];
+    }
+  });
+
+  return { rawPayload, errors };
+}
+
+module.exports = {
+  parseFieldSelector,
+  extractHtmlRecords,
+  parseHtmlPayload
+};
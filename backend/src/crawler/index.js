@@ -1,20 +1,31 @@
 const { loadCrawlerConfig } = require('./targets');
 const RequestHandler = require('./request');
 const { normalizePayload, deduplicateEvents } = require('./parsers');
+const { parseHtmlPayload } = require('./htmlParser');
+const { getPaginationConfig, getFirstPageParams, readPage, reachesSince } = require('./pagination');
+const { EVENT_STREAMS, fillEndpoint, isSeenEvent, advanceCheckpoint } = require('./checkpoints');
+const { circuitBreakers } = require('./circuitBreaker');
+const { crawlCheckpointRepository } = require('../repositories/crawlCheckpointRepository');
+
+// Reasons paging stops at which a stream has been fetched up to its checkpoint
+const COMPLETE_PAGING = ['end', 'since'];
 
 /**
  * Main crawler orchestrator
  */
 class Crawler {
-  constructor(config = null) {
+  constructor(config = null, options = {}) {
     this.config = config || loadCrawlerConfig();
     this.requestHandler = new RequestHandler(this.config);
+    this.checkpointRepository = options.checkpointRepository || crawlCheckpointRepository;
+    this.circuitBreakers = options.circuitBreakers || circuitBreakers;
     this.metrics = {
       startTime: null,
       endTime: null,
       totalTargets: 0,
       successfulTargets: 0,
       failedTargets: 0,
+      skippedTargets: 0,
       totalRequests: 0,
       totalListings: 0,
       totalPurchases: 0,
@@ -46,6 +57,7 @@ class Crawler {
           this.metrics.totalPurchases += result.payload.purchaseEvents.length;
         } else {
           this.metrics.failedTargets++;
+          if (result.skipped) this.metrics.skippedTargets++;
           this.metrics.errors.push(...result.errors);
         }
       } catch (error) {
@@ -67,51 +79,79 @@ class Crawler {
     return {
       success: this.metrics.failedTargets === 0,
       metrics: this.metrics,
-      results
+      results,
+      circuitTransitions: this.circuitBreakers.getTransitions(this.metrics.startTime)
     };
   }
 
   /**
-   * Run crawler for a specific target
+   * Run crawler for a specific target, unless its circuit breaker is open
    */
   async runTarget(target, options = {}) {
     const collectionId = options.collectionId || target.id;
     const startTime = Date.now();
 
+    const breaker = this.getCircuitBreaker(target);
+    if (!breaker.allowRequest()) {
+      const message = `Circuit open for target ${target.id} until ${new Date(breaker.retryAt).toISOString()}, skipped`;
+      if (this.config.global.enableLogging) {
+        console.warn(message);
+      }
+      return {
+        targetId: target.id,
+        success: false,
+        skipped: true,
+        errors: [message],
+        payload: null,
+        duration: 0,
+        requestStats: this.requestHandler.getStats()
+      };
+    }
+
     try {
       if (this.config.global.enableLogging) {
         console.log(`Processing target: ${target.name || target.id}`);
       }
 
+      // Where the previous crawls of each event stream left off
+      const checkpoints = {};
+      for (const stream of Object.keys(EVENT_STREAMS)) {
+        checkpoints[stream] = await this.checkpointRepository.find(target.id, collectionId, stream);
+      }
+
       // Build request endpoints
       const endpoints = {
-        collection: target.endpoints.collection.replace('{collectionId}', collectionId),
-        listings: target.endpoints.listings.replace('{collectionId}', collectionId),
-        purchases: target.endpoints.purchases.replace('{collectionId}', collectionId),
-        snapshot: target.endpoints.snapshot.replace('{collectionId}', collectionId)
+        collection: fillEndpoint(target.endpoints.collection, collectionId),
+        listings: fillEndpoint(target.endpoints.listings, collectionId, checkpoints.listings),
+        purchases: fillEndpoint(target.endpoints.purchases, collectionId, checkpoints.purchases),
+        snapshot: fillEndpoint(target.endpoints.snapshot, collectionId)
       };
 
+      // HTML pages are kept as text and parsed with the target's selectors
+      const isHtml = target.mode === 'html';
+      const requestOptions = isHtml ? { responseType: 'text' } : undefined;
+
+      // Listings and purchases of paginated targets start with the first page
+      const pagination = getPaginationConfig(target);
+      const listOptions = pagination
+        ? { ...requestOptions, params: getFirstPageParams(pagination) }
+        : requestOptions;
+
       // Make requests concurrently
       const requests = [
-        { target, endpoint: endpoints.collection },
-        { target, endpoint: endpoints.listings },
-        { target, endpoint: endpoints.purchases },
-        { target, endpoint: endpoints.snapshot }
+        { target, endpoint: endpoints.collection, options: requestOptions },
+        { target, endpoint: endpoints.listings, options: listOptions },
+        { target, endpoint: endpoints.purchases, options: listOptions },
+        { target, endpoint: endpoints.snapshot, options: requestOptions }
       ].filter(req => options.skipEndpoints ? !options.skipEndpoints.includes(req.endpoint) : true);
 
       const responses = await this.requestHandler.makeMultipleRequests(requests);
       this.metrics.totalRequests += requests.length;
+      responses.forEach(response => this.recordRequest(target, collectionId, response.reason));
 
       // Process responses
       const [collectionResponse, listingsResponse, purchasesResponse, snapshotResponse] = responses;
       
-      const rawPayload = {
-        metadata: collectionResponse.status === 'fulfilled' ? collectionResponse.value : null,
-        listings: listingsResponse.status === 'fulfilled' ? listingsResponse.value : [],
-        purchases: purchasesResponse.status === 'fulfilled' ? purchasesResponse.value : [],
-        snapshot: snapshotResponse.status === 'fulfilled' ? snapshotResponse.value : null
-      };
-
       // Collect errors
       const errors = [];
       if (collectionResponse.status === 'rejected') errors.push(`Collection request failed: ${collectionResponse.reason.message}`);
@@ -119,10 +159,82 @@ class Crawler {
       if (purchasesResponse.status === 'rejected') errors.push(`Purchases request failed: ${purchasesResponse.reason.message}`);
       if (snapshotResponse.status === 'rejected') errors.push(`Snapshot request failed: ${snapshotResponse.reason.message}`);
 
+      const values = {
+        collection: collectionResponse.status === 'fulfilled' ? collectionResponse.value : null,
+        listings: listingsResponse.status === 'fulfilled' ? listingsResponse.value : null,
+        purchases: purchasesResponse.status === 'fulfilled' ? purchasesResponse.value : null,
+        snapshot: snapshotResponse.status === 'fulfilled' ? snapshotResponse.value : null
+      };
+
+      // Follow the remaining pages of paginated endpoints
+      const paging = {};
+      const cursors = {};
+      if (pagination) {
+        await Promise.all(Object.keys(EVENT_STREAMS).map(async kind => {
+          if (values[kind] === null) return;
+
+          // Paging stops at the events the stream's checkpoint already covers
+          const checkpoint = checkpoints[kind];
+          const since = options.since !== undefined
+            ? options.since
+            : (checkpoint && checkpoint.lastEventAt) || null;
+          const pages = await this.fetchPages(target, kind, {
+            endpoint: endpoints[kind],
+            options: listOptions,
+            response: values[kind]
+          }, pagination, since, collectionId);
+          values[kind] = pages.items;
+          paging[kind] = { pages: pages.pages, stoppedBy: pages.stoppedBy };
+          cursors[kind] = pages.cursor;
+          errors.push(...pages.errors);
+        }));
+      }
+
+      let rawPayload;
+      if (isHtml) {
+        const html = parseHtmlPayload(values, target);
+        rawPayload = html.rawPayload;
+        errors.push(...html.errors);
+      } else {
+        rawPayload = {
+          metadata: values.collection,
+          listings: values.listings || [],
+          purchases: values.purchases || [],
+          snapshot: values.snapshot
+        };
+      }
+
       // Normalize payload
       const payload = normalizePayload(rawPayload, collectionId);
       errors.push(...payload.errors);
 
+      // Drop the events earlier crawls have seen, and propose moving the checkpoints of the
+      // streams that were fetched completely past the newest event. Streams cut off by an
+      // error or by maxPages keep their checkpoint, so the pages not fetched are not skipped
+      // next time. The checkpoints are saved once the payload has been ingested.
+      const incremental = {};
+      const nextCheckpoints = [];
+      for (const [stream, field] of Object.entries(EVENT_STREAMS)) {
+        const events = payload[field];
+        const checkpoint = checkpoints[stream];
+        payload[field] = events.filter(event => !isSeenEvent(event, checkpoint));
+        incremental[stream] = {
+          since: checkpoint ? checkpoint.lastEventAt : null,
+          skipped: events.length - payload[field].length
+        };
+
+        const complete = values[stream] !== null &&
+          (!paging[stream] || COMPLETE_PAGING.includes(paging[stream].stoppedBy));
+        if (complete) {
+          nextCheckpoints.push({
+            targetId: target.id,
+            collectionId,
+            stream,
+            ...advanceCheckpoint(checkpoint, events, cursors[stream])
+          });
+        }
+      }
+
       const duration = Date.now() - startTime;
       
       if (this.config.global.enableLogging) {
@@ -134,6 +246,9 @@ class Crawler {
         success: errors.length === 0,
         errors,
         payload,
+        pagination: pagination ? paging : null,
+        incremental,
+        checkpoints: nextCheckpoints,
         duration,
         requestStats: this.requestHandler.getStats()
       };
@@ -156,10 +271,122 @@ class Crawler {
     }
   }
 
+  /**
+   * Fetch the pages after the first one of a paginated endpoint and return the items of all
+   * of them, how many pages were fetched, the last cursor the source returned and why paging
+   * stopped: 'end', 'since' (the page reached events older than `since`), 'maxPages' or
+   * 'error'. A failing page ends the endpoint with the items fetched so far and reports the
+   * failure in `errors`.
+   */
+  async fetchPages(target, kind, firstPage, pagination, since, collectionId = target.id) {
+    const items = [];
+    const errors = [];
+    const requested = new Set();
+    const requestKey = ({ url, params }) => `${url} ${JSON.stringify(params || {})}`;
+    let request = {
+      url: this.requestHandler.buildUrl(target.baseUrl, firstPage.endpoint),
+      params: firstPage.options.params
+    };
+    let response = firstPage.response;
+    let pages = 1;
+    let cursor = null;
+
+    for (;;) {
+      const page = readPage(response, target, kind, pagination, request);
+      items.push(...page.items);
+      requested.add(requestKey(request));
+      if (pagination.type === 'cursor' && page.next) {
+        cursor = page.next.params[pagination.cursorParam];
+      }
+
+      if (reachesSince(page.items, since, pagination.timestampField)) {
+        return { items, pages, cursor, stoppedBy: 'since', errors };
+      }
+      if (!page.next) {
+        return { items, pages, cursor, stoppedBy: 'end', errors };
+      }
+      if (pages >= pagination.maxPages) {
+        if (this.config.global.enableLogging) {
+          console.warn(`Stopped ${kind} of ${target.id} after ${pages} pages (maxPages)`);
+        }
+        return { items, pages, cursor, stoppedBy: 'maxPages', errors };
+      }
+
+      // Links and cursors that lead back to a page already fetched end the endpoint
+      request = page.next.url
+        ? { url: page.next.url, params: undefined }
+        : { url: request.url, params: page.next.params };
+      if (requested.has(requestKey(request))) {
+        return { items, pages, cursor, stoppedBy: 'end', errors };
+      }
+
+      try {
+        this.metrics.totalRequests++;
+        response = await this.requestHandler.makeRequest(target, request.url, {
+          ...firstPage.options,
+          params: request.params
+        });
+        this.recordRequest(target, collectionId);
+        pages++;
+      } catch (error) {
+        this.recordRequest(target, collectionId, error);
+        const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+        errors.push(`${label} page ${pages + 1} request failed: ${error.message}`);
+        return { items, pages, cursor, stoppedBy: 'error', errors };
+      }
+    }
+  }
+
+  /**
+   * The target's circuit breaker, with the global `circuitBreaker` settings as defaults
+   */
+  getCircuitBreaker(target) {
+    return this.circuitBreakers.get(target, this.config.global.circuitBreaker);
+  }
+
+  /**
+   * Count a request in the target's circuit breaker. Only errors that may pass on retry count
+   * as failures; a 404 or other client error means the source is up.
+   */
+  recordRequest(target, collectionId, error = null) {
+    const breaker = this.getCircuitBreaker(target);
+    if (error && error.retryable !== false) {
+      breaker.recordFailure(error, { collectionId });
+    } else {
+      breaker.recordSuccess();
+    }
+  }
+
+  /**
+   * Save the checkpoints a target result proposes, once its payload has been ingested
+   */
+  async saveCheckpoints(checkpoints = []) {
+    for (const checkpoint of checkpoints) {
+      await this.checkpointRepository.save(checkpoint);
+    }
+  }
+
+  /**
+   * Delete the checkpoints of the given collections, or all of them, so the next crawl
+   * fetches everything again. Returns how many were deleted.
+   */
+  async resetCheckpoints(collectionIds = []) {
+    if (collectionIds.length === 0) {
+      return this.checkpointRepository.delete();
+    }
+
+    let cleared = 0;
+    for (const collectionId of collectionIds) {
+      cleared += await this.checkpointRepository.delete({ collectionId });
+    }
+    return cleared;
+  }
+
   /**
    * Run crawler for specific collection IDs
    */
   async runCollections(collectionIds, options = {}) {
+    const startTime = new Date();
     const results = [];
     
     for (const collectionId of collectionIds) {
@@ -194,7 +421,8 @@ class Crawler {
     return {
       success: results.every(r => r.success),
       results,
-      collectionIds
+      collectionIds,
+      circuitTransitions: this.circuitBreakers.getTransitions(startTime)
     };
   }
 
@@ -204,7 +432,8 @@ class Crawler {
   getMetrics() {
     return {
       ...this.metrics,
-      requestStats: this.requestHandler.getStats()
+      requestStats: this.requestHandler.getStats(),
+      circuitBreakers: this.circuitBreakers.getStats()
     };
   }
 
@@ -218,6 +447,7 @@ class Crawler {
       totalTargets: 0,
       successfulTargets: 0,
       failedTargets: 0,
+      skippedTargets: 0,
       totalRequests: 0,
       totalListings: 0,
       totalPurchases: 0,
@@ -236,6 +466,9 @@ class Crawler {
     console.log('\n=== Crawler Execution Summary ===');
     console.log(`Duration: ${duration}ms`);
     console.log(`Targets: ${this.metrics.successfulTargets}/${this.metrics.totalTargets} successful`);
+    if (this.metrics.skippedTargets > 0) {
+      console.log(`Skipped (circuit open): ${this.metrics.skippedTargets}`);
+    }
     console.log(`Requests: ${this.metrics.totalRequests}`);
     console.log(`Listings found: ${this.metrics.totalListings}`);
     console.log(`Purchases found: ${this.metrics.totalPurchases}`);
@@ -0,0 +1,158 @@
+const cheerio = require('cheerio');
+const { extractHtmlRecords, parseFieldSelector } = require('./htmlParser');
+
+/**
+ * Pagination of the listings and purchases endpoints, configured per target:
+ *
+ *   pagination: {
+ *     type: 'page',          // 'page', 'cursor' or 'link'
+ *     limit: 100,            // page size sent as `limitParam`, if set
+ *     maxPages: 10           // safety cap on the pages fetched per endpoint and run
+ *   }
+ *
+ * - `page`: pages are requested with `pageParam` counting up from `startPage`, until a page
+ *   comes back empty or shorter than `limit`.
+ * - `cursor`: the next page's cursor is read from the response (`cursorPath` in JSON,
+ *   `cursorSelector` in HTML) and sent as `cursorParam`, until there is none.
+ * - `link`: the next page's URL is read from the response (`nextPath` in JSON, `nextSelector`
+ *   in HTML) and followed, until there is none.
+ *
+ * JSON pages hold their items at `itemsPath`; by default the response itself when it is an
+ * array, otherwise its `items`. HTML pages are parsed with the target's selectors.
+ */
+
+const PAGINATION_TYPES = ['page', 'cursor', 'link'];
+
+const DEFAULT_PAGINATION = {
+  type: null,
+  pageParam: 'page',
+  startPage: 1,
+  limitParam: 'limit',
+  limit: null,
+  cursorParam: 'cursor',
+  cursorPath: 'nextCursor',
+  cursorSelector: '[data-next-cursor]@data-next-cursor',
+  nextPath: 'next',
+  nextSelector: 'a[rel="next"]@href',
+  itemsPath: null,
+  timestampField: 'timestamp',
+  maxPages: 10
+};
+
+/**
+ * Pagination settings of a target with defaults applied, or null when it has none
+ */
+function getPaginationConfig(target) {
+  if (!target.pagination || !PAGINATION_TYPES.includes(target.pagination.type)) {
+    return null;
+  }
+  return { ...DEFAULT_PAGINATION, ...target.pagination };
+}
+
+/**
+ * Read a dot-separated path such as `meta.next` from an object
+ */
+function getPath(data, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    data
+  );
+}
+
+/**
+ * Read a field selector (see htmlParser) against the whole page
+ */
+function extractHtmlValue(html, fieldSelector) {
+  const $ = cheerio.load(html);
+  const { selector, attribute } = parseFieldSelector(fieldSelector);
+  const node = $(selector).first();
+  if (node.length === 0) {
+    return undefined;
+  }
+
+  const value = attribute ? node.attr(attribute) : node.text().trim();
+  return value || undefined;
+}
+
+/**
+ * Query parameters of the first page
+ */
+function getFirstPageParams(pagination) {
+  const params = {};
+  if (pagination.limit && pagination.limitParam) {
+    params[pagination.limitParam] = pagination.limit;
+  }
+  if (pagination.type === 'page') {
+    params[pagination.pageParam] = pagination.startPage;
+  }
+  return params;
+}
+
+/**
+ * Split a fetched page into its items and the reference to the next page: `{ params }` with
+ * the query parameters to send, `{ url }` to follow, or null on the last page.
+ */
+function readPage(response, target, kind, pagination, request) {
+  const isHtml = target.mode === 'html';
+  let items;
+
+  if (isHtml) {
+    const selectors = target.selectors || {};
+    const fieldSelectors = target.fieldSelectors || {};
+    items = selectors[kind] ? extractHtmlRecords(response, selectors[kind], fieldSelectors[kind]) : [];
+  } else if (pagination.itemsPath) {
+    items = getPath(response, pagination.itemsPath) || [];
+  } else {
+    items = Array.isArray(response) ? response : (response && response.items) || [];
+  }
+  if (!Array.isArray(items)) {
+    items = [];
+  }
+
+  let next = null;
+  if (pagination.type === 'page') {
+    const isLastPage = items.length === 0 || (pagination.limit && items.length < pagination.limit);
+    if (!isLastPage) {
+      next = { params: { ...request.params, [pagination.pageParam]: request.params[pagination.pageParam] + 1 } };
+    }
+  } else if (pagination.type === 'cursor') {
+    const cursor = isHtml
+      ? extractHtmlValue(response, pagination.cursorSelector)
+      : getPath(response, pagination.cursorPath);
+    if (cursor !== undefined && cursor !== null && cursor !== '') {
+      next = { params: { ...request.params, [pagination.cursorParam]: cursor } };
+    }
+  } else {
+    const link = isHtml
+      ? extractHtmlValue(response, pagination.nextSelector)
+      : getPath(response, pagination.nextPath);
+    if (link) {
+      next = { url: new URL(link, request.url).toString() };
+    }
+  }
+
+  return { items, next };
+}
+
+/**
+ * Whether a page reached items older than `since`; pages are expected newest first
+ */
+function reachesSince(items, since, timestampField) {
+  if (!since) return false;
+
+  const sinceTime = new Date(since).getTime();
+  return items.some(item => {
+    const time = new Date(item[timestampField]).getTime();
+    return Number.isFinite(time) && time < sinceTime;
+  });
+}
+
+module.exports = {
+  PAGINATION_TYPES,
+  DEFAULT_PAGINATION,
+  getPaginationConfig,
+  getPath,
+  getFirstPageParams,
+  readPage,
+  reachesSince
+};
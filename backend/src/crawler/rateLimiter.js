@@ -0,0 +1,196 @@
+/**
+ * Per-target request rate limiting with token buckets.
+ *
+ * Each target gets a bucket holding up to `rateLimit.burst` tokens (default 1), refilled at
+ * `rateLimit.requestsPerSecond`; `rateLimit.delayBetweenRequests`, when set, caps that rate at
+ * one request per delay. Every request attempt takes a token, or waits until one is due.
+ * Tokens are reserved synchronously, so concurrent requests queue behind each other instead of
+ * reading the same state and going out together.
+ *
+ * The rate adapts to the target: a 429 or 503 response halves it, down to
+ * `rateLimit.minRequestsPerSecond` (default a tenth of the configured rate), and each successful
+ * response restores a tenth of the configured rate. A `Retry-After` header pauses the bucket
+ * until the time it names.
+ */
+
+const SLOW_DOWN_FACTOR = 0.5;
+const RECOVERY_STEP = 0.1;
+const MIN_RATE_FACTOR = 0.1;
+
+/**
+ * Milliseconds to wait according to a `Retry-After` header, given in seconds or as an HTTP
+ * date; null when the header is missing or unreadable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class TokenBucket {
+  /**
+   * @param {Object} rateLimit - Target rate limit settings
+   * @param {number} now - Current time in milliseconds
+   */
+  constructor(rateLimit, now = Date.now()) {
+    let rate = rateLimit.requestsPerSecond > 0 ? rateLimit.requestsPerSecond : Infinity;
+    if (rateLimit.delayBetweenRequests > 0) {
+      rate = Math.min(rate, 1000 / rateLimit.delayBetweenRequests);
+    }
+
+    this.baseRate = rate;
+    this.minRate = rateLimit.minRequestsPerSecond > 0
+      ? Math.min(rateLimit.minRequestsPerSecond, rate)
+      : rate * MIN_RATE_FACTOR;
+    this.rate = rate;
+    this.capacity = Math.max(1, rateLimit.burst || 1);
+    this.tokens = this.capacity;
+    this.updatedAt = now;
+    this.pausedUntil = 0;
+    // Bumped on every pause, so requests already waiting know to queue again
+    this.generation = 0;
+  }
+
+  /**
+   * Add the tokens earned since the last update; no tokens are earned while paused
+   */
+  refill(now) {
+    const from = Math.max(this.updatedAt, this.pausedUntil);
+    if (now > from && Number.isFinite(this.rate)) {
+      this.tokens = Math.min(this.capacity, this.tokens + ((now - from) * this.rate) / 1000);
+    } else if (!Number.isFinite(this.rate)) {
+      this.tokens = this.capacity;
+    }
+    this.updatedAt = Math.max(this.updatedAt, now);
+  }
+
+  /**
+   * Take a token and return how many milliseconds to wait before using it. The balance goes
+   * negative while requests are queued, which pushes each later request further out.
+   */
+  reserve(now) {
+    this.refill(now);
+    this.tokens -= 1;
+
+    const pauseWait = Math.max(0, this.pausedUntil - now);
+    const tokenWait = this.tokens < 0 ? (-this.tokens * 1000) / this.rate : 0;
+    return Math.round(pauseWait + tokenWait);
+  }
+
+  /**
+   * Slow down after a 429 or 503 response, and pause for `retryAfterMs` if the target asked for it
+   */
+  throttle(now, retryAfterMs = null) {
+    this.refill(now);
+    this.rate = Math.max(this.minRate, this.rate * SLOW_DOWN_FACTOR);
+
+    if (retryAfterMs !== null && retryAfterMs > 0) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + retryAfterMs);
+      // One request may go when the pause ends; queued requests take their tokens again
+      this.tokens = 1;
+      this.generation += 1;
+    }
+  }
+
+  /**
+   * Recover part of the configured rate after a successful response
+   */
+  recover(now) {
+    if (this.rate >= this.baseRate) return;
+
+    this.refill(now);
+    this.rate = Math.min(this.baseRate, this.rate + this.baseRate * RECOVERY_STEP);
+  }
+
+  getState(now) {
+    return {
+      requestsPerSecond: this.rate,
+      configuredRequestsPerSecond: this.baseRate,
+      throttled: this.rate < this.baseRate,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Token buckets by target ID, created from each target's `rateLimit` on first use
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.sleep - Waits the given milliseconds
+   * @param {Function} options.now - Current time in milliseconds
+   */
+  constructor(options = {}) {
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = options.now || Date.now;
+    this.buckets = new Map();
+  }
+
+  getBucket(target) {
+    if (!target.rateLimit) return null;
+
+    if (!this.buckets.has(target.id)) {
+      this.buckets.set(target.id, new TokenBucket(target.rateLimit, this.now()));
+    }
+    return this.buckets.get(target.id);
+  }
+
+  /**
+   * Wait for the target's next token
+   */
+  async acquire(target) {
+    const bucket = this.getBucket(target);
+    if (!bucket) return;
+
+    for (;;) {
+      const generation = bucket.generation;
+      const wait = bucket.reserve(this.now());
+      if (wait <= 0) return;
+
+      await this.sleep(wait);
+      if (bucket.generation === generation) return;
+    }
+  }
+
+  /**
+   * Record a 429 or 503 response from the target
+   */
+  throttle(target, retryAfterMs = null) {
+    const bucket = this.getBucket(target);
+    if (bucket) {
+      bucket.throttle(this.now(), retryAfterMs);
+    }
+  }
+
+  /**
+   * Record a successful response from the target
+   */
+  recordSuccess(target) {
+    const bucket = this.getBucket(target);
+    if (bucket) {
+      bucket.recover(this.now());
+    }
+  }
+
+  getStats() {
+    const now = this.now();
+    const stats = {};
+    this.buckets.forEach((bucket, targetId) => {
+      stats[targetId] = bucket.getState(now);
+    });
+    return stats;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter,
+  parseRetryAfter
+};
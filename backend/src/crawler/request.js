@@ -1,5 +1,15 @@
 const axios = require('axios');
 const { default: pLimit } = require('p-limit');
+const { RateLimiter, parseRetryAfter } = require('./rateLimiter');
+
+// Statuses that slow the target down and are retried after its Retry-After, if any
+const THROTTLE_STATUSES = [429, 503];
+
+// Client errors worth retrying; other 4xx responses fail at once
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+// Longest Retry-After the crawler waits for before giving up on the request
+const DEFAULT_MAX_RETRY_AFTER_MS = 60000;
 
 /**
  * HTTP request handler with retry logic and rate limiting
@@ -8,18 +18,16 @@ class RequestHandler {
   constructor(config) {
     this.config = config;
     this.concurrencyLimit = pLimit(config.global.concurrency);
-    this.requestCounts = new Map(); // Track requests per target for rate limiting
+    this.rateLimiter = new RateLimiter({ sleep: ms => this.sleep(ms) });
+    this.requestCounts = new Map(); // Requests sent per target, retries included
   }
 
   /**
-   * Make HTTP request with retry logic and rate limiting
+   * Make HTTP request with retry logic and rate limiting. Every attempt waits for the target's
+   * rate limit, outside the concurrency limit so that waiting does not hold a slot.
    */
   async makeRequest(target, endpoint, options = {}) {
-    const targetKey = target.id;
     const url = this.buildUrl(target.baseUrl, endpoint);
-    
-    // Apply rate limiting
-    await this.applyRateLimit(target);
 
     const requestConfig = {
       timeout: this.config.global.timeout,
@@ -30,27 +38,47 @@ class RequestHandler {
       ...options
     };
 
-    return this.concurrencyLimit(async () => {
-      return this.withRetry(targetKey, async () => {
-        try {
-          const response = await axios.get(url, requestConfig);
-          return response.data;
-        } catch (error) {
-          if (error.response) {
-            // HTTP error response
-            throw new Error(`HTTP ${error.response.status} for ${url}: ${error.response.statusText}`);
-          } else if (error.request) {
-            // Network error
-            throw new Error(`Network error for ${url}: ${error.message}`);
-          } else {
-            // Other error
-            throw error;
-          }
-        }
-      });
+    return this.withRetry(target.id, async () => {
+      await this.applyRateLimit(target);
+      return this.concurrencyLimit(() => this.send(target, url, requestConfig));
     });
   }
 
+  /**
+   * Send one request and report the outcome to the rate limiter. HTTP errors carry the
+   * `status`, whether they are `retryable` and the `retryAfterMs` the target asked for.
+   */
+  async send(target, url, requestConfig) {
+    this.requestCounts.set(target.id, (this.requestCounts.get(target.id) || 0) + 1);
+
+    try {
+      const response = await axios.get(url, requestConfig);
+      this.rateLimiter.recordSuccess(target);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        // HTTP error response
+        const { status, statusText, headers = {} } = error.response;
+        const httpError = new Error(`HTTP ${status} for ${url}: ${statusText}`);
+        httpError.status = status;
+        httpError.retryable = status >= 500 || RETRYABLE_CLIENT_STATUSES.includes(status);
+        httpError.retryAfterMs = null;
+
+        if (THROTTLE_STATUSES.includes(status)) {
+          httpError.retryAfterMs = parseRetryAfter(headers['retry-after']);
+          this.rateLimiter.throttle(target, httpError.retryAfterMs);
+        }
+        throw httpError;
+      } else if (error.request) {
+        // Network error
+        throw new Error(`Network error for ${url}: ${error.message}`);
+      } else {
+        // Other error
+        throw error;
+      }
+    }
+  }
+
   /**
    * Make multiple requests concurrently with controlled concurrency
    */
@@ -63,41 +91,36 @@ class RequestHandler {
   }
 
   /**
-   * Apply rate limiting delay between requests
+   * Wait for the target's next request token (see rateLimiter.js)
    */
   async applyRateLimit(target) {
-    const now = Date.now();
-    const lastRequest = this.requestCounts.get(target.id) || 0;
-    const timeSinceLastRequest = now - lastRequest;
-    const minDelay = 1000 / target.rateLimit.requestsPerSecond;
-
-    if (timeSinceLastRequest < minDelay) {
-      const delay = minDelay - timeSinceLastRequest;
-      await this.sleep(delay);
-    }
-
-    // Also apply configured delay between requests
-    if (target.rateLimit.delayBetweenRequests > 0) {
-      await this.sleep(target.rateLimit.delayBetweenRequests);
-    }
-
-    this.requestCounts.set(target.id, Date.now());
+    await this.rateLimiter.acquire(target);
   }
 
   /**
-   * Execute operation with retry logic
+   * Execute operation with retry logic. Errors marked `retryable: false` fail at once; a
+   * Retry-After longer than `maxRetryAfterMs` ends the retries, a shorter one replaces the
+   * backoff delay.
    */
   async withRetry(targetKey, operation) {
+    const maxRetryAfter = this.config.global.maxRetryAfterMs ?? DEFAULT_MAX_RETRY_AFTER_MS;
     let lastError;
-    
+
     for (let attempt = 1; attempt <= this.config.global.retries + 1; attempt++) {
       try {
         return await operation();
       } catch (error) {
         lastError = error;
-        
+
+        const hasRetryAfter = error.retryAfterMs !== null && error.retryAfterMs !== undefined;
+        if (error.retryable === false || (hasRetryAfter && error.retryAfterMs > maxRetryAfter)) {
+          break;
+        }
+
         if (attempt <= this.config.global.retries) {
-          const delay = this.config.global.retryDelay * Math.pow(2, attempt - 1);
+          const delay = hasRetryAfter
+            ? error.retryAfterMs
+            : this.config.global.retryDelay * Math.pow(2, attempt - 1);
           if (this.config.global.enableLogging) {
             console.warn(`Attempt ${attempt} failed for ${targetKey}, retrying in ${delay}ms:`, error.message);
           }
@@ -105,14 +128,18 @@ class RequestHandler {
         }
       }
     }
-    
+
     throw lastError;
   }
 
   /**
-   * Build URL from base and endpoint
+   * Build URL from base and endpoint, or take an absolute endpoint as is
    */
   buildUrl(baseUrl, endpoint) {
+    // Absolute URLs, such as next-page links, are used as they are
+    if (/^https?:\/\//i.test(endpoint)) {
+      return endpoint;
+    }
     const cleanBaseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
     const cleanEndpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
     return `${cleanBaseUrl}${cleanEndpoint}`;
@@ -132,12 +159,13 @@ class RequestHandler {
     return {
       activeRequests: this.concurrencyLimit.activeCount,
       pendingRequests: this.concurrencyLimit.pendingCount,
-      requestCounts: Object.fromEntries(this.requestCounts)
+      requestCounts: Object.fromEntries(this.requestCounts),
+      rateLimits: this.rateLimiter.getStats()
     };
   }
 
   /**
-   * Reset request counters
+   * Reset request counters; the rate limits keep what they learned about each target
    */
   resetStats() {
     this.requestCounts.clear();
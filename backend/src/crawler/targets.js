@@ -1,4 +1,8 @@
 const path = require('path');
+const { PAGINATION_TYPES } = require('./pagination');
+const { DEFAULT_CIRCUIT_BREAKER } = require('./circuitBreaker');
+
+const CRAWL_MODES = ['json', 'html'];
 
 /**
  * Default crawler configuration
@@ -11,6 +15,10 @@ const defaultConfig = {
       name: 'iBox Sample Collection',
       enabled: true,
       baseUrl: 'https://api.example.com',
+      // 'json' for API responses, 'html' for pages parsed with the selectors below
+      mode: 'json',
+      // Token bucket per target; see rateLimiter.js. `burst` (default 1) lets that many
+      // requests go back to back, and `minRequestsPerSecond` bounds the slow-down on 429/503
       rateLimit: {
         requestsPerSecond: 2,
         delayBetweenRequests: 500
@@ -21,6 +29,12 @@ const defaultConfig = {
         purchases: '.purchase-item',
         snapshot: '.snapshot-data'
       },
+      // Per-endpoint field selectors for HTML mode, e.g.
+      // listings: { price: '.price', seller: '.seller', tokenId: '.token', timestamp: 'time@datetime' }
+      fieldSelectors: {},
+      // Paging of listings and purchases, e.g. { type: 'cursor', limit: 100, maxPages: 10 };
+      // see pagination.js for the settings of each type
+      pagination: null,
       endpoints: {
         collection: '/collection/{collectionId}',
         listings: '/collection/{collectionId}/listings',
@@ -37,8 +51,13 @@ const defaultConfig = {
     timeout: 30000,
     retries: 3,
     retryDelay: 1000,
+    // Longest Retry-After waited for; longer ones fail the request
+    maxRetryAfterMs: 60000,
     concurrency: 3,
-    enableLogging: true
+    enableLogging: true,
+    // Defaults for every target's circuit breaker, which a target's own `circuitBreaker`
+    // settings override; see circuitBreaker.js
+    circuitBreaker: { ...DEFAULT_CIRCUIT_BREAKER }
   }
 };
 
@@ -96,6 +115,38 @@ function loadCrawlerConfig() {
     }
   }
 
+  if (process.env.CRAWLER_MAX_RETRY_AFTER_MS) {
+    const maxRetryAfter = parseInt(process.env.CRAWLER_MAX_RETRY_AFTER_MS, 10);
+    if (!isNaN(maxRetryAfter) && maxRetryAfter >= 0) {
+      config.global.maxRetryAfterMs = maxRetryAfter;
+    }
+  }
+
+  if (process.env.CRAWLER_BREAKER_ENABLED === 'false') {
+    config.global.circuitBreaker.enabled = false;
+  }
+
+  if (process.env.CRAWLER_BREAKER_CONSECUTIVE_FAILURES) {
+    const failures = parseInt(process.env.CRAWLER_BREAKER_CONSECUTIVE_FAILURES, 10);
+    if (!isNaN(failures) && failures > 0) {
+      config.global.circuitBreaker.consecutiveFailures = failures;
+    }
+  }
+
+  if (process.env.CRAWLER_BREAKER_FAILURE_RATE) {
+    const failureRate = parseFloat(process.env.CRAWLER_BREAKER_FAILURE_RATE);
+    if (!isNaN(failureRate) && failureRate > 0 && failureRate <= 1) {
+      config.global.circuitBreaker.failureRate = failureRate;
+    }
+  }
+
+  if (process.env.CRAWLER_BREAKER_COOL_OFF_MS) {
+    const coolOff = parseInt(process.env.CRAWLER_BREAKER_COOL_OFF_MS, 10);
+    if (!isNaN(coolOff) && coolOff > 0) {
+      config.global.circuitBreaker.coolOffMs = coolOff;
+    }
+  }
+
   if (process.env.CRAWLER_CONCURRENCY) {
     const concurrency = parseInt(process.env.CRAWLER_CONCURRENCY, 10);
     if (!isNaN(concurrency) && concurrency > 0) {
@@ -103,6 +154,17 @@ function loadCrawlerConfig() {
     }
   }
 
+  config.targets.forEach(target => {
+    if (target.mode && !CRAWL_MODES.includes(target.mode)) {
+      console.warn(`Unknown crawl mode "${target.mode}" for target ${target.id}, using json`);
+      target.mode = 'json';
+    }
+    if (target.pagination && !PAGINATION_TYPES.includes(target.pagination.type)) {
+      console.warn(`Unknown pagination type "${target.pagination.type}" for target ${target.id}, fetching single pages`);
+      target.pagination = null;
+    }
+  });
+
   // Filter enabled targets only
   config.targets = config.targets.filter(target => target.enabled !== false);
 
@@ -111,5 +173,6 @@ function loadCrawlerConfig() {
 
 module.exports = {
   loadCrawlerConfig,
+  CRAWL_MODES,
   defaultConfig
 };
\ No newline at end of file
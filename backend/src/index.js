@@ -8,6 +8,8 @@ const adminRoutes = require('./routes/admin');
 const logger = require('./utils/logger');
 const { scheduleCleanup } = require('./jobs/cleanupJob');
 const { scheduleHourlyRefresh } = require('./jobs/hourlyRefresh');
+const { scheduleNotificationOutbox } = require('./jobs/notificationOutboxJob');
+const { scheduleDigests } = require('./jobs/digestJob');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -114,4 +116,18 @@ app.listen(PORT, () => {
   } else {
     logger.info('Hourly refresh cron disabled. Set ENABLE_CRON=true to enable.');
   }
+
+  if (env.enableDigest) {
+    scheduleDigests();
+  } else {
+    logger.info('Digest reports disabled. Set ENABLE_DIGEST=true to enable.');
+  }
+
+  if (env.enableNotificationOutbox) {
+    scheduleNotificationOutbox();
+  } else {
+    logger.warn(
+      'Notification outbox worker disabled; failed notifications will not be retried. Set ENABLE_NOTIFICATION_OUTBOX=true to enable.'
+    );
+  }
 });
@@ -115,6 +115,12 @@ async function runCleanupJob(options = {}) {
   const thresholds = buildThresholds(options.warningThresholds, env.cleanupWarningThreshold);
   const nowMs = resolveTimestamp(options.now ?? Date.now());
   const cutoffDate = getCutoffDate(retentionHours, nowMs);
+  // Metric history may be kept longer than raw events so daily series can span weeks.
+  const metricsRetentionHours = normalizePositiveNumber(
+    options.metricsRetentionHours,
+    env.metricsRetentionHours || retentionHours
+  );
+  const metricsCutoffDate = getCutoffDate(metricsRetentionHours, nowMs);
 
   const repositories = options.repositories || {};
   const dataStoreRepo = repositories.dataStore || dataStore;
@@ -124,7 +130,9 @@ async function runCleanupJob(options = {}) {
 
   logger.info('Data cleanup job started', {
     retentionHours,
+    metricsRetentionHours,
     cutoff: cutoffDate.toISOString(),
+    metricsCutoff: metricsCutoffDate.toISOString(),
     batchSize,
     skippedTables: SKIPPED_TABLES,
   });
@@ -157,7 +165,7 @@ async function runCleanupJob(options = {}) {
       name: 'analytics_metrics',
       deleteBatch:
         analyticsRepo && typeof analyticsRepo.deleteOlderThan === 'function'
-          ? () => analyticsRepo.deleteOlderThan(cutoffDate, batchSize)
+          ? () => analyticsRepo.deleteOlderThan(metricsCutoffDate, batchSize)
           : null,
     },
   ];
@@ -235,6 +243,7 @@ function scheduleCleanup(options = {}) {
       try {
         await runCleanupJob({
           retentionHours,
+          metricsRetentionHours: options.metricsRetentionHours,
           batchSize,
           warningThresholds: thresholds,
         });
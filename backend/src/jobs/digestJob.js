@@ -0,0 +1,98 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const env = require('../config/env');
+const digestService = require('../services/digestService');
+
+let scheduledTasks = null;
+let scheduledTaskWrapper = null;
+
+/**
+ * Build the digest of the period that just ended and send it to the digest channel.
+ */
+async function runDigestJob(period, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    const digest = await digestService.buildDigest(period, { now: options.now });
+    const delivery = await digestService.sendDigest(digest, { channel: options.channel });
+
+    const result = {
+      period,
+      alerts: digest.alerts.total,
+      ...delivery,
+      duration: Date.now() - startTime,
+    };
+    logger.info('Digest job completed', result);
+
+    return result;
+  } catch (error) {
+    logger.error('Digest job failed', {
+      period,
+      error: error.message,
+      duration: Date.now() - startTime,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Schedule the daily and weekly digests with DIGEST_DAILY_CRON and DIGEST_WEEKLY_CRON; a
+ * period whose expression is empty is not scheduled.
+ */
+function scheduleDigests(
+  cronExpressions = { daily: env.digestDailyCron, weekly: env.digestWeeklyCron }
+) {
+  if (scheduledTasks) {
+    logger.warn('Digest jobs already scheduled');
+    return scheduledTaskWrapper;
+  }
+
+  const periods = Object.keys(digestService.DIGEST_PERIODS).filter(
+    (period) => cronExpressions[period]
+  );
+  periods.forEach((period) => {
+    if (!cron.validate(cronExpressions[period])) {
+      throw new Error(
+        `Invalid DIGEST_${period.toUpperCase()}_CRON expression "${cronExpressions[period]}"`
+      );
+    }
+  });
+
+  scheduledTasks = periods.map((period) =>
+    cron.schedule(cronExpressions[period], async () => {
+      try {
+        await runDigestJob(period);
+      } catch (error) {
+        logger.error('Scheduled digest job failed', {
+          period,
+          error: error.message,
+        });
+      }
+    })
+  );
+
+  logger.info('Digest jobs scheduled', {
+    cronExpressions: Object.fromEntries(periods.map((period) => [period, cronExpressions[period]])),
+  });
+
+  scheduledTaskWrapper = {
+    cancel() {
+      if (scheduledTasks) {
+        scheduledTasks.forEach((task) => {
+          task.stop();
+          task.destroy();
+        });
+        scheduledTasks = null;
+        scheduledTaskWrapper = null;
+        logger.info('Digest jobs cancelled');
+      }
+    },
+  };
+
+  return scheduledTaskWrapper;
+}
+
+module.exports = {
+  runDigestJob,
+  scheduleDigests,
+};
@@ -1,18 +1,23 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const env = require('../config/env');
 const { ingestCollections } = require('../workflows/ingestCollections');
+const { crawlAndIngest } = require('../workflows/crawlAndIngest');
 
 let scheduledTask = null;
 let scheduledTaskWrapper = null;
 
-async function runHourlyRefreshJob() {
+async function runHourlyRefreshJob(options = {}) {
   const startTime = Date.now();
+  const crawl = options.crawl !== undefined ? options.crawl : env.crawlerEnabled;
 
   try {
     logger.info('Hourly refresh job started');
 
-    // Run ingestion workflow with empty payloads (just triggers metrics refresh)
-    const result = await ingestCollections([]);
+    // Without CRAWLER_ENABLED the job only refreshes metrics for already ingested data
+    const result = crawl
+      ? await crawlAndIngest({ crawler: options.crawler, collectionIds: options.collectionIds })
+      : await ingestCollections([]);
 
     const duration = Date.now() - startTime;
 
@@ -25,6 +30,7 @@ async function runHourlyRefreshJob() {
       logger.warn('Hourly refresh job completed with failures', {
         duration,
         failures: result.metrics.failures,
+        ...(result.targets && { targets: result.targets }),
       });
     }
 
@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const env = require('../config/env');
+const notificationOutboxService = require('../services/notificationOutboxService');
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+let scheduledTask = null;
+let scheduledTaskWrapper = null;
+let running = false;
+
+/**
+ * Deliver the outbox entries that are due and prune delivered entries past the retention
+ * window. Dead letters are kept until they are replayed.
+ */
+async function runNotificationOutboxJob(options = {}) {
+  const startTime = Date.now();
+  const now = options.now ? new Date(options.now) : new Date();
+  const retentionHours =
+    options.retentionHours !== undefined
+      ? options.retentionHours
+      : env.notificationOutboxRetentionHours;
+
+  try {
+    const summary = await notificationOutboxService.processDue({ now, limit: options.limit });
+    const pruned = await notificationOutboxService.pruneDelivered(
+      new Date(now.getTime() - retentionHours * ONE_HOUR_MS)
+    );
+
+    const result = { ...summary, pruned, duration: Date.now() - startTime };
+    if (summary.processed > 0 || pruned > 0) {
+      logger.info('Notification outbox processed', result);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Notification outbox job failed', {
+      error: error.message,
+      duration: Date.now() - startTime,
+    });
+    throw error;
+  }
+}
+
+function scheduleNotificationOutbox(cronExpression = env.notificationOutboxCron) {
+  if (scheduledTask) {
+    logger.warn('Notification outbox job already scheduled');
+    return scheduledTaskWrapper;
+  }
+
+  if (!cron.validate(cronExpression)) {
+    throw new Error(`Invalid NOTIFICATION_OUTBOX_CRON expression "${cronExpression}"`);
+  }
+
+  scheduledTask = cron.schedule(cronExpression, async () => {
+    // A slow run (e.g. many timeouts) must not overlap the next one.
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await runNotificationOutboxJob();
+    } catch (error) {
+      logger.error('Scheduled notification outbox job failed', {
+        error: error.message,
+      });
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info('Notification outbox job scheduled', { cronExpression });
+
+  scheduledTaskWrapper = {
+    cancel() {
+      if (scheduledTask) {
+        scheduledTask.stop();
+        scheduledTask.destroy();
+        scheduledTask = null;
+        scheduledTaskWrapper = null;
+        logger.info('Notification outbox job cancelled');
+      }
+    },
+  };
+
+  return scheduledTaskWrapper;
+}
+
+module.exports = {
+  runNotificationOutboxJob,
+  scheduleNotificationOutbox,
+};
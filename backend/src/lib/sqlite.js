@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const env = require('../config/env');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../db/sqlite');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+let database;
+
+function listMigrationFiles() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith('.sql'))
+    .sort();
+}
+
+// The SQLite driver is meant to work without a separate migrate step, so pending
+// migrations are applied whenever the database file is opened.
+function applyMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `);
+
+  const hasRun = db.prepare(`SELECT 1 FROM ${MIGRATIONS_TABLE} WHERE name = ?`);
+  const record = db.prepare(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (?)`);
+
+  listMigrationFiles().forEach((name) => {
+    if (hasRun.get(name)) {
+      return;
+    }
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      record.run(name);
+    })();
+  });
+}
+
+function openDatabase(filename = env.sqlite.filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  applyMigrations(db);
+  return db;
+}
+
+function getDatabase() {
+  if (!database) {
+    database = openDatabase();
+  }
+  return database;
+}
+
+function closeDatabase() {
+  if (database) {
+    database.close();
+    database = null;
+  }
+}
+
+module.exports = {
+  getDatabase,
+  openDatabase,
+  closeDatabase,
+};
@@ -0,0 +1,81 @@
+const axios = require('axios');
+const { normalizeSeverity } = require('../utils/severity');
+
+// Colours and markers per severity, shared by the chat adapters.
+const SEVERITY_STYLES = {
+  critical: { label: 'Critical', color: '#D32F2F', emoji: '🔴', wecomColor: 'warning' },
+  error: { label: 'Error', color: '#F57C00', emoji: '🟠', wecomColor: 'warning' },
+  warning: { label: 'Warning', color: '#FBC02D', emoji: '🟡', wecomColor: 'comment' },
+  info: { label: 'Info', color: '#1976D2', emoji: '🔵', wecomColor: 'info' },
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+function getSeverityStyle(severity) {
+  return (
+    SEVERITY_STYLES[normalizeSeverity(severity)] || {
+      label: severity ? String(severity) : 'Alert',
+      color: '#757575',
+      emoji: '⚪',
+      wecomColor: 'comment',
+    }
+  );
+}
+
+/**
+ * Link to the collection's dashboard page, or null when DASHBOARD_URL (or FRONTEND_URL) is
+ * not set.
+ */
+function getCollectionUrl(collectionId) {
+  const baseUrl = process.env.DASHBOARD_URL || process.env.FRONTEND_URL;
+  if (!baseUrl) {
+    return null;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/collections/${encodeURIComponent(collectionId)}`;
+}
+
+// Platforms reject messages over their length limit, so long digests are cut short instead.
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function formatTitle(alert) {
+  return `${getSeverityStyle(alert.severity).label} alert: ${alert.type}`;
+}
+
+/**
+ * Post a message to a chat platform. Rejects with the platform's own description of the
+ * problem when the request fails, or when `getError` finds one in a 200 response (WeCom and
+ * DingTalk report errors that way).
+ */
+async function postChatMessage(platform, url, body, getError = () => null) {
+  let response;
+  try {
+    response = await axios.post(url, body, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+  } catch (error) {
+    const data = error.response && error.response.data;
+    const detail = data && (data.description || data.message || data.error);
+    throw new Error(`${platform} request failed: ${detail || error.message}`);
+  }
+
+  const responseError = getError(response.data);
+  if (responseError) {
+    throw new Error(`${platform} rejected the message: ${responseError}`);
+  }
+
+  return response.data;
+}
+
+module.exports = {
+  SEVERITY_STYLES,
+  getSeverityStyle,
+  getCollectionUrl,
+  formatTitle,
+  truncateText,
+  postChatMessage,
+};
@@ -0,0 +1,43 @@
+// Destination fields holding credentials, and the flag each is replaced with in API responses.
+// Only storage and the notifiers see the values themselves.
+const CREDENTIAL_FIELDS = {
+  secret: 'hasSecret',
+  botToken: 'hasBotToken',
+};
+
+function maskDestination(destination) {
+  if (!destination) {
+    return destination;
+  }
+
+  const masked = { ...destination };
+  Object.entries(CREDENTIAL_FIELDS).forEach(([field, flag]) => {
+    if (field in masked) {
+      masked[flag] = Boolean(masked[field]);
+      delete masked[field];
+    }
+  });
+  return masked;
+}
+
+function maskChannel(channel) {
+  if (!channel) {
+    return channel;
+  }
+  return { ...channel, destinations: (channel.destinations || []).map(maskDestination) };
+}
+
+// Outbox entries keep a snapshot of the destination they were queued for.
+function maskOutboxEntry(entry) {
+  if (!entry) {
+    return entry;
+  }
+  return { ...entry, destination: maskDestination(entry.destination) };
+}
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  maskDestination,
+  maskChannel,
+  maskOutboxEntry,
+};
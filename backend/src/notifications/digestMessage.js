@@ -0,0 +1,193 @@
+const { getCollectionUrl } = require('./chatMessage');
+
+// Collections beyond this many are summarized in one line so chat messages stay short.
+const MAX_COLLECTION_LINES = 10;
+
+const PERIOD_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Slack treats &, < and > as control characters in mrkdwn text.
+function escapeMrkdwn(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatTime(value) {
+  return `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([key, count]) => `${key} ${count}`)
+    .join(', ');
+}
+
+function formatPercent(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function formatAmount(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function formatDigestTitle(digest) {
+  return `${PERIOD_LABELS[digest.period] || digest.period} alert digest`;
+}
+
+function formatDigestSubject(digest) {
+  const { total, unresolved } = digest.alerts;
+  return `${formatDigestTitle(digest)}: ${total} alert${total === 1 ? '' : 's'}, ${unresolved} unresolved`;
+}
+
+/**
+ * The digest as a list of sections, each with lines of `{ label, url, detail }`, so every
+ * rendering shows the same content.
+ */
+function getDigestSections(digest) {
+  const { alerts } = digest;
+  const collectionLines = alerts.collections.slice(0, MAX_COLLECTION_LINES).map((entry) => ({
+    label: entry.collectionId,
+    url: getCollectionUrl(entry.collectionId),
+    detail: `${entry.total} (${entry.unresolved} unresolved): ${formatCounts(entry.byType)}`,
+  }));
+  if (alerts.collections.length > MAX_COLLECTION_LINES) {
+    collectionLines.push({
+      detail: `…and ${alerts.collections.length - MAX_COLLECTION_LINES} more collections`,
+    });
+  }
+
+  const summaryLines = [
+    { detail: `${alerts.total} raised, ${alerts.unresolved} still unresolved` },
+    { detail: `${digest.unresolvedTotal} unresolved in total, including older alerts` },
+  ];
+  if (alerts.total > 0) {
+    summaryLines.push({ label: 'By severity', detail: formatCounts(alerts.bySeverity) });
+    summaryLines.push({ label: 'By type', detail: formatCounts(alerts.byType) });
+  }
+
+  return [
+    { title: 'Alerts', lines: summaryLines },
+    {
+      title: 'By collection',
+      lines: collectionLines,
+      empty: 'No alerts raised.',
+    },
+    {
+      title: 'Top movers (24h price change)',
+      lines: digest.topMovers.map((entry) => ({
+        label: entry.collectionId,
+        url: getCollectionUrl(entry.collectionId),
+        detail: formatPercent(entry.priceChange),
+      })),
+      empty: 'No price data.',
+    },
+    {
+      title: 'Volume leaders',
+      lines: digest.volumeLeaders.map((entry) => ({
+        label: entry.collectionId,
+        url: getCollectionUrl(entry.collectionId),
+        detail: `${formatAmount(entry.tradeVolume)} traded`,
+      })),
+      empty: 'No trades.',
+    },
+  ];
+}
+
+// Inline styles for each text format. `link` is only used for lines with a URL.
+const TEXT_FORMATS = {
+  text: {
+    escape: (value) => value,
+    bold: (value) => value,
+    link: (label) => label,
+  },
+  markdown: {
+    escape: (value) => value,
+    bold: (value) => `**${value}**`,
+    link: (label, url) => `[${label}](${url})`,
+  },
+  slack: {
+    escape: escapeMrkdwn,
+    bold: (value) => `*${value}*`,
+    link: (label, url) => `<${url}|${escapeMrkdwn(label)}>`,
+  },
+};
+
+function formatLine(line, format) {
+  if (!line.label) {
+    return format.escape(line.detail);
+  }
+  const label = line.url ? format.link(line.label, line.url) : format.escape(line.label);
+  return `${label}: ${format.escape(line.detail)}`;
+}
+
+/**
+ * Plain-text or markdown rendering. `format` is `text`, `markdown` (Discord, WeCom, DingTalk
+ * and the email text part) or `slack` (Slack mrkdwn).
+ */
+function formatDigestText(digest, format = 'text') {
+  const style = TEXT_FORMATS[format];
+  const parts = [
+    style.bold(style.escape(formatDigestTitle(digest))),
+    style.escape(`${formatTime(digest.from)} – ${formatTime(digest.to)}`),
+  ];
+
+  getDigestSections(digest).forEach((section) => {
+    const lines =
+      section.lines.length > 0
+        ? section.lines.map((line) => `- ${formatLine(line, style)}`)
+        : [style.escape(section.empty)];
+    parts.push(`${style.bold(style.escape(section.title))}\n${lines.join('\n')}`);
+  });
+
+  return parts.join('\n\n');
+}
+
+function formatDigestHtml(digest) {
+  const sections = getDigestSections(digest)
+    .map((section) => {
+      const body =
+        section.lines.length > 0
+          ? `<ul>\n${section.lines
+              .map((line) => {
+                if (!line.label) {
+                  return `<li>${escapeHtml(line.detail)}</li>`;
+                }
+                const label = line.url
+                  ? `<a href="${escapeHtml(line.url)}">${escapeHtml(line.label)}</a>`
+                  : escapeHtml(line.label);
+                return `<li>${label}: ${escapeHtml(line.detail)}</li>`;
+              })
+              .join('\n')}\n</ul>`
+          : `<p>${escapeHtml(section.empty)}</p>`;
+      return `<h3>${escapeHtml(section.title)}</h3>\n${body}`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<body>
+<h2>${escapeHtml(formatDigestTitle(digest))}</h2>
+<p>${escapeHtml(formatTime(digest.from))} – ${escapeHtml(formatTime(digest.to))}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  formatDigestTitle,
+  formatDigestSubject,
+  formatDigestText,
+  formatDigestHtml,
+};
@@ -0,0 +1,84 @@
+const logger = require('../utils/logger');
+const {
+  getSeverityStyle,
+  getCollectionUrl,
+  formatTitle,
+  truncateText,
+  postChatMessage,
+} = require('./chatMessage');
+const { formatDigestTitle, formatDigestText } = require('./digestMessage');
+
+/**
+ * Embed message for a Discord channel webhook; the embed colour follows the severity and its
+ * title links to the collection page.
+ */
+function formatDiscordMessage(alert) {
+  const style = getSeverityStyle(alert.severity);
+  const collectionUrl = getCollectionUrl(alert.collectionId);
+  const embed = {
+    title: `${style.emoji} ${formatTitle(alert)}`,
+    description: alert.message,
+    color: parseInt(style.color.slice(1), 16),
+    fields: [
+      { name: 'Collection', value: alert.collectionId, inline: true },
+      { name: 'Severity', value: style.label, inline: true },
+      { name: 'Type', value: alert.type, inline: true },
+    ],
+    timestamp: alert.triggeredAt,
+  };
+
+  if (collectionUrl) {
+    embed.url = collectionUrl;
+  }
+
+  return { embeds: [embed] };
+}
+
+const discordNotifier = {
+  /**
+   * Post the alert to the destination's Discord webhook URL.
+   */
+  async send(alert, destination) {
+    try {
+      await postChatMessage('Discord', destination.url, formatDiscordMessage(alert));
+
+      logger.info('Discord notification sent successfully', {
+        collectionId: alert.collectionId,
+        type: alert.type,
+      });
+    } catch (error) {
+      logger.error('Failed to send Discord notification', {
+        collectionId: alert.collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Post a digest report as an embed; the description carries the markdown rendering.
+   */
+  async sendDigest(digest, destination) {
+    try {
+      await postChatMessage('Discord', destination.url, {
+        embeds: [
+          {
+            title: formatDigestTitle(digest),
+            description: truncateText(formatDigestText(digest, 'markdown'), 4096),
+            timestamp: digest.to,
+          },
+        ],
+      });
+
+      logger.info('Discord digest sent successfully', { period: digest.period });
+    } catch (error) {
+      logger.error('Failed to send Discord digest', {
+        period: digest.period,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = { discordNotifier, formatDiscordMessage };
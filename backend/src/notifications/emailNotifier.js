@@ -1,51 +1,158 @@
+const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { formatDigestSubject, formatDigestText, formatDigestHtml } = require('./digestMessage');
+
+const DEFAULT_FROM = 'alerts@localhost';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getAlertFields(alert) {
+  return [
+    ['Collection ID', alert.collectionId],
+    ['Type', alert.type],
+    ['Severity', alert.severity],
+    ['Time', alert.triggeredAt],
+  ];
+}
+
+function formatEmailSubject(alert) {
+  return `[${String(alert.severity).toUpperCase()}] Alert - ${alert.type} (${alert.collectionId})`;
+}
 
 function formatEmailBody(alert) {
+  const fields = getAlertFields(alert)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+
   return `
 Alert Notification
 ==================
 
-Collection ID: ${alert.collectionId}
-Type: ${alert.type}
-Severity: ${alert.severity}
-Time: ${alert.triggeredAt}
+${fields}
 
 Message:
 ${alert.message}
 `;
 }
 
+function formatEmailHtml(alert) {
+  const rows = getAlertFields(alert)
+    .map(
+      ([label, value]) =>
+        `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<body>
+<h2>Alert Notification</h2>
+<table cellpadding="4">
+${rows}
+</table>
+<p>${escapeHtml(alert.message)}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * SMTP settings, read on every send so configuration changes apply without a restart.
+ * SMTP_SECURE=true connects over TLS (port 465 by default); otherwise the connection is
+ * upgraded with STARTTLS when the server offers it, or always with SMTP_REQUIRE_TLS=true.
+ */
+function getSmtpConfig() {
+  const secure = process.env.SMTP_SECURE === 'true';
+  const timeout = parseInt(process.env.SMTP_TIMEOUT_MS || 10000, 10);
+  const config = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || (secure ? 465 : 587), 10),
+    secure,
+    requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+    tls: {
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    },
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout,
+  };
+
+  if (process.env.SMTP_USER) {
+    config.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' };
+  }
+
+  return config;
+}
+
+function formatRecipients(recipients) {
+  return Array.isArray(recipients) ? recipients.join(', ') : recipients;
+}
+
+// Rejects when SMTP is not configured or the server does not accept the message.
+async function sendMail(message) {
+  const config = getSmtpConfig();
+  if (!config.host) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  const transport = nodemailer.createTransport(config);
+  return transport.sendMail({
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+}
+
 const emailNotifier = {
-  async send(alert) {
-    const emailTo = process.env.EMAIL_TO;
-    const emailEnabled = process.env.EMAIL_ENABLED === 'true';
+  /**
+   * Email the alert to the destination's recipients over SMTP. Without a destination,
+   * EMAIL_ENABLED and EMAIL_TO apply. Resolves with the server's accepted and rejected
+   * recipients, or with `{ sent: false, reason }` when email is disabled or there is no
+   * recipient; rejects when SMTP is not configured or the message is not accepted.
+   */
+  async send(alert, destination) {
+    const emailTo = formatRecipients(destination ? destination.to : process.env.EMAIL_TO);
 
-    if (!emailEnabled) {
+    if (!destination && process.env.EMAIL_ENABLED !== 'true') {
       logger.debug('Email notifications disabled');
-      return;
+      return { sent: false, reason: 'Email notifications disabled' };
     }
 
     if (!emailTo) {
       logger.warn('Email recipient not configured');
-      return;
+      return { sent: false, reason: 'Email recipient not configured' };
     }
 
     try {
-      const emailBody = formatEmailBody(alert);
-
-      logger.info('Email notification prepared', {
+      const info = await sendMail({
         to: emailTo,
-        collectionId: alert.collectionId,
-        type: alert.type,
+        subject: formatEmailSubject(alert),
+        text: formatEmailBody(alert),
+        html: formatEmailHtml(alert),
       });
 
-      logger.info(`[EMAIL] To: ${emailTo}\nSubject: Alert - ${alert.type}\n${emailBody}`);
+      if (info.rejected.length > 0) {
+        logger.warn('Email notification rejected for some recipients', {
+          rejected: info.rejected,
+          collectionId: alert.collectionId,
+          type: alert.type,
+        });
+      }
 
       logger.info('Email notification sent successfully', {
         to: emailTo,
+        messageId: info.messageId,
         collectionId: alert.collectionId,
         type: alert.type,
       });
+
+      return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
     } catch (error) {
       logger.error('Failed to send email notification', {
         to: emailTo,
@@ -54,6 +161,38 @@ const emailNotifier = {
       throw error;
     }
   },
+
+  /**
+   * Email a digest report to the destination's recipients, with the markdown rendering as
+   * the text part and the HTML rendering alongside it.
+   */
+  async sendDigest(digest, destination) {
+    const emailTo = formatRecipients(destination.to);
+
+    try {
+      const info = await sendMail({
+        to: emailTo,
+        subject: formatDigestSubject(digest),
+        text: formatDigestText(digest, 'markdown'),
+        html: formatDigestHtml(digest),
+      });
+
+      logger.info('Email digest sent successfully', {
+        to: emailTo,
+        messageId: info.messageId,
+        period: digest.period,
+      });
+
+      return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+    } catch (error) {
+      logger.error('Failed to send email digest', {
+        to: emailTo,
+        period: digest.period,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
 };
 
 module.exports = { emailNotifier };
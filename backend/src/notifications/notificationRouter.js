@@ -0,0 +1,123 @@
+const logger = require('../utils/logger');
+const { normalizeSeverity } = require('../utils/severity');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const { trackedCollectionRepository } = require('../repositories/trackedCollectionRepository');
+const { notificationChannelRepository } = require('../repositories/notificationChannelRepository');
+
+// Collections without a channel of their own, or whose channel no longer exists, use this one.
+const DEFAULT_CHANNEL = 'default';
+
+/**
+ * The channel used when no `default` channel is stored, built from WEBHOOK_URL and the
+ * EMAIL_* settings so deployments that only configure the environment keep working.
+ */
+function getEnvironmentChannel() {
+  const destinations = [];
+
+  if (process.env.WEBHOOK_URL) {
+    destinations.push({ type: 'webhook', url: process.env.WEBHOOK_URL });
+  }
+  if (process.env.EMAIL_ENABLED === 'true' && process.env.EMAIL_TO) {
+    destinations.push({ type: 'email', to: process.env.EMAIL_TO });
+  }
+
+  return { name: DEFAULT_CHANNEL, description: null, destinations, source: 'environment' };
+}
+
+/**
+ * Find the channel that receives a collection's alerts: the collection's own
+ * notification_channel, then the stored `default` channel, then the environment.
+ */
+async function resolveChannel(collectionId) {
+  const trackedCollection = await trackedCollectionRepository.getTrackedCollection(collectionId);
+  const configured = trackedCollection && trackedCollection.notificationChannel;
+
+  if (configured) {
+    const channel = await notificationChannelRepository.findByName(configured);
+    if (channel) {
+      return { ...channel, source: 'collection' };
+    }
+    if (configured !== DEFAULT_CHANNEL) {
+      logger.warn('Notification channel not found, using the default channel', {
+        collectionId,
+        channel: configured,
+      });
+    }
+  }
+
+  const defaultChannel = await notificationChannelRepository.findByName(DEFAULT_CHANNEL);
+  return defaultChannel ? { ...defaultChannel, source: 'default' } : getEnvironmentChannel();
+}
+
+/**
+ * Find a channel by name for notifications that belong to no collection, such as digests:
+ * the named channel, then the stored `default` channel, then the environment.
+ */
+async function resolveNamedChannel(name) {
+  const channel = await notificationChannelRepository.findByName(name);
+  if (channel) {
+    return { ...channel, source: 'named' };
+  }
+  if (name !== DEFAULT_CHANNEL) {
+    logger.warn('Notification channel not found, using the default channel', { channel: name });
+  }
+
+  const defaultChannel = await notificationChannelRepository.findByName(DEFAULT_CHANNEL);
+  return defaultChannel ? { ...defaultChannel, source: 'default' } : getEnvironmentChannel();
+}
+
+// Filters saved before the severity scale was unified may still use the legacy rule names.
+function matchesSeverity(destination, severity) {
+  return (
+    !destination.severities ||
+    destination.severities.map(normalizeSeverity).includes(normalizeSeverity(severity))
+  );
+}
+
+/**
+ * Send an alert to every destination of its collection's channel whose severity filter
+ * accepts it. Each destination gets its own outbox entry, attempted right away; failed ones
+ * are retried by the outbox worker, so a failing destination does not stop the others.
+ *
+ * With `options.deliverAt` the entries are only queued, and the outbox worker sends them
+ * once that time has come.
+ */
+async function dispatch(alert, options = {}) {
+  const channel = await resolveChannel(alert.collectionId);
+  const destinations = channel.destinations.filter((destination) =>
+    matchesSeverity(destination, alert.severity)
+  );
+
+  if (destinations.length === 0) {
+    logger.warn('No notification destinations for alert', {
+      collectionId: alert.collectionId,
+      type: alert.type,
+      channel: channel.name,
+    });
+    return { channel: channel.name, sent: 0, failed: 0 };
+  }
+
+  const entries = await Promise.all(
+    destinations.map((destination) =>
+      notificationOutboxService.enqueue(alert, channel.name, destination, options)
+    )
+  );
+
+  if (options.deliverAt) {
+    return { channel: channel.name, sent: 0, failed: 0, deferred: entries.length };
+  }
+  const results = await Promise.all(
+    entries.map((entry) => notificationOutboxService.deliver(entry))
+  );
+
+  const sent = results.filter((entry) => entry.status === 'delivered').length;
+  return { channel: channel.name, sent, failed: results.length - sent };
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  DESTINATION_TYPES: Object.keys(notificationOutboxService.NOTIFIERS),
+  resolveChannel,
+  resolveNamedChannel,
+  dispatch,
+};
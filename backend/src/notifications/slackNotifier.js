@@ -0,0 +1,109 @@
+const logger = require('../utils/logger');
+const {
+  getSeverityStyle,
+  getCollectionUrl,
+  formatTitle,
+  truncateText,
+  postChatMessage,
+} = require('./chatMessage');
+const { formatDigestSubject, formatDigestText } = require('./digestMessage');
+
+// Slack treats &, < and > as control characters in mrkdwn text.
+function escapeMrkdwn(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Block Kit message for an incoming webhook. The blocks sit in an attachment so Slack draws
+ * the severity colour bar next to them; `text` is what notifications show.
+ */
+function formatSlackMessage(alert) {
+  const style = getSeverityStyle(alert.severity);
+  const collectionUrl = getCollectionUrl(alert.collectionId);
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: `${style.emoji} ${formatTitle(alert)}` },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: escapeMrkdwn(alert.message) },
+    },
+    {
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*Collection*\n${escapeMrkdwn(alert.collectionId)}` },
+        { type: 'mrkdwn', text: `*Severity*\n${style.label}` },
+        { type: 'mrkdwn', text: `*Type*\n${escapeMrkdwn(alert.type)}` },
+        { type: 'mrkdwn', text: `*Triggered*\n${alert.triggeredAt}` },
+      ],
+    },
+  ];
+
+  if (collectionUrl) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: 'View collection' },
+          url: collectionUrl,
+        },
+      ],
+    });
+  }
+
+  return {
+    text: `${formatTitle(alert)} for ${alert.collectionId}: ${alert.message}`,
+    attachments: [{ color: style.color, blocks }],
+  };
+}
+
+const slackNotifier = {
+  /**
+   * Post the alert to the destination's Slack incoming webhook URL.
+   */
+  async send(alert, destination) {
+    try {
+      await postChatMessage('Slack', destination.url, formatSlackMessage(alert));
+
+      logger.info('Slack notification sent successfully', {
+        collectionId: alert.collectionId,
+        type: alert.type,
+      });
+    } catch (error) {
+      logger.error('Failed to send Slack notification', {
+        collectionId: alert.collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Post a digest report as one mrkdwn section.
+   */
+  async sendDigest(digest, destination) {
+    try {
+      await postChatMessage('Slack', destination.url, {
+        text: formatDigestSubject(digest),
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: truncateText(formatDigestText(digest, 'slack'), 3000) },
+          },
+        ],
+      });
+
+      logger.info('Slack digest sent successfully', { period: digest.period });
+    } catch (error) {
+      logger.error('Failed to send Slack digest', {
+        period: digest.period,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = { slackNotifier, formatSlackMessage };
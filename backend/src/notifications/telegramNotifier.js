@@ -0,0 +1,111 @@
+const logger = require('../utils/logger');
+const {
+  getSeverityStyle,
+  getCollectionUrl,
+  formatTitle,
+  truncateText,
+  postChatMessage,
+} = require('./chatMessage');
+const { formatDigestText } = require('./digestMessage');
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+const MAX_MESSAGE_LENGTH = 4096;
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * sendMessage body using Telegram's HTML parse mode. Telegram has no message colours, so the
+ * severity is shown by the leading marker.
+ */
+function formatTelegramMessage(alert, chatId) {
+  const style = getSeverityStyle(alert.severity);
+  const collectionUrl = getCollectionUrl(alert.collectionId);
+  const lines = [
+    `${style.emoji} <b>${escapeHtml(formatTitle(alert))}</b>`,
+    `<b>Collection:</b> ${escapeHtml(alert.collectionId)}`,
+    '',
+    escapeHtml(alert.message),
+    '',
+    `<i>${escapeHtml(alert.triggeredAt)}</i>`,
+  ];
+
+  if (collectionUrl) {
+    lines.push(`<a href="${escapeHtml(collectionUrl)}">View collection</a>`);
+  }
+
+  return {
+    chat_id: chatId,
+    text: lines.join('\n'),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  };
+}
+
+/**
+ * Call sendMessage for the destination's bot. TELEGRAM_API_URL points at a self-hosted Bot
+ * API server or proxy instead of api.telegram.org.
+ */
+function sendMessage(destination, body) {
+  const apiUrl = (process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+
+  return postChatMessage(
+    'Telegram',
+    `${apiUrl}/bot${destination.botToken}/sendMessage`,
+    body,
+    (data) => (data && data.ok === false ? data.description || 'not ok' : null)
+  );
+}
+
+const telegramNotifier = {
+  /**
+   * Send the alert through the Bot API to the destination's chat.
+   */
+  async send(alert, destination) {
+    try {
+      await sendMessage(destination, formatTelegramMessage(alert, destination.chatId));
+
+      logger.info('Telegram notification sent successfully', {
+        collectionId: alert.collectionId,
+        type: alert.type,
+        chatId: destination.chatId,
+      });
+    } catch (error) {
+      // Not logged with the request URL: it carries the bot token.
+      logger.error('Failed to send Telegram notification', {
+        collectionId: alert.collectionId,
+        chatId: destination.chatId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Send a digest report to the destination's chat as plain text.
+   */
+  async sendDigest(digest, destination) {
+    try {
+      await sendMessage(destination, {
+        chat_id: destination.chatId,
+        text: truncateText(formatDigestText(digest, 'text'), MAX_MESSAGE_LENGTH),
+        disable_web_page_preview: true,
+      });
+
+      logger.info('Telegram digest sent successfully', {
+        period: digest.period,
+        chatId: destination.chatId,
+      });
+    } catch (error) {
+      logger.error('Failed to send Telegram digest', {
+        period: digest.period,
+        chatId: destination.chatId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = { telegramNotifier, formatTelegramMessage };
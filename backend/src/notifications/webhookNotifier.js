@@ -1,53 +1,123 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+  VERSION_HEADER,
+  signWebhookPayload,
+} = require('./webhookSignature');
+const { getCollectionUrl } = require('./chatMessage');
 
 const MAX_RETRIES = parseInt(process.env.WEBHOOK_MAX_RETRIES || 3, 10);
 const INITIAL_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS || 1000, 10);
 
-function formatAlertPayload(alert) {
-  return {
+// Payload schema versions: 1 is the original alert summary, 2 adds the alert id, its metric
+// values and a link to the collection page. Receivers opt in to 2, so existing ones keep
+// getting the body they parse.
+const PAYLOAD_VERSIONS = [1, 2];
+const DEFAULT_PAYLOAD_VERSION = 1;
+
+// The destination's payloadVersion, else WEBHOOK_PAYLOAD_VERSION, else version 1.
+function getPayloadVersion(destination = {}) {
+  const version = parseInt(
+    destination.payloadVersion || process.env.WEBHOOK_PAYLOAD_VERSION || DEFAULT_PAYLOAD_VERSION,
+    10
+  );
+  return PAYLOAD_VERSIONS.includes(version) ? version : DEFAULT_PAYLOAD_VERSION;
+}
+
+// The destination's own signing secret, else WEBHOOK_SECRET; deliveries go unsigned without one.
+function getSigningSecret(destination = {}) {
+  return destination.secret || process.env.WEBHOOK_SECRET || null;
+}
+
+function formatAlertPayload(alert, version = DEFAULT_PAYLOAD_VERSION) {
+  const payload = {
     collectionId: alert.collectionId,
     type: alert.type,
     severity: alert.severity,
     message: alert.message,
     triggeredAt: alert.triggeredAt,
   };
+
+  if (version === 1) {
+    return payload;
+  }
+
+  return {
+    id: alert.id || null,
+    ...payload,
+    metrics: alert.metrics || null,
+    collectionUrl: getCollectionUrl(alert.collectionId),
+  };
+}
+
+// Digests share the endpoint with alerts; `type: 'digest'` tells them apart.
+function formatDigestPayload(digest) {
+  return {
+    type: 'digest',
+    ...digest,
+  };
 }
 
-async function sendWithRetry(url, payload, retries = 0) {
+// The timestamp and signature are renewed on every attempt so a late retry is not rejected
+// as stale; the delivery ID stays the same so receivers can drop duplicates.
+function buildHeaders(delivery) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    [TIMESTAMP_HEADER]: timestamp,
+    [DELIVERY_HEADER]: delivery.id,
+  };
+
+  if (delivery.version) {
+    headers[VERSION_HEADER] = String(delivery.version);
+  }
+
+  if (delivery.secret) {
+    headers[SIGNATURE_HEADER] = signWebhookPayload(delivery.secret, timestamp, delivery.body);
+  }
+
+  return headers;
+}
+
+async function sendWithRetry(url, payload, delivery, retries = 0) {
   try {
-    await axios.post(url, payload, {
+    await axios.post(url, delivery.body, {
       timeout: 10000,
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: buildHeaders(delivery),
     });
 
     logger.info('Webhook notification sent successfully', {
       collectionId: payload.collectionId,
       type: payload.type,
+      deliveryId: delivery.id,
       url,
     });
   } catch (error) {
-    if (retries < MAX_RETRIES) {
+    if (retries < delivery.maxRetries) {
       const backoffMs = INITIAL_BACKOFF_MS * Math.pow(2, retries);
       logger.warn(`Webhook request failed, retrying in ${backoffMs}ms`, {
         collectionId: payload.collectionId,
         type: payload.type,
+        deliveryId: delivery.id,
         attempt: retries + 1,
         error: error.message,
       });
 
       await new Promise((resolve) => setTimeout(resolve, backoffMs));
-      return sendWithRetry(url, payload, retries + 1);
+      return sendWithRetry(url, payload, delivery, retries + 1);
     }
 
     logger.error('Webhook notification failed after retries', {
       collectionId: payload.collectionId,
       type: payload.type,
+      deliveryId: delivery.id,
       url,
       error: error.message,
-      retries: MAX_RETRIES,
+      retries: delivery.maxRetries,
     });
 
     throw error;
@@ -55,18 +125,38 @@ async function sendWithRetry(url, payload, retries = 0) {
 }
 
 const webhookNotifier = {
-  async send(alert) {
-    const webhookUrl = process.env.WEBHOOK_URL;
+  /**
+   * Post the alert to the destination's URL, or to WEBHOOK_URL when no destination is given.
+   * The body follows the destination's `payloadVersion` and is signed with its `secret`, each
+   * falling back to the WEBHOOK_* setting; see webhookSignature for the headers and how
+   * receivers verify them.
+   *
+   * `options.deliveryId` keeps the delivery ID stable across outbox attempts, and
+   * `options.maxRetries` overrides WEBHOOK_MAX_RETRIES for the in-process retries. Resolves
+   * with `{ sent: false, reason }` without sending when no URL is configured.
+   */
+  async send(alert, destination = {}, options = {}) {
+    const webhookUrl = destination.url || process.env.WEBHOOK_URL;
 
     if (!webhookUrl) {
       logger.warn('Webhook URL not configured');
-      return;
+      return { sent: false, reason: 'Webhook URL not configured' };
     }
 
-    const payload = formatAlertPayload(alert);
+    const version = getPayloadVersion(destination);
+    const payload = formatAlertPayload(alert, version);
+    // Serialized once so the signature covers exactly the bytes that are sent.
+    const delivery = {
+      id: options.deliveryId || crypto.randomUUID(),
+      version,
+      secret: getSigningSecret(destination),
+      body: JSON.stringify(payload),
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES,
+    };
 
     try {
-      await sendWithRetry(webhookUrl, payload);
+      await sendWithRetry(webhookUrl, payload, delivery);
+      return { deliveryId: delivery.id };
     } catch (error) {
       logger.error('Failed to send webhook notification', {
         error: error.message,
@@ -75,6 +165,40 @@ const webhookNotifier = {
       throw error;
     }
   },
+
+  /**
+   * Post a digest report to the destination's URL, signed and retried like an alert.
+   * The digest body does not follow the alert payload versions, so it is sent without
+   * the version header.
+   */
+  async sendDigest(digest, destination = {}, options = {}) {
+    const webhookUrl = destination.url || process.env.WEBHOOK_URL;
+
+    if (!webhookUrl) {
+      logger.warn('Webhook URL not configured');
+      return { sent: false, reason: 'Webhook URL not configured' };
+    }
+
+    const payload = formatDigestPayload(digest);
+    const delivery = {
+      id: options.deliveryId || crypto.randomUUID(),
+      version: null,
+      secret: getSigningSecret(destination),
+      body: JSON.stringify(payload),
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES,
+    };
+
+    try {
+      await sendWithRetry(webhookUrl, payload, delivery);
+      return { deliveryId: delivery.id };
+    } catch (error) {
+      logger.error('Failed to send webhook digest', {
+        period: digest.period,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
 };
 
-module.exports = { webhookNotifier };
+module.exports = { webhookNotifier, formatAlertPayload, formatDigestPayload };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Node lowercases incoming header names, so receivers can look these up as-is.
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const DELIVERY_HEADER = 'x-webhook-delivery';
+const VERSION_HEADER = 'x-webhook-version';
+
+const SIGNATURE_SCHEME = 'sha256';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a webhook body: HMAC-SHA256 over `<timestamp>.<body>` with the shared secret, formatted
+ * as `sha256=<hex>`. `body` must be the exact bytes sent, not a re-serialized object.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac(SIGNATURE_SCHEME, secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `${SIGNATURE_SCHEME}=${digest}`;
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === name);
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a received webhook against the shared secret. Rejects a missing or wrong signature,
+ * and a timestamp further than `toleranceSeconds` from `now`, which bounds how long a captured
+ * request can be replayed; receivers should also drop delivery IDs they have already seen.
+ *
+ * Returns `{ valid: true, deliveryId, version, timestamp }` or `{ valid: false, reason }`.
+ */
+function verifyWebhookSignature({
+  secret,
+  body,
+  headers,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now(),
+}) {
+  if (!secret) {
+    return { valid: false, reason: 'No secret configured' };
+  }
+
+  const signature = getHeader(headers, SIGNATURE_HEADER);
+  const timestampHeader = getHeader(headers, TIMESTAMP_HEADER);
+  if (!signature || !timestampHeader) {
+    return { valid: false, reason: 'Missing signature or timestamp header' };
+  }
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isInteger(timestamp)) {
+    return { valid: false, reason: 'Invalid timestamp header' };
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp outside the tolerance window' };
+  }
+
+  const rawBody = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  if (typeof rawBody !== 'string') {
+    return { valid: false, reason: 'Body must be the raw request body' };
+  }
+
+  if (!safeEqual(signature, signWebhookPayload(secret, timestampHeader, rawBody))) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return {
+    valid: true,
+    deliveryId: getHeader(headers, DELIVERY_HEADER) || null,
+    version: getHeader(headers, VERSION_HEADER) || null,
+    timestamp,
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+  VERSION_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,90 @@
+const logger = require('../utils/logger');
+const {
+  getSeverityStyle,
+  getCollectionUrl,
+  formatTitle,
+  truncateText,
+  postChatMessage,
+} = require('./chatMessage');
+const { formatDigestText } = require('./digestMessage');
+
+// WeCom caps markdown content at 4096 bytes; this leaves room for multi-byte characters.
+const MAX_DIGEST_LENGTH = 2000;
+
+/**
+ * Markdown message for a WeCom (企业微信) group robot. WeCom markdown only knows the `info`,
+ * `comment` and `warning` font colours, which stand in for the severity colour.
+ */
+function formatWecomMessage(alert) {
+  const style = getSeverityStyle(alert.severity);
+  const collectionUrl = getCollectionUrl(alert.collectionId);
+  const lines = [
+    `### ${style.emoji} <font color="${style.wecomColor}">${formatTitle(alert)}</font>`,
+    `> Collection: ${alert.collectionId}`,
+    `> Severity: <font color="${style.wecomColor}">${style.label}</font>`,
+    `> Triggered: ${alert.triggeredAt}`,
+    '',
+    alert.message,
+  ];
+
+  if (collectionUrl) {
+    lines.push('', `[View collection](${collectionUrl})`);
+  }
+
+  return {
+    msgtype: 'markdown',
+    markdown: { content: lines.join('\n') },
+  };
+}
+
+function postToRobot(destination, body) {
+  return postChatMessage('WeCom', destination.url, body, (data) =>
+    data && data.errcode ? `${data.errcode} ${data.errmsg}` : null
+  );
+}
+
+const wecomNotifier = {
+  /**
+   * Post the alert to the destination's WeCom robot webhook URL (including its `key`).
+   */
+  async send(alert, destination) {
+    try {
+      await postToRobot(destination, formatWecomMessage(alert));
+
+      logger.info('WeCom notification sent successfully', {
+        collectionId: alert.collectionId,
+        type: alert.type,
+      });
+    } catch (error) {
+      logger.error('Failed to send WeCom notification', {
+        collectionId: alert.collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Post a digest report to the destination's robot as markdown.
+   */
+  async sendDigest(digest, destination) {
+    try {
+      await postToRobot(destination, {
+        msgtype: 'markdown',
+        markdown: {
+          content: truncateText(formatDigestText(digest, 'markdown'), MAX_DIGEST_LENGTH),
+        },
+      });
+
+      logger.info('WeCom digest sent successfully', { period: digest.period });
+    } catch (error) {
+      logger.error('Failed to send WeCom digest', {
+        period: digest.period,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+};
+
+module.exports = { wecomNotifier, formatWecomMessage };
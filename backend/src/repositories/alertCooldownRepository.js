@@ -0,0 +1,4 @@
+// Resolves to the alertCooldownRepository of the driver selected by STORAGE_DRIVER.
+const { alertCooldownRepository } = require('./storage').getStorage();
+
+module.exports = { alertCooldownRepository };
@@ -0,0 +1,4 @@
+// Resolves to the alertRuleRepository of the driver selected by STORAGE_DRIVER.
+const { alertRuleRepository } = require('./storage').getStorage();
+
+module.exports = { alertRuleRepository };
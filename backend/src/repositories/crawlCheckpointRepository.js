@@ -0,0 +1,4 @@
+// Resolves to the crawlCheckpointRepository of the driver selected by STORAGE_DRIVER.
+const { crawlCheckpointRepository } = require('./storage').getStorage();
+
+module.exports = { crawlCheckpointRepository };
@@ -16,7 +16,7 @@ const eventRepository = {
         ...eventData,
       };
 
-      dataStore.addListingEvent(collectionId, event);
+      await dataStore.addListingEvent(collectionId, event);
 
       logger.debug('Listing event inserted', {
         collectionId,
@@ -47,7 +47,7 @@ const eventRepository = {
         ...eventData,
       };
 
-      dataStore.addPurchaseEvent(collectionId, event);
+      await dataStore.addPurchaseEvent(collectionId, event);
 
       logger.debug('Purchase event inserted', {
         collectionId,
@@ -66,7 +66,7 @@ const eventRepository = {
 
   async getListingEvents(collectionId) {
     try {
-      return dataStore.getListingEvents(collectionId);
+      return await dataStore.getListingEvents(collectionId);
     } catch (error) {
       logger.error('Error fetching listing events', {
         collectionId,
@@ -78,7 +78,7 @@ const eventRepository = {
 
   async getPurchaseEvents(collectionId) {
     try {
-      return dataStore.getPurchaseEvents(collectionId);
+      return await dataStore.getPurchaseEvents(collectionId);
     } catch (error) {
       logger.error('Error fetching purchase events', {
         collectionId,
@@ -92,9 +92,9 @@ const eventRepository = {
     try {
       let events = [];
       if (type === 'listing') {
-        events = dataStore.getListingEvents(collectionId);
+        events = await dataStore.getListingEvents(collectionId);
       } else if (type === 'purchase') {
-        events = dataStore.getPurchaseEvents(collectionId);
+        events = await dataStore.getPurchaseEvents(collectionId);
       }
       return events.find(e => e.id === eventId) || null;
     } catch (error) {
@@ -110,7 +110,7 @@ const eventRepository = {
 
   async deleteListingEventsOlderThan(cutoffDate, limit) {
     try {
-      return dataStore.deleteListingEventsOlderThan(cutoffDate, limit);
+      return await dataStore.deleteListingEventsOlderThan(cutoffDate, limit);
     } catch (error) {
       logger.error('Error deleting old listing events', {
         error: error.message,
@@ -121,7 +121,7 @@ const eventRepository = {
 
   async deletePurchaseEventsOlderThan(cutoffDate, limit) {
     try {
-      return dataStore.deletePurchaseEventsOlderThan(cutoffDate, limit);
+      return await dataStore.deletePurchaseEventsOlderThan(cutoffDate, limit);
     } catch (error) {
       logger.error('Error deleting old purchase events', {
         error: error.message,
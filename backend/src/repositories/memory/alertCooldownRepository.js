@@ -0,0 +1,56 @@
+const logger = require('../../utils/logger');
+
+// Keyed by `${collectionId}:${alertType}`.
+const cooldowns = new Map();
+
+function getKey(collectionId, alertType) {
+  return `${collectionId}:${alertType}`;
+}
+
+const alertCooldownRepository = {
+  async claim(collectionId, alertType, cooldownWindow, now = new Date()) {
+    const key = getKey(collectionId, alertType);
+    const time = new Date(now).getTime();
+    const existing = cooldowns.get(key);
+
+    if (existing && time - existing.lastTriggered < cooldownWindow) {
+      return false;
+    }
+
+    cooldowns.set(key, { collectionId, alertType, lastTriggered: time });
+    return true;
+  },
+
+  async findAll(filters = {}) {
+    return [...cooldowns.values()]
+      .filter((cooldown) => !filters.collectionId || cooldown.collectionId === filters.collectionId)
+      .sort(
+        (a, b) =>
+          a.collectionId.localeCompare(b.collectionId) || a.alertType.localeCompare(b.alertType)
+      )
+      .map(({ collectionId, alertType, lastTriggered }) => ({
+        collectionId,
+        alertType,
+        lastTriggeredAt: new Date(lastTriggered).toISOString(),
+      }));
+  },
+
+  async delete(collectionId, alertType) {
+    const matches = [...cooldowns.values()].filter(
+      (cooldown) =>
+        cooldown.collectionId === collectionId && (!alertType || cooldown.alertType === alertType)
+    );
+    matches.forEach((cooldown) =>
+      cooldowns.delete(getKey(cooldown.collectionId, cooldown.alertType))
+    );
+
+    logger.debug('Alert cooldowns cleared', { collectionId, alertType, cleared: matches.length });
+    return matches.length;
+  },
+
+  clear() {
+    cooldowns.clear();
+  },
+};
+
+module.exports = { alertCooldownRepository };
@@ -0,0 +1,100 @@
+const logger = require('../../utils/logger');
+
+const rules = [];
+let ruleId = 0;
+
+const RULE_FIELDS = [
+  'name',
+  'description',
+  'collectionId',
+  'condition',
+  'severity',
+  'message',
+  'cooldownMinutes',
+  'enabled',
+];
+
+function pickRuleFields(data) {
+  const fields = {};
+  RULE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  return fields;
+}
+
+function matchesFilters(rule, filters) {
+  if (filters.collectionId !== undefined && rule.collectionId !== filters.collectionId) {
+    return false;
+  }
+  if (filters.enabled !== undefined && rule.enabled !== filters.enabled) {
+    return false;
+  }
+  return true;
+}
+
+const alertRuleRepository = {
+  async create(ruleData) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: String(++ruleId),
+      description: null,
+      collectionId: null,
+      cooldownMinutes: null,
+      enabled: true,
+      ...pickRuleFields(ruleData),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    rules.push(rule);
+
+    logger.info('Alert rule created', { ruleId: rule.id, name: rule.name });
+
+    return { ...rule };
+  },
+
+  async findAll(filters = {}) {
+    return rules.filter((rule) => matchesFilters(rule, filters)).map((rule) => ({ ...rule }));
+  },
+
+  async findById(id) {
+    const rule = rules.find((r) => r.id === String(id));
+    return rule ? { ...rule } : null;
+  },
+
+  async update(id, updates) {
+    const rule = rules.find((r) => r.id === String(id));
+
+    if (!rule) {
+      logger.warn('Alert rule not found for update', { ruleId: id });
+      return null;
+    }
+
+    Object.assign(rule, pickRuleFields(updates), { updatedAt: new Date().toISOString() });
+
+    logger.info('Alert rule updated', { ruleId: rule.id, updates });
+
+    return { ...rule };
+  },
+
+  async delete(id) {
+    const index = rules.findIndex((r) => r.id === String(id));
+
+    if (index === -1) {
+      return false;
+    }
+
+    rules.splice(index, 1);
+    logger.info('Alert rule deleted', { ruleId: String(id) });
+    return true;
+  },
+
+  clear() {
+    rules.length = 0;
+    ruleId = 0;
+  },
+};
+
+module.exports = { alertRuleRepository };
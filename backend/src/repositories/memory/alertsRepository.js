@@ -0,0 +1,253 @@
+const logger = require('../../utils/logger');
+const { getSeverityRank } = require('../../utils/severity');
+
+const alerts = [];
+let alertId = 0;
+
+function compareAlerts(a, b, sortBy) {
+  if (sortBy === 'severity') {
+    return getSeverityRank(a.severity) - getSeverityRank(b.severity);
+  }
+
+  if (sortBy === 'type') {
+    return (a.type || '').localeCompare(b.type || '');
+  }
+
+  const aTime = new Date(a[sortBy] || 0).getTime();
+  const bTime = new Date(b[sortBy] || 0).getTime();
+  return aTime - bTime;
+}
+
+function countBy(items, key) {
+  return items.reduce((acc, item) => {
+    acc[item[key]] = (acc[item[key]] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+const alertsRepository = {
+  // Resolves to the stored alert with `created` telling whether this call inserted it.
+  async create(alertData) {
+    try {
+      // Mirrors uniq_alert_events_dedupe: the same condition at the same time is stored once.
+      const duplicate = alerts.find(
+        (a) =>
+          a.collectionId === alertData.collectionId &&
+          a.type === alertData.type &&
+          a.triggeredAt === alertData.triggeredAt
+      );
+
+      if (duplicate) {
+        logger.info('Duplicate alert ignored', {
+          alertId: duplicate.id,
+          collectionId: duplicate.collectionId,
+          type: duplicate.type,
+        });
+        return { ...duplicate, created: false };
+      }
+
+      const alert = {
+        id: String(++alertId),
+        ...alertData,
+        resolved: alertData.resolved !== undefined ? alertData.resolved : false,
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        assignedTo: null,
+        snoozedUntil: null,
+        note: null,
+        createdAt: new Date().toISOString(),
+      };
+
+      alerts.push(alert);
+
+      logger.info('Alert created', {
+        alertId: alert.id,
+        collectionId: alert.collectionId,
+        type: alert.type,
+      });
+
+      return { ...alert, created: true };
+    } catch (error) {
+      logger.error('Error creating alert', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      let result = [...alerts];
+
+      if (filters.collectionId) {
+        result = result.filter((a) => a.collectionId === filters.collectionId);
+      }
+
+      if (filters.resolved !== undefined) {
+        result = result.filter((a) => a.resolved === filters.resolved);
+      }
+
+      if (filters.severity) {
+        result = result.filter((a) => a.severity === filters.severity);
+      }
+
+      if (filters.type) {
+        result = result.filter((a) => a.type === filters.type);
+      }
+
+      if (filters.since) {
+        const sinceTime = new Date(filters.since).getTime();
+        result = result.filter((a) => new Date(a.triggeredAt).getTime() >= sinceTime);
+      }
+
+      if (filters.acknowledged !== undefined) {
+        result = result.filter((a) => a.acknowledged === filters.acknowledged);
+      }
+
+      if (filters.assignedTo) {
+        result = result.filter((a) => a.assignedTo === filters.assignedTo);
+      }
+
+      if (filters.assigned !== undefined) {
+        result = result.filter((a) => Boolean(a.assignedTo) === filters.assigned);
+      }
+
+      // Snoozed means snoozed until a time still ahead of `filters.now` (default: now).
+      if (filters.snoozed !== undefined) {
+        const now = filters.now ? new Date(filters.now).getTime() : Date.now();
+        result = result.filter(
+          (a) =>
+            (Boolean(a.snoozedUntil) && new Date(a.snoozedUntil).getTime() > now) ===
+            filters.snoozed
+        );
+      }
+
+      return result.sort(
+        (a, b) => new Date(b.triggeredAt).getTime() - new Date(a.triggeredAt).getTime()
+      );
+    } catch (error) {
+      logger.error('Error fetching alerts', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findPaginated(filters = {}, options = {}) {
+    try {
+      const { sortBy = 'triggeredAt', sortOrder = 'desc' } = options;
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.max(parseInt(options.limit, 10) || 50, 1);
+
+      const result = await this.findAll(filters);
+      result.sort((a, b) => {
+        const comparison = compareAlerts(a, b, sortBy);
+        return sortOrder === 'desc' ? -comparison : comparison;
+      });
+
+      const startIndex = (page - 1) * limit;
+
+      return {
+        alerts: result.slice(startIndex, startIndex + limit),
+        total: result.length,
+      };
+    } catch (error) {
+      logger.error('Error fetching paginated alerts', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getSummary(filters = {}) {
+    try {
+      const result = await this.findAll(filters);
+      const resolved = result.filter((a) => a.resolved === true).length;
+
+      return {
+        total: result.length,
+        resolved,
+        unresolved: result.length - resolved,
+        bySeverity: countBy(result, 'severity'),
+        byType: countBy(result, 'type'),
+        byCollection: countBy(result, 'collectionId'),
+      };
+    } catch (error) {
+      logger.error('Error summarizing alerts', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findById(alertId) {
+    try {
+      return alerts.find((a) => a.id === alertId) || null;
+    } catch (error) {
+      logger.error('Error finding alert', {
+        alertId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async update(alertId, updates) {
+    try {
+      const alert = alerts.find((a) => a.id === alertId);
+
+      if (!alert) {
+        logger.warn('Alert not found', { alertId });
+        return null;
+      }
+
+      const updated = {
+        ...alert,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      };
+
+      if (updates.resolved !== undefined) {
+        updated.resolvedAt = updates.resolved ? updates.resolvedAt || updated.updatedAt : null;
+      }
+
+      if (updates.acknowledged !== undefined) {
+        updated.acknowledgedAt = updates.acknowledged
+          ? updates.acknowledgedAt || updated.updatedAt
+          : null;
+      }
+
+      if (updates.snoozedUntil) {
+        updated.snoozedUntil = new Date(updates.snoozedUntil).toISOString();
+      }
+
+      const index = alerts.indexOf(alert);
+      alerts[index] = updated;
+
+      logger.info('Alert updated', {
+        alertId,
+        updates: Object.keys(updates),
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error updating alert', {
+        alertId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async markAsResolved(alertId, resolvedBy) {
+    return this.update(alertId, { resolved: true, resolvedBy });
+  },
+
+  async clear() {
+    alerts.length = 0;
+    alertId = 0;
+  },
+};
+
+module.exports = { alertsRepository };
@@ -0,0 +1,286 @@
+const logger = require('../../utils/logger');
+
+const analyticsMetrics = [];
+let metricsId = 0;
+
+const DEFAULT_BATCH_SIZE = 500;
+
+function resolveCutoffTime(cutoffDate) {
+  if (cutoffDate instanceof Date) {
+    return cutoffDate.getTime();
+  }
+
+  if (typeof cutoffDate === 'number') {
+    return cutoffDate;
+  }
+
+  const parsed = new Date(cutoffDate).getTime();
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeLimit(limit) {
+  const parsed = parseInt(limit, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return DEFAULT_BATCH_SIZE;
+  }
+  return parsed;
+}
+
+const TIME_WINDOWS = {
+  '1h': 1 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '72h': 72 * 60 * 60 * 1000,
+};
+
+function toMetricDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function sortByTimestampDesc(metrics) {
+  return metrics.sort(
+    (a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
+  );
+}
+
+// Points are kept per (collection, window, day); callers that want the current state
+// only see the newest point for each (collection, window).
+function latestPerWindow(metrics) {
+  const latest = new Map();
+  metrics.forEach((metric) => {
+    const key = `${metric.collectionId}:${metric.window}`;
+    const current = latest.get(key);
+    if (!current || new Date(metric.timestamp) >= new Date(current.timestamp)) {
+      latest.set(key, metric);
+    }
+  });
+  return Array.from(latest.values());
+}
+
+function resolveMetricValue(metric, metricType) {
+  const value = metricType
+    .split('.')
+    .reduce((node, key) => (node && node[key] !== undefined ? node[key] : undefined), metric);
+  return value !== undefined ? value : null;
+}
+
+const analyticsRepository = {
+  async upsertMetrics(collectionId, window, metricsData, options = {}) {
+    try {
+      const timestamp = options.timestamp
+        ? new Date(options.timestamp).toISOString()
+        : new Date().toISOString();
+      const metricDate = toMetricDate(timestamp);
+      const existingIndex = analyticsMetrics.findIndex(
+        (m) =>
+          m.collectionId === collectionId && m.window === window && m.metricDate === metricDate
+      );
+
+      const metric = {
+        ...(existingIndex >= 0 && { id: analyticsMetrics[existingIndex].id }),
+        ...(existingIndex < 0 && { id: String(++metricsId) }),
+        collectionId,
+        window,
+        metricDate,
+        timestamp,
+        ...metricsData,
+      };
+
+      if (existingIndex >= 0) {
+        analyticsMetrics[existingIndex] = metric;
+        logger.info('Metrics updated', {
+          collectionId,
+          window,
+          metricDate,
+          timestamp,
+        });
+      } else {
+        analyticsMetrics.push(metric);
+        logger.info('Metrics created', {
+          collectionId,
+          window,
+          metricDate,
+          timestamp,
+        });
+      }
+
+      return metric;
+    } catch (error) {
+      logger.error('Error upserting metrics', {
+        collectionId,
+        window,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findMetrics(filters = {}) {
+    try {
+      let result = latestPerWindow(analyticsMetrics);
+
+      if (filters.collectionId) {
+        result = result.filter((m) => m.collectionId === filters.collectionId);
+      }
+
+      if (filters.collectionIds && Array.isArray(filters.collectionIds)) {
+        result = result.filter((m) => filters.collectionIds.includes(m.collectionId));
+      }
+
+      if (filters.window) {
+        result = result.filter((m) => m.window === filters.window);
+      }
+
+      if (filters.windows && Array.isArray(filters.windows)) {
+        result = result.filter((m) => filters.windows.includes(m.window));
+      }
+
+      return sortByTimestampDesc(result);
+    } catch (error) {
+      logger.error('Error fetching metrics', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getMetricHistory(collectionId, window, options = {}) {
+    try {
+      const fromDate = options.from ? toMetricDate(options.from) : null;
+      const toDate = options.to ? toMetricDate(options.to) : null;
+
+      return analyticsMetrics
+        .filter(
+          (m) =>
+            m.collectionId === collectionId &&
+            m.window === window &&
+            (!fromDate || m.metricDate >= fromDate) &&
+            (!toDate || m.metricDate <= toDate)
+        )
+        .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+    } catch (error) {
+      logger.error('Error fetching metric history', {
+        collectionId,
+        window,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getMetricSeries(collectionId, window, metricType, options = {}) {
+    const history = await this.getMetricHistory(collectionId, window, options);
+    return history.map((m) => ({
+      metricDate: m.metricDate,
+      timestamp: m.timestamp,
+      value: resolveMetricValue(m, metricType),
+    }));
+  },
+
+  async findMetricsById(metricId) {
+    try {
+      return analyticsMetrics.find((m) => m.id === metricId) || null;
+    } catch (error) {
+      logger.error('Error finding metric', {
+        metricId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getCollectionMetrics(collectionId) {
+    try {
+      return latestPerWindow(analyticsMetrics).filter((m) => m.collectionId === collectionId);
+    } catch (error) {
+      logger.error('Error fetching collection metrics', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getAllCollections() {
+    try {
+      const collections = new Set(analyticsMetrics.map((m) => m.collectionId));
+      return Array.from(collections);
+    } catch (error) {
+      logger.error('Error fetching all collections', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getTimeWindows() {
+    return Object.keys(TIME_WINDOWS);
+  },
+
+  async getWindowDuration(window) {
+    return TIME_WINDOWS[window] || null;
+  },
+
+  async deleteOlderThan(cutoffDate, limit) {
+    try {
+      const cutoffTime = resolveCutoffTime(cutoffDate);
+      if (!Number.isFinite(cutoffTime)) {
+        return 0;
+      }
+
+      const batchLimit = normalizeLimit(limit);
+      let deleted = 0;
+
+      for (let i = analyticsMetrics.length - 1; i >= 0; i -= 1) {
+        if (deleted >= batchLimit) {
+          break;
+        }
+
+        const timestamp = new Date(analyticsMetrics[i].timestamp).getTime();
+        if (Number.isFinite(timestamp) && timestamp < cutoffTime) {
+          analyticsMetrics.splice(i, 1);
+          deleted += 1;
+        }
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting old analytics metrics', {
+        cutoffDate,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    analyticsMetrics.length = 0;
+    metricsId = 0;
+  },
+
+  async getLastRefreshTime(collectionId) {
+    try {
+      const metrics = analyticsMetrics.filter((m) => m.collectionId === collectionId);
+      if (metrics.length === 0) {
+        return null;
+      }
+      return metrics.reduce((latest, m) => {
+        const mTime = new Date(m.timestamp).getTime();
+        const latestTime = new Date(latest.timestamp).getTime();
+        return mTime > latestTime ? m : latest;
+      }).timestamp;
+    } catch (error) {
+      logger.error('Error getting last refresh time', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getMetricsCount() {
+    return analyticsMetrics.length;
+  },
+};
+
+module.exports = { analyticsRepository };
@@ -0,0 +1,74 @@
+const logger = require('../../utils/logger');
+
+// Keyed by `${targetId}:${collectionId}:${stream}`.
+const checkpoints = new Map();
+
+function getKey(targetId, collectionId, stream) {
+  return `${targetId}:${collectionId}:${stream}`;
+}
+
+function matchesFilters(checkpoint, filters) {
+  return (
+    (!filters.targetId || checkpoint.targetId === filters.targetId) &&
+    (!filters.collectionId || checkpoint.collectionId === filters.collectionId)
+  );
+}
+
+const crawlCheckpointRepository = {
+  async findAll(filters = {}) {
+    return [...checkpoints.values()]
+      .filter((checkpoint) => matchesFilters(checkpoint, filters))
+      .sort(
+        (a, b) =>
+          a.targetId.localeCompare(b.targetId) ||
+          a.collectionId.localeCompare(b.collectionId) ||
+          a.stream.localeCompare(b.stream)
+      )
+      .map((checkpoint) => ({ ...checkpoint }));
+  },
+
+  async find(targetId, collectionId, stream) {
+    const checkpoint = checkpoints.get(getKey(targetId, collectionId, stream));
+    return checkpoint ? { ...checkpoint } : null;
+  },
+
+  async save({
+    targetId,
+    collectionId,
+    stream,
+    lastEventAt = null,
+    lastEventId = null,
+    cursor = null,
+  }) {
+    const checkpoint = {
+      targetId,
+      collectionId,
+      stream,
+      lastEventAt: lastEventAt ? new Date(lastEventAt).toISOString() : null,
+      lastEventId,
+      cursor,
+      updatedAt: new Date().toISOString(),
+    };
+    checkpoints.set(getKey(targetId, collectionId, stream), checkpoint);
+
+    return { ...checkpoint };
+  },
+
+  async delete(filters = {}) {
+    const matches = [...checkpoints.values()].filter((checkpoint) =>
+      matchesFilters(checkpoint, filters)
+    );
+    matches.forEach((checkpoint) =>
+      checkpoints.delete(getKey(checkpoint.targetId, checkpoint.collectionId, checkpoint.stream))
+    );
+
+    logger.info('Crawl checkpoints cleared', { ...filters, cleared: matches.length });
+    return matches.length;
+  },
+
+  clear() {
+    checkpoints.clear();
+  },
+};
+
+module.exports = { crawlCheckpointRepository };
@@ -0,0 +1,48 @@
+const logger = require('../../utils/logger');
+
+const channels = new Map();
+
+function copy(channel) {
+  return {
+    ...channel,
+    destinations: channel.destinations.map((destination) => ({ ...destination })),
+  };
+}
+
+const notificationChannelRepository = {
+  async findAll() {
+    return [...channels.values()].sort((a, b) => a.name.localeCompare(b.name)).map(copy);
+  },
+
+  async findByName(name) {
+    const channel = channels.get(name);
+    return channel ? copy(channel) : null;
+  },
+
+  async save(name, { description = null, destinations }) {
+    const now = new Date().toISOString();
+    const existing = channels.get(name);
+
+    channels.set(name, {
+      name,
+      description,
+      destinations: destinations.map((destination) => ({ ...destination })),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    });
+
+    logger.info('Notification channel saved', { name, destinations: destinations.length });
+
+    return this.findByName(name);
+  },
+
+  async delete(name) {
+    return channels.delete(name);
+  },
+
+  clear() {
+    channels.clear();
+  },
+};
+
+module.exports = { notificationChannelRepository };
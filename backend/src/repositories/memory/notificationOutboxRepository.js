@@ -0,0 +1,148 @@
+const logger = require('../../utils/logger');
+
+const entries = new Map();
+let entryId = 0;
+
+function copy(entry) {
+  return {
+    ...entry,
+    destination: { ...entry.destination },
+    alert: { ...entry.alert },
+  };
+}
+
+function isDue(entry, time) {
+  return (
+    (entry.status === 'pending' || entry.status === 'delivering') &&
+    new Date(entry.nextAttemptAt).getTime() <= time
+  );
+}
+
+function update(id, changes) {
+  const entry = entries.get(String(id));
+  if (!entry) {
+    return null;
+  }
+  Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+  return copy(entry);
+}
+
+const notificationOutboxRepository = {
+  async create(entryData) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: String(++entryId),
+      deliveryId: entryData.deliveryId,
+      alertId: entryData.alertId || null,
+      collectionId: entryData.collectionId,
+      alertType: entryData.alertType,
+      channel: entryData.channel,
+      destination: { ...entryData.destination },
+      alert: { ...entryData.alert },
+      status: entryData.status || 'pending',
+      attempts: entryData.attempts || 0,
+      maxAttempts: entryData.maxAttempts,
+      nextAttemptAt: new Date(entryData.nextAttemptAt).toISOString(),
+      lastError: null,
+      deliveredAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    entries.set(entry.id, entry);
+
+    logger.debug('Notification queued', {
+      id: entry.id,
+      collectionId: entry.collectionId,
+      channel: entry.channel,
+    });
+
+    return copy(entry);
+  },
+
+  async findById(id) {
+    const entry = entries.get(String(id));
+    return entry ? copy(entry) : null;
+  },
+
+  async findAll(filters = {}) {
+    const limit = filters.limit || 100;
+    const offset = filters.offset || 0;
+
+    return [...entries.values()]
+      .filter((entry) => !filters.status || entry.status === filters.status)
+      .sort((a, b) => Number(b.id) - Number(a.id))
+      .slice(offset, offset + limit)
+      .map(copy);
+  },
+
+  async countByStatus() {
+    const counts = { pending: 0, delivering: 0, delivered: 0, dead: 0 };
+    entries.forEach((entry) => {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    });
+    return counts;
+  },
+
+  async claimDue(now, leaseUntil, limit) {
+    const time = new Date(now).getTime();
+
+    return [...entries.values()]
+      .filter((entry) => isDue(entry, time))
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+      .slice(0, limit)
+      .map((entry) =>
+        update(entry.id, {
+          status: 'delivering',
+          attempts: entry.attempts + 1,
+          nextAttemptAt: new Date(leaseUntil).toISOString(),
+        })
+      );
+  },
+
+  async markDelivered(id, deliveredAt = new Date()) {
+    return update(id, {
+      status: 'delivered',
+      deliveredAt: new Date(deliveredAt).toISOString(),
+      lastError: null,
+    });
+  },
+
+  async markFailed(id, { error, nextAttemptAt }) {
+    return update(
+      id,
+      nextAttemptAt
+        ? { status: 'pending', lastError: error, nextAttemptAt: new Date(nextAttemptAt).toISOString() }
+        : { status: 'dead', lastError: error }
+    );
+  },
+
+  async requeue(id, now = new Date()) {
+    const entry = entries.get(String(id));
+    if (!entry || entry.status !== 'dead') {
+      return null;
+    }
+    return update(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date(now).toISOString() });
+  },
+
+  async deleteDelivered(before) {
+    const cutoff = new Date(before).getTime();
+    let deleted = 0;
+
+    entries.forEach((entry, id) => {
+      if (entry.status === 'delivered' && new Date(entry.deliveredAt).getTime() < cutoff) {
+        entries.delete(id);
+        deleted += 1;
+      }
+    });
+
+    return deleted;
+  },
+
+  clear() {
+    entries.clear();
+    entryId = 0;
+  },
+};
+
+module.exports = { notificationOutboxRepository };
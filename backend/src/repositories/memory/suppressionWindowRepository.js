@@ -0,0 +1,142 @@
+const logger = require('../../utils/logger');
+
+const windows = [];
+let windowId = 0;
+
+const WINDOW_FIELDS = [
+  'name',
+  'description',
+  'collectionId',
+  'kind',
+  'action',
+  'startsAt',
+  'endsAt',
+  'daysOfWeek',
+  'startTime',
+  'endTime',
+  'timezone',
+  'alertTypes',
+  'severities',
+];
+
+const TIMESTAMP_FIELDS = ['startsAt', 'endsAt'];
+
+function pickWindowFields(data) {
+  const fields = {};
+  WINDOW_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      fields[field] =
+        TIMESTAMP_FIELDS.includes(field) && data[field] !== null
+          ? new Date(data[field]).toISOString()
+          : data[field];
+    }
+  });
+  return fields;
+}
+
+function copy(window) {
+  return {
+    ...window,
+    daysOfWeek: window.daysOfWeek ? [...window.daysOfWeek] : null,
+    alertTypes: window.alertTypes ? [...window.alertTypes] : null,
+    severities: window.severities ? [...window.severities] : null,
+  };
+}
+
+function matchesFilters(window, filters) {
+  if (filters.collectionId !== undefined && window.collectionId !== filters.collectionId) {
+    return false;
+  }
+  if (filters.kind !== undefined && window.kind !== filters.kind) {
+    return false;
+  }
+  return true;
+}
+
+const suppressionWindowRepository = {
+  async create(windowData) {
+    const now = new Date().toISOString();
+    const window = {
+      id: String(++windowId),
+      description: null,
+      collectionId: null,
+      action: 'suppress',
+      startsAt: null,
+      endsAt: null,
+      daysOfWeek: null,
+      startTime: null,
+      endTime: null,
+      timezone: null,
+      alertTypes: null,
+      severities: null,
+      ...pickWindowFields(windowData),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    windows.push(window);
+
+    logger.info('Suppression window created', { windowId: window.id, name: window.name });
+
+    return copy(window);
+  },
+
+  async findAll(filters = {}) {
+    return windows.filter((window) => matchesFilters(window, filters)).map(copy);
+  },
+
+  async findById(id) {
+    const window = windows.find((w) => w.id === String(id));
+    return window ? copy(window) : null;
+  },
+
+  /**
+   * Windows that may apply to the collection's alerts at `at`: its own and the global ones,
+   * leaving out maintenance windows that have already ended.
+   */
+  async findApplicable(collectionId, at) {
+    const time = new Date(at).getTime();
+
+    return windows
+      .filter(
+        (window) =>
+          (window.collectionId === null || window.collectionId === collectionId) &&
+          (window.kind !== 'maintenance' || new Date(window.endsAt).getTime() > time)
+      )
+      .map(copy);
+  },
+
+  async update(id, updates) {
+    const window = windows.find((w) => w.id === String(id));
+
+    if (!window) {
+      logger.warn('Suppression window not found for update', { windowId: id });
+      return null;
+    }
+
+    Object.assign(window, pickWindowFields(updates), { updatedAt: new Date().toISOString() });
+
+    logger.info('Suppression window updated', { windowId: window.id, updates: Object.keys(updates) });
+
+    return copy(window);
+  },
+
+  async delete(id) {
+    const index = windows.findIndex((w) => w.id === String(id));
+
+    if (index === -1) {
+      return false;
+    }
+
+    windows.splice(index, 1);
+    logger.info('Suppression window deleted', { windowId: String(id) });
+    return true;
+  },
+
+  clear() {
+    windows.length = 0;
+    windowId = 0;
+  },
+};
+
+module.exports = { suppressionWindowRepository };
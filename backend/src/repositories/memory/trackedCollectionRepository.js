@@ -0,0 +1,86 @@
+const logger = require('../../utils/logger');
+
+const trackedCollections = new Map();
+
+function copy(trackedCollection) {
+  return {
+    ...trackedCollection,
+    alertThresholds: trackedCollection.alertThresholds
+      ? { ...trackedCollection.alertThresholds }
+      : null,
+  };
+}
+
+const trackedCollectionRepository = {
+  async getTrackedCollection(collectionId) {
+    const trackedCollection = trackedCollections.get(collectionId);
+    return trackedCollection ? copy(trackedCollection) : null;
+  },
+
+  async getAllTrackedCollections() {
+    return [...trackedCollections.values()]
+      .sort((a, b) => a.collectionId.localeCompare(b.collectionId))
+      .map(copy);
+  },
+
+  async setAlertThresholds(collectionId, alertThresholds) {
+    try {
+      const now = new Date().toISOString();
+      const existing = trackedCollections.get(collectionId);
+
+      // Mirrors the SQL drivers: setting thresholds starts tracking the collection if needed.
+      trackedCollections.set(collectionId, {
+        collectionId,
+        displayName: existing ? existing.displayName : collectionId,
+        isEnabled: existing ? existing.isEnabled : true,
+        alertThresholds: alertThresholds ? { ...alertThresholds } : null,
+        notificationChannel: existing ? existing.notificationChannel : null,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+      });
+
+      logger.debug('Alert thresholds updated', { collectionId, alertThresholds });
+
+      return this.getTrackedCollection(collectionId);
+    } catch (error) {
+      logger.error('Error updating alert thresholds', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async setNotificationChannel(collectionId, notificationChannel) {
+    try {
+      const now = new Date().toISOString();
+      const existing = trackedCollections.get(collectionId);
+
+      trackedCollections.set(collectionId, {
+        collectionId,
+        displayName: existing ? existing.displayName : collectionId,
+        isEnabled: existing ? existing.isEnabled : true,
+        alertThresholds: existing ? existing.alertThresholds : null,
+        notificationChannel,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+      });
+
+      logger.debug('Notification channel updated', { collectionId, notificationChannel });
+
+      return this.getTrackedCollection(collectionId);
+    } catch (error) {
+      logger.error('Error updating notification channel', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  clear() {
+    trackedCollections.clear();
+  },
+};
+
+module.exports = { trackedCollectionRepository };
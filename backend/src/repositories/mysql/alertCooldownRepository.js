@@ -0,0 +1,97 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { toDate, toIsoString } = require('./helpers');
+
+function mapCooldownRow(row) {
+  return {
+    collectionId: row.collection_id,
+    alertType: row.alert_type,
+    lastTriggeredAt: toIsoString(row.last_triggered_at),
+  };
+}
+
+const alertCooldownRepository = {
+  /**
+   * Record a trigger for the pair unless it already triggered within `cooldownWindow` ms.
+   * Each statement is atomic, so concurrent API instances cannot both claim the same trigger.
+   */
+  async claim(collectionId, alertType, cooldownWindow, now = new Date()) {
+    try {
+      const pool = getPool();
+      const triggeredAt = toDate(now);
+
+      const [inserted] = await pool.execute(
+        `INSERT IGNORE INTO alert_cooldowns (collection_id, alert_type, last_triggered_at)
+         VALUES (?, ?, ?)`,
+        [collectionId, alertType, triggeredAt]
+      );
+      if (inserted.affectedRows > 0) {
+        return true;
+      }
+
+      const [updated] = await pool.execute(
+        `UPDATE alert_cooldowns SET last_triggered_at = ?
+         WHERE collection_id = ? AND alert_type = ? AND last_triggered_at <= ?`,
+        [triggeredAt, collectionId, alertType, new Date(triggeredAt.getTime() - cooldownWindow)]
+      );
+      return updated.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error recording alert cooldown', {
+        collectionId,
+        alertType,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const where = filters.collectionId ? 'WHERE collection_id = ?' : '';
+      const params = filters.collectionId ? [filters.collectionId] : [];
+      const [rows] = await getPool().execute(
+        `SELECT collection_id, alert_type, last_triggered_at FROM alert_cooldowns ${where}
+         ORDER BY collection_id ASC, alert_type ASC`,
+        params
+      );
+      return rows.map(mapCooldownRow);
+    } catch (error) {
+      logger.error('Error fetching alert cooldowns', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async delete(collectionId, alertType) {
+    try {
+      const [result] = alertType
+        ? await getPool().execute(
+            'DELETE FROM alert_cooldowns WHERE collection_id = ? AND alert_type = ?',
+            [collectionId, alertType]
+          )
+        : await getPool().execute('DELETE FROM alert_cooldowns WHERE collection_id = ?', [
+            collectionId,
+          ]);
+
+      logger.debug('Alert cooldowns cleared', {
+        collectionId,
+        alertType,
+        cleared: result.affectedRows,
+      });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error clearing alert cooldowns', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM alert_cooldowns');
+  },
+};
+
+module.exports = { alertCooldownRepository };
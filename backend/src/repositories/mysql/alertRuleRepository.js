@@ -0,0 +1,151 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { ensureCollection, toIsoString } = require('./helpers');
+
+const RULE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  collectionId: 'collection_id',
+  condition: 'condition_expression',
+  severity: 'severity',
+  message: 'message_template',
+  cooldownMinutes: 'cooldown_minutes',
+  enabled: 'is_enabled',
+};
+
+function toColumnValue(field, value) {
+  if (field === 'enabled') {
+    return value ? 1 : 0;
+  }
+  return value === undefined ? null : value;
+}
+
+function mapRuleRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    description: row.description,
+    collectionId: row.collection_id,
+    condition: row.condition_expression,
+    severity: row.severity,
+    message: row.message_template,
+    cooldownMinutes: row.cooldown_minutes === null ? null : Number(row.cooldown_minutes),
+    enabled: Boolean(row.is_enabled),
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+const alertRuleRepository = {
+  async create(ruleData) {
+    try {
+      const pool = getPool();
+      if (ruleData.collectionId) {
+        await ensureCollection(pool, ruleData.collectionId);
+      }
+
+      const fields = Object.keys(RULE_COLUMNS).filter((field) => ruleData[field] !== undefined);
+      const [result] = await pool.execute(
+        `INSERT INTO alert_rules (${fields.map((field) => RULE_COLUMNS[field]).join(', ')})
+         VALUES (${fields.map(() => '?').join(', ')})`,
+        fields.map((field) => toColumnValue(field, ruleData[field]))
+      );
+
+      const rule = await this.findById(String(result.insertId));
+      logger.info('Alert rule created', { ruleId: rule.id, name: rule.name });
+      return rule;
+    } catch (error) {
+      logger.error('Error creating alert rule', { error: error.message });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const clauses = [];
+      const params = [];
+
+      if (filters.collectionId !== undefined) {
+        clauses.push('collection_id = ?');
+        params.push(filters.collectionId);
+      }
+
+      if (filters.enabled !== undefined) {
+        clauses.push('is_enabled = ?');
+        params.push(filters.enabled ? 1 : 0);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const [rows] = await getPool().execute(
+        `SELECT * FROM alert_rules ${where} ORDER BY id ASC`,
+        params
+      );
+      return rows.map(mapRuleRow);
+    } catch (error) {
+      logger.error('Error fetching alert rules', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async findById(id) {
+    try {
+      const [rows] = await getPool().execute('SELECT * FROM alert_rules WHERE id = ? LIMIT 1', [
+        id,
+      ]);
+      return rows.length > 0 ? mapRuleRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding alert rule', { ruleId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async update(id, updates) {
+    try {
+      const pool = getPool();
+      const fields = Object.keys(RULE_COLUMNS).filter((field) => updates[field] !== undefined);
+
+      if (updates.collectionId) {
+        await ensureCollection(pool, updates.collectionId);
+      }
+
+      const existing = await this.findById(id);
+      if (!existing) {
+        logger.warn('Alert rule not found for update', { ruleId: id });
+        return null;
+      }
+
+      if (fields.length > 0) {
+        await pool.execute(
+          `UPDATE alert_rules SET ${fields.map((field) => `${RULE_COLUMNS[field]} = ?`).join(', ')}
+           WHERE id = ?`,
+          [...fields.map((field) => toColumnValue(field, updates[field])), id]
+        );
+      }
+
+      logger.info('Alert rule updated', { ruleId: String(id), updates });
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating alert rule', { ruleId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async delete(id) {
+    try {
+      const [result] = await getPool().execute('DELETE FROM alert_rules WHERE id = ?', [id]);
+      if (result.affectedRows > 0) {
+        logger.info('Alert rule deleted', { ruleId: String(id) });
+      }
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting alert rule', { ruleId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM alert_rules');
+  },
+};
+
+module.exports = { alertRuleRepository };
@@ -0,0 +1,390 @@
+const logger = require('../../utils/logger');
+const { SEVERITIES } = require('../../utils/severity');
+const { getPool } = require('../../lib/db');
+const { toDate, parsePayload, ensureCollection, toIsoString } = require('./helpers');
+
+const COLUMN_FIELDS = [
+  'id',
+  'collectionId',
+  'type',
+  'severity',
+  'message',
+  'triggeredAt',
+  'resolved',
+  'resolvedAt',
+  'acknowledged',
+  'acknowledgedBy',
+  'acknowledgedAt',
+  'assignedTo',
+  'snoozedUntil',
+  'note',
+  'createdAt',
+];
+
+// Triage fields stored in their own columns, set as given (null clears them).
+const TRIAGE_COLUMNS = {
+  acknowledgedBy: 'acknowledged_by',
+  assignedTo: 'assigned_to',
+  snoozedUntil: 'snoozed_until',
+  note: 'note',
+};
+
+const SORT_COLUMNS = {
+  triggeredAt: 'event_time',
+  createdAt: 'created_at',
+  type: 'alert_type',
+  severity: `FIELD(severity, ${SEVERITIES.map((severity) => `'${severity}'`).join(', ')})`,
+};
+
+function extractPayload(data) {
+  const payload = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (!COLUMN_FIELDS.includes(key) && value !== undefined) {
+      payload[key] = value;
+    }
+  });
+  return payload;
+}
+
+function mapAlertRow(row) {
+  return {
+    ...parsePayload(row.raw_payload),
+    id: String(row.id),
+    collectionId: row.collection_id,
+    type: row.alert_type,
+    severity: row.severity,
+    message: row.message,
+    triggeredAt: toIsoString(row.event_time),
+    resolved: Boolean(row.resolved),
+    resolvedAt: toIsoString(row.resolved_at),
+    acknowledged: Boolean(row.acknowledged),
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedAt: toIsoString(row.acknowledged_at),
+    assignedTo: row.assigned_to,
+    snoozedUntil: toIsoString(row.snoozed_until),
+    note: row.note,
+    createdAt: toIsoString(row.created_at),
+  };
+}
+
+function buildWhereClause(filters = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (filters.collectionId) {
+    clauses.push('collection_id = ?');
+    params.push(filters.collectionId);
+  }
+
+  if (filters.resolved !== undefined) {
+    clauses.push('resolved = ?');
+    params.push(filters.resolved ? 1 : 0);
+  }
+
+  if (filters.severity) {
+    clauses.push('severity = ?');
+    params.push(filters.severity);
+  }
+
+  if (filters.type) {
+    clauses.push('alert_type = ?');
+    params.push(filters.type);
+  }
+
+  if (filters.since) {
+    clauses.push('event_time >= ?');
+    params.push(toDate(filters.since));
+  }
+
+  if (filters.acknowledged !== undefined) {
+    clauses.push('acknowledged = ?');
+    params.push(filters.acknowledged ? 1 : 0);
+  }
+
+  if (filters.assignedTo) {
+    clauses.push('assigned_to = ?');
+    params.push(filters.assignedTo);
+  }
+
+  if (filters.assigned !== undefined) {
+    clauses.push(filters.assigned ? 'assigned_to IS NOT NULL' : 'assigned_to IS NULL');
+  }
+
+  // Snoozed means snoozed until a time still ahead of `filters.now` (default: now).
+  if (filters.snoozed !== undefined) {
+    clauses.push(
+      filters.snoozed ? 'snoozed_until > ?' : '(snoozed_until IS NULL OR snoozed_until <= ?)'
+    );
+    params.push(toDate(filters.now));
+  }
+
+  return {
+    sql: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+}
+
+function buildOrderClause(sortBy = 'triggeredAt', sortOrder = 'desc') {
+  const column = SORT_COLUMNS[sortBy] || SORT_COLUMNS.triggeredAt;
+  const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+  return `ORDER BY ${column} ${direction}, id ${direction}`;
+}
+
+// Fold the (collection, type, severity) groups of the summary query into the summary counts.
+function summarizeGroups(rows) {
+  const summary = { total: 0, resolved: 0, unresolved: 0, bySeverity: {}, byType: {}, byCollection: {} };
+  const add = (counts, key, count) => {
+    counts[key] = (counts[key] || 0) + count;
+  };
+
+  rows.forEach((row) => {
+    const count = Number(row.count);
+    summary.total += count;
+    summary.resolved += Number(row.resolved);
+    add(summary.bySeverity, row.severity, count);
+    add(summary.byType, row.alert_type, count);
+    add(summary.byCollection, row.collection_id, count);
+  });
+  summary.unresolved = summary.total - summary.resolved;
+
+  return summary;
+}
+
+const alertsRepository = {
+  // Resolves to the stored alert with `created` telling whether this call inserted it.
+  async create(alertData) {
+    try {
+      const pool = getPool();
+      await ensureCollection(pool, alertData.collectionId);
+
+      const resolved = alertData.resolved !== undefined ? Boolean(alertData.resolved) : false;
+      const triggeredAt = toDate(alertData.triggeredAt);
+
+      // A re-evaluated condition hits uniq_alert_events_dedupe and resolves to the existing row.
+      // The duplicate is caught rather than absorbed by ON DUPLICATE KEY UPDATE, whose affected
+      // rows count cannot tell an insert from a no-op update under mysql2's FOUND_ROWS flag.
+      let result;
+      try {
+        [result] = await pool.execute(
+          `INSERT INTO alert_events
+            (collection_id, alert_type, severity, message, event_time, resolved, resolved_at, raw_payload)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            alertData.collectionId,
+            alertData.type,
+            alertData.severity,
+            alertData.message,
+            triggeredAt,
+            resolved ? 1 : 0,
+            resolved ? toDate(alertData.resolvedAt) : null,
+            JSON.stringify(extractPayload(alertData)),
+          ]
+        );
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+          throw error;
+        }
+
+        const [rows] = await pool.execute(
+          `SELECT * FROM alert_events
+           WHERE collection_id = ? AND alert_type = ? AND event_time = ? LIMIT 1`,
+          [alertData.collectionId, alertData.type, triggeredAt]
+        );
+        const alert = mapAlertRow(rows[0]);
+
+        logger.info('Duplicate alert ignored', {
+          alertId: alert.id,
+          collectionId: alert.collectionId,
+          type: alert.type,
+        });
+        return { ...alert, created: false };
+      }
+
+      const alert = await this.findById(String(result.insertId));
+
+      logger.info('Alert created', {
+        alertId: alert.id,
+        collectionId: alert.collectionId,
+        type: alert.type,
+      });
+
+      return { ...alert, created: true };
+    } catch (error) {
+      logger.error('Error creating alert', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const where = buildWhereClause(filters);
+      const [rows] = await getPool().execute(
+        `SELECT * FROM alert_events ${where.sql} ${buildOrderClause()}`,
+        where.params
+      );
+      return rows.map(mapAlertRow);
+    } catch (error) {
+      logger.error('Error fetching alerts', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findPaginated(filters = {}, options = {}) {
+    try {
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.max(parseInt(options.limit, 10) || 50, 1);
+      const where = buildWhereClause(filters);
+      const pool = getPool();
+
+      const [[{ total }]] = await pool.execute(
+        `SELECT COUNT(*) AS total FROM alert_events ${where.sql}`,
+        where.params
+      );
+
+      // LIMIT/OFFSET go through query() because not every MySQL 8 release binds them
+      // in prepared statements.
+      const [rows] = await pool.query(
+        `SELECT * FROM alert_events ${where.sql}
+         ${buildOrderClause(options.sortBy, options.sortOrder)}
+         LIMIT ? OFFSET ?`,
+        [...where.params, limit, (page - 1) * limit]
+      );
+
+      return {
+        alerts: rows.map(mapAlertRow),
+        total: Number(total),
+      };
+    } catch (error) {
+      logger.error('Error fetching paginated alerts', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getSummary(filters = {}) {
+    try {
+      const where = buildWhereClause(filters);
+      const [rows] = await getPool().execute(
+        `SELECT collection_id, alert_type, severity, COUNT(*) AS count,
+                COALESCE(SUM(resolved), 0) AS resolved
+         FROM alert_events ${where.sql}
+         GROUP BY collection_id, alert_type, severity`,
+        where.params
+      );
+
+      return summarizeGroups(rows);
+    } catch (error) {
+      logger.error('Error summarizing alerts', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findById(alertId) {
+    try {
+      const [rows] = await getPool().execute(
+        'SELECT * FROM alert_events WHERE id = ? LIMIT 1',
+        [alertId]
+      );
+      return rows.length > 0 ? mapAlertRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding alert', {
+        alertId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async update(alertId, updates) {
+    try {
+      const existing = await this.findById(alertId);
+
+      if (!existing) {
+        logger.warn('Alert not found', { alertId });
+        return null;
+      }
+
+      const assignments = [];
+      const params = [];
+
+      if (updates.resolved !== undefined) {
+        assignments.push('resolved = ?', 'resolved_at = ?');
+        params.push(
+          updates.resolved ? 1 : 0,
+          updates.resolved ? toDate(updates.resolvedAt) : null
+        );
+      }
+
+      if (updates.acknowledged !== undefined) {
+        assignments.push('acknowledged = ?', 'acknowledged_at = ?');
+        params.push(
+          updates.acknowledged ? 1 : 0,
+          updates.acknowledged ? toDate(updates.acknowledgedAt) : null
+        );
+      }
+
+      Object.entries(TRIAGE_COLUMNS).forEach(([field, column]) => {
+        if (updates[field] !== undefined) {
+          assignments.push(`${column} = ?`);
+          params.push(
+            field === 'snoozedUntil' && updates[field] !== null
+              ? toDate(updates[field])
+              : updates[field]
+          );
+        }
+      });
+
+      if (updates.severity !== undefined) {
+        assignments.push('severity = ?');
+        params.push(updates.severity);
+      }
+
+      if (updates.message !== undefined) {
+        assignments.push('message = ?');
+        params.push(updates.message);
+      }
+
+      const payloadPatch = {
+        ...extractPayload(updates),
+        updatedAt: new Date().toISOString(),
+      };
+      assignments.push('raw_payload = JSON_MERGE_PATCH(COALESCE(raw_payload, JSON_OBJECT()), ?)');
+      params.push(JSON.stringify(payloadPatch));
+
+      await getPool().execute(
+        `UPDATE alert_events SET ${assignments.join(', ')} WHERE id = ?`,
+        [...params, alertId]
+      );
+
+      logger.info('Alert updated', {
+        alertId,
+        updates: Object.keys(updates),
+      });
+
+      return this.findById(alertId);
+    } catch (error) {
+      logger.error('Error updating alert', {
+        alertId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async markAsResolved(alertId, resolvedBy) {
+    return this.update(alertId, { resolved: true, resolvedBy });
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM alert_events');
+  },
+};
+
+module.exports = { alertsRepository };
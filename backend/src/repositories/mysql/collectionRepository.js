@@ -0,0 +1,89 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { parsePayload, toIsoString } = require('./helpers');
+
+function mapCollectionRow(row) {
+  return {
+    id: row.collection_id,
+    name: row.name,
+    ...parsePayload(row.metadata),
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+const collectionRepository = {
+  async upsertCollection(collectionId, metadata = {}) {
+    try {
+      const data = metadata || {};
+
+      // Rows created implicitly by the data tables only carry the id as name,
+      // so an upsert without a name keeps whatever is already stored.
+      await getPool().execute(
+        `INSERT INTO collections (collection_id, slug, name, source, metadata)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+          slug = COALESCE(VALUES(slug), slug),
+          name = IF(? IS NULL, name, VALUES(name)),
+          source = COALESCE(VALUES(source), source),
+          metadata = VALUES(metadata)`,
+        [
+          collectionId,
+          data.slug || null,
+          data.name || collectionId,
+          data.source || null,
+          JSON.stringify(data),
+          data.name || null,
+        ]
+      );
+
+      logger.debug('Collection upserted', {
+        collectionId,
+        metadata: data,
+      });
+
+      return this.getCollection(collectionId);
+    } catch (error) {
+      logger.error('Error upserting collection', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getCollection(collectionId) {
+    try {
+      const [rows] = await getPool().execute(
+        'SELECT collection_id, name, metadata, updated_at FROM collections WHERE collection_id = ? LIMIT 1',
+        [collectionId]
+      );
+      return rows.length > 0 ? mapCollectionRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching collection', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getAllCollections() {
+    try {
+      const [rows] = await getPool().execute(
+        'SELECT collection_id, name, metadata, updated_at FROM collections ORDER BY collection_id ASC'
+      );
+      return rows.map(mapCollectionRow);
+    } catch (error) {
+      logger.error('Error fetching all collections', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM collections');
+  },
+};
+
+module.exports = collectionRepository;
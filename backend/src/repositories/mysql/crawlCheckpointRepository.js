@@ -0,0 +1,129 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { toDate, toIsoString } = require('./helpers');
+
+const SELECT_COLUMNS =
+  'target_id, collection_id, stream, last_event_at, last_event_id, next_cursor, updated_at';
+
+function mapCheckpointRow(row) {
+  return {
+    targetId: row.target_id,
+    collectionId: row.collection_id,
+    stream: row.stream,
+    lastEventAt: toIsoString(row.last_event_at),
+    lastEventId: row.last_event_id,
+    cursor: row.next_cursor,
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+function buildWhereClause(filters) {
+  const clauses = [];
+  const params = [];
+
+  if (filters.targetId) {
+    clauses.push('target_id = ?');
+    params.push(filters.targetId);
+  }
+
+  if (filters.collectionId) {
+    clauses.push('collection_id = ?');
+    params.push(filters.collectionId);
+  }
+
+  return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+const crawlCheckpointRepository = {
+  async findAll(filters = {}) {
+    try {
+      const { where, params } = buildWhereClause(filters);
+      const [rows] = await getPool().execute(
+        `SELECT ${SELECT_COLUMNS} FROM crawl_checkpoints ${where}
+         ORDER BY target_id ASC, collection_id ASC, stream ASC`,
+        params
+      );
+      return rows.map(mapCheckpointRow);
+    } catch (error) {
+      logger.error('Error fetching crawl checkpoints', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async find(targetId, collectionId, stream) {
+    try {
+      const [rows] = await getPool().execute(
+        `SELECT ${SELECT_COLUMNS} FROM crawl_checkpoints
+         WHERE target_id = ? AND collection_id = ? AND stream = ? LIMIT 1`,
+        [targetId, collectionId, stream]
+      );
+      return rows.length > 0 ? mapCheckpointRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding crawl checkpoint', {
+        targetId,
+        collectionId,
+        stream,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async save({
+    targetId,
+    collectionId,
+    stream,
+    lastEventAt = null,
+    lastEventId = null,
+    cursor = null,
+  }) {
+    try {
+      await getPool().execute(
+        `INSERT INTO crawl_checkpoints
+          (target_id, collection_id, stream, last_event_at, last_event_id, next_cursor)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+          last_event_at = VALUES(last_event_at),
+          last_event_id = VALUES(last_event_id),
+          next_cursor = VALUES(next_cursor)`,
+        [
+          targetId,
+          collectionId,
+          stream,
+          lastEventAt ? toDate(lastEventAt) : null,
+          lastEventId,
+          cursor,
+        ]
+      );
+
+      return this.find(targetId, collectionId, stream);
+    } catch (error) {
+      logger.error('Error saving crawl checkpoint', {
+        targetId,
+        collectionId,
+        stream,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async delete(filters = {}) {
+    try {
+      const { where, params } = buildWhereClause(filters);
+      const [result] = await getPool().execute(`DELETE FROM crawl_checkpoints ${where}`, params);
+
+      logger.info('Crawl checkpoints cleared', { ...filters, cleared: result.affectedRows });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error clearing crawl checkpoints', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM crawl_checkpoints');
+  },
+};
+
+module.exports = { crawlCheckpointRepository };
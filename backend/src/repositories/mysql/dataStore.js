@@ -0,0 +1,222 @@
+const { getPool } = require('../../lib/db');
+const {
+  resolveCutoffDate,
+  normalizeLimit,
+  toDate,
+  toNullableNumber,
+  parsePayload,
+  ensureCollection,
+} = require('./helpers');
+
+function resolveSourceId(event) {
+  return String(
+    event.id || event.eventId || event.sourceId || `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`
+  );
+}
+
+// Rows are mapped back onto the stored payload so callers get the same shape
+// the in-memory store returns.
+function mapSnapshotRow(row) {
+  return {
+    ...parsePayload(row.raw_payload),
+    id: String(row.id),
+    collectionId: row.collection_id,
+    timestamp: new Date(row.snapshot_time).toISOString(),
+  };
+}
+
+function mapListingRow(row) {
+  return {
+    ...parsePayload(row.raw_payload),
+    id: row.source_id,
+    collectionId: row.collection_id,
+    timestamp: new Date(row.event_time).toISOString(),
+    price: toNullableNumber(row.price),
+    quantity: toNullableNumber(row.quantity),
+  };
+}
+
+function mapPurchaseRow(row) {
+  return {
+    ...parsePayload(row.raw_payload),
+    id: row.source_id,
+    collectionId: row.collection_id,
+    timestamp: new Date(row.event_time).toISOString(),
+    price: toNullableNumber(row.price),
+    quantity: toNullableNumber(row.quantity),
+  };
+}
+
+async function deleteOlderThan(table, timeColumn, cutoffDate, limit) {
+  const cutoff = resolveCutoffDate(cutoffDate);
+  if (!cutoff) {
+    return 0;
+  }
+
+  // LIMIT cannot be bound through prepared statements on every MySQL 8 release,
+  // so this statement goes through query() with client-side escaping.
+  const [result] = await getPool().query(
+    `DELETE FROM ${table} WHERE ${timeColumn} < ? ORDER BY ${timeColumn} ASC LIMIT ?`,
+    [cutoff, normalizeLimit(limit)]
+  );
+
+  return result.affectedRows || 0;
+}
+
+const mysqlDataStore = {
+  async addMarketSnapshot(collectionId, snapshot = {}) {
+    const pool = getPool();
+    await ensureCollection(pool, collectionId);
+
+    const snapshotTime = toDate(snapshot.timestamp);
+    const payload = { ...snapshot, collectionId, timestamp: snapshotTime.toISOString() };
+
+    await pool.execute(
+      `INSERT INTO market_snapshots
+        (collection_id, snapshot_time, floor_price, ceiling_price, listed_count, sales_24h, volume_24h, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+        floor_price = VALUES(floor_price),
+        ceiling_price = VALUES(ceiling_price),
+        listed_count = VALUES(listed_count),
+        sales_24h = VALUES(sales_24h),
+        volume_24h = VALUES(volume_24h),
+        raw_payload = VALUES(raw_payload)`,
+      [
+        collectionId,
+        snapshotTime,
+        toNullableNumber(snapshot.floorPrice),
+        toNullableNumber(snapshot.ceilingPrice),
+        toNullableNumber(snapshot.totalListings ?? snapshot.listedCount),
+        toNullableNumber(snapshot.sales24h),
+        toNullableNumber(snapshot.volume24h),
+        JSON.stringify(payload),
+      ]
+    );
+  },
+
+  async addListingEvent(collectionId, event = {}) {
+    const pool = getPool();
+    await ensureCollection(pool, collectionId);
+
+    const eventTime = toDate(event.timestamp);
+    const payload = { type: 'listing', ...event, collectionId, timestamp: eventTime.toISOString() };
+
+    await pool.execute(
+      `INSERT INTO listing_events
+        (collection_id, source_id, event_time, price, quantity, seller, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+        event_time = VALUES(event_time),
+        price = VALUES(price),
+        quantity = VALUES(quantity),
+        seller = VALUES(seller),
+        raw_payload = VALUES(raw_payload)`,
+      [
+        collectionId,
+        resolveSourceId(event),
+        eventTime,
+        toNullableNumber(event.price) ?? 0,
+        toNullableNumber(event.quantity) ?? 1,
+        event.seller || null,
+        JSON.stringify(payload),
+      ]
+    );
+  },
+
+  async addPurchaseEvent(collectionId, event = {}) {
+    const pool = getPool();
+    await ensureCollection(pool, collectionId);
+
+    const eventTime = toDate(event.timestamp);
+    const payload = { ...event, collectionId, timestamp: eventTime.toISOString() };
+
+    await pool.execute(
+      `INSERT INTO purchase_events
+        (collection_id, source_id, event_time, price, quantity, buyer, seller, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+        event_time = VALUES(event_time),
+        price = VALUES(price),
+        quantity = VALUES(quantity),
+        buyer = VALUES(buyer),
+        seller = VALUES(seller),
+        raw_payload = VALUES(raw_payload)`,
+      [
+        collectionId,
+        resolveSourceId(event),
+        eventTime,
+        toNullableNumber(event.price) ?? 0,
+        toNullableNumber(event.quantity) ?? 1,
+        event.buyer || null,
+        event.seller || null,
+        JSON.stringify(payload),
+      ]
+    );
+  },
+
+  async getMarketSnapshots(collectionId) {
+    const [rows] = await getPool().execute(
+      `SELECT id, collection_id, snapshot_time, raw_payload
+       FROM market_snapshots
+       WHERE collection_id = ?
+       ORDER BY snapshot_time ASC, id ASC`,
+      [collectionId]
+    );
+    return rows.map(mapSnapshotRow);
+  },
+
+  async getListingEvents(collectionId) {
+    const [rows] = await getPool().execute(
+      `SELECT collection_id, source_id, event_time, price, quantity, raw_payload
+       FROM listing_events
+       WHERE collection_id = ?
+       ORDER BY event_time ASC, id ASC`,
+      [collectionId]
+    );
+    return rows.map(mapListingRow);
+  },
+
+  async getPurchaseEvents(collectionId) {
+    const [rows] = await getPool().execute(
+      `SELECT collection_id, source_id, event_time, price, quantity, raw_payload
+       FROM purchase_events
+       WHERE collection_id = ?
+       ORDER BY event_time ASC, id ASC`,
+      [collectionId]
+    );
+    return rows.map(mapPurchaseRow);
+  },
+
+  async deleteMarketSnapshotsOlderThan(cutoffDate, limit) {
+    return deleteOlderThan('market_snapshots', 'snapshot_time', cutoffDate, limit);
+  },
+
+  async deleteListingEventsOlderThan(cutoffDate, limit) {
+    return deleteOlderThan('listing_events', 'event_time', cutoffDate, limit);
+  },
+
+  async deletePurchaseEventsOlderThan(cutoffDate, limit) {
+    return deleteOlderThan('purchase_events', 'event_time', cutoffDate, limit);
+  },
+
+  async getAllCollections() {
+    const [rows] = await getPool().execute(
+      `SELECT collection_id FROM market_snapshots
+       UNION
+       SELECT collection_id FROM listing_events
+       UNION
+       SELECT collection_id FROM purchase_events`
+    );
+    return rows.map((row) => row.collection_id);
+  },
+
+  async clear() {
+    const pool = getPool();
+    await pool.query('DELETE FROM market_snapshots');
+    await pool.query('DELETE FROM listing_events');
+    await pool.query('DELETE FROM purchase_events');
+  },
+};
+
+module.exports = mysqlDataStore;
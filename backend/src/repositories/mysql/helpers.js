@@ -0,0 +1,71 @@
+const DEFAULT_BATCH_SIZE = 500;
+
+function resolveCutoffDate(cutoffDate) {
+  if (cutoffDate instanceof Date) {
+    return Number.isFinite(cutoffDate.getTime()) ? cutoffDate : null;
+  }
+
+  const parsed = new Date(cutoffDate);
+  return Number.isFinite(parsed.getTime()) ? parsed : null;
+}
+
+function normalizeLimit(limit) {
+  const parsed = parseInt(limit, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return DEFAULT_BATCH_SIZE;
+  }
+  return parsed;
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isFinite(date.getTime()) ? date : new Date();
+}
+
+function toNullableNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parsePayload(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+  return value;
+}
+
+async function ensureCollection(pool, collectionId) {
+  // Data tables reference collections(collection_id), so make sure the parent row exists.
+  await pool.execute(
+    'INSERT IGNORE INTO collections (collection_id, name) VALUES (?, ?)',
+    [collectionId, collectionId]
+  );
+}
+
+function toIsoString(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? date.toISOString() : null;
+}
+
+module.exports = {
+  resolveCutoffDate,
+  normalizeLimit,
+  toDate,
+  toNullableNumber,
+  parsePayload,
+  ensureCollection,
+  toIsoString,
+};
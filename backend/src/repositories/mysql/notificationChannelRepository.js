@@ -0,0 +1,92 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { parsePayload, toIsoString } = require('./helpers');
+
+const SELECT_COLUMNS = 'name, description, destinations, created_at, updated_at';
+
+function mapChannelRow(row) {
+  const destinations = parsePayload(row.destinations);
+  return {
+    name: row.name,
+    description: row.description,
+    destinations: Array.isArray(destinations) ? destinations : [],
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+const notificationChannelRepository = {
+  async findAll() {
+    try {
+      const [rows] = await getPool().execute(
+        `SELECT ${SELECT_COLUMNS} FROM notification_channels ORDER BY name ASC`
+      );
+      return rows.map(mapChannelRow);
+    } catch (error) {
+      logger.error('Error fetching notification channels', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findByName(name) {
+    try {
+      const [rows] = await getPool().execute(
+        `SELECT ${SELECT_COLUMNS} FROM notification_channels WHERE name = ? LIMIT 1`,
+        [name]
+      );
+      return rows.length > 0 ? mapChannelRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching notification channel', {
+        name,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async save(name, { description = null, destinations }) {
+    try {
+      await getPool().execute(
+        `INSERT INTO notification_channels (name, description, destinations)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+          description = VALUES(description),
+          destinations = VALUES(destinations)`,
+        [name, description, JSON.stringify(destinations)]
+      );
+
+      logger.info('Notification channel saved', { name, destinations: destinations.length });
+
+      return this.findByName(name);
+    } catch (error) {
+      logger.error('Error saving notification channel', {
+        name,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async delete(name) {
+    try {
+      const [result] = await getPool().execute('DELETE FROM notification_channels WHERE name = ?', [
+        name,
+      ]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting notification channel', {
+        name,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM notification_channels');
+  },
+};
+
+module.exports = { notificationChannelRepository };
@@ -0,0 +1,239 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { parsePayload, toDate, toIsoString } = require('./helpers');
+
+const SELECT_COLUMNS = `id, delivery_id, alert_id, collection_id, alert_type, channel, destination,
+  alert, status, attempts, max_attempts, next_attempt_at, last_error, delivered_at, created_at,
+  updated_at`;
+
+function mapEntryRow(row) {
+  return {
+    id: String(row.id),
+    deliveryId: row.delivery_id,
+    alertId: row.alert_id,
+    collectionId: row.collection_id,
+    alertType: row.alert_type,
+    channel: row.channel,
+    destination: parsePayload(row.destination),
+    alert: parsePayload(row.alert),
+    status: row.status,
+    attempts: Number(row.attempts),
+    maxAttempts: Number(row.max_attempts),
+    nextAttemptAt: toIsoString(row.next_attempt_at),
+    lastError: row.last_error,
+    deliveredAt: toIsoString(row.delivered_at),
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+async function findRow(id) {
+  const [rows] = await getPool().execute(
+    `SELECT ${SELECT_COLUMNS} FROM notification_outbox WHERE id = ? LIMIT 1`,
+    [id]
+  );
+  return rows.length > 0 ? mapEntryRow(rows[0]) : null;
+}
+
+const notificationOutboxRepository = {
+  async create(entryData) {
+    try {
+      const [result] = await getPool().execute(
+        `INSERT INTO notification_outbox
+          (delivery_id, alert_id, collection_id, alert_type, channel, destination, alert,
+           status, attempts, max_attempts, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entryData.deliveryId,
+          entryData.alertId || null,
+          entryData.collectionId,
+          entryData.alertType,
+          entryData.channel,
+          JSON.stringify(entryData.destination),
+          JSON.stringify(entryData.alert),
+          entryData.status || 'pending',
+          entryData.attempts || 0,
+          entryData.maxAttempts,
+          toDate(entryData.nextAttemptAt),
+        ]
+      );
+
+      return findRow(result.insertId);
+    } catch (error) {
+      logger.error('Error queueing notification', {
+        collectionId: entryData.collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findById(id) {
+    try {
+      return await findRow(id);
+    } catch (error) {
+      logger.error('Error fetching outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const where = filters.status ? 'WHERE status = ?' : '';
+      const params = filters.status ? [filters.status] : [];
+      // LIMIT/OFFSET go through query(), as in alertsRepository.findPaginated.
+      const [rows] = await getPool().query(
+        `SELECT ${SELECT_COLUMNS} FROM notification_outbox ${where}
+         ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, filters.limit || 100, filters.offset || 0]
+      );
+      return rows.map(mapEntryRow);
+    } catch (error) {
+      logger.error('Error fetching outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async countByStatus() {
+    try {
+      const counts = { pending: 0, delivering: 0, delivered: 0, dead: 0 };
+      const [rows] = await getPool().execute(
+        'SELECT status, COUNT(*) AS count FROM notification_outbox GROUP BY status'
+      );
+      rows.forEach((row) => {
+        counts[row.status] = Number(row.count);
+      });
+      return counts;
+    } catch (error) {
+      logger.error('Error counting outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Lease up to `limit` due entries until `leaseUntil`, counting an attempt for each. The
+   * update re-checks the row, so two API instances never claim the same entry; an entry whose
+   * worker died becomes due again when its lease runs out.
+   */
+  async claimDue(now, leaseUntil, limit) {
+    try {
+      const pool = getPool();
+      const dueAt = toDate(now);
+      const [candidates] = await pool.query(
+        `SELECT id FROM notification_outbox
+         WHERE status IN ('pending', 'delivering') AND next_attempt_at <= ?
+         ORDER BY next_attempt_at ASC LIMIT ?`,
+        [dueAt, limit]
+      );
+
+      const claimed = [];
+      for (const { id } of candidates) {
+        const [result] = await pool.execute(
+          `UPDATE notification_outbox
+           SET status = 'delivering', attempts = attempts + 1, next_attempt_at = ?
+           WHERE id = ? AND status IN ('pending', 'delivering') AND next_attempt_at <= ?`,
+          [toDate(leaseUntil), id, dueAt]
+        );
+        if (result.affectedRows > 0) {
+          claimed.push(await findRow(id));
+        }
+      }
+
+      return claimed;
+    } catch (error) {
+      logger.error('Error claiming outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async markDelivered(id, deliveredAt = new Date()) {
+    try {
+      await getPool().execute(
+        `UPDATE notification_outbox
+         SET status = 'delivered', delivered_at = ?, last_error = NULL
+         WHERE id = ?`,
+        [toDate(deliveredAt), id]
+      );
+      return findRow(id);
+    } catch (error) {
+      logger.error('Error updating outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async markFailed(id, { error: lastError, nextAttemptAt }) {
+    try {
+      if (nextAttemptAt) {
+        await getPool().execute(
+          `UPDATE notification_outbox
+           SET status = 'pending', last_error = ?, next_attempt_at = ?
+           WHERE id = ?`,
+          [lastError, toDate(nextAttemptAt), id]
+        );
+      } else {
+        await getPool().execute(
+          `UPDATE notification_outbox SET status = 'dead', last_error = ? WHERE id = ?`,
+          [lastError, id]
+        );
+      }
+      return findRow(id);
+    } catch (error) {
+      logger.error('Error updating outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async requeue(id, now = new Date()) {
+    try {
+      const [result] = await getPool().execute(
+        `UPDATE notification_outbox
+         SET status = 'pending', attempts = 0, next_attempt_at = ?
+         WHERE id = ? AND status = 'dead'`,
+        [toDate(now), id]
+      );
+      return result.affectedRows > 0 ? findRow(id) : null;
+    } catch (error) {
+      logger.error('Error requeueing outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async deleteDelivered(before) {
+    try {
+      const [result] = await getPool().execute(
+        `DELETE FROM notification_outbox WHERE status = 'delivered' AND delivered_at < ?`,
+        [toDate(before)]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error pruning outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM notification_outbox');
+  },
+};
+
+module.exports = { notificationOutboxRepository };
@@ -0,0 +1,192 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { parsePayload, toDate, toIsoString } = require('./helpers');
+
+const WINDOW_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  collectionId: 'collection_id',
+  kind: 'kind',
+  action: 'action',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  daysOfWeek: 'days_of_week',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  timezone: 'timezone',
+  alertTypes: 'alert_types',
+  severities: 'severities',
+};
+
+const JSON_FIELDS = ['daysOfWeek', 'alertTypes', 'severities'];
+const TIMESTAMP_FIELDS = ['startsAt', 'endsAt'];
+
+function toColumnValue(field, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (JSON_FIELDS.includes(field)) {
+    return JSON.stringify(value);
+  }
+  if (TIMESTAMP_FIELDS.includes(field)) {
+    return toDate(value);
+  }
+  return value;
+}
+
+function parseList(value) {
+  return value === null || value === undefined ? null : parsePayload(value);
+}
+
+function mapWindowRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    description: row.description,
+    collectionId: row.collection_id,
+    kind: row.kind,
+    action: row.action,
+    startsAt: toIsoString(row.starts_at),
+    endsAt: toIsoString(row.ends_at),
+    daysOfWeek: parseList(row.days_of_week),
+    startTime: row.start_time,
+    endTime: row.end_time,
+    timezone: row.timezone,
+    alertTypes: parseList(row.alert_types),
+    severities: parseList(row.severities),
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+const suppressionWindowRepository = {
+  async create(windowData) {
+    try {
+      const fields = Object.keys(WINDOW_COLUMNS).filter((field) => windowData[field] !== undefined);
+      const [result] = await getPool().execute(
+        `INSERT INTO suppression_windows (${fields.map((field) => WINDOW_COLUMNS[field]).join(', ')})
+         VALUES (${fields.map(() => '?').join(', ')})`,
+        fields.map((field) => toColumnValue(field, windowData[field]))
+      );
+
+      const window = await this.findById(String(result.insertId));
+      logger.info('Suppression window created', { windowId: window.id, name: window.name });
+      return window;
+    } catch (error) {
+      logger.error('Error creating suppression window', { error: error.message });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const clauses = [];
+      const params = [];
+
+      if (filters.collectionId !== undefined) {
+        clauses.push('collection_id = ?');
+        params.push(filters.collectionId);
+      }
+
+      if (filters.kind !== undefined) {
+        clauses.push('kind = ?');
+        params.push(filters.kind);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const [rows] = await getPool().execute(
+        `SELECT * FROM suppression_windows ${where} ORDER BY id ASC`,
+        params
+      );
+      return rows.map(mapWindowRow);
+    } catch (error) {
+      logger.error('Error fetching suppression windows', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async findById(id) {
+    try {
+      const [rows] = await getPool().execute(
+        'SELECT * FROM suppression_windows WHERE id = ? LIMIT 1',
+        [id]
+      );
+      return rows.length > 0 ? mapWindowRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding suppression window', { windowId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Windows that may apply to the collection's alerts at `at`: its own and the global ones,
+   * leaving out maintenance windows that have already ended.
+   */
+  async findApplicable(collectionId, at) {
+    try {
+      const [rows] = await getPool().execute(
+        `SELECT * FROM suppression_windows
+         WHERE (collection_id IS NULL OR collection_id = ?)
+           AND (kind <> 'maintenance' OR ends_at > ?)
+         ORDER BY id ASC`,
+        [collectionId, toDate(at)]
+      );
+      return rows.map(mapWindowRow);
+    } catch (error) {
+      logger.error('Error fetching applicable suppression windows', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async update(id, updates) {
+    try {
+      const pool = getPool();
+      const fields = Object.keys(WINDOW_COLUMNS).filter((field) => updates[field] !== undefined);
+
+      const existing = await this.findById(id);
+      if (!existing) {
+        logger.warn('Suppression window not found for update', { windowId: id });
+        return null;
+      }
+
+      if (fields.length > 0) {
+        await pool.execute(
+          `UPDATE suppression_windows
+           SET ${fields.map((field) => `${WINDOW_COLUMNS[field]} = ?`).join(', ')}
+           WHERE id = ?`,
+          [...fields.map((field) => toColumnValue(field, updates[field])), id]
+        );
+      }
+
+      logger.info('Suppression window updated', { windowId: String(id), updates: fields });
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating suppression window', { windowId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async delete(id) {
+    try {
+      const [result] = await getPool().execute('DELETE FROM suppression_windows WHERE id = ?', [
+        id,
+      ]);
+      if (result.affectedRows > 0) {
+        logger.info('Suppression window deleted', { windowId: String(id) });
+      }
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting suppression window', { windowId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM suppression_windows');
+  },
+};
+
+module.exports = { suppressionWindowRepository };
@@ -0,0 +1,105 @@
+const logger = require('../../utils/logger');
+const { getPool } = require('../../lib/db');
+const { parsePayload, ensureCollection, toIsoString } = require('./helpers');
+
+const SELECT_COLUMNS = `collection_id, display_name, is_enabled, alert_thresholds,
+  notification_channel, created_at, updated_at`;
+
+function mapTrackedCollectionRow(row) {
+  return {
+    collectionId: row.collection_id,
+    displayName: row.display_name,
+    isEnabled: Boolean(row.is_enabled),
+    alertThresholds: row.alert_thresholds ? parsePayload(row.alert_thresholds) : null,
+    notificationChannel: row.notification_channel || null,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+  };
+}
+
+const trackedCollectionRepository = {
+  async getTrackedCollection(collectionId) {
+    try {
+      const [rows] = await getPool().execute(
+        `SELECT ${SELECT_COLUMNS} FROM tracked_collections WHERE collection_id = ? LIMIT 1`,
+        [collectionId]
+      );
+      return rows.length > 0 ? mapTrackedCollectionRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching tracked collection', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getAllTrackedCollections() {
+    try {
+      const [rows] = await getPool().execute(
+        `SELECT ${SELECT_COLUMNS} FROM tracked_collections ORDER BY collection_id ASC`
+      );
+      return rows.map(mapTrackedCollectionRow);
+    } catch (error) {
+      logger.error('Error fetching tracked collections', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async setAlertThresholds(collectionId, alertThresholds) {
+    try {
+      const pool = getPool();
+      await ensureCollection(pool, collectionId);
+
+      // Setting thresholds starts tracking the collection if it is not tracked yet.
+      await pool.execute(
+        `INSERT INTO tracked_collections (collection_id, display_name, alert_thresholds)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE alert_thresholds = VALUES(alert_thresholds)`,
+        [collectionId, collectionId, alertThresholds ? JSON.stringify(alertThresholds) : null]
+      );
+
+      logger.debug('Alert thresholds updated', { collectionId, alertThresholds });
+
+      return this.getTrackedCollection(collectionId);
+    } catch (error) {
+      logger.error('Error updating alert thresholds', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async setNotificationChannel(collectionId, notificationChannel) {
+    try {
+      const pool = getPool();
+      await ensureCollection(pool, collectionId);
+
+      await pool.execute(
+        `INSERT INTO tracked_collections (collection_id, display_name, notification_channel)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE notification_channel = VALUES(notification_channel)`,
+        [collectionId, collectionId, notificationChannel]
+      );
+
+      logger.debug('Notification channel updated', { collectionId, notificationChannel });
+
+      return this.getTrackedCollection(collectionId);
+    } catch (error) {
+      logger.error('Error updating notification channel', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    await getPool().query('DELETE FROM tracked_collections');
+  },
+};
+
+module.exports = { trackedCollectionRepository };
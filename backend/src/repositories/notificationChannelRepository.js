@@ -0,0 +1,4 @@
+// Resolves to the notificationChannelRepository of the driver selected by STORAGE_DRIVER.
+const { notificationChannelRepository } = require('./storage').getStorage();
+
+module.exports = { notificationChannelRepository };
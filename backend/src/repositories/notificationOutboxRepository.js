@@ -0,0 +1,4 @@
+// Resolves to the notificationOutboxRepository of the driver selected by STORAGE_DRIVER.
+const { notificationOutboxRepository } = require('./storage').getStorage();
+
+module.exports = { notificationOutboxRepository };
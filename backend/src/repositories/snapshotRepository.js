@@ -15,7 +15,7 @@ const snapshotRepository = {
         ...snapshotData,
       };
 
-      dataStore.addMarketSnapshot(collectionId, snapshot);
+      await dataStore.addMarketSnapshot(collectionId, snapshot);
 
       logger.debug('Snapshot inserted', {
         collectionId,
@@ -34,7 +34,7 @@ const snapshotRepository = {
 
   async getSnapshotById(snapshotId, collectionId) {
     try {
-      const snapshots = dataStore.getMarketSnapshots(collectionId);
+      const snapshots = await dataStore.getMarketSnapshots(collectionId);
       return snapshots.find(s => s.id === snapshotId) || null;
     } catch (error) {
       logger.error('Error fetching snapshot', {
@@ -48,7 +48,7 @@ const snapshotRepository = {
 
   async getCollectionSnapshots(collectionId) {
     try {
-      return dataStore.getMarketSnapshots(collectionId);
+      return await dataStore.getMarketSnapshots(collectionId);
     } catch (error) {
       logger.error('Error fetching collection snapshots', {
         collectionId,
@@ -60,7 +60,7 @@ const snapshotRepository = {
 
   async deleteOlderThan(cutoffDate, limit) {
     try {
-      return dataStore.deleteMarketSnapshotsOlderThan(cutoffDate, limit);
+      return await dataStore.deleteMarketSnapshotsOlderThan(cutoffDate, limit);
     } catch (error) {
       logger.error('Error deleting old snapshots', {
         error: error.message,
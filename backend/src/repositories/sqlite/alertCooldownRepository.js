@@ -0,0 +1,101 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { toTimestamp } = require('./helpers');
+
+function mapCooldownRow(row) {
+  return {
+    collectionId: row.collection_id,
+    alertType: row.alert_type,
+    lastTriggeredAt: row.last_triggered_at,
+  };
+}
+
+const alertCooldownRepository = {
+  /**
+   * Record a trigger for the pair unless it already triggered within `cooldownWindow` ms.
+   * Each statement is atomic, so concurrent processes cannot both claim the same trigger.
+   */
+  async claim(collectionId, alertType, cooldownWindow, now = new Date()) {
+    try {
+      const db = getDatabase();
+      const triggeredAt = toTimestamp(now);
+
+      const inserted = db
+        .prepare(
+          `INSERT OR IGNORE INTO alert_cooldowns (collection_id, alert_type, last_triggered_at)
+           VALUES (?, ?, ?)`
+        )
+        .run(collectionId, alertType, triggeredAt);
+      if (inserted.changes > 0) {
+        return true;
+      }
+
+      // ISO timestamps of the same format compare correctly as text.
+      const updated = db
+        .prepare(
+          `UPDATE alert_cooldowns SET last_triggered_at = ?
+           WHERE collection_id = ? AND alert_type = ? AND last_triggered_at <= ?`
+        )
+        .run(
+          triggeredAt,
+          collectionId,
+          alertType,
+          toTimestamp(new Date(now).getTime() - cooldownWindow)
+        );
+      return updated.changes > 0;
+    } catch (error) {
+      logger.error('Error recording alert cooldown', {
+        collectionId,
+        alertType,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const where = filters.collectionId ? 'WHERE collection_id = ?' : '';
+      const params = filters.collectionId ? [filters.collectionId] : [];
+      const rows = getDatabase()
+        .prepare(
+          `SELECT collection_id, alert_type, last_triggered_at FROM alert_cooldowns ${where}
+           ORDER BY collection_id ASC, alert_type ASC`
+        )
+        .all(...params);
+      return rows.map(mapCooldownRow);
+    } catch (error) {
+      logger.error('Error fetching alert cooldowns', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async delete(collectionId, alertType) {
+    try {
+      const result = alertType
+        ? getDatabase()
+            .prepare('DELETE FROM alert_cooldowns WHERE collection_id = ? AND alert_type = ?')
+            .run(collectionId, alertType)
+        : getDatabase()
+            .prepare('DELETE FROM alert_cooldowns WHERE collection_id = ?')
+            .run(collectionId);
+
+      logger.debug('Alert cooldowns cleared', { collectionId, alertType, cleared: result.changes });
+      return result.changes;
+    } catch (error) {
+      logger.error('Error clearing alert cooldowns', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM alert_cooldowns');
+  },
+};
+
+module.exports = { alertCooldownRepository };
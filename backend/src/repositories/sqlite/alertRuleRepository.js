@@ -0,0 +1,152 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { ensureCollection } = require('./helpers');
+
+const RULE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  collectionId: 'collection_id',
+  condition: 'condition_expression',
+  severity: 'severity',
+  message: 'message_template',
+  cooldownMinutes: 'cooldown_minutes',
+  enabled: 'is_enabled',
+};
+
+function toColumnValue(field, value) {
+  if (field === 'enabled') {
+    return value ? 1 : 0;
+  }
+  return value === undefined ? null : value;
+}
+
+function mapRuleRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    description: row.description,
+    collectionId: row.collection_id,
+    condition: row.condition_expression,
+    severity: row.severity,
+    message: row.message_template,
+    cooldownMinutes: row.cooldown_minutes,
+    enabled: Boolean(row.is_enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const alertRuleRepository = {
+  async create(ruleData) {
+    try {
+      const db = getDatabase();
+      if (ruleData.collectionId) {
+        ensureCollection(db, ruleData.collectionId);
+      }
+
+      const fields = Object.keys(RULE_COLUMNS).filter((field) => ruleData[field] !== undefined);
+      const result = db
+        .prepare(
+          `INSERT INTO alert_rules (${fields.map((field) => RULE_COLUMNS[field]).join(', ')})
+           VALUES (${fields.map(() => '?').join(', ')})`
+        )
+        .run(...fields.map((field) => toColumnValue(field, ruleData[field])));
+
+      const rule = await this.findById(String(result.lastInsertRowid));
+      logger.info('Alert rule created', { ruleId: rule.id, name: rule.name });
+      return rule;
+    } catch (error) {
+      logger.error('Error creating alert rule', { error: error.message });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const clauses = [];
+      const params = [];
+
+      if (filters.collectionId !== undefined) {
+        clauses.push('collection_id = ?');
+        params.push(filters.collectionId);
+      }
+
+      if (filters.enabled !== undefined) {
+        clauses.push('is_enabled = ?');
+        params.push(filters.enabled ? 1 : 0);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const rows = getDatabase()
+        .prepare(`SELECT * FROM alert_rules ${where} ORDER BY id ASC`)
+        .all(...params);
+      return rows.map(mapRuleRow);
+    } catch (error) {
+      logger.error('Error fetching alert rules', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async findById(id) {
+    try {
+      const row = getDatabase().prepare('SELECT * FROM alert_rules WHERE id = ?').get(id);
+      return row ? mapRuleRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding alert rule', { ruleId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async update(id, updates) {
+    try {
+      const db = getDatabase();
+      const fields = Object.keys(RULE_COLUMNS).filter((field) => updates[field] !== undefined);
+
+      if (updates.collectionId) {
+        ensureCollection(db, updates.collectionId);
+      }
+
+      const result = db
+        .prepare(
+          `UPDATE alert_rules
+           SET ${[...fields.map((field) => `${RULE_COLUMNS[field]} = ?`), 'updated_at = ?'].join(', ')}
+           WHERE id = ?`
+        )
+        .run(
+          ...fields.map((field) => toColumnValue(field, updates[field])),
+          new Date().toISOString(),
+          id
+        );
+
+      if (result.changes === 0) {
+        logger.warn('Alert rule not found for update', { ruleId: id });
+        return null;
+      }
+
+      logger.info('Alert rule updated', { ruleId: String(id), updates });
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating alert rule', { ruleId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async delete(id) {
+    try {
+      const result = getDatabase().prepare('DELETE FROM alert_rules WHERE id = ?').run(id);
+      if (result.changes > 0) {
+        logger.info('Alert rule deleted', { ruleId: String(id) });
+      }
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error deleting alert rule', { ruleId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM alert_rules');
+  },
+};
+
+module.exports = { alertRuleRepository };
@@ -0,0 +1,397 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const {
+  resolveCutoffDate,
+  normalizeLimit,
+  toDate,
+  ensureCollection,
+} = require('./helpers');
+
+const TIME_WINDOWS = {
+  '1h': 1 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '72h': 72 * 60 * 60 * 1000,
+};
+
+function toMetricDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+// analytics_metrics stores one scalar per metric_type, so nested metric objects
+// (listingMetrics, purchaseMetrics) are flattened to dotted types and rebuilt on read.
+function flattenMetrics(data, prefix = '') {
+  const entries = [];
+
+  Object.entries(data || {}).forEach(([key, value]) => {
+    const type = `${prefix}${key}`;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      entries.push([type, value]);
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      entries.push(...flattenMetrics(value, `${type}.`));
+    }
+  });
+
+  return entries;
+}
+
+function assignMetric(target, type, value) {
+  const path = type.split('.');
+  let node = target;
+  for (let i = 0; i < path.length - 1; i += 1) {
+    node[path[i]] = node[path[i]] || {};
+    node = node[path[i]];
+  }
+  node[path[path.length - 1]] = value;
+}
+
+function groupRowsIntoPoints(rows) {
+  const points = new Map();
+
+  rows.forEach((row) => {
+    const key = `${row.collection_id}:${row.metric_timeframe}:${row.metric_date}`;
+    let point = points.get(key);
+
+    if (!point) {
+      point = {
+        id: String(row.id),
+        collectionId: row.collection_id,
+        window: row.metric_timeframe,
+        metricDate: row.metric_date,
+        timestamp: row.computed_at,
+      };
+      points.set(key, point);
+    }
+
+    if (Number(row.id) < Number(point.id)) {
+      point.id = String(row.id);
+    }
+
+    if (row.computed_at > point.timestamp) {
+      point.timestamp = row.computed_at;
+    }
+
+    assignMetric(point, row.metric_type, Number(row.metric_value));
+  });
+
+  return Array.from(points.values());
+}
+
+function sortByTimestamp(points, direction = 'desc') {
+  return points.sort((a, b) => {
+    const diff = new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+    return direction === 'asc' ? diff : -diff;
+  });
+}
+
+function buildInClause(column, values) {
+  return {
+    sql: `${column} IN (${values.map(() => '?').join(', ')})`,
+    params: values,
+  };
+}
+
+function buildDateRange(clauses, params, options) {
+  if (options.from) {
+    clauses.push('metric_date >= ?');
+    params.push(toMetricDate(options.from));
+  }
+
+  if (options.to) {
+    clauses.push('metric_date <= ?');
+    params.push(toMetricDate(options.to));
+  }
+}
+
+function loadPoints(whereSql, params) {
+  const rows = getDatabase()
+    .prepare(
+      `SELECT id, collection_id, metric_date, metric_type, metric_timeframe, metric_value, computed_at
+       FROM analytics_metrics
+       ${whereSql}`
+    )
+    .all(...params);
+  return groupRowsIntoPoints(rows);
+}
+
+const analyticsRepository = {
+  async upsertMetrics(collectionId, window, metricsData, options = {}) {
+    try {
+      const db = getDatabase();
+      ensureCollection(db, collectionId);
+
+      const computedAt = toDate(options.timestamp).toISOString();
+      const metricDate = toMetricDate(computedAt);
+      const entries = flattenMetrics(metricsData);
+
+      const upsert = db.prepare(
+        `INSERT INTO analytics_metrics
+          (collection_id, metric_date, metric_type, metric_timeframe, metric_value, computed_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (collection_id, metric_date, metric_type, metric_timeframe) DO UPDATE SET
+          metric_value = excluded.metric_value,
+          computed_at = excluded.computed_at`
+      );
+      // Metrics that turned null since the last refresh of the day are dropped from the point.
+      const dropStale = db.prepare(
+        `DELETE FROM analytics_metrics
+         WHERE collection_id = ? AND metric_date = ? AND metric_timeframe = ? AND computed_at < ?`
+      );
+
+      db.transaction(() => {
+        entries.forEach(([type, value]) => {
+          upsert.run(collectionId, metricDate, type, window, value, computedAt);
+        });
+        dropStale.run(collectionId, metricDate, window, computedAt);
+      })();
+
+      const [point] = loadPoints(
+        'WHERE collection_id = ? AND metric_timeframe = ? AND metric_date = ?',
+        [collectionId, window, metricDate]
+      );
+
+      logger.info('Metrics upserted', {
+        collectionId,
+        window,
+        metricDate,
+        timestamp: computedAt,
+      });
+
+      return point || {
+        collectionId,
+        window,
+        metricDate,
+        timestamp: computedAt,
+        ...metricsData,
+      };
+    } catch (error) {
+      logger.error('Error upserting metrics', {
+        collectionId,
+        window,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findMetrics(filters = {}) {
+    try {
+      const clauses = [];
+      const params = [];
+
+      if (filters.collectionId) {
+        clauses.push('collection_id = ?');
+        params.push(filters.collectionId);
+      }
+
+      if (filters.collectionIds && Array.isArray(filters.collectionIds) && filters.collectionIds.length > 0) {
+        const inClause = buildInClause('collection_id', filters.collectionIds);
+        clauses.push(inClause.sql);
+        params.push(...inClause.params);
+      }
+
+      if (filters.window) {
+        clauses.push('metric_timeframe = ?');
+        params.push(filters.window);
+      }
+
+      if (filters.windows && Array.isArray(filters.windows) && filters.windows.length > 0) {
+        const inClause = buildInClause('metric_timeframe', filters.windows);
+        clauses.push(inClause.sql);
+        params.push(...inClause.params);
+      }
+
+      const whereSql = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+      // Only the newest day per (collection, window) represents the current state.
+      const rows = getDatabase()
+        .prepare(
+          `SELECT m.id, m.collection_id, m.metric_date, m.metric_type, m.metric_timeframe,
+                  m.metric_value, m.computed_at
+           FROM analytics_metrics m
+           JOIN (
+             SELECT collection_id, metric_timeframe, MAX(metric_date) AS metric_date
+             FROM analytics_metrics
+             ${whereSql}
+             GROUP BY collection_id, metric_timeframe
+           ) latest
+             ON latest.collection_id = m.collection_id
+            AND latest.metric_timeframe = m.metric_timeframe
+            AND latest.metric_date = m.metric_date`
+        )
+        .all(...params);
+
+      return sortByTimestamp(groupRowsIntoPoints(rows));
+    } catch (error) {
+      logger.error('Error fetching metrics', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getMetricHistory(collectionId, window, options = {}) {
+    try {
+      const clauses = ['collection_id = ?', 'metric_timeframe = ?'];
+      const params = [collectionId, window];
+      buildDateRange(clauses, params, options);
+
+      return sortByTimestamp(loadPoints(`WHERE ${clauses.join(' AND ')}`, params), 'asc');
+    } catch (error) {
+      logger.error('Error fetching metric history', {
+        collectionId,
+        window,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getMetricSeries(collectionId, window, metricType, options = {}) {
+    try {
+      const clauses = ['collection_id = ?', 'metric_timeframe = ?', 'metric_type = ?'];
+      const params = [collectionId, window, metricType];
+      buildDateRange(clauses, params, options);
+
+      const rows = getDatabase()
+        .prepare(
+          `SELECT metric_date, metric_value, computed_at
+           FROM analytics_metrics
+           WHERE ${clauses.join(' AND ')}
+           ORDER BY metric_date ASC`
+        )
+        .all(...params);
+
+      return rows.map((row) => ({
+        metricDate: row.metric_date,
+        timestamp: row.computed_at,
+        value: Number(row.metric_value),
+      }));
+    } catch (error) {
+      logger.error('Error fetching metric series', {
+        collectionId,
+        window,
+        metricType,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findMetricsById(metricId) {
+    try {
+      const row = getDatabase()
+        .prepare('SELECT collection_id, metric_timeframe, metric_date FROM analytics_metrics WHERE id = ?')
+        .get(metricId);
+
+      if (!row) {
+        return null;
+      }
+
+      const [point] = loadPoints(
+        'WHERE collection_id = ? AND metric_timeframe = ? AND metric_date = ?',
+        [row.collection_id, row.metric_timeframe, row.metric_date]
+      );
+      return point || null;
+    } catch (error) {
+      logger.error('Error finding metric', {
+        metricId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getCollectionMetrics(collectionId) {
+    try {
+      return await this.findMetrics({ collectionId });
+    } catch (error) {
+      logger.error('Error fetching collection metrics', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getAllCollections() {
+    try {
+      const rows = getDatabase()
+        .prepare('SELECT DISTINCT collection_id FROM analytics_metrics')
+        .all();
+      return rows.map((row) => row.collection_id);
+    } catch (error) {
+      logger.error('Error fetching all collections', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getTimeWindows() {
+    return Object.keys(TIME_WINDOWS);
+  },
+
+  async getWindowDuration(window) {
+    return TIME_WINDOWS[window] || null;
+  },
+
+  async deleteOlderThan(cutoffDate, limit) {
+    try {
+      const cutoff = resolveCutoffDate(cutoffDate);
+      if (!cutoff) {
+        return 0;
+      }
+
+      const result = getDatabase()
+        .prepare(
+          `DELETE FROM analytics_metrics WHERE id IN (
+             SELECT id FROM analytics_metrics WHERE computed_at < ? ORDER BY computed_at ASC LIMIT ?
+           )`
+        )
+        .run(cutoff.toISOString(), normalizeLimit(limit));
+      return result.changes;
+    } catch (error) {
+      logger.error('Error deleting old analytics metrics', {
+        cutoffDate,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM analytics_metrics');
+  },
+
+  async getLastRefreshTime(collectionId) {
+    try {
+      const row = getDatabase()
+        .prepare('SELECT MAX(computed_at) AS lastRefresh FROM analytics_metrics WHERE collection_id = ?')
+        .get(collectionId);
+      return (row && row.lastRefresh) || null;
+    } catch (error) {
+      logger.error('Error getting last refresh time', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getMetricsCount() {
+    const row = getDatabase()
+      .prepare(
+        `SELECT COUNT(*) AS total FROM (
+           SELECT DISTINCT collection_id, metric_timeframe, metric_date FROM analytics_metrics
+         )`
+      )
+      .get();
+    return Number(row.total);
+  },
+};
+
+module.exports = { analyticsRepository };
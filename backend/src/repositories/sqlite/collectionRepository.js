@@ -0,0 +1,91 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { parsePayload } = require('./helpers');
+
+function mapCollectionRow(row) {
+  return {
+    id: row.collection_id,
+    name: row.name,
+    ...parsePayload(row.metadata),
+    updatedAt: row.updated_at,
+  };
+}
+
+const collectionRepository = {
+  async upsertCollection(collectionId, metadata = {}) {
+    try {
+      const data = metadata || {};
+
+      // Rows created implicitly by the data tables only carry the id as name,
+      // so an upsert without a name keeps whatever is already stored.
+      getDatabase()
+        .prepare(
+          `INSERT INTO collections (collection_id, slug, name, source, metadata, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT (collection_id) DO UPDATE SET
+            slug = COALESCE(excluded.slug, slug),
+            name = CASE WHEN ? IS NULL THEN name ELSE excluded.name END,
+            source = COALESCE(excluded.source, source),
+            metadata = excluded.metadata,
+            updated_at = excluded.updated_at`
+        )
+        .run(
+          collectionId,
+          data.slug || null,
+          data.name || collectionId,
+          data.source || null,
+          JSON.stringify(data),
+          new Date().toISOString(),
+          data.name || null
+        );
+
+      logger.debug('Collection upserted', {
+        collectionId,
+        metadata: data,
+      });
+
+      return this.getCollection(collectionId);
+    } catch (error) {
+      logger.error('Error upserting collection', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getCollection(collectionId) {
+    try {
+      const row = getDatabase()
+        .prepare('SELECT collection_id, name, metadata, updated_at FROM collections WHERE collection_id = ?')
+        .get(collectionId);
+      return row ? mapCollectionRow(row) : null;
+    } catch (error) {
+      logger.error('Error fetching collection', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getAllCollections() {
+    try {
+      const rows = getDatabase()
+        .prepare('SELECT collection_id, name, metadata, updated_at FROM collections ORDER BY collection_id ASC')
+        .all();
+      return rows.map(mapCollectionRow);
+    } catch (error) {
+      logger.error('Error fetching all collections', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM collections');
+  },
+};
+
+module.exports = collectionRepository;
@@ -0,0 +1,133 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { toTimestamp } = require('./helpers');
+
+function mapCheckpointRow(row) {
+  return {
+    targetId: row.target_id,
+    collectionId: row.collection_id,
+    stream: row.stream,
+    lastEventAt: row.last_event_at,
+    lastEventId: row.last_event_id,
+    cursor: row.next_cursor,
+    updatedAt: row.updated_at,
+  };
+}
+
+function buildWhereClause(filters) {
+  const clauses = [];
+  const params = [];
+
+  if (filters.targetId) {
+    clauses.push('target_id = ?');
+    params.push(filters.targetId);
+  }
+
+  if (filters.collectionId) {
+    clauses.push('collection_id = ?');
+    params.push(filters.collectionId);
+  }
+
+  return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+const crawlCheckpointRepository = {
+  async findAll(filters = {}) {
+    try {
+      const { where, params } = buildWhereClause(filters);
+      const rows = getDatabase()
+        .prepare(
+          `SELECT * FROM crawl_checkpoints ${where}
+           ORDER BY target_id ASC, collection_id ASC, stream ASC`
+        )
+        .all(...params);
+      return rows.map(mapCheckpointRow);
+    } catch (error) {
+      logger.error('Error fetching crawl checkpoints', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async find(targetId, collectionId, stream) {
+    try {
+      const row = getDatabase()
+        .prepare(
+          `SELECT * FROM crawl_checkpoints
+           WHERE target_id = ? AND collection_id = ? AND stream = ?`
+        )
+        .get(targetId, collectionId, stream);
+      return row ? mapCheckpointRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding crawl checkpoint', {
+        targetId,
+        collectionId,
+        stream,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async save({
+    targetId,
+    collectionId,
+    stream,
+    lastEventAt = null,
+    lastEventId = null,
+    cursor = null,
+  }) {
+    try {
+      getDatabase()
+        .prepare(
+          `INSERT INTO crawl_checkpoints
+            (target_id, collection_id, stream, last_event_at, last_event_id, next_cursor, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (target_id, collection_id, stream) DO UPDATE SET
+            last_event_at = excluded.last_event_at,
+            last_event_id = excluded.last_event_id,
+            next_cursor = excluded.next_cursor,
+            updated_at = excluded.updated_at`
+        )
+        .run(
+          targetId,
+          collectionId,
+          stream,
+          lastEventAt ? toTimestamp(lastEventAt) : null,
+          lastEventId,
+          cursor,
+          new Date().toISOString()
+        );
+
+      return this.find(targetId, collectionId, stream);
+    } catch (error) {
+      logger.error('Error saving crawl checkpoint', {
+        targetId,
+        collectionId,
+        stream,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async delete(filters = {}) {
+    try {
+      const { where, params } = buildWhereClause(filters);
+      const result = getDatabase()
+        .prepare(`DELETE FROM crawl_checkpoints ${where}`)
+        .run(...params);
+
+      logger.info('Crawl checkpoints cleared', { ...filters, cleared: result.changes });
+      return result.changes;
+    } catch (error) {
+      logger.error('Error clearing crawl checkpoints', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM crawl_checkpoints');
+  },
+};
+
+module.exports = { crawlCheckpointRepository };
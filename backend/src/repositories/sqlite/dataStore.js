@@ -0,0 +1,213 @@
+const { getDatabase } = require('../../lib/sqlite');
+const {
+  resolveCutoffDate,
+  normalizeLimit,
+  toTimestamp,
+  toNullableNumber,
+  parsePayload,
+  ensureCollection,
+} = require('./helpers');
+
+function resolveSourceId(event) {
+  return String(
+    event.id || event.eventId || event.sourceId || `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`
+  );
+}
+
+// Rows are mapped back onto the stored payload so callers get the same shape
+// the in-memory store returns.
+function mapSnapshotRow(row) {
+  return {
+    ...parsePayload(row.raw_payload),
+    id: String(row.id),
+    collectionId: row.collection_id,
+    timestamp: row.snapshot_time,
+  };
+}
+
+function mapEventRow(row) {
+  return {
+    ...parsePayload(row.raw_payload),
+    id: row.source_id,
+    collectionId: row.collection_id,
+    timestamp: row.event_time,
+    price: toNullableNumber(row.price),
+    quantity: toNullableNumber(row.quantity),
+  };
+}
+
+function deleteOlderThan(table, timeColumn, cutoffDate, limit) {
+  const cutoff = resolveCutoffDate(cutoffDate);
+  if (!cutoff) {
+    return 0;
+  }
+
+  // DELETE ... LIMIT is a compile-time option in SQLite, so the batch is picked by id.
+  const result = getDatabase()
+    .prepare(
+      `DELETE FROM ${table} WHERE id IN (
+         SELECT id FROM ${table} WHERE ${timeColumn} < ? ORDER BY ${timeColumn} ASC LIMIT ?
+       )`
+    )
+    .run(cutoff.toISOString(), normalizeLimit(limit));
+
+  return result.changes;
+}
+
+const sqliteDataStore = {
+  async addMarketSnapshot(collectionId, snapshot = {}) {
+    const db = getDatabase();
+    ensureCollection(db, collectionId);
+
+    const snapshotTime = toTimestamp(snapshot.timestamp);
+    const payload = { ...snapshot, collectionId, timestamp: snapshotTime };
+
+    db.prepare(
+      `INSERT INTO market_snapshots
+        (collection_id, snapshot_time, floor_price, ceiling_price, listed_count, sales_24h, volume_24h, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (collection_id, snapshot_time) DO UPDATE SET
+        floor_price = excluded.floor_price,
+        ceiling_price = excluded.ceiling_price,
+        listed_count = excluded.listed_count,
+        sales_24h = excluded.sales_24h,
+        volume_24h = excluded.volume_24h,
+        raw_payload = excluded.raw_payload`
+    ).run(
+      collectionId,
+      snapshotTime,
+      toNullableNumber(snapshot.floorPrice),
+      toNullableNumber(snapshot.ceilingPrice),
+      toNullableNumber(snapshot.totalListings ?? snapshot.listedCount),
+      toNullableNumber(snapshot.sales24h),
+      toNullableNumber(snapshot.volume24h),
+      JSON.stringify(payload)
+    );
+  },
+
+  async addListingEvent(collectionId, event = {}) {
+    const db = getDatabase();
+    ensureCollection(db, collectionId);
+
+    const eventTime = toTimestamp(event.timestamp);
+    const payload = { type: 'listing', ...event, collectionId, timestamp: eventTime };
+
+    db.prepare(
+      `INSERT INTO listing_events
+        (collection_id, source_id, event_time, price, quantity, seller, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (source_id) DO UPDATE SET
+        event_time = excluded.event_time,
+        price = excluded.price,
+        quantity = excluded.quantity,
+        seller = excluded.seller,
+        raw_payload = excluded.raw_payload`
+    ).run(
+      collectionId,
+      resolveSourceId(event),
+      eventTime,
+      toNullableNumber(event.price) ?? 0,
+      toNullableNumber(event.quantity) ?? 1,
+      event.seller || null,
+      JSON.stringify(payload)
+    );
+  },
+
+  async addPurchaseEvent(collectionId, event = {}) {
+    const db = getDatabase();
+    ensureCollection(db, collectionId);
+
+    const eventTime = toTimestamp(event.timestamp);
+    const payload = { ...event, collectionId, timestamp: eventTime };
+
+    db.prepare(
+      `INSERT INTO purchase_events
+        (collection_id, source_id, event_time, price, quantity, buyer, seller, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (source_id) DO UPDATE SET
+        event_time = excluded.event_time,
+        price = excluded.price,
+        quantity = excluded.quantity,
+        buyer = excluded.buyer,
+        seller = excluded.seller,
+        raw_payload = excluded.raw_payload`
+    ).run(
+      collectionId,
+      resolveSourceId(event),
+      eventTime,
+      toNullableNumber(event.price) ?? 0,
+      toNullableNumber(event.quantity) ?? 1,
+      event.buyer || null,
+      event.seller || null,
+      JSON.stringify(payload)
+    );
+  },
+
+  async getMarketSnapshots(collectionId) {
+    const rows = getDatabase()
+      .prepare(
+        `SELECT id, collection_id, snapshot_time, raw_payload
+         FROM market_snapshots
+         WHERE collection_id = ?
+         ORDER BY snapshot_time ASC, id ASC`
+      )
+      .all(collectionId);
+    return rows.map(mapSnapshotRow);
+  },
+
+  async getListingEvents(collectionId) {
+    const rows = getDatabase()
+      .prepare(
+        `SELECT collection_id, source_id, event_time, price, quantity, raw_payload
+         FROM listing_events
+         WHERE collection_id = ?
+         ORDER BY event_time ASC, id ASC`
+      )
+      .all(collectionId);
+    return rows.map(mapEventRow);
+  },
+
+  async getPurchaseEvents(collectionId) {
+    const rows = getDatabase()
+      .prepare(
+        `SELECT collection_id, source_id, event_time, price, quantity, raw_payload
+         FROM purchase_events
+         WHERE collection_id = ?
+         ORDER BY event_time ASC, id ASC`
+      )
+      .all(collectionId);
+    return rows.map(mapEventRow);
+  },
+
+  async deleteMarketSnapshotsOlderThan(cutoffDate, limit) {
+    return deleteOlderThan('market_snapshots', 'snapshot_time', cutoffDate, limit);
+  },
+
+  async deleteListingEventsOlderThan(cutoffDate, limit) {
+    return deleteOlderThan('listing_events', 'event_time', cutoffDate, limit);
+  },
+
+  async deletePurchaseEventsOlderThan(cutoffDate, limit) {
+    return deleteOlderThan('purchase_events', 'event_time', cutoffDate, limit);
+  },
+
+  async getAllCollections() {
+    const rows = getDatabase()
+      .prepare(
+        `SELECT collection_id FROM market_snapshots
+         UNION
+         SELECT collection_id FROM listing_events
+         UNION
+         SELECT collection_id FROM purchase_events`
+      )
+      .all();
+    return rows.map((row) => row.collection_id);
+  },
+
+  async clear() {
+    const db = getDatabase();
+    db.exec('DELETE FROM market_snapshots; DELETE FROM listing_events; DELETE FROM purchase_events;');
+  },
+};
+
+module.exports = sqliteDataStore;
@@ -0,0 +1,33 @@
+const {
+  resolveCutoffDate,
+  normalizeLimit,
+  toDate,
+  toNullableNumber,
+  parsePayload,
+  toIsoString,
+} = require('../mysql/helpers');
+
+// better-sqlite3 only binds strings, numbers, bigints, buffers and null,
+// so dates are written as ISO strings.
+function toTimestamp(value) {
+  return toDate(value).toISOString();
+}
+
+function ensureCollection(db, collectionId) {
+  // Data tables reference collections(collection_id), so make sure the parent row exists.
+  db.prepare('INSERT OR IGNORE INTO collections (collection_id, name) VALUES (?, ?)').run(
+    collectionId,
+    collectionId
+  );
+}
+
+module.exports = {
+  resolveCutoffDate,
+  normalizeLimit,
+  toDate,
+  toTimestamp,
+  toNullableNumber,
+  parsePayload,
+  ensureCollection,
+  toIsoString,
+};
@@ -0,0 +1,93 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { parsePayload } = require('./helpers');
+
+const SELECT_COLUMNS = 'name, description, destinations, created_at, updated_at';
+
+function mapChannelRow(row) {
+  const destinations = parsePayload(row.destinations);
+  return {
+    name: row.name,
+    description: row.description,
+    destinations: Array.isArray(destinations) ? destinations : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const notificationChannelRepository = {
+  async findAll() {
+    try {
+      const rows = getDatabase()
+        .prepare(`SELECT ${SELECT_COLUMNS} FROM notification_channels ORDER BY name ASC`)
+        .all();
+      return rows.map(mapChannelRow);
+    } catch (error) {
+      logger.error('Error fetching notification channels', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findByName(name) {
+    try {
+      const row = getDatabase()
+        .prepare(`SELECT ${SELECT_COLUMNS} FROM notification_channels WHERE name = ?`)
+        .get(name);
+      return row ? mapChannelRow(row) : null;
+    } catch (error) {
+      logger.error('Error fetching notification channel', {
+        name,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async save(name, { description = null, destinations }) {
+    try {
+      getDatabase()
+        .prepare(
+          `INSERT INTO notification_channels (name, description, destinations, updated_at)
+           VALUES (?, ?, ?, ?)
+           ON CONFLICT (name) DO UPDATE SET
+            description = excluded.description,
+            destinations = excluded.destinations,
+            updated_at = excluded.updated_at`
+        )
+        .run(name, description, JSON.stringify(destinations), new Date().toISOString());
+
+      logger.info('Notification channel saved', { name, destinations: destinations.length });
+
+      return this.findByName(name);
+    } catch (error) {
+      logger.error('Error saving notification channel', {
+        name,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async delete(name) {
+    try {
+      const result = getDatabase()
+        .prepare('DELETE FROM notification_channels WHERE name = ?')
+        .run(name);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error deleting notification channel', {
+        name,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM notification_channels');
+  },
+};
+
+module.exports = { notificationChannelRepository };
@@ -0,0 +1,239 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { parsePayload, toTimestamp } = require('./helpers');
+
+const SELECT_COLUMNS = `id, delivery_id, alert_id, collection_id, alert_type, channel, destination,
+  alert, status, attempts, max_attempts, next_attempt_at, last_error, delivered_at, created_at,
+  updated_at`;
+
+function mapEntryRow(row) {
+  return {
+    id: String(row.id),
+    deliveryId: row.delivery_id,
+    alertId: row.alert_id,
+    collectionId: row.collection_id,
+    alertType: row.alert_type,
+    channel: row.channel,
+    destination: parsePayload(row.destination),
+    alert: parsePayload(row.alert),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function findRow(id) {
+  const row = getDatabase()
+    .prepare(`SELECT ${SELECT_COLUMNS} FROM notification_outbox WHERE id = ?`)
+    .get(id);
+  return row ? mapEntryRow(row) : null;
+}
+
+const notificationOutboxRepository = {
+  async create(entryData) {
+    try {
+      const result = getDatabase()
+        .prepare(
+          `INSERT INTO notification_outbox
+            (delivery_id, alert_id, collection_id, alert_type, channel, destination, alert,
+             status, attempts, max_attempts, next_attempt_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          entryData.deliveryId,
+          entryData.alertId || null,
+          entryData.collectionId,
+          entryData.alertType,
+          entryData.channel,
+          JSON.stringify(entryData.destination),
+          JSON.stringify(entryData.alert),
+          entryData.status || 'pending',
+          entryData.attempts || 0,
+          entryData.maxAttempts,
+          toTimestamp(entryData.nextAttemptAt)
+        );
+
+      return findRow(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('Error queueing notification', {
+        collectionId: entryData.collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findById(id) {
+    try {
+      return findRow(id);
+    } catch (error) {
+      logger.error('Error fetching outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const where = filters.status ? 'WHERE status = ?' : '';
+      const params = filters.status ? [filters.status] : [];
+      const rows = getDatabase()
+        .prepare(
+          `SELECT ${SELECT_COLUMNS} FROM notification_outbox ${where}
+           ORDER BY id DESC LIMIT ? OFFSET ?`
+        )
+        .all(...params, filters.limit || 100, filters.offset || 0);
+      return rows.map(mapEntryRow);
+    } catch (error) {
+      logger.error('Error fetching outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async countByStatus() {
+    try {
+      const counts = { pending: 0, delivering: 0, delivered: 0, dead: 0 };
+      getDatabase()
+        .prepare('SELECT status, COUNT(*) AS count FROM notification_outbox GROUP BY status')
+        .all()
+        .forEach((row) => {
+          counts[row.status] = row.count;
+        });
+      return counts;
+    } catch (error) {
+      logger.error('Error counting outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Lease up to `limit` due entries until `leaseUntil`, counting an attempt for each. The
+   * update re-checks the row, so two workers never claim the same entry; an entry whose
+   * worker died becomes due again when its lease runs out.
+   */
+  async claimDue(now, leaseUntil, limit) {
+    try {
+      const db = getDatabase();
+      const dueAt = toTimestamp(now);
+      const candidates = db
+        .prepare(
+          `SELECT id FROM notification_outbox
+           WHERE status IN ('pending', 'delivering') AND next_attempt_at <= ?
+           ORDER BY next_attempt_at ASC LIMIT ?`
+        )
+        .all(dueAt, limit);
+      const claim = db.prepare(
+        `UPDATE notification_outbox
+         SET status = 'delivering', attempts = attempts + 1, next_attempt_at = ?, updated_at = ?
+         WHERE id = ? AND status IN ('pending', 'delivering') AND next_attempt_at <= ?`
+      );
+
+      return candidates
+        .filter(({ id }) => claim.run(toTimestamp(leaseUntil), dueAt, id, dueAt).changes > 0)
+        .map(({ id }) => findRow(id));
+    } catch (error) {
+      logger.error('Error claiming outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async markDelivered(id, deliveredAt = new Date()) {
+    try {
+      const timestamp = toTimestamp(deliveredAt);
+      getDatabase()
+        .prepare(
+          `UPDATE notification_outbox
+           SET status = 'delivered', delivered_at = ?, last_error = NULL, updated_at = ?
+           WHERE id = ?`
+        )
+        .run(timestamp, toTimestamp(new Date()), id);
+      return findRow(id);
+    } catch (error) {
+      logger.error('Error updating outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async markFailed(id, { error: lastError, nextAttemptAt }) {
+    try {
+      const db = getDatabase();
+      const updatedAt = toTimestamp(new Date());
+
+      if (nextAttemptAt) {
+        db.prepare(
+          `UPDATE notification_outbox
+           SET status = 'pending', last_error = ?, next_attempt_at = ?, updated_at = ?
+           WHERE id = ?`
+        ).run(lastError, toTimestamp(nextAttemptAt), updatedAt, id);
+      } else {
+        db.prepare(
+          `UPDATE notification_outbox SET status = 'dead', last_error = ?, updated_at = ?
+           WHERE id = ?`
+        ).run(lastError, updatedAt, id);
+      }
+
+      return findRow(id);
+    } catch (error) {
+      logger.error('Error updating outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async requeue(id, now = new Date()) {
+    try {
+      const result = getDatabase()
+        .prepare(
+          `UPDATE notification_outbox
+           SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+           WHERE id = ? AND status = 'dead'`
+        )
+        .run(toTimestamp(now), toTimestamp(new Date()), id);
+      return result.changes > 0 ? findRow(id) : null;
+    } catch (error) {
+      logger.error('Error requeueing outbox entry', {
+        id,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async deleteDelivered(before) {
+    try {
+      const result = getDatabase()
+        .prepare(`DELETE FROM notification_outbox WHERE status = 'delivered' AND delivered_at < ?`)
+        .run(toTimestamp(before));
+      return result.changes;
+    } catch (error) {
+      logger.error('Error pruning outbox entries', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM notification_outbox');
+  },
+};
+
+module.exports = { notificationOutboxRepository };
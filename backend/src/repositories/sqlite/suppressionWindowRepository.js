@@ -0,0 +1,188 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { parsePayload, toTimestamp } = require('./helpers');
+
+const WINDOW_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  collectionId: 'collection_id',
+  kind: 'kind',
+  action: 'action',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  daysOfWeek: 'days_of_week',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  timezone: 'timezone',
+  alertTypes: 'alert_types',
+  severities: 'severities',
+};
+
+const JSON_FIELDS = ['daysOfWeek', 'alertTypes', 'severities'];
+const TIMESTAMP_FIELDS = ['startsAt', 'endsAt'];
+
+function toColumnValue(field, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (JSON_FIELDS.includes(field)) {
+    return JSON.stringify(value);
+  }
+  if (TIMESTAMP_FIELDS.includes(field)) {
+    return toTimestamp(value);
+  }
+  return value;
+}
+
+function parseList(value) {
+  return value === null || value === undefined ? null : parsePayload(value);
+}
+
+function mapWindowRow(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    description: row.description,
+    collectionId: row.collection_id,
+    kind: row.kind,
+    action: row.action,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    daysOfWeek: parseList(row.days_of_week),
+    startTime: row.start_time,
+    endTime: row.end_time,
+    timezone: row.timezone,
+    alertTypes: parseList(row.alert_types),
+    severities: parseList(row.severities),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const suppressionWindowRepository = {
+  async create(windowData) {
+    try {
+      const fields = Object.keys(WINDOW_COLUMNS).filter((field) => windowData[field] !== undefined);
+      const result = getDatabase()
+        .prepare(
+          `INSERT INTO suppression_windows (${fields.map((field) => WINDOW_COLUMNS[field]).join(', ')})
+           VALUES (${fields.map(() => '?').join(', ')})`
+        )
+        .run(...fields.map((field) => toColumnValue(field, windowData[field])));
+
+      const window = await this.findById(String(result.lastInsertRowid));
+      logger.info('Suppression window created', { windowId: window.id, name: window.name });
+      return window;
+    } catch (error) {
+      logger.error('Error creating suppression window', { error: error.message });
+      throw error;
+    }
+  },
+
+  async findAll(filters = {}) {
+    try {
+      const clauses = [];
+      const params = [];
+
+      if (filters.collectionId !== undefined) {
+        clauses.push('collection_id = ?');
+        params.push(filters.collectionId);
+      }
+
+      if (filters.kind !== undefined) {
+        clauses.push('kind = ?');
+        params.push(filters.kind);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const rows = getDatabase()
+        .prepare(`SELECT * FROM suppression_windows ${where} ORDER BY id ASC`)
+        .all(...params);
+      return rows.map(mapWindowRow);
+    } catch (error) {
+      logger.error('Error fetching suppression windows', { filters, error: error.message });
+      throw error;
+    }
+  },
+
+  async findById(id) {
+    try {
+      const row = getDatabase().prepare('SELECT * FROM suppression_windows WHERE id = ?').get(id);
+      return row ? mapWindowRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding suppression window', { windowId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Windows that may apply to the collection's alerts at `at`: its own and the global ones,
+   * leaving out maintenance windows that have already ended.
+   */
+  async findApplicable(collectionId, at) {
+    try {
+      const rows = getDatabase()
+        .prepare(
+          `SELECT * FROM suppression_windows
+           WHERE (collection_id IS NULL OR collection_id = ?)
+             AND (kind <> 'maintenance' OR ends_at > ?)
+           ORDER BY id ASC`
+        )
+        .all(collectionId, toTimestamp(at));
+      return rows.map(mapWindowRow);
+    } catch (error) {
+      logger.error('Error fetching applicable suppression windows', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async update(id, updates) {
+    try {
+      const fields = Object.keys(WINDOW_COLUMNS).filter((field) => updates[field] !== undefined);
+      const result = getDatabase()
+        .prepare(
+          `UPDATE suppression_windows
+           SET ${[...fields.map((field) => `${WINDOW_COLUMNS[field]} = ?`), 'updated_at = ?'].join(', ')}
+           WHERE id = ?`
+        )
+        .run(
+          ...fields.map((field) => toColumnValue(field, updates[field])),
+          new Date().toISOString(),
+          id
+        );
+
+      if (result.changes === 0) {
+        logger.warn('Suppression window not found for update', { windowId: id });
+        return null;
+      }
+
+      logger.info('Suppression window updated', { windowId: String(id), updates: fields });
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating suppression window', { windowId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async delete(id) {
+    try {
+      const result = getDatabase().prepare('DELETE FROM suppression_windows WHERE id = ?').run(id);
+      if (result.changes > 0) {
+        logger.info('Suppression window deleted', { windowId: String(id) });
+      }
+      return result.changes > 0;
+    } catch (error) {
+      logger.error('Error deleting suppression window', { windowId: id, error: error.message });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM suppression_windows');
+  },
+};
+
+module.exports = { suppressionWindowRepository };
@@ -0,0 +1,111 @@
+const logger = require('../../utils/logger');
+const { getDatabase } = require('../../lib/sqlite');
+const { parsePayload, ensureCollection } = require('./helpers');
+
+const SELECT_COLUMNS = `collection_id, display_name, is_enabled, alert_thresholds,
+  notification_channel, created_at, updated_at`;
+
+function mapTrackedCollectionRow(row) {
+  return {
+    collectionId: row.collection_id,
+    displayName: row.display_name,
+    isEnabled: Boolean(row.is_enabled),
+    alertThresholds: row.alert_thresholds ? parsePayload(row.alert_thresholds) : null,
+    notificationChannel: row.notification_channel || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const trackedCollectionRepository = {
+  async getTrackedCollection(collectionId) {
+    try {
+      const row = getDatabase()
+        .prepare(`SELECT ${SELECT_COLUMNS} FROM tracked_collections WHERE collection_id = ?`)
+        .get(collectionId);
+      return row ? mapTrackedCollectionRow(row) : null;
+    } catch (error) {
+      logger.error('Error fetching tracked collection', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async getAllTrackedCollections() {
+    try {
+      const rows = getDatabase()
+        .prepare(`SELECT ${SELECT_COLUMNS} FROM tracked_collections ORDER BY collection_id ASC`)
+        .all();
+      return rows.map(mapTrackedCollectionRow);
+    } catch (error) {
+      logger.error('Error fetching tracked collections', {
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async setAlertThresholds(collectionId, alertThresholds) {
+    try {
+      const db = getDatabase();
+      ensureCollection(db, collectionId);
+
+      // Setting thresholds starts tracking the collection if it is not tracked yet.
+      db.prepare(
+        `INSERT INTO tracked_collections (collection_id, display_name, alert_thresholds, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (collection_id) DO UPDATE SET
+          alert_thresholds = excluded.alert_thresholds,
+          updated_at = excluded.updated_at`
+      ).run(
+        collectionId,
+        collectionId,
+        alertThresholds ? JSON.stringify(alertThresholds) : null,
+        new Date().toISOString()
+      );
+
+      logger.debug('Alert thresholds updated', { collectionId, alertThresholds });
+
+      return this.getTrackedCollection(collectionId);
+    } catch (error) {
+      logger.error('Error updating alert thresholds', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async setNotificationChannel(collectionId, notificationChannel) {
+    try {
+      const db = getDatabase();
+      ensureCollection(db, collectionId);
+
+      db.prepare(
+        `INSERT INTO tracked_collections (collection_id, display_name, notification_channel, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (collection_id) DO UPDATE SET
+          notification_channel = excluded.notification_channel,
+          updated_at = excluded.updated_at`
+      ).run(collectionId, collectionId, notificationChannel, new Date().toISOString());
+
+      logger.debug('Notification channel updated', { collectionId, notificationChannel });
+
+      return this.getTrackedCollection(collectionId);
+    } catch (error) {
+      logger.error('Error updating notification channel', {
+        collectionId,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  async clear() {
+    getDatabase().exec('DELETE FROM tracked_collections');
+  },
+};
+
+module.exports = { trackedCollectionRepository };
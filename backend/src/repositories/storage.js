@@ -0,0 +1,90 @@
+const env = require('../config/env');
+const logger = require('../utils/logger');
+
+// Drivers are required lazily so the memory driver never loads mysql2 or better-sqlite3.
+const DRIVERS = {
+  memory: () => ({
+    dataStore: require('./memory/dataStore'),
+    alertsRepository: require('./memory/alertsRepository').alertsRepository,
+    alertCooldownRepository: require('./memory/alertCooldownRepository').alertCooldownRepository,
+    alertRuleRepository: require('./memory/alertRuleRepository').alertRuleRepository,
+    analyticsRepository: require('./memory/analyticsRepository').analyticsRepository,
+    collectionRepository: require('./memory/collectionRepository'),
+    trackedCollectionRepository: require('./memory/trackedCollectionRepository')
+      .trackedCollectionRepository,
+    notificationChannelRepository: require('./memory/notificationChannelRepository')
+      .notificationChannelRepository,
+    notificationOutboxRepository: require('./memory/notificationOutboxRepository')
+      .notificationOutboxRepository,
+    suppressionWindowRepository: require('./memory/suppressionWindowRepository')
+      .suppressionWindowRepository,
+    crawlCheckpointRepository: require('./memory/crawlCheckpointRepository')
+      .crawlCheckpointRepository,
+  }),
+  sqlite: () => ({
+    dataStore: require('./sqlite/dataStore'),
+    alertsRepository: require('./sqlite/alertsRepository').alertsRepository,
+    alertCooldownRepository: require('./sqlite/alertCooldownRepository').alertCooldownRepository,
+    alertRuleRepository: require('./sqlite/alertRuleRepository').alertRuleRepository,
+    analyticsRepository: require('./sqlite/analyticsRepository').analyticsRepository,
+    collectionRepository: require('./sqlite/collectionRepository'),
+    trackedCollectionRepository: require('./sqlite/trackedCollectionRepository')
+      .trackedCollectionRepository,
+    notificationChannelRepository: require('./sqlite/notificationChannelRepository')
+      .notificationChannelRepository,
+    notificationOutboxRepository: require('./sqlite/notificationOutboxRepository')
+      .notificationOutboxRepository,
+    suppressionWindowRepository: require('./sqlite/suppressionWindowRepository')
+      .suppressionWindowRepository,
+    crawlCheckpointRepository: require('./sqlite/crawlCheckpointRepository')
+      .crawlCheckpointRepository,
+  }),
+  mysql: () => ({
+    dataStore: require('./mysql/dataStore'),
+    alertsRepository: require('./mysql/alertsRepository').alertsRepository,
+    alertCooldownRepository: require('./mysql/alertCooldownRepository').alertCooldownRepository,
+    alertRuleRepository: require('./mysql/alertRuleRepository').alertRuleRepository,
+    analyticsRepository: require('./mysql/analyticsRepository').analyticsRepository,
+    collectionRepository: require('./mysql/collectionRepository'),
+    trackedCollectionRepository: require('./mysql/trackedCollectionRepository')
+      .trackedCollectionRepository,
+    notificationChannelRepository: require('./mysql/notificationChannelRepository')
+      .notificationChannelRepository,
+    notificationOutboxRepository: require('./mysql/notificationOutboxRepository')
+      .notificationOutboxRepository,
+    suppressionWindowRepository: require('./mysql/suppressionWindowRepository')
+      .suppressionWindowRepository,
+    crawlCheckpointRepository: require('./mysql/crawlCheckpointRepository')
+      .crawlCheckpointRepository,
+  }),
+};
+
+let storage = null;
+
+function getStorageDriver() {
+  return env.storageDriver;
+}
+
+function getStorage() {
+  if (!storage) {
+    const driver = getStorageDriver();
+    const load = DRIVERS[driver];
+
+    if (!load) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`
+      );
+    }
+
+    storage = { driver, ...load() };
+    logger.info('Storage driver selected', { driver });
+  }
+
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  getStorageDriver,
+  STORAGE_DRIVERS: Object.keys(DRIVERS),
+};
@@ -0,0 +1,4 @@
+// Resolves to the suppressionWindowRepository of the driver selected by STORAGE_DRIVER.
+const { suppressionWindowRepository } = require('./storage').getStorage();
+
+module.exports = { suppressionWindowRepository };
@@ -0,0 +1,4 @@
+// Resolves to the trackedCollectionRepository of the driver selected by STORAGE_DRIVER.
+const { trackedCollectionRepository } = require('./storage').getStorage();
+
+module.exports = { trackedCollectionRepository };
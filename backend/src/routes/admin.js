@@ -2,6 +2,18 @@ const express = require('express');
 const Joi = require('joi');
 const logger = require('../utils/logger');
 const { ingestCollections } = require('../workflows/ingestCollections');
+const { crawlAndIngest, getLastCrawlRun } = require('../workflows/crawlAndIngest');
+const alertService = require('../services/alertService');
+const notificationChannelService = require('../services/notificationChannelService');
+const { maskChannel } = require('../notifications/destinationCredentials');
+const notificationChannelsRoutes = require('./notificationChannels');
+const notificationOutboxRoutes = require('./notificationOutbox');
+const digestsRoutes = require('./digests');
+const suppressionWindowsRoutes = require('./suppressionWindows');
+const { trackedCollectionRepository } = require('../repositories/trackedCollectionRepository');
+const { alertRuleRepository } = require('../repositories/alertRuleRepository');
+const { crawlCheckpointRepository } = require('../repositories/crawlCheckpointRepository');
+const { circuitBreakers } = require('../crawler/circuitBreaker');
 
 const router = express.Router();
 
@@ -20,6 +32,34 @@ const refreshSchema = Joi.object({
     )
     .optional()
     .default([]),
+  crawl: Joi.boolean().optional().default(false),
+  collectionIds: Joi.array().items(Joi.string()).optional(),
+  // Forget where earlier crawls left off, so the crawl fetches everything again
+  resetCheckpoints: Joi.boolean().optional().default(false),
+});
+
+// Threshold values are percentages; null drops the override in favour of the global default
+const thresholdValueSchema = Joi.number().min(0).allow(null).optional();
+
+const thresholdsSchema = Joi.object({
+  apiKey: Joi.string().optional().allow(''),
+  priceDrop: thresholdValueSchema,
+  volumeSpike: thresholdValueSchema,
+  listingDepletion: thresholdValueSchema,
+}).or('priceDrop', 'volumeSpike', 'listingDepletion');
+
+const collectionChannelSchema = Joi.object({
+  apiKey: Joi.string().optional().allow(''),
+  channel: Joi.string().max(64).allow(null).required(),
+});
+
+const checkpointsQuerySchema = Joi.object({
+  targetId: Joi.string().trim().max(64).optional(),
+  collectionId: Joi.string().trim().max(64).optional(),
+});
+
+const clearCooldownsQuerySchema = Joi.object({
+  alertType: Joi.string().trim().max(64).optional(),
 });
 
 // Middleware to validate admin API key
@@ -33,7 +73,7 @@ const validateAdminKey = (req, res, next) => {
     });
   }
 
-  const providedKey = req.body.apiKey || req.headers['x-admin-key'];
+  const providedKey = (req.body && req.body.apiKey) || req.headers['x-admin-key'];
   if (!providedKey || providedKey !== adminKey) {
     logger.warn('Invalid admin API key attempt', {
       path: req.path,
@@ -48,6 +88,18 @@ const validateAdminKey = (req, res, next) => {
   next();
 };
 
+// /api/admin/notification-channels - Named channels that collections route their alerts to
+router.use('/notification-channels', validateAdminKey, notificationChannelsRoutes);
+
+// /api/admin/notification-outbox - Notification delivery attempts and dead letters
+router.use('/notification-outbox', validateAdminKey, notificationOutboxRoutes);
+
+// /api/admin/digests - Daily and weekly digest reports
+router.use('/digests', validateAdminKey, digestsRoutes);
+
+// /api/admin/suppression-windows - Maintenance windows and quiet hours that hold back notifications
+router.use('/suppression-windows', validateAdminKey, suppressionWindowsRoutes);
+
 // POST /api/admin/refresh - Trigger crawl and ingestion
 router.post('/refresh', async (req, res) => {
   try {
@@ -85,10 +137,17 @@ router.post('/refresh', async (req, res) => {
 
     logger.info('Admin refresh triggered', {
       crawlerPayloads: value.crawlerData.length,
+      crawl: value.crawl,
     });
 
-    // Run ingestion workflow
-    const result = await ingestCollections(value.crawlerData);
+    // Run ingestion workflow, crawling the configured targets first when requested
+    const result = value.crawl
+      ? await crawlAndIngest({
+          collectionIds: value.collectionIds,
+          payloads: value.crawlerData,
+          resetCheckpoints: value.resetCheckpoints,
+        })
+      : await ingestCollections(value.crawlerData);
 
     logger.info('Admin refresh completed', result.metrics);
 
@@ -99,9 +158,12 @@ router.post('/refresh', async (req, res) => {
         totalSnapshots: result.metrics.totalSnapshots,
         totalListingEvents: result.metrics.totalListingEvents,
         totalPurchaseEvents: result.metrics.totalPurchaseEvents,
+        alertsTriggered: result.metrics.triggeredAlerts.length,
+        alertsResolved: result.metrics.resolvedAlerts.length,
         failureCount: result.metrics.failures.length,
         durationMs: result.metrics.duration,
       },
+      ...(result.targets && { targets: result.targets }),
       ...(result.metrics.failures.length > 0 && { failures: result.metrics.failures }),
     });
   } catch (error) {
@@ -116,4 +178,258 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+// GET /api/admin/crawl/last-run - Per-target outcome of the most recent crawl
+router.get('/crawl/last-run', validateAdminKey, (req, res) => {
+  const lastRun = getLastCrawlRun();
+
+  if (!lastRun) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'No crawl has run since the server started',
+    });
+  }
+
+  res.json(lastRun);
+});
+
+// GET /api/admin/crawl/checkpoints - Where crawls of each target, collection and event stream left
+// off, optionally for one ?targetId= or ?collectionId=
+router.get('/crawl/checkpoints', validateAdminKey, async (req, res) => {
+  const { error, value } = checkpointsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const checkpoints = await crawlCheckpointRepository.findAll(value);
+    res.json({ checkpoints });
+  } catch (err) {
+    logger.error('Error fetching crawl checkpoints', {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch crawl checkpoints',
+    });
+  }
+});
+
+// DELETE /api/admin/crawl/checkpoints - Reset checkpoints for a full re-crawl: all of them, or
+// those of ?targetId= and/or ?collectionId=
+router.delete('/crawl/checkpoints', validateAdminKey, async (req, res) => {
+  const { error, value } = checkpointsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const cleared = await crawlCheckpointRepository.delete(value);
+    res.json({
+      targetId: value.targetId || null,
+      collectionId: value.collectionId || null,
+      cleared,
+    });
+  } catch (err) {
+    logger.error('Error clearing crawl checkpoints', {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to clear crawl checkpoints',
+    });
+  }
+});
+
+// GET /api/admin/crawl/circuit-breakers - State of each crawler target's circuit breaker and the
+// latest transitions, oldest first. Breakers appear once their target has been crawled.
+router.get('/crawl/circuit-breakers', validateAdminKey, (req, res) => {
+  res.json(circuitBreakers.getStats());
+});
+
+// POST /api/admin/crawl/circuit-breakers/:targetId/reset - Close a target's breaker so the next
+// crawl goes ahead
+router.post('/crawl/circuit-breakers/:targetId/reset', validateAdminKey, (req, res) => {
+  const breaker = circuitBreakers.find(req.params.targetId);
+  if (!breaker) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No circuit breaker for target ${req.params.targetId}`,
+    });
+  }
+
+  breaker.reset();
+  logger.info('Crawler circuit breaker reset', { targetId: req.params.targetId });
+  res.json(breaker.getState());
+});
+
+// GET /api/admin/collections/:collectionId/alert-thresholds - Effective thresholds for a collection
+router.get('/collections/:collectionId/alert-thresholds', validateAdminKey, async (req, res) => {
+  try {
+    const result = await alertService.getCollectionThresholds(
+      req.params.collectionId,
+      trackedCollectionRepository
+    );
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching alert thresholds', {
+      collectionId: req.params.collectionId,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch alert thresholds',
+    });
+  }
+});
+
+// PUT /api/admin/collections/:collectionId/alert-thresholds - Override thresholds for a collection
+router.put('/collections/:collectionId/alert-thresholds', validateAdminKey, async (req, res) => {
+  const { error, value } = thresholdsSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const { apiKey, ...updates } = value;
+    const result = await alertService.updateCollectionThresholds(
+      req.params.collectionId,
+      updates,
+      trackedCollectionRepository
+    );
+    res.json(result);
+  } catch (err) {
+    logger.error('Error updating alert thresholds', {
+      collectionId: req.params.collectionId,
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update alert thresholds',
+    });
+  }
+});
+
+// GET /api/admin/alert-cooldowns - Stored cooldowns for every collection
+router.get('/alert-cooldowns', validateAdminKey, async (req, res) => {
+  try {
+    const cooldowns = await alertService.getCooldowns(null, alertRuleRepository);
+    res.json({ cooldowns });
+  } catch (error) {
+    logger.error('Error fetching alert cooldowns', {
+      error: error.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch alert cooldowns',
+    });
+  }
+});
+
+// GET /api/admin/collections/:collectionId/alert-cooldowns - Stored cooldowns for a collection
+router.get('/collections/:collectionId/alert-cooldowns', validateAdminKey, async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+    const cooldowns = await alertService.getCooldowns(collectionId, alertRuleRepository);
+    res.json({ collectionId, cooldowns });
+  } catch (error) {
+    logger.error('Error fetching alert cooldowns', {
+      collectionId: req.params.collectionId,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch alert cooldowns',
+    });
+  }
+});
+
+// DELETE /api/admin/collections/:collectionId/alert-cooldowns - Clear a collection's cooldowns,
+// or only those of ?alertType=
+router.delete('/collections/:collectionId/alert-cooldowns', validateAdminKey, async (req, res) => {
+  const { error, value } = clearCooldownsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const { collectionId } = req.params;
+    const cleared = await alertService.clearCollectionCooldowns(collectionId, value.alertType);
+    res.json({ collectionId, alertType: value.alertType || null, cleared });
+  } catch (err) {
+    logger.error('Error clearing alert cooldowns', {
+      collectionId: req.params.collectionId,
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to clear alert cooldowns',
+    });
+  }
+});
+
+// GET /api/admin/collections/:collectionId/notification-channel - Channel a collection's alerts go to
+router.get('/collections/:collectionId/notification-channel', validateAdminKey, async (req, res) => {
+  try {
+    const result = await notificationChannelService.getCollectionChannel(req.params.collectionId);
+    res.json({ ...result, resolvedChannel: maskChannel(result.resolvedChannel) });
+  } catch (error) {
+    logger.error('Error fetching notification channel', {
+      collectionId: req.params.collectionId,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch notification channel',
+    });
+  }
+});
+
+// PUT /api/admin/collections/:collectionId/notification-channel - Route a collection's alerts;
+// null falls back to the default channel
+router.put('/collections/:collectionId/notification-channel', validateAdminKey, async (req, res) => {
+  const { error, value } = collectionChannelSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const result = await notificationChannelService.setCollectionChannel(
+      req.params.collectionId,
+      value.channel
+    );
+    res.json({ ...result, resolvedChannel: maskChannel(result.resolvedChannel) });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: err.message,
+      });
+    }
+
+    logger.error('Error updating notification channel', {
+      collectionId: req.params.collectionId,
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update notification channel',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const Joi = require('joi');
+const alertRuleService = require('../services/alertRuleService');
+const logger = require('../utils/logger');
+const { severitySchema } = require('../utils/severity');
+
+const router = express.Router();
+
+// Validation schemas
+const ruleIdSchema = Joi.string().required().messages({
+  'string.empty': 'Rule ID is required',
+  'any.required': 'Rule ID is required',
+});
+
+const ruleFields = {
+  name: Joi.string().max(128),
+  description: Joi.string().allow('', null),
+  collectionId: Joi.string().max(64).allow(null),
+  condition: Joi.string(),
+  severity: severitySchema,
+  message: Joi.string(),
+  cooldownMinutes: Joi.number().integer().min(0).allow(null),
+  enabled: Joi.boolean(),
+};
+
+const createRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  condition: ruleFields.condition.required(),
+  severity: ruleFields.severity.default('warning'),
+  enabled: ruleFields.enabled.default(true),
+});
+
+const updateRuleSchema = Joi.object(ruleFields).min(1);
+
+const rulesQuerySchema = Joi.object({
+  collectionId: Joi.string().optional(),
+  enabled: Joi.boolean().optional(),
+});
+
+// Validation middleware
+const validateRuleId = (req, res, next) => {
+  const { error } = ruleIdSchema.validate(req.params.ruleId);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid rule ID',
+      message: error.details[0].message,
+    });
+  }
+  next();
+};
+
+const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+  req.body = value; // Use validated values
+  next();
+};
+
+// Condition and template errors from the rule engine are client errors.
+const handleRuleError = (res, error, action, details = {}) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid rule',
+      message: error.message,
+    });
+  }
+
+  logger.error(`Failed to ${action} alert rule`, {
+    ...details,
+    error: error.message,
+  });
+  res.status(500).json({
+    error: `Failed to ${action} alert rule`,
+    message: error.message,
+  });
+};
+
+router.get('/', async (req, res) => {
+  const { error, value } = rulesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const rules = await alertRuleService.listRules(value);
+    res.json({ rules });
+  } catch (err) {
+    logger.error('Error fetching alert rules', {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Failed to fetch alert rules',
+      message: err.message,
+    });
+  }
+});
+
+router.post('/', validateBody(createRuleSchema), async (req, res) => {
+  try {
+    const rule = await alertRuleService.createRule(req.body);
+    res.status(201).json({ rule });
+  } catch (error) {
+    handleRuleError(res, error, 'create');
+  }
+});
+
+router.get('/:ruleId', validateRuleId, async (req, res) => {
+  try {
+    const rule = await alertRuleService.getRule(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        message: `Alert rule with ID '${req.params.ruleId}' not found`,
+      });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    handleRuleError(res, error, 'fetch', { ruleId: req.params.ruleId });
+  }
+});
+
+router.put('/:ruleId', validateRuleId, validateBody(updateRuleSchema), async (req, res) => {
+  try {
+    const rule = await alertRuleService.updateRule(req.params.ruleId, req.body);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        message: `Alert rule with ID '${req.params.ruleId}' not found`,
+      });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    handleRuleError(res, error, 'update', { ruleId: req.params.ruleId });
+  }
+});
+
+router.delete('/:ruleId', validateRuleId, async (req, res) => {
+  try {
+    const deleted = await alertRuleService.deleteRule(req.params.ruleId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        message: `Alert rule with ID '${req.params.ruleId}' not found`,
+      });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    handleRuleError(res, error, 'delete', { ruleId: req.params.ruleId });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,11 @@ const express = require('express');
 const Joi = require('joi');
 const alertReadService = require('../services/alertReadService');
 const { alertsRepository } = require('../repositories/alertsRepository');
+const alertRulesRoutes = require('./alertRules');
+const alertBacktestService = require('../services/alertBacktestService');
+const alertTriageService = require('../services/alertTriageService');
 const logger = require('../utils/logger');
+const { severitySchema } = require('../utils/severity');
 
 const router = express.Router();
 
@@ -14,17 +18,86 @@ const alertIdSchema = Joi.string().required().messages({
 
 const alertsQuerySchema = Joi.object({
   collectionId: Joi.string().optional(),
-  severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
+  severity: severitySchema.optional(),
   type: Joi.string().optional(),
   resolved: Joi.string().valid('true', 'false').optional(),
+  acknowledged: Joi.string().valid('true', 'false').optional(),
+  assignedTo: Joi.string().max(100).optional(),
+  assigned: Joi.string().valid('true', 'false').optional(),
+  snoozed: Joi.string().valid('true', 'false').optional(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(1000).default(50),
   sortBy: Joi.string().valid('triggeredAt', 'severity', 'type', 'createdAt').default('triggeredAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
 });
 
+const backtestThresholdSchema = Joi.number().min(0);
+
+const backtestSchema = Joi.object({
+  collectionId: Joi.string().required(),
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().min(Joi.ref('from')).required(),
+  stepMinutes: Joi.number().integer().min(5).max(1440).default(60),
+  thresholds: Joi.object({
+    priceDrop: backtestThresholdSchema,
+    volumeSpike: backtestThresholdSchema,
+    listingDepletion: backtestThresholdSchema,
+  }).default({}),
+  cooldownMinutes: Joi.number().integer().min(0).optional(),
+  includeStoredRules: Joi.boolean().default(true),
+  rules: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().max(128),
+        condition: Joi.string().required(),
+        severity: severitySchema,
+        message: Joi.string(),
+        cooldownMinutes: Joi.number().integer().min(0).allow(null),
+      })
+    )
+    .max(20)
+    .default([]),
+});
+
+// Who resolved an alert by hand; the evaluation pipeline records 'auto' when it resolves one.
+const resolvedBySchema = Joi.string().trim().min(1).max(100).optional();
+
+const MANUAL_RESOLVED_BY = 'manual';
+
+// A team member, as recorded for acknowledgements and assignments.
+const userSchema = Joi.string().trim().min(1).max(100);
+
 const updateAlertSchema = Joi.object({
   resolved: Joi.boolean().optional(),
+  resolvedBy: resolvedBySchema,
+  acknowledged: Joi.boolean().optional(),
+  acknowledgedBy: userSchema.optional(),
+  assignedTo: userSchema.allow(null).optional(),
+  snoozedUntil: Joi.date().iso().allow(null).optional(),
+  note: Joi.string().max(2000).allow('', null).optional(),
+});
+
+const bulkUpdateSchema = Joi.object({
+  ids: Joi.array()
+    .items(Joi.string())
+    .min(1)
+    .max(alertTriageService.MAX_BULK_ALERTS)
+    .unique(),
+  filter: Joi.object({
+    collectionId: Joi.string(),
+    severity: severitySchema,
+    type: Joi.string(),
+    resolved: Joi.boolean(),
+    acknowledged: Joi.boolean(),
+    assignedTo: Joi.string().max(100),
+    assigned: Joi.boolean(),
+    snoozed: Joi.boolean(),
+  }),
+  updates: updateAlertSchema.min(1).required(),
+}).xor('ids', 'filter');
+
+const resolveAlertSchema = Joi.object({
+  resolvedBy: resolvedBySchema,
 });
 
 // Validation middleware
@@ -63,6 +136,21 @@ const validateUpdateAlert = (req, res, next) => {
   next();
 };
 
+const validateResolveAlert = (req, res, next) => {
+  const { error, value } = resolveAlertSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+  req.body = value;
+  next();
+};
+
+// Mounted ahead of the /:id routes so /rules is not read as an alert ID
+router.use('/rules', alertRulesRoutes);
+
 router.get('/', validateAlertsQuery, async (req, res) => {
   try {
     const result = await alertReadService.getAlerts(req.query);
@@ -85,6 +173,74 @@ router.get('/', validateAlertsQuery, async (req, res) => {
   }
 });
 
+// POST /api/alerts/backtest - Replay stored history through the alert logic
+router.post('/backtest', async (req, res) => {
+  const { error, value } = backtestSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const result = await alertBacktestService.backtestAlerts(value);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        message: `Collection with ID '${value.collectionId}' not found`,
+      });
+    }
+
+    res.json(result);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid backtest',
+        message: err.message,
+      });
+    }
+
+    logger.error('Error running alert backtest', {
+      collectionId: value.collectionId,
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Failed to run alert backtest',
+      message: err.message,
+    });
+  }
+});
+
+// POST /api/alerts/bulk - Apply the same triage changes to a list of alerts or a filter
+router.post('/bulk', async (req, res) => {
+  const { error, value } = bulkUpdateSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const { updated, skipped } = await alertTriageService.bulkUpdate(
+      { ids: value.ids, filter: value.filter },
+      value.updates
+    );
+
+    res.json({ updated: updated.length, skipped, alerts: updated });
+  } catch (err) {
+    logger.error('Error updating alerts in bulk', {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Failed to update alerts',
+      message: err.message,
+    });
+  }
+});
+
 router.get('/:id', validateAlertId, async (req, res) => {
   try {
     const alert = await alertReadService.getAlertById(req.params.id);
@@ -112,14 +268,7 @@ router.get('/:id', validateAlertId, async (req, res) => {
 
 router.put('/:id', validateAlertId, validateUpdateAlert, async (req, res) => {
   try {
-    const { resolved } = req.body;
-
-    const updates = {};
-    if (resolved !== undefined) {
-      updates.resolved = resolved;
-    }
-
-    const alert = await alertsRepository.update(req.params.id, updates);
+    const alert = await alertTriageService.updateAlert(req.params.id, req.body);
 
     if (!alert) {
       return res.status(404).json({
@@ -128,11 +277,6 @@ router.put('/:id', validateAlertId, validateUpdateAlert, async (req, res) => {
       });
     }
 
-    logger.info('Alert updated', {
-      alertId: req.params.id,
-      updates,
-    });
-
     res.json({ alert });
   } catch (error) {
     logger.error('Error updating alert', {
@@ -146,9 +290,10 @@ router.put('/:id', validateAlertId, validateUpdateAlert, async (req, res) => {
   }
 });
 
-router.put('/:id/resolve', validateAlertId, async (req, res) => {
+router.put('/:id/resolve', validateAlertId, validateResolveAlert, async (req, res) => {
   try {
-    const alert = await alertsRepository.markAsResolved(req.params.id);
+    const resolvedBy = req.body.resolvedBy || MANUAL_RESOLVED_BY;
+    const alert = await alertsRepository.markAsResolved(req.params.id, resolvedBy);
 
     if (!alert) {
       return res.status(404).json({
@@ -159,6 +304,7 @@ router.put('/:id/resolve', validateAlertId, async (req, res) => {
 
     logger.info('Alert marked as resolved', {
       alertId: req.params.id,
+      resolvedBy,
     });
 
     res.json({ alert });
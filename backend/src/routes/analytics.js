@@ -1,4 +1,5 @@
 const express = require('express');
+const Joi = require('joi');
 const { analyticsRepository } = require('../repositories/analyticsRepository');
 const { refreshMetrics, getRefreshLog } = require('../services/analyticsService');
 const dataStore = require('../repositories/dataStore');
@@ -6,6 +7,25 @@ const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const seriesQuerySchema = Joi.object({
+  window: Joi.string().valid('1h', '6h', '24h', '72h').default('24h'),
+  metric: Joi.string().required(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional().min(Joi.ref('from')),
+});
+
+const validateSeriesQuery = (req, res, next) => {
+  const { error, value } = seriesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.details[0].message,
+    });
+  }
+  req.query = value; // Use validated values
+  next();
+};
+
 router.get('/metrics', async (req, res) => {
   try {
     const filters = {};
@@ -91,6 +111,42 @@ router.get('/collections/:collectionId/metrics', async (req, res) => {
   }
 });
 
+// GET /api/analytics/collections/:collectionId/series?metric=averagePrice&window=24h
+router.get('/collections/:collectionId/series', validateSeriesQuery, async (req, res) => {
+  try {
+    const { window, metric, from, to } = req.query;
+    const series = await analyticsRepository.getMetricSeries(
+      req.params.collectionId,
+      window,
+      metric,
+      { from, to }
+    );
+
+    logger.info('Metric series retrieved', {
+      collectionId: req.params.collectionId,
+      window,
+      metric,
+      points: series.length,
+    });
+
+    res.json({
+      collectionId: req.params.collectionId,
+      window,
+      metric,
+      series,
+    });
+  } catch (error) {
+    logger.error('Error fetching metric series', {
+      collectionId: req.params.collectionId,
+      error: error.message,
+    });
+    res.status(500).json({
+      error: 'Failed to fetch metric series',
+      message: error.message,
+    });
+  }
+});
+
 router.post('/refresh', async (req, res) => {
   try {
     const { collectionIds } = req.body;
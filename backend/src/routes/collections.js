@@ -107,7 +107,7 @@ router.get('/:id/snapshots', validateCollectionId, validateQuery, async (req, re
     });
 
     // Check if collection exists (result will be empty for non-existent collections)
-    const allCollections = require('../repositories/dataStore').getAllCollections();
+    const allCollections = await require('../repositories/dataStore').getAllCollections();
     if (!allCollections.includes(req.params.id)) {
       return res.status(404).json({
         error: 'Collection not found',
@@ -147,7 +147,7 @@ router.get('/:id/events', validateCollectionId, validateQuery, async (req, res)
     });
 
     // Check if collection exists (result will be empty for non-existent collections)
-    const allCollections = require('../repositories/dataStore').getAllCollections();
+    const allCollections = await require('../repositories/dataStore').getAllCollections();
     if (!allCollections.includes(req.params.id)) {
       return res.status(404).json({
         error: 'Collection not found',
@@ -0,0 +1,65 @@
+const express = require('express');
+const Joi = require('joi');
+const env = require('../config/env');
+const digestService = require('../services/digestService');
+const { resolveNamedChannel } = require('../notifications/notificationRouter');
+const {
+  formatDigestSubject,
+  formatDigestText,
+  formatDigestHtml,
+} = require('../notifications/digestMessage');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const previewQuerySchema = Joi.object({
+  period: Joi.string()
+    .valid(...Object.keys(digestService.DIGEST_PERIODS))
+    .default('daily'),
+  format: Joi.string().valid('json', 'text', 'markdown', 'slack', 'html').default('json'),
+});
+
+// GET /api/admin/digests/preview - The digest as it would be sent now, without sending it
+router.get('/preview', async (req, res) => {
+  const { error, value } = previewQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const digest = await digestService.buildDigest(value.period);
+
+    if (value.format === 'html') {
+      return res.type('html').send(formatDigestHtml(digest));
+    }
+    if (value.format !== 'json') {
+      return res.type('text').send(formatDigestText(digest, value.format));
+    }
+
+    const channel = await resolveNamedChannel(env.digestChannel);
+    res.json({
+      subject: formatDigestSubject(digest),
+      channel: {
+        name: channel.name,
+        source: channel.source,
+        destinationTypes: channel.destinations.map((destination) => destination.type),
+      },
+      digest,
+    });
+  } catch (err) {
+    logger.error('Failed to preview digest', {
+      period: value.period,
+      error: err.message,
+    });
+    res.status(500).json({
+      error: 'Failed to preview digest',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const Joi = require('joi');
+const notificationChannelService = require('../services/notificationChannelService');
+const { DESTINATION_TYPES } = require('../notifications/notificationRouter');
+const { maskChannel } = require('../notifications/destinationCredentials');
+const logger = require('../utils/logger');
+const { severitySchema } = require('../utils/severity');
+
+const router = express.Router();
+
+// Validation schemas
+const channelNameSchema = Joi.string()
+  .max(64)
+  .pattern(/^[A-Za-z0-9][A-Za-z0-9_-]*$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Channel name may only contain letters, digits, "-" and "_"',
+  });
+
+const emailSchema = Joi.string().email({ tlds: { allow: false } });
+
+// Destination types posting to a webhook-style URL; telegram uses a bot token and chat instead.
+const URL_DESTINATION_TYPES = ['webhook', 'slack', 'discord', 'wecom', 'dingtalk'];
+
+const destinationSchema = Joi.object({
+  type: Joi.string()
+    .valid(...DESTINATION_TYPES)
+    .required(),
+  url: Joi.when('type', {
+    is: Joi.valid(...URL_DESTINATION_TYPES),
+    then: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  to: Joi.when('type', {
+    is: 'email',
+    then: Joi.alternatives(emailSchema, Joi.array().items(emailSchema).min(1)).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  botToken: Joi.when('type', {
+    is: 'telegram',
+    then: Joi.string()
+      .pattern(/^\d+:[A-Za-z0-9_-]+$/)
+      .required()
+      .messages({ 'string.pattern.base': '"botToken" must look like 123456:ABC-DEF...' }),
+    otherwise: Joi.forbidden(),
+  }),
+  // Numeric chat id, or @channelusername for public channels.
+  chatId: Joi.when('type', {
+    is: 'telegram',
+    then: Joi.alternatives(Joi.number().integer(), Joi.string().pattern(/^(-?\d+|@\w+)$/)).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  // Signing secret of a DingTalk robot using the "additional signature" setting, or of a
+  // webhook receiver in place of WEBHOOK_SECRET.
+  secret: Joi.when('type', {
+    is: Joi.valid('dingtalk', 'webhook'),
+    then: Joi.string().max(256).optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  // Webhook payload schema; omitted, WEBHOOK_PAYLOAD_VERSION applies (version 1 by default).
+  payloadVersion: Joi.when('type', {
+    is: 'webhook',
+    then: Joi.number().integer().valid(1, 2).optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  // Omitted: every severity is delivered.
+  severities: Joi.array()
+    .items(severitySchema)
+    .min(1)
+    .unique()
+    .optional(),
+});
+
+const channelSchema = Joi.object({
+  apiKey: Joi.string().optional().allow(''),
+  description: Joi.string().max(500).allow('', null).optional(),
+  destinations: Joi.array().items(destinationSchema).max(20).required(),
+});
+
+// Validation middleware
+const validateChannelName = (req, res, next) => {
+  const { error } = channelNameSchema.validate(req.params.name);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid channel name',
+      message: error.details[0].message,
+    });
+  }
+  next();
+};
+
+const handleChannelError = (res, error, action, details = {}) => {
+  logger.error(`Failed to ${action} notification channel`, {
+    ...details,
+    error: error.message,
+  });
+  res.status(500).json({
+    error: `Failed to ${action} notification channel`,
+    message: error.message,
+  });
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const channels = await notificationChannelService.listChannels();
+    res.json({ channels: channels.map(maskChannel) });
+  } catch (error) {
+    handleChannelError(res, error, 'fetch');
+  }
+});
+
+router.get('/:name', validateChannelName, async (req, res) => {
+  try {
+    const channel = await notificationChannelService.getChannel(req.params.name);
+
+    if (!channel) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        message: `Notification channel '${req.params.name}' not found`,
+      });
+    }
+
+    res.json({ channel: maskChannel(channel) });
+  } catch (error) {
+    handleChannelError(res, error, 'fetch', { name: req.params.name });
+  }
+});
+
+// PUT creates the channel or replaces its description and destinations.
+router.put('/:name', validateChannelName, async (req, res) => {
+  const { error, value } = channelSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const { description, destinations } = value;
+    const channel = await notificationChannelService.saveChannel(req.params.name, {
+      description: description || null,
+      destinations,
+    });
+    res.json({ channel: maskChannel(channel) });
+  } catch (err) {
+    handleChannelError(res, err, 'save', { name: req.params.name });
+  }
+});
+
+router.delete('/:name', validateChannelName, async (req, res) => {
+  try {
+    const { deleted, collections } = await notificationChannelService.deleteChannel(
+      req.params.name
+    );
+
+    if (collections.length > 0) {
+      return res.status(409).json({
+        error: 'Channel in use',
+        message: `Notification channel '${req.params.name}' is used by: ${collections.join(', ')}`,
+      });
+    }
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        message: `Notification channel '${req.params.name}' not found`,
+      });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    handleChannelError(res, error, 'delete', { name: req.params.name });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const Joi = require('joi');
+const notificationOutboxService = require('../services/notificationOutboxService');
+const { maskOutboxEntry } = require('../notifications/destinationCredentials');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...notificationOutboxService.OUTBOX_STATUSES)
+    .optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const deadLetterQuerySchema = listQuerySchema.fork(['status'], (schema) => schema.forbidden());
+
+const entryIdSchema = Joi.string().pattern(/^\d+$/).required();
+
+const replaySchema = Joi.object({
+  apiKey: Joi.string().optional().allow(''),
+  // Omitted: every dead letter is replayed.
+  ids: Joi.array().items(entryIdSchema).min(1).max(1000).unique().optional(),
+});
+
+// Validation middleware
+const validateEntryId = (req, res, next) => {
+  const { error } = entryIdSchema.validate(req.params.id);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid outbox entry ID',
+      message: error.details[0].message,
+    });
+  }
+  next();
+};
+
+const validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.details[0].message,
+    });
+  }
+  req.query = value; // Use validated values
+  next();
+};
+
+const handleOutboxError = (res, error, action, details = {}) => {
+  logger.error(`Failed to ${action}`, {
+    ...details,
+    error: error.message,
+  });
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message,
+  });
+};
+
+// GET /api/admin/notification-outbox - Outbox entries, newest first, with counts per status
+router.get('/', validateQuery(listQuerySchema), async (req, res) => {
+  try {
+    const { entries, counts } = await notificationOutboxService.listEntries(req.query);
+    res.json({ entries: entries.map(maskOutboxEntry), counts });
+  } catch (error) {
+    handleOutboxError(res, error, 'fetch outbox entries');
+  }
+});
+
+// GET /api/admin/notification-outbox/dead-letters - Deliveries that ran out of attempts
+router.get('/dead-letters', validateQuery(deadLetterQuerySchema), async (req, res) => {
+  try {
+    const { entries, counts } = await notificationOutboxService.listEntries({
+      ...req.query,
+      status: 'dead',
+    });
+    res.json({ deadLetters: entries.map(maskOutboxEntry), total: counts.dead });
+  } catch (error) {
+    handleOutboxError(res, error, 'fetch dead letters');
+  }
+});
+
+// POST /api/admin/notification-outbox/dead-letters/replay - Requeue some or all dead letters
+router.post('/dead-letters/replay', async (req, res) => {
+  const { error, value } = replaySchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const { replayed, skipped } = await notificationOutboxService.replayDeadLetters(value.ids);
+    res.status(202).json({
+      replayed: replayed.length,
+      skipped,
+      entries: replayed.map(maskOutboxEntry),
+    });
+  } catch (err) {
+    handleOutboxError(res, err, 'replay dead letters');
+  }
+});
+
+router.get('/:id', validateEntryId, async (req, res) => {
+  try {
+    const entry = await notificationOutboxService.getEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Outbox entry not found',
+        message: `Outbox entry '${req.params.id}' not found`,
+      });
+    }
+
+    res.json({ entry: maskOutboxEntry(entry) });
+  } catch (error) {
+    handleOutboxError(res, error, 'fetch outbox entry', { id: req.params.id });
+  }
+});
+
+// POST /api/admin/notification-outbox/:id/replay - Requeue one dead letter
+router.post('/:id/replay', validateEntryId, async (req, res) => {
+  try {
+    const entry = await notificationOutboxService.replay(req.params.id);
+    res.status(202).json({ entry: maskOutboxEntry(entry) });
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({
+        error: 'Outbox entry not found',
+        message: error.message,
+      });
+    }
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        error: 'Not a dead letter',
+        message: error.message,
+      });
+    }
+    handleOutboxError(res, error, 'replay outbox entry', { id: req.params.id });
+  }
+});
+
+module.exports = router;
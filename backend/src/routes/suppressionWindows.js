@@ -0,0 +1,169 @@
+const express = require('express');
+const Joi = require('joi');
+const suppressionWindowService = require('../services/suppressionWindowService');
+const logger = require('../utils/logger');
+const { severitySchema } = require('../utils/severity');
+
+const router = express.Router();
+
+const clockSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a time of day like 22:30' });
+
+// Validation schemas
+const windowIdSchema = Joi.string().pattern(/^\d+$/).required();
+
+const windowFields = {
+  apiKey: Joi.string().optional().allow(''),
+  name: Joi.string().max(128),
+  description: Joi.string().max(255).allow('', null),
+  // Omitted or null: the window applies to every collection.
+  collectionId: Joi.string().max(64).allow(null),
+  kind: Joi.string().valid(...suppressionWindowService.WINDOW_KINDS),
+  action: Joi.string().valid(...suppressionWindowService.WINDOW_ACTIONS),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date().iso().allow(null),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().allow(null),
+  startTime: clockSchema.allow(null),
+  endTime: clockSchema.allow(null),
+  timezone: Joi.string().max(64).allow(null),
+  // Omitted or null: every alert type or severity.
+  alertTypes: Joi.array().items(Joi.string().max(64)).min(1).unique().allow(null),
+  severities: Joi.array()
+    .items(severitySchema)
+    .min(1)
+    .unique()
+    .allow(null),
+};
+
+const createWindowSchema = Joi.object({
+  ...windowFields,
+  name: windowFields.name.required(),
+  kind: windowFields.kind.required(),
+  action: windowFields.action.default('suppress'),
+});
+
+const updateWindowSchema = Joi.object(windowFields).min(1);
+
+const windowsQuerySchema = Joi.object({
+  collectionId: Joi.string().max(64).optional(),
+  kind: Joi.string()
+    .valid(...suppressionWindowService.WINDOW_KINDS)
+    .optional(),
+  active: Joi.boolean().optional(),
+});
+
+// Validation middleware
+const validateWindowId = (req, res, next) => {
+  const { error } = windowIdSchema.validate(req.params.id);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid window ID',
+      message: error.details[0].message,
+    });
+  }
+  next();
+};
+
+const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: error.details[0].message,
+    });
+  }
+  const { apiKey, ...body } = value;
+  req.body = body; // Use validated values
+  next();
+};
+
+// Checks across fields (e.g. a maintenance window ending before it starts) are client errors.
+const handleWindowError = (res, error, action, details = {}) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid suppression window',
+      message: error.message,
+    });
+  }
+
+  logger.error(`Failed to ${action} suppression window`, {
+    ...details,
+    error: error.message,
+  });
+  res.status(500).json({
+    error: `Failed to ${action} suppression window`,
+    message: error.message,
+  });
+};
+
+const windowNotFound = (res, id) =>
+  res.status(404).json({
+    error: 'Window not found',
+    message: `Suppression window with ID '${id}' not found`,
+  });
+
+// GET /api/admin/suppression-windows - Windows with whether each is active now
+router.get('/', async (req, res) => {
+  const { error, value } = windowsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.details[0].message,
+    });
+  }
+
+  try {
+    const windows = await suppressionWindowService.listWindows(value);
+    res.json({ windows });
+  } catch (err) {
+    handleWindowError(res, err, 'fetch');
+  }
+});
+
+router.post('/', validateBody(createWindowSchema), async (req, res) => {
+  try {
+    const window = await suppressionWindowService.createWindow(req.body);
+    res.status(201).json({ window });
+  } catch (error) {
+    handleWindowError(res, error, 'create');
+  }
+});
+
+router.get('/:id', validateWindowId, async (req, res) => {
+  try {
+    const window = await suppressionWindowService.getWindow(req.params.id);
+    if (!window) {
+      return windowNotFound(res, req.params.id);
+    }
+    res.json({ window });
+  } catch (error) {
+    handleWindowError(res, error, 'fetch', { windowId: req.params.id });
+  }
+});
+
+router.put('/:id', validateWindowId, validateBody(updateWindowSchema), async (req, res) => {
+  try {
+    const window = await suppressionWindowService.updateWindow(req.params.id, req.body);
+    if (!window) {
+      return windowNotFound(res, req.params.id);
+    }
+    res.json({ window });
+  } catch (error) {
+    handleWindowError(res, error, 'update', { windowId: req.params.id });
+  }
+});
+
+router.delete('/:id', validateWindowId, async (req, res) => {
+  try {
+    const deleted = await suppressionWindowService.deleteWindow(req.params.id);
+    if (!deleted) {
+      return windowNotFound(res, req.params.id);
+    }
+    res.status(204).send();
+  } catch (error) {
+    handleWindowError(res, error, 'delete', { windowId: req.params.id });
+  }
+});
+
+module.exports = router;
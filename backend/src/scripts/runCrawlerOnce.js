@@ -15,6 +15,7 @@ async function runCrawlerOnce() {
     const options = {
       collectionIds: [],
       verbose: false,
+      resetCheckpoints: false,
       outputFormat: 'summary' // 'summary' or 'full'
     };
 
@@ -29,6 +30,8 @@ async function runCrawlerOnce() {
         }
       } else if (arg === '--verbose' || arg === '-v') {
         options.verbose = true;
+      } else if (arg === '--reset-checkpoints') {
+        options.resetCheckpoints = true;
       } else if (arg === '--output' || arg === '-o') {
         const format = args[++i];
         if (['summary', 'full'].includes(format)) {
@@ -42,6 +45,8 @@ Options:
   -c, --collections <ids>    Comma-separated list of collection IDs to crawl
   -v, --verbose              Enable verbose logging
   -o, --output <format>      Output format: 'summary' (default) or 'full'
+  --reset-checkpoints        Forget where earlier crawls left off (of the given collections,
+                             or all) and fetch everything again
   -h, --help                 Show this help message
 
 Environment Variables:
@@ -57,6 +62,7 @@ Examples:
   node runCrawlerOnce.js
   node runCrawlerOnce.js -c collection1,collection2 -v
   node runCrawlerOnce.js --output full
+  node runCrawlerOnce.js -c collection1 --reset-checkpoints
         `);
         process.exit(0);
       }
@@ -65,6 +71,11 @@ Examples:
     // Initialize crawler
     const crawler = new Crawler();
 
+    if (options.resetCheckpoints) {
+      const cleared = await crawler.resetCheckpoints(options.collectionIds);
+      console.log(`♻️  Reset ${cleared} crawl checkpoint(s), fetching everything again`);
+    }
+
     // Run crawler
     let result;
     if (options.collectionIds.length > 0) {
@@ -95,11 +106,21 @@ Examples:
       console.log(`   Listings found: ${metrics.totalListings}`);
       console.log(`   Purchases found: ${metrics.totalPurchases}`);
       
+      if (metrics.skippedTargets) {
+        console.log(`   Skipped (circuit open): ${metrics.skippedTargets}`);
+      }
       if (metrics.errors && metrics.errors.length > 0) {
         console.log(`   Errors: ${metrics.errors.length}`);
       }
     }
 
+    if (result.circuitTransitions && result.circuitTransitions.length > 0) {
+      console.log('\n⚡ Circuit Breakers:');
+      result.circuitTransitions.forEach(transition => {
+        console.log(`   ${transition.targetId}: ${transition.from} → ${transition.to} (${transition.reason})`);
+      });
+    }
+
     // Show detailed results if requested
     if (options.outputFormat === 'full' && result.results) {
       console.log('\n🔍 Detailed Results:');
@@ -115,6 +136,11 @@ Examples:
           if (item.payload) {
             console.log(`   📦 Listings: ${item.payload.listingEvents.length}`);
             console.log(`   💰 Purchases: ${item.payload.purchaseEvents.length}`);
+
+            if (item.incremental) {
+              const skipped = item.incremental.listings.skipped + item.incremental.purchases.skipped;
+              console.log(`   ⏭️  Already seen: ${skipped}`);
+            }
             
             if (item.payload.metadata) {
               console.log(`   📋 Collection: ${item.payload.metadata.name}`);
@@ -161,6 +187,16 @@ Examples:
           console.log(`     ${target}: ${count}`);
         });
       }
+
+      if (metrics.requestStats.rateLimits) {
+        Object.entries(metrics.requestStats.rateLimits)
+          .filter(([, limit]) => limit.throttled || limit.pausedUntil)
+          .forEach(([target, limit]) => {
+            const rate = Number(limit.requestsPerSecond.toFixed(2));
+            const paused = limit.pausedUntil ? `, paused until ${limit.pausedUntil}` : '';
+            console.log(`   Throttled ${target}: ${rate}/${limit.configuredRequestsPerSecond} requests per second${paused}`);
+          });
+      }
     }
 
     console.log('\n🏁 Crawler execution finished.\n');
@@ -9,6 +9,10 @@ const alertReadService = {
         severity,
         type,
         resolved,
+        acknowledged,
+        assignedTo,
+        assigned,
+        snoozed,
         page = 1,
         limit = 50,
         sortBy = 'triggeredAt',
@@ -33,63 +37,37 @@ const alertReadService = {
         repositoryFilters.resolved = resolved === 'true' || resolved === true;
       }
 
-      let alerts = await alertsRepository.findAll(repositoryFilters);
+      if (acknowledged !== undefined) {
+        repositoryFilters.acknowledged = acknowledged === 'true' || acknowledged === true;
+      }
 
-      // Apply additional sorting if needed
-      if (sortBy !== 'triggeredAt') {
-        alerts.sort((a, b) => {
-          const aVal = a[sortBy] || '';
-          const bVal = b[sortBy] || '';
-          let comparison = 0;
-          
-          if (sortBy === 'severity') {
-            const severityOrder = { 'low': 0, 'medium': 1, 'high': 2, 'critical': 3 };
-            comparison = (severityOrder[aVal] || 0) - (severityOrder[bVal] || 0);
-          } else if (sortBy === 'type') {
-            comparison = aVal.localeCompare(bVal);
-          } else {
-            // Default string comparison
-            comparison = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-          }
-          
-          return sortOrder === 'desc' ? -comparison : comparison;
-        });
+      if (assignedTo) {
+        repositoryFilters.assignedTo = assignedTo;
       }
 
-      // Calculate pagination
-      const total = alerts.length;
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      const paginatedAlerts = alerts.slice(startIndex, endIndex);
+      if (assigned !== undefined) {
+        repositoryFilters.assigned = assigned === 'true' || assigned === true;
+      }
 
-      // Calculate summary statistics
-      const summary = {
-        total,
-        resolved: alerts.filter(a => a.resolved === true).length,
-        unresolved: alerts.filter(a => a.resolved === false).length,
-        bySeverity: {},
-        byType: {},
-        byCollection: {},
-      };
+      if (snoozed !== undefined) {
+        repositoryFilters.snoozed = snoozed === 'true' || snoozed === true;
+      }
 
-      alerts.forEach((alert) => {
-        // Count by severity
-        summary.bySeverity[alert.severity] = (summary.bySeverity[alert.severity] || 0) + 1;
-        
-        // Count by type
-        summary.byType[alert.type] = (summary.byType[alert.type] || 0) + 1;
-        
-        // Count by collection
-        summary.byCollection[alert.collectionId] = (summary.byCollection[alert.collectionId] || 0) + 1;
+      const { alerts, total } = await alertsRepository.findPaginated(repositoryFilters, {
+        page,
+        limit,
+        sortBy,
+        sortOrder,
       });
+      const summary = await alertsRepository.getSummary(repositoryFilters);
 
       return {
-        alerts: paginatedAlerts,
+        alerts,
         pagination: {
           total,
           page: parseInt(page),
           limit: parseInt(limit),
-          hasNext: endIndex < total,
+          hasNext: page * limit < total,
           hasPrev: page > 1,
           totalPages: Math.ceil(total / limit),
         },
@@ -134,28 +112,21 @@ const alertReadService = {
         filters.resolved = false;
       }
 
-      const alerts = await alertsRepository.findAll(filters);
-      
-      // Limit results and sort by most recent
-      const limitedAlerts = alerts
-        .sort((a, b) => new Date(b.triggeredAt).getTime() - new Date(a.triggeredAt).getTime())
-        .slice(0, limit);
+      // Most recent first, limited by the repository
+      const { alerts: limitedAlerts } = await alertsRepository.findPaginated(filters, {
+        page: 1,
+        limit,
+        sortBy: 'triggeredAt',
+        sortOrder: 'desc',
+      });
 
-      // Calculate collection-specific summary
+      // Counted over every alert the filters match, not just the page returned
+      const { byCollection, ...counts } = await alertsRepository.getSummary(filters);
       const summary = {
-        total: limitedAlerts.length,
-        resolved: limitedAlerts.filter(a => a.resolved).length,
-        unresolved: limitedAlerts.filter(a => !a.resolved).length,
-        bySeverity: {},
-        byType: {},
+        ...counts,
         latestAlert: limitedAlerts[0] || null,
       };
 
-      limitedAlerts.forEach((alert) => {
-        summary.bySeverity[alert.severity] = (summary.bySeverity[alert.severity] || 0) + 1;
-        summary.byType[alert.type] = (summary.byType[alert.type] || 0) + 1;
-      });
-
       return {
         collectionId,
         alerts: limitedAlerts,
@@ -175,34 +146,24 @@ const alertReadService = {
     try {
       const { timeWindow = '24h' } = filters;
       
-      // Get all alerts first
-      const allAlerts = await alertsRepository.findAll({});
-      
-      // Apply time window filter
       const now = new Date();
-      let filteredAlerts = allAlerts;
-      
+      const repositoryFilters = {};
+
       if (timeWindow !== 'all') {
         const windowMs = this._parseTimeWindow(timeWindow);
-        const cutoffTime = new Date(now.getTime() - windowMs);
-        filteredAlerts = allAlerts.filter(alert => 
-          new Date(alert.triggeredAt) >= cutoffTime
-        );
+        repositoryFilters.since = new Date(now.getTime() - windowMs).toISOString();
       }
 
-      // Apply other filters
       if (filters.collectionId) {
-        filteredAlerts = filteredAlerts.filter(alert => 
-          alert.collectionId === filters.collectionId
-        );
+        repositoryFilters.collectionId = filters.collectionId;
       }
 
       if (filters.severity) {
-        filteredAlerts = filteredAlerts.filter(alert => 
-          alert.severity === filters.severity
-        );
+        repositoryFilters.severity = filters.severity;
       }
 
+      const filteredAlerts = await alertsRepository.findAll(repositoryFilters);
+
       // Calculate comprehensive summary
       const summary = {
         timeWindow,
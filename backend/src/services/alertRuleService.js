@@ -0,0 +1,44 @@
+const { alertRuleRepository } = require('../repositories/alertRuleRepository');
+const { DEFAULT_RULE_MESSAGE, compileCondition, validateMessageTemplate } = require('./ruleEngine');
+const logger = require('../utils/logger');
+
+// Conditions and message placeholders are checked when a rule is saved, so evaluation
+// never has to deal with a rule that cannot compile.
+function validateRule(data) {
+  if (data.condition !== undefined) {
+    compileCondition(data.condition);
+  }
+  if (data.message !== undefined) {
+    validateMessageTemplate(data.message);
+  }
+}
+
+const alertRuleService = {
+  async listRules(filters = {}) {
+    return alertRuleRepository.findAll(filters);
+  },
+
+  async getRule(ruleId) {
+    return alertRuleRepository.findById(ruleId);
+  },
+
+  async createRule(data) {
+    const ruleData = { message: DEFAULT_RULE_MESSAGE, ...data };
+    validateRule(ruleData);
+
+    const rule = await alertRuleRepository.create(ruleData);
+    logger.info('Alert rule saved', { ruleId: rule.id, condition: rule.condition });
+    return rule;
+  },
+
+  async updateRule(ruleId, updates) {
+    validateRule(updates);
+    return alertRuleRepository.update(ruleId, updates);
+  },
+
+  async deleteRule(ruleId) {
+    return alertRuleRepository.delete(ruleId);
+  },
+};
+
+module.exports = alertRuleService;
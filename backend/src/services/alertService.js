@@ -1,6 +1,9 @@
 const logger = require('../utils/logger');
-const { webhookNotifier } = require('../notifications/webhookNotifier');
-const { emailNotifier } = require('../notifications/emailNotifier');
+const { normalizeSeverity } = require('../utils/severity');
+const notificationRouter = require('../notifications/notificationRouter');
+const { compileCondition, renderMessage, resolveMetric } = require('./ruleEngine');
+const { alertCooldownRepository } = require('../repositories/alertCooldownRepository');
+const suppressionWindowService = require('./suppressionWindowService');
 
 const DEFAULT_THRESHOLDS = {
   priceDrop: parseFloat(process.env.ALERT_PRICE_DROP_PERCENT || 10),
@@ -8,32 +11,173 @@ const DEFAULT_THRESHOLDS = {
   listingDepletion: parseFloat(process.env.ALERT_LISTING_DEPLETION_PERCENT || 30),
 };
 
-const COOLDOWN_WINDOW = parseInt(process.env.ALERT_COOLDOWN_MINUTES || 60, 10) * 60 * 1000;
+// tracked_collections.alert_thresholds keys for each threshold.
+const THRESHOLD_KEYS = {
+  priceDrop: 'price_drop_percent',
+  volumeSpike: 'volume_spike_percent',
+  listingDepletion: 'listing_depletion_percent',
+};
+
+// Percentage points a metric must recover past its threshold before an open alert auto-resolves.
+const RESOLVE_HYSTERESIS = parseFloat(process.env.ALERT_RESOLVE_HYSTERESIS_PERCENT || 0);
+const AUTO_RESOLVE_ENABLED = process.env.ALERT_AUTO_RESOLVE !== 'false';
+
+// resolvedBy recorded on alerts closed by the evaluation pipeline rather than by a person.
+const AUTO_RESOLVED_BY = 'auto';
 
-const alertCooldowns = new Map();
+// An alert that could not be saved gives back the cooldown applyCooldowns claimed for it, so
+// the next evaluation raises it again. notifyAlert handles its own failures, so a saved alert
+// keeps its cooldown. An alert the repository already held was notified when first stored.
+async function persistAndNotify(alerts, alertsRepository) {
+  for (const alert of alerts) {
+    let stored;
+    try {
+      const suppression = await findSuppression(alert);
+      stored = await alertsRepository.create(suppression ? { ...alert, suppression } : alert);
+    } catch (error) {
+      logger.error('Failed to persist alert', {
+        collectionId: alert.collectionId,
+        type: alert.type,
+        error: error.message,
+      });
+      await releaseCooldown(alert);
+      continue;
+    }
+
+    const { created, ...persistedAlert } = stored;
+    if (created === false) {
+      logger.debug('Alert already stored, not notified again', {
+        alertId: persistedAlert.id,
+        collectionId: alert.collectionId,
+        type: alert.type,
+      });
+      continue;
+    }
+
+    await notifyAlert(persistedAlert);
+  }
+}
+
+async function releaseCooldown(alert) {
+  try {
+    await alertCooldownRepository.delete(alert.collectionId, alert.type);
+  } catch (error) {
+    logger.error('Failed to release alert cooldown', {
+      collectionId: alert.collectionId,
+      type: alert.type,
+      error: error.message,
+    });
+  }
+}
 
-function getCooldownKey(collectionId, alertType) {
-  return `${collectionId}:${alertType}`;
+function getListingDepletion(listingCount, previousListingCount) {
+  if (
+    listingCount === undefined ||
+    listingCount === null ||
+    previousListingCount === undefined ||
+    previousListingCount === null ||
+    previousListingCount <= 0
+  ) {
+    return null;
+  }
+  return ((previousListingCount - listingCount) / previousListingCount) * 100;
 }
 
-function shouldThrottle(collectionId, alertType) {
-  const key = getCooldownKey(collectionId, alertType);
-  const lastTriggered = alertCooldowns.get(key);
+/**
+ * Check analytics against the thresholds and return the alerts the metrics call for, each
+ * with the log details for its trigger. No cooldowns are applied and nothing is persisted.
+ */
+function detectThresholdAlerts(analytics, thresholds = DEFAULT_THRESHOLDS) {
+  const { collectionId, priceChange24h, volumeChange24h, listingCount, previousListingCount } =
+    analytics;
+  const candidates = [];
+
+  // Alerts are stamped with the time of the metrics they were evaluated against, so
+  // re-evaluating the same metrics hits the repository's dedupe key instead of duplicating.
+  const triggeredAt = analytics.timestamp
+    ? new Date(analytics.timestamp).toISOString()
+    : new Date().toISOString();
+
+  // Check price drop alert
+  if (priceChange24h !== undefined && priceChange24h !== null) {
+    if (priceChange24h < -thresholds.priceDrop) {
+      candidates.push({
+        alert: {
+          collectionId,
+          type: 'price_drop',
+          severity: 'warning',
+          message: `Price dropped ${Math.abs(priceChange24h).toFixed(2)}% in 24h`,
+          triggeredAt,
+          metrics: { priceChange24h },
+        },
+        details: { priceChange: priceChange24h },
+      });
+    }
+  }
+
+  // Check volume spike alert
+  if (volumeChange24h !== undefined && volumeChange24h !== null) {
+    if (volumeChange24h > thresholds.volumeSpike) {
+      candidates.push({
+        alert: {
+          collectionId,
+          type: 'volume_spike',
+          severity: 'info',
+          message: `Volume spiked ${volumeChange24h.toFixed(2)}% in 24h`,
+          triggeredAt,
+          metrics: { volumeChange24h },
+        },
+        details: { volumeChange: volumeChange24h },
+      });
+    }
+  }
 
-  if (!lastTriggered) {
-    return false;
+  // Check listing depletion alert
+  const listingDepletion = getListingDepletion(listingCount, previousListingCount);
+  if (listingDepletion !== null) {
+    if (listingDepletion > thresholds.listingDepletion) {
+      candidates.push({
+        alert: {
+          collectionId,
+          type: 'listing_depletion',
+          severity: 'critical',
+          message: `Listings depleted by ${listingDepletion.toFixed(2)}%`,
+          triggeredAt,
+          metrics: { listingCount, previousListingCount, listingDepletion },
+        },
+        details: { listingDepletion },
+      });
+    }
   }
 
-  const elapsed = Date.now() - lastTriggered;
-  return elapsed < COOLDOWN_WINDOW;
+  return candidates;
 }
 
-function recordTrigger(collectionId, alertType) {
-  const key = getCooldownKey(collectionId, alertType);
-  alertCooldowns.set(key, Date.now());
+// Keep the candidates that are not in cooldown and start the cooldown for each of them. The
+// cooldown state is stored, so it holds across restarts and is shared between API instances.
+async function applyCooldowns(candidates) {
+  const triggeredAlerts = [];
+
+  for (const { alert, details, cooldownWindow = getCooldownWindow() } of candidates) {
+    const { collectionId, type: alertType } = alert;
+
+    if (!(await alertCooldownRepository.claim(collectionId, alertType, cooldownWindow))) {
+      logger.debug(`Alert throttled: ${alertType} for collection ${collectionId}`);
+      continue;
+    }
+
+    triggeredAlerts.push(alert);
+    logger.info(`Alert triggered: ${alertType} for collection ${collectionId}`, {
+      collectionId,
+      alertType,
+      ...details,
+    });
+  }
+
+  return triggeredAlerts;
 }
 
-async function evaluateAlerts(analytics, alertsRepository) {
+async function evaluateAlerts(analytics, alertsRepository, thresholds = DEFAULT_THRESHOLDS) {
   if (!analytics || !alertsRepository) {
     logger.warn('Missing analytics data or repository for alert evaluation');
     return [];
@@ -42,137 +186,529 @@ async function evaluateAlerts(analytics, alertsRepository) {
   const triggeredAlerts = [];
 
   try {
-    const { collectionId, priceChange24h, volumeChange24h, listingCount, previousListingCount } =
-      analytics;
-
-    if (!collectionId) {
+    if (!analytics.collectionId) {
       logger.warn('Collection ID missing from analytics data');
       return triggeredAlerts;
     }
 
-    // Check price drop alert
-    if (priceChange24h !== undefined && priceChange24h !== null) {
-      if (priceChange24h < -DEFAULT_THRESHOLDS.priceDrop) {
-        const alertType = 'price_drop';
-        if (!shouldThrottle(collectionId, alertType)) {
-          const alert = {
-            collectionId,
-            type: alertType,
-            severity: 'warning',
-            message: `Price dropped ${Math.abs(priceChange24h).toFixed(2)}% in 24h`,
-            triggeredAt: new Date().toISOString(),
-          };
-          triggeredAlerts.push(alert);
-          recordTrigger(collectionId, alertType);
-          logger.info(`Alert triggered: ${alertType} for collection ${collectionId}`, {
-            collectionId,
-            alertType,
-            priceChange: priceChange24h,
-          });
-        } else {
-          logger.debug(`Alert throttled: ${alertType} for collection ${collectionId}`);
-        }
-      }
+    triggeredAlerts.push(...(await applyCooldowns(detectThresholdAlerts(analytics, thresholds))));
+
+    await persistAndNotify(triggeredAlerts, alertsRepository);
+  } catch (error) {
+    logger.error('Error evaluating alerts', { error: error.message });
+  }
+
+  return triggeredAlerts;
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toPercentChange(current, previous) {
+  if (current === null || previous === null || previous === 0) {
+    return null;
+  }
+  return ((current - previous) / previous) * 100;
+}
+
+function getListingCount(snapshot) {
+  if (!snapshot) {
+    return null;
+  }
+  return toNumberOrNull(snapshot.totalListings ?? snapshot.listedCount ?? snapshot.listingCount);
+}
+
+function getPurchaseVolume(point) {
+  return point && point.purchaseMetrics ? toNumberOrNull(point.purchaseMetrics.tradeVolume) : null;
+}
+
+/**
+ * Map a collection's 24h metrics onto the inputs evaluateAlerts expects. Price and volume
+ * changes compare the latest 24h point with the previous day's point (average price and
+ * purchase volume); listing counts come from the two most recent market snapshots, which
+ * must be sorted oldest first.
+ */
+function toAlertInputs(collectionId, latest, previous, snapshots) {
+  return {
+    collectionId,
+    timestamp: latest.timestamp,
+    // The stored priceChange24h measures the in-window high against the first trade, so it
+    // can never go negative and is no stand-in: without a previous day there is no change.
+    priceChange24h: previous
+      ? toPercentChange(toNumberOrNull(latest.averagePrice), toNumberOrNull(previous.averagePrice))
+      : null,
+    volumeChange24h: toPercentChange(getPurchaseVolume(latest), getPurchaseVolume(previous)),
+    listingCount: getListingCount(snapshots[snapshots.length - 1]),
+    previousListingCount: snapshots.length > 1 ? getListingCount(snapshots[snapshots.length - 2]) : null,
+  };
+}
+
+function sortSnapshots(snapshots) {
+  return [...(snapshots || [])].sort(
+    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  );
+}
+
+// UTC day (YYYY-MM-DD) a metrics point belongs to: its metricDate, or the date of its timestamp.
+function getMetricDay(point) {
+  if (point.metricDate) {
+    return point.metricDate;
+  }
+  const date = new Date(point.timestamp);
+  return Number.isFinite(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+function getPreviousDay(day) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build alert inputs from a collection's freshly refreshed metrics history. Only the point
+ * dated the day before the latest one counts as the previous day; when the history has a gap
+ * there, the day-over-day comparisons are skipped as if there were no history.
+ */
+async function buildAlertInputs(collectionId, dataStore, analyticsRepository) {
+  const history = await analyticsRepository.getMetricHistory(collectionId, '24h');
+  const latest = history[history.length - 1];
+
+  if (!latest) {
+    return null;
+  }
+
+  const latestDay = getMetricDay(latest);
+  const previousDay = latestDay ? getPreviousDay(latestDay) : null;
+  const previous = history.find((point) => previousDay && getMetricDay(point) === previousDay) || null;
+  const snapshots = sortSnapshots(await dataStore.getMarketSnapshots(collectionId));
+
+  return toAlertInputs(collectionId, latest, previous, snapshots);
+}
+
+/**
+ * Pick the thresholds a collection overrides out of its tracked_collections.alert_thresholds
+ * JSON. Unknown keys and non-numeric values are ignored.
+ */
+function parseThresholdOverrides(alertThresholds) {
+  const overrides = {};
+
+  if (!alertThresholds) {
+    return overrides;
+  }
+
+  Object.entries(THRESHOLD_KEYS).forEach(([name, key]) => {
+    const value = toNumberOrNull(alertThresholds[key]);
+    if (value !== null && value >= 0) {
+      overrides[name] = value;
     }
+  });
 
-    // Check volume spike alert
-    if (volumeChange24h !== undefined && volumeChange24h !== null) {
-      if (volumeChange24h > DEFAULT_THRESHOLDS.volumeSpike) {
-        const alertType = 'volume_spike';
-        if (!shouldThrottle(collectionId, alertType)) {
-          const alert = {
-            collectionId,
-            type: alertType,
-            severity: 'info',
-            message: `Volume spiked ${volumeChange24h.toFixed(2)}% in 24h`,
-            triggeredAt: new Date().toISOString(),
-          };
-          triggeredAlerts.push(alert);
-          recordTrigger(collectionId, alertType);
-          logger.info(`Alert triggered: ${alertType} for collection ${collectionId}`, {
+  return overrides;
+}
+
+/**
+ * Resolve a collection's thresholds: its own overrides, falling back to the global defaults.
+ */
+async function getCollectionThresholds(collectionId, trackedCollectionRepository) {
+  const trackedCollection = trackedCollectionRepository
+    ? await trackedCollectionRepository.getTrackedCollection(collectionId)
+    : null;
+  const overrides = parseThresholdOverrides(trackedCollection && trackedCollection.alertThresholds);
+
+  return {
+    collectionId,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...overrides },
+    overrides,
+    defaults: { ...DEFAULT_THRESHOLDS },
+  };
+}
+
+/**
+ * Merge threshold overrides into a collection's stored alert_thresholds. A null value removes
+ * the override so the global default applies again; keys this service does not know about
+ * are left untouched.
+ */
+async function updateCollectionThresholds(collectionId, updates, trackedCollectionRepository) {
+  const trackedCollection = await trackedCollectionRepository.getTrackedCollection(collectionId);
+  const alertThresholds = { ...((trackedCollection && trackedCollection.alertThresholds) || {}) };
+
+  Object.entries(updates).forEach(([name, value]) => {
+    const key = THRESHOLD_KEYS[name];
+    if (!key || value === undefined) {
+      return;
+    }
+    if (value === null) {
+      delete alertThresholds[key];
+    } else {
+      alertThresholds[key] = value;
+    }
+  });
+
+  await trackedCollectionRepository.setAlertThresholds(
+    collectionId,
+    Object.keys(alertThresholds).length > 0 ? alertThresholds : null
+  );
+
+  logger.info('Collection alert thresholds updated', { collectionId, alertThresholds });
+
+  return getCollectionThresholds(collectionId, trackedCollectionRepository);
+}
+
+/**
+ * Match user-defined rules (see ruleEngine) against a collection's metrics, keyed by window.
+ * Each rule raises its own alert type, `rule:<id>`, with its own cooldown window. Like
+ * detectThresholdAlerts, no cooldowns are applied and nothing is persisted.
+ */
+function detectRuleAlerts(collectionId, metricsByWindow, rules, timestamp) {
+  const candidates = [];
+  const triggeredAt = timestamp ? new Date(timestamp).toISOString() : new Date().toISOString();
+
+  for (const rule of rules) {
+    try {
+      if (!rule.enabled || (rule.collectionId && rule.collectionId !== collectionId)) {
+        continue;
+      }
+
+      const condition = compileCondition(rule.condition);
+      if (!condition.evaluate(metricsByWindow)) {
+        continue;
+      }
+
+      const metrics = {};
+      condition.references.forEach((reference) => {
+        metrics[reference] = resolveMetric(metricsByWindow, reference);
+      });
+
+      candidates.push({
+        alert: {
+          collectionId,
+          type: `rule:${rule.id}`,
+          severity: normalizeSeverity(rule.severity),
+          message: renderMessage(rule.message, {
             collectionId,
-            alertType,
-            volumeChange: volumeChange24h,
-          });
-        } else {
-          logger.debug(`Alert throttled: ${alertType} for collection ${collectionId}`);
-        }
+            ruleName: rule.name,
+            metrics: metricsByWindow,
+          }),
+          triggeredAt,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          condition: rule.condition,
+          metrics,
+        },
+        details: { ruleName: rule.name, metrics },
+        cooldownWindow:
+          rule.cooldownMinutes !== null && rule.cooldownMinutes !== undefined
+            ? rule.cooldownMinutes * 60 * 1000
+            : getCooldownWindow(),
+      });
+    } catch (error) {
+      logger.error('Error evaluating alert rule', {
+        collectionId,
+        ruleId: rule.id,
+        error: error.message,
+      });
+    }
+  }
+
+  return candidates;
+}
+
+async function evaluateRules(collectionId, metricsByWindow, rules, alertsRepository, options = {}) {
+  const triggeredAlerts = await applyCooldowns(
+    detectRuleAlerts(collectionId, metricsByWindow, rules, options.timestamp)
+  );
+
+  await persistAndNotify(triggeredAlerts, alertsRepository);
+
+  return triggeredAlerts;
+}
+
+// A metric has recovered once it is back within its threshold minus the hysteresis margin.
+function getClearLevel(threshold, hysteresis) {
+  return Math.max(threshold - hysteresis, 0);
+}
+
+function describeThresholdRecovery(alert, analytics, thresholds, hysteresis) {
+  switch (alert.type) {
+    case 'price_drop': {
+      // Null without a previous-day point: nothing shows the price recovered, so the alert stays open.
+      const priceChange = toNumberOrNull(analytics.priceChange24h);
+      return priceChange !== null && priceChange >= -getClearLevel(thresholds.priceDrop, hysteresis)
+        ? `Price change recovered to ${priceChange.toFixed(2)}% in 24h`
+        : null;
+    }
+    case 'volume_spike': {
+      const volumeChange = toNumberOrNull(analytics.volumeChange24h);
+      return volumeChange !== null &&
+        volumeChange <= getClearLevel(thresholds.volumeSpike, hysteresis)
+        ? `Volume change eased to ${volumeChange.toFixed(2)}% in 24h`
+        : null;
+    }
+    case 'listing_depletion': {
+      const depletion = getListingDepletion(analytics.listingCount, analytics.previousListingCount);
+      return depletion !== null && depletion <= getClearLevel(thresholds.listingDepletion, hysteresis)
+        ? `Listing depletion eased to ${depletion.toFixed(2)}%`
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function describeRuleRecovery(alert, metricsByWindow, rules) {
+  const rule = rules.find((candidate) => `rule:${candidate.id}` === alert.type);
+  if (!rule || compileCondition(rule.condition).evaluate(metricsByWindow)) {
+    return null;
+  }
+  return `Rule "${rule.name}" no longer matches`;
+}
+
+/**
+ * Pick the open alerts whose triggering condition no longer holds. Built-in alerts clear once
+ * their metric is back within the threshold by `hysteresis` percentage points; rule alerts
+ * clear as soon as their rule stops matching. Alerts whose metrics are missing, or whose rule
+ * was deleted or disabled, stay open. Returns `[{ alert, resolution }]`; nothing is persisted.
+ */
+function detectClearedAlerts(openAlerts, context, hysteresis = RESOLVE_HYSTERESIS) {
+  const { analytics, metricsByWindow = {}, rules = [], thresholds = DEFAULT_THRESHOLDS } = context;
+  const cleared = [];
+
+  for (const alert of openAlerts) {
+    try {
+      const resolution = alert.type.startsWith('rule:')
+        ? describeRuleRecovery(alert, metricsByWindow, rules)
+        : describeThresholdRecovery(alert, analytics, thresholds, hysteresis);
+
+      if (resolution) {
+        cleared.push({ alert, resolution });
       }
+    } catch (error) {
+      logger.error('Error checking whether alert cleared', {
+        alertId: alert.id,
+        type: alert.type,
+        error: error.message,
+      });
     }
+  }
 
-    // Check listing depletion alert
-    if (
-      listingCount !== undefined &&
-      listingCount !== null &&
-      previousListingCount !== undefined &&
-      previousListingCount !== null &&
-      previousListingCount > 0
-    ) {
-      const listingDepletion = ((previousListingCount - listingCount) / previousListingCount) * 100;
-      if (listingDepletion > DEFAULT_THRESHOLDS.listingDepletion) {
-        const alertType = 'listing_depletion';
-        if (!shouldThrottle(collectionId, alertType)) {
-          const alert = {
-            collectionId,
-            type: alertType,
-            severity: 'critical',
-            message: `Listings depleted by ${listingDepletion.toFixed(2)}%`,
-            triggeredAt: new Date().toISOString(),
-          };
-          triggeredAlerts.push(alert);
-          recordTrigger(collectionId, alertType);
-          logger.info(`Alert triggered: ${alertType} for collection ${collectionId}`, {
-            collectionId,
-            alertType,
-            listingDepletion,
-          });
-        } else {
-          logger.debug(`Alert throttled: ${alertType} for collection ${collectionId}`);
-        }
+  return cleared;
+}
+
+async function resolveClearedAlerts(cleared, alertsRepository) {
+  const resolvedAlerts = [];
+
+  for (const { alert, resolution } of cleared) {
+    try {
+      const resolved = await alertsRepository.update(alert.id, {
+        resolved: true,
+        resolvedBy: AUTO_RESOLVED_BY,
+        resolution,
+      });
+
+      if (resolved) {
+        resolvedAlerts.push(resolved);
+        logger.info(`Alert auto-resolved: ${alert.type} for collection ${alert.collectionId}`, {
+          alertId: alert.id,
+          resolution,
+        });
       }
+    } catch (error) {
+      logger.error('Failed to auto-resolve alert', {
+        alertId: alert.id,
+        error: error.message,
+      });
     }
+  }
 
-    // Persist alerts and notify
-    for (const alert of triggeredAlerts) {
-      try {
-        const persistedAlert = await alertsRepository.create(alert);
-        await notifyAlert(persistedAlert);
-      } catch (error) {
-        logger.error('Failed to persist or notify alert', {
-          collectionId: alert.collectionId,
-          type: alert.type,
-          error: error.message,
+  return resolvedAlerts;
+}
+
+/**
+ * Run the built-in alerts and any stored rules for each collection, then auto-resolve the
+ * collection's open alerts whose condition has cleared. `repositories` holds the dataStore,
+ * analyticsRepository and alertsRepository, plus the optional trackedCollectionRepository
+ * (per-collection thresholds) and alertRuleRepository (rules).
+ *
+ * Returns `{ triggeredAlerts, resolvedAlerts }`.
+ */
+async function evaluateCollectionAlerts(collectionIds, repositories) {
+  const {
+    dataStore,
+    analyticsRepository,
+    alertsRepository,
+    trackedCollectionRepository,
+    alertRuleRepository,
+  } = repositories;
+  const triggeredAlerts = [];
+  const resolvedAlerts = [];
+  const rules = alertRuleRepository ? await alertRuleRepository.findAll({ enabled: true }) : [];
+
+  for (const collectionId of collectionIds) {
+    try {
+      const inputs = await buildAlertInputs(collectionId, dataStore, analyticsRepository);
+      if (!inputs) {
+        logger.debug('No metrics to evaluate alerts against', { collectionId });
+        continue;
+      }
+
+      // Fetched before evaluating so alerts raised by this run are not re-checked.
+      const openAlerts = AUTO_RESOLVE_ENABLED
+        ? await alertsRepository.findAll({ collectionId, resolved: false })
+        : [];
+
+      const { thresholds } = await getCollectionThresholds(collectionId, trackedCollectionRepository);
+      const alerts = await evaluateAlerts(inputs, alertsRepository, thresholds);
+      triggeredAlerts.push(...alerts);
+
+      const metricsByWindow = {};
+      if (rules.length > 0 || openAlerts.some((alert) => alert.type.startsWith('rule:'))) {
+        (await analyticsRepository.findMetrics({ collectionId })).forEach((metric) => {
+          metricsByWindow[metric.window] = metric;
         });
       }
+
+      if (rules.length > 0) {
+        const ruleAlerts = await evaluateRules(collectionId, metricsByWindow, rules, alertsRepository, {
+          timestamp: inputs.timestamp,
+        });
+        triggeredAlerts.push(...ruleAlerts);
+      }
+
+      const cleared = detectClearedAlerts(openAlerts, {
+        analytics: inputs,
+        metricsByWindow,
+        rules,
+        thresholds,
+      });
+      resolvedAlerts.push(...(await resolveClearedAlerts(cleared, alertsRepository)));
+    } catch (error) {
+      logger.error('Error evaluating collection alerts', {
+        collectionId,
+        error: error.message,
+      });
     }
-  } catch (error) {
-    logger.error('Error evaluating alerts', { error: error.message });
   }
 
-  return triggeredAlerts;
+  return { triggeredAlerts, resolvedAlerts };
 }
 
-async function notifyAlert(alert) {
-  const notifiers = [];
+/**
+ * Collections a crawler target covers: the collection whose crawl opened its breaker and the
+ * collections it holds checkpoints for, keeping only those with stored market data. A target ID
+ * is never taken for a collection unless data was ingested under it.
+ */
+async function findTargetCollections(transition, { dataStore, crawlCheckpointRepository }) {
+  const checkpoints = crawlCheckpointRepository
+    ? await crawlCheckpointRepository.findAll({ targetId: transition.targetId })
+    : [];
+  const collectionIds = new Set(
+    [transition.collectionId, ...checkpoints.map((checkpoint) => checkpoint.collectionId)].filter(Boolean)
+  );
+  const knownCollections = new Set(await dataStore.getAllCollections());
+
+  return [...collectionIds].filter((collectionId) => knownCollections.has(collectionId));
+}
+
+/**
+ * Raise a `crawler_circuit_open` alert for each crawler circuit breaker transition to `open`,
+ * once for every collection the target covers (see findTargetCollections). A target that covers
+ * no stored collection is only logged. Cooldowns apply as for the built-in alerts, so a target
+ * that keeps failing alerts once per cooldown window. `repositories` holds the alertsRepository
+ * and dataStore, plus the optional crawlCheckpointRepository. Returns the alerts raised.
+ */
+async function raiseCircuitOpenAlerts(transitions, repositories) {
+  const { alertsRepository } = repositories;
+  const candidates = [];
 
-  if (process.env.WEBHOOK_URL) {
-    notifiers.push(webhookNotifier.send(alert));
+  for (const transition of transitions.filter((item) => item.to === 'open')) {
+    let collectionIds = [];
+    try {
+      collectionIds = await findTargetCollections(transition, repositories);
+    } catch (error) {
+      logger.error('Error finding collections for crawler circuit alert', {
+        targetId: transition.targetId,
+        error: error.message,
+      });
+    }
+
+    if (collectionIds.length === 0) {
+      logger.warn('Crawler circuit opened for a target without stored collections; no alert raised', {
+        targetId: transition.targetId,
+        reason: transition.reason,
+      });
+      continue;
+    }
+
+    collectionIds.forEach((collectionId) => {
+      candidates.push({
+        alert: {
+          collectionId,
+          type: 'crawler_circuit_open',
+          severity: 'error',
+          message: `Crawler target ${transition.targetId} paused until ${transition.retryAt}: ${transition.reason}`,
+          triggeredAt: transition.at,
+          metrics: {
+            consecutiveFailures: transition.consecutiveFailures,
+            failureRate: transition.failureRate,
+          },
+        },
+        details: { targetId: transition.targetId, reason: transition.reason },
+      });
+    });
   }
 
-  if (process.env.EMAIL_ENABLED === 'true' && process.env.EMAIL_TO) {
-    notifiers.push(emailNotifier.send(alert));
+  const triggeredAlerts = await applyCooldowns(candidates);
+  await persistAndNotify(triggeredAlerts, alertsRepository);
+  return triggeredAlerts;
+}
+
+// A failed lookup lets the notification through rather than losing it.
+async function findSuppression(alert) {
+  try {
+    return await suppressionWindowService.findSuppression(alert);
+  } catch (error) {
+    logger.error('Error checking suppression windows', {
+      collectionId: alert.collectionId,
+      type: alert.type,
+      error: error.message,
+    });
+    return null;
   }
+}
+
+// Alerts go to the notification channel configured for their collection, unless a
+// maintenance window or quiet hours hold the notification back.
+async function notifyAlert(alert) {
+  const { suppression } = alert;
 
-  if (notifiers.length === 0) {
-    logger.warn('No notifiers configured for alerts', {
+  if (suppression && suppression.action === 'suppress') {
+    logger.info('Alert notification suppressed', {
       collectionId: alert.collectionId,
       type: alert.type,
+      windowId: suppression.windowId,
+      kind: suppression.kind,
     });
     return;
   }
 
   try {
-    await Promise.all(notifiers);
+    if (suppression) {
+      logger.info('Alert notification deferred', {
+        collectionId: alert.collectionId,
+        type: alert.type,
+        windowId: suppression.windowId,
+        until: suppression.until,
+      });
+      await notificationRouter.dispatch(alert, { deliverAt: suppression.until });
+      return;
+    }
+
+    await notificationRouter.dispatch(alert);
   } catch (error) {
     logger.error('Error notifying alert', {
       collectionId: alert.collectionId,
@@ -186,17 +722,70 @@ function getThresholds() {
   return { ...DEFAULT_THRESHOLDS };
 }
 
+// Read on every call so a changed ALERT_COOLDOWN_MINUTES applies without a restart.
 function getCooldownWindow() {
-  return COOLDOWN_WINDOW;
+  return parseFloat(process.env.ALERT_COOLDOWN_MINUTES || 60) * 60 * 1000;
+}
+
+function getAlertCooldownWindow(alertType, rules) {
+  const rule = rules.find((candidate) => `rule:${candidate.id}` === alertType);
+  return rule && rule.cooldownMinutes !== null && rule.cooldownMinutes !== undefined
+    ? rule.cooldownMinutes * 60 * 1000
+    : getCooldownWindow();
+}
+
+/**
+ * List the stored cooldowns, optionally for one collection, with when each one expires. Rule
+ * alerts use their rule's cooldown, looked up in `alertRuleRepository` when given.
+ */
+async function getCooldowns(collectionId, alertRuleRepository) {
+  const cooldowns = await alertCooldownRepository.findAll(collectionId ? { collectionId } : {});
+  const rules = alertRuleRepository ? await alertRuleRepository.findAll() : [];
+  const now = Date.now();
+
+  return cooldowns.map((cooldown) => {
+    const cooldownWindow = getAlertCooldownWindow(cooldown.alertType, rules);
+    const expiresAt = new Date(new Date(cooldown.lastTriggeredAt).getTime() + cooldownWindow);
+
+    return {
+      ...cooldown,
+      cooldownMinutes: cooldownWindow / (60 * 1000),
+      expiresAt: expiresAt.toISOString(),
+      active: expiresAt.getTime() > now,
+    };
+  });
+}
+
+/**
+ * Forget when a collection last triggered, for one alert type or all of them, so the next
+ * matching evaluation alerts straight away. Returns the number of cooldowns removed.
+ */
+async function clearCollectionCooldowns(collectionId, alertType) {
+  const cleared = await alertCooldownRepository.delete(collectionId, alertType);
+  logger.info('Alert cooldowns cleared', { collectionId, alertType, cleared });
+  return cleared;
 }
 
-function clearCooldowns() {
-  alertCooldowns.clear();
+async function clearCooldowns() {
+  await alertCooldownRepository.clear();
 }
 
 module.exports = {
   evaluateAlerts,
+  evaluateRules,
+  evaluateCollectionAlerts,
+  raiseCircuitOpenAlerts,
+  detectThresholdAlerts,
+  detectRuleAlerts,
+  detectClearedAlerts,
+  buildAlertInputs,
+  toAlertInputs,
+  sortSnapshots,
   getThresholds,
+  getCollectionThresholds,
+  updateCollectionThresholds,
   getCooldownWindow,
+  getCooldowns,
+  clearCollectionCooldowns,
   clearCooldowns,
 };
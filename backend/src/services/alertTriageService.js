@@ -0,0 +1,102 @@
+const { alertsRepository } = require('../repositories/alertsRepository');
+const logger = require('../utils/logger');
+
+// Recorded as resolvedBy / acknowledgedBy when a request does not say who it was.
+const MANUAL_ACTOR = 'manual';
+
+// Upper bound on the alerts one bulk request may change.
+const MAX_BULK_ALERTS = 1000;
+
+/**
+ * Turn the triage changes of a request into repository updates. Resolving or acknowledging
+ * records who did it; reopening or un-acknowledging forgets it again. `assignedTo`,
+ * `snoozedUntil` and `note` are set as given, and null (or an empty note) clears them.
+ */
+function buildAlertUpdates(changes) {
+  const updates = {};
+
+  if (changes.resolved !== undefined) {
+    updates.resolved = changes.resolved;
+    // Reopening an alert drops the record of how it was resolved.
+    updates.resolvedBy = changes.resolved ? changes.resolvedBy || MANUAL_ACTOR : null;
+    if (!changes.resolved) {
+      updates.resolution = null;
+    }
+  }
+
+  if (changes.acknowledged !== undefined) {
+    updates.acknowledged = changes.acknowledged;
+    updates.acknowledgedBy = changes.acknowledged ? changes.acknowledgedBy || MANUAL_ACTOR : null;
+  }
+
+  if (changes.assignedTo !== undefined) {
+    updates.assignedTo = changes.assignedTo;
+  }
+
+  if (changes.snoozedUntil !== undefined) {
+    updates.snoozedUntil = changes.snoozedUntil ? new Date(changes.snoozedUntil) : null;
+  }
+
+  if (changes.note !== undefined) {
+    updates.note = changes.note || null;
+  }
+
+  return updates;
+}
+
+const alertTriageService = {
+  MAX_BULK_ALERTS,
+
+  /**
+   * Apply triage changes to one alert. Returns the updated alert, or null when it does not
+   * exist.
+   */
+  async updateAlert(alertId, changes) {
+    const updates = buildAlertUpdates(changes);
+    const alert = await alertsRepository.update(alertId, updates);
+
+    if (alert) {
+      logger.info('Alert triage updated', {
+        alertId,
+        updates: Object.keys(updates),
+      });
+    }
+
+    return alert;
+  },
+
+  /**
+   * Apply the same triage changes to the alerts listed in `target.ids`, or to every alert
+   * matching `target.filter` (at most MAX_BULK_ALERTS, newest first). Ids that do not exist
+   * are reported as skipped.
+   */
+  async bulkUpdate(target, changes) {
+    const ids = target.ids
+      ? target.ids.map(String)
+      : (await alertsRepository.findAll(target.filter))
+          .slice(0, MAX_BULK_ALERTS)
+          .map((alert) => alert.id);
+    const updates = buildAlertUpdates(changes);
+
+    const updated = [];
+    const skipped = [];
+    for (const id of ids) {
+      const alert = await alertsRepository.update(id, updates);
+      if (alert) {
+        updated.push(alert);
+      } else {
+        skipped.push({ id, reason: `Alert with ID '${id}' not found` });
+      }
+    }
+
+    logger.info('Alerts triaged in bulk', {
+      updated: updated.length,
+      skipped: skipped.length,
+      updates: Object.keys(updates),
+    });
+
+    return { updated, skipped };
+  },
+};
+
+module.exports = alertTriageService;
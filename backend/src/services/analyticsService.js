@@ -81,12 +81,11 @@ function calculateMetrics(events, window) {
   };
 }
 
-function filterEventsByWindow(events, windowMs) {
+function filterEventsByWindow(events, windowMs, now = Date.now()) {
   if (!events) {
     return [];
   }
 
-  const now = Date.now();
   const cutoff = now - windowMs;
 
   return events.filter((event) => {
@@ -95,6 +94,43 @@ function filterEventsByWindow(events, windowMs) {
   });
 }
 
+/**
+ * Compute the metrics of every window as of `now` (default: the current time). Used by the
+ * refresh pipeline and by the alert backtest, which replays history at past points in time.
+ */
+function buildWindowMetrics(listingEvents, purchaseEvents, now = Date.now()) {
+  const results = {};
+
+  for (const [window, windowMs] of Object.entries(TIME_WINDOWS)) {
+    const listingEventsInWindow = filterEventsByWindow(listingEvents, windowMs, now);
+    const purchaseEventsInWindow = filterEventsByWindow(purchaseEvents, windowMs, now);
+
+    const listingMetrics = calculateMetrics(listingEventsInWindow, window);
+    const purchaseMetrics = calculateMetrics(purchaseEventsInWindow, window);
+
+    // Calculate consolidated metrics
+    const allEvents = [...listingEventsInWindow, ...purchaseEventsInWindow];
+
+    const metrics = calculateMetrics(allEvents, window);
+    metrics.listingMetrics = listingMetrics;
+    metrics.purchaseMetrics = purchaseMetrics;
+
+    // Calculate 24h price change specifically
+    if (window === '24h' && metrics.priceChange !== null) {
+      metrics.priceChange24h = metrics.priceChange;
+    }
+
+    // Calculate volume change for 24h
+    if (window === '24h' && purchaseMetrics.tradeVolume !== undefined) {
+      metrics.volumeChange24h = purchaseMetrics.tradeVolume;
+    }
+
+    results[window] = metrics;
+  }
+
+  return results;
+}
+
 async function computeMetricsForCollection(
   collectionId,
   marketSnapshots,
@@ -103,32 +139,9 @@ async function computeMetricsForCollection(
   analyticsRepository
 ) {
   try {
-    const results = {};
-
-    for (const [window, windowMs] of Object.entries(TIME_WINDOWS)) {
-      const listingEventsInWindow = filterEventsByWindow(listingEvents, windowMs);
-      const purchaseEventsInWindow = filterEventsByWindow(purchaseEvents, windowMs);
-
-      const listingMetrics = calculateMetrics(listingEventsInWindow, window);
-      const purchaseMetrics = calculateMetrics(purchaseEventsInWindow, window);
-
-      // Calculate consolidated metrics
-      const allEvents = [...listingEventsInWindow, ...purchaseEventsInWindow];
-
-      const metrics = calculateMetrics(allEvents, window);
-      metrics.listingMetrics = listingMetrics;
-      metrics.purchaseMetrics = purchaseMetrics;
-
-      // Calculate 24h price change specifically
-      if (window === '24h' && metrics.priceChange !== null) {
-        metrics.priceChange24h = metrics.priceChange;
-      }
-
-      // Calculate volume change for 24h
-      if (window === '24h' && purchaseMetrics.tradeVolume !== undefined) {
-        metrics.volumeChange24h = purchaseMetrics.tradeVolume;
-      }
+    const results = buildWindowMetrics(listingEvents, purchaseEvents);
 
+    for (const [window, metrics] of Object.entries(results)) {
       await analyticsRepository.upsertMetrics(collectionId, window, metrics);
 
       logger.debug('Computed metrics', {
@@ -136,8 +149,6 @@ async function computeMetricsForCollection(
         window,
         metricsKeys: Object.keys(metrics),
       });
-
-      results[window] = metrics;
     }
 
     return results;
@@ -161,9 +172,9 @@ async function refreshMetrics(collectionIds, dataStore, analyticsRepository) {
 
     for (const collectionId of collectionIds) {
       try {
-        const listingEvents = dataStore.getListingEvents(collectionId) || [];
-        const purchaseEvents = dataStore.getPurchaseEvents(collectionId) || [];
-        const marketSnapshots = dataStore.getMarketSnapshots(collectionId) || [];
+        const listingEvents = (await dataStore.getListingEvents(collectionId)) || [];
+        const purchaseEvents = (await dataStore.getPurchaseEvents(collectionId)) || [];
+        const marketSnapshots = (await dataStore.getMarketSnapshots(collectionId)) || [];
 
         const metrics = await computeMetricsForCollection(
           collectionId,
@@ -226,6 +237,7 @@ module.exports = {
   refreshMetrics,
   calculateMetrics,
   filterEventsByWindow,
+  buildWindowMetrics,
   getRefreshLog,
   resetRefreshLog,
   TIME_WINDOWS,
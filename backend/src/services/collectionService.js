@@ -5,17 +5,18 @@ const logger = require('../utils/logger');
 const collectionService = {
   async getAllCollectionsWithMetrics() {
     try {
-      const collections = dataStore.getAllCollections();
+      const collections = await dataStore.getAllCollections();
       const collectionsData = [];
 
       for (const collectionId of collections) {
         const metrics = await analyticsRepository.findMetrics({ collectionId });
         const latest24h = metrics.find((m) => m.window === '24h');
-        const snapshots = dataStore.getMarketSnapshots(collectionId);
+        const snapshots = await dataStore.getMarketSnapshots(collectionId);
         const latestSnapshot = snapshots[snapshots.length - 1] || null;
 
-        // Calculate 24h deltas by comparing with previous 24h metrics
-        const previous24h = metrics.filter((m) => m.window === '24h')[1]; // Second latest 24h metric
+        // Calculate 24h deltas by comparing with the previous day's 24h metrics
+        const history24h = await analyticsRepository.getMetricHistory(collectionId, '24h');
+        const previous24h = history24h.length > 1 ? history24h[history24h.length - 2] : null;
         let delta24h = null;
         
         if (latest24h && previous24h) {
@@ -53,15 +54,15 @@ const collectionService = {
   async getCollectionById(collectionId) {
     try {
       // Check if collection exists in any data store
-      const allCollections = dataStore.getAllCollections();
+      const allCollections = await dataStore.getAllCollections();
       if (!allCollections.includes(collectionId)) {
         return null;
       }
 
       const metrics = await analyticsRepository.findMetrics({ collectionId });
-      const snapshots = dataStore.getMarketSnapshots(collectionId);
-      const listingEvents = dataStore.getListingEvents(collectionId);
-      const purchaseEvents = dataStore.getPurchaseEvents(collectionId);
+      const snapshots = await dataStore.getMarketSnapshots(collectionId);
+      const listingEvents = await dataStore.getListingEvents(collectionId);
+      const purchaseEvents = await dataStore.getPurchaseEvents(collectionId);
 
       const groupedByWindow = {};
       metrics.forEach((m) => {
@@ -95,13 +96,13 @@ const collectionService = {
   async getCollectionSnapshots(collectionId, options = {}) {
     try {
       // Check if collection exists
-      const allCollections = dataStore.getAllCollections();
+      const allCollections = await dataStore.getAllCollections();
       if (!allCollections.includes(collectionId)) {
         return { snapshots: [], pagination: { total: 0, page: 1, limit: 100 } };
       }
 
       const { from, to, interval = '1h' } = options;
-      let snapshots = dataStore.getMarketSnapshots(collectionId);
+      let snapshots = await dataStore.getMarketSnapshots(collectionId);
 
       if (snapshots.length === 0) {
         return { snapshots: [], pagination: { total: 0, page: 1, limit: 100 } };
@@ -157,14 +158,14 @@ const collectionService = {
   async getCollectionEvents(collectionId, options = {}) {
     try {
       // Check if collection exists
-      const allCollections = dataStore.getAllCollections();
+      const allCollections = await dataStore.getAllCollections();
       if (!allCollections.includes(collectionId)) {
         return { events: [], pagination: { total: 0, page: 1, limit: 50 } };
       }
 
       const { page = 1, limit = 50, type } = options;
-      const listingEvents = dataStore.getListingEvents(collectionId);
-      const purchaseEvents = dataStore.getPurchaseEvents(collectionId);
+      const listingEvents = await dataStore.getListingEvents(collectionId);
+      const purchaseEvents = await dataStore.getPurchaseEvents(collectionId);
 
       let allEvents = [...listingEvents, ...purchaseEvents];
 
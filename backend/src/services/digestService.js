@@ -0,0 +1,193 @@
+const env = require('../config/env');
+const logger = require('../utils/logger');
+const { alertsRepository } = require('../repositories/alertsRepository');
+const { analyticsRepository } = require('../repositories/analyticsRepository');
+const { resolveNamedChannel } = require('../notifications/notificationRouter');
+const notificationOutboxService = require('./notificationOutboxService');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGEST_PERIODS = {
+  daily: ONE_DAY_MS,
+  weekly: 7 * ONE_DAY_MS,
+};
+
+function toMetricDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function countBy(items, key) {
+  return items.reduce((acc, item) => {
+    acc[item[key]] = (acc[item[key]] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+function summarizeAlerts(alerts) {
+  const byCollection = new Map();
+  alerts.forEach((alert) => {
+    if (!byCollection.has(alert.collectionId)) {
+      byCollection.set(alert.collectionId, []);
+    }
+    byCollection.get(alert.collectionId).push(alert);
+  });
+
+  const collections = Array.from(byCollection.entries())
+    .map(([collectionId, collectionAlerts]) => ({
+      collectionId,
+      total: collectionAlerts.length,
+      unresolved: collectionAlerts.filter((alert) => !alert.resolved).length,
+      byType: countBy(collectionAlerts, 'type'),
+    }))
+    .sort((a, b) => b.total - a.total || a.collectionId.localeCompare(b.collectionId));
+
+  const unresolved = alerts.filter((alert) => !alert.resolved).length;
+  return {
+    total: alerts.length,
+    resolved: alerts.length - unresolved,
+    unresolved,
+    bySeverity: countBy(alerts, 'severity'),
+    byType: countBy(alerts, 'type'),
+    collections,
+  };
+}
+
+// Largest 24h price changes in either direction, from each collection's latest metrics.
+async function findTopMovers(limit) {
+  const metrics = await analyticsRepository.findMetrics({ window: '24h' });
+
+  return metrics
+    .filter((metric) => metric.priceChange !== null && metric.priceChange !== undefined)
+    .map((metric) => ({
+      collectionId: metric.collectionId,
+      priceChange: metric.priceChange,
+      averagePrice: metric.averagePrice !== undefined ? metric.averagePrice : null,
+      timestamp: metric.timestamp,
+    }))
+    .sort((a, b) => Math.abs(b.priceChange) - Math.abs(a.priceChange))
+    .slice(0, limit);
+}
+
+/**
+ * Trade volume per collection over the period: the sum of the daily 24h points whose day
+ * falls in the period, so a daily digest uses the latest day and a weekly one the last seven.
+ */
+async function findVolumeLeaders(from, to, limit) {
+  const fromDate = toMetricDate(from);
+  const collectionIds = await analyticsRepository.getAllCollections();
+
+  const totals = await Promise.all(
+    collectionIds.map(async (collectionId) => {
+      const history = await analyticsRepository.getMetricHistory(collectionId, '24h', {
+        from,
+        to,
+      });
+      const points = history.filter((point) => point.metricDate > fromDate);
+
+      return {
+        collectionId,
+        tradeVolume: points.reduce((sum, point) => sum + (point.tradeVolume || 0), 0),
+        eventCount: points.reduce((sum, point) => sum + (point.eventCount || 0), 0),
+      };
+    })
+  );
+
+  return totals
+    .filter((entry) => entry.tradeVolume > 0)
+    .sort((a, b) => b.tradeVolume - a.tradeVolume)
+    .slice(0, limit);
+}
+
+const digestService = {
+  DIGEST_PERIODS,
+
+  /**
+   * Build the digest of the period ending at `options.now` (default: the current time): the
+   * alerts raised in it grouped by collection and type, how many of them and of all alerts
+   * are unresolved, the top movers by 24h price change and the volume leaders.
+   */
+  async buildDigest(period, options = {}) {
+    const periodMs = DIGEST_PERIODS[period];
+    if (!periodMs) {
+      throw new Error(`Unknown digest period "${period}"`);
+    }
+
+    const to = options.now ? new Date(options.now) : new Date();
+    const from = new Date(to.getTime() - periodMs);
+    const limit = options.limit || env.digestTopCount;
+
+    try {
+      const raised = (await alertsRepository.findAll({ since: from.toISOString() })).filter(
+        (alert) => new Date(alert.triggeredAt).getTime() <= to.getTime()
+      );
+      const [overall, topMovers, volumeLeaders] = await Promise.all([
+        alertsRepository.getSummary({}),
+        findTopMovers(limit),
+        findVolumeLeaders(from, to, limit),
+      ]);
+
+      return {
+        period,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        alerts: summarizeAlerts(raised),
+        unresolvedTotal: overall.unresolved,
+        topMovers,
+        volumeLeaders,
+      };
+    } catch (error) {
+      logger.error('Error building digest', {
+        period,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Send a digest to every destination of the digest channel (DIGEST_CHANNEL, falling back
+   * like any channel to `default` and the environment). Digests are sent once, without the
+   * outbox; a failing destination is logged and does not stop the others.
+   */
+  async sendDigest(digest, options = {}) {
+    const channel = await resolveNamedChannel(options.channel || env.digestChannel);
+
+    if (channel.destinations.length === 0) {
+      logger.warn('No notification destinations for digest', {
+        period: digest.period,
+        channel: channel.name,
+      });
+      return { channel: channel.name, sent: 0, failed: 0 };
+    }
+
+    const results = await Promise.all(
+      channel.destinations.map(async (destination) => {
+        const notifier = notificationOutboxService.NOTIFIERS[destination.type];
+
+        try {
+          if (!notifier || !notifier.sendDigest) {
+            throw new Error(`Unknown destination type "${destination.type}"`);
+          }
+          const result = await notifier.sendDigest(digest, destination);
+          if (result && result.sent === false) {
+            throw new Error(result.reason || 'Digest not sent');
+          }
+          return true;
+        } catch (error) {
+          logger.error('Digest delivery failed', {
+            period: digest.period,
+            channel: channel.name,
+            destinationType: destination.type,
+            error: error.message,
+          });
+          return false;
+        }
+      })
+    );
+
+    const sent = results.filter(Boolean).length;
+    return { channel: channel.name, sent, failed: results.length - sent };
+  },
+};
+
+module.exports = digestService;
@@ -6,7 +6,7 @@ const affectedCollections = new Set();
 
 async function ingestMarketSnapshot(collectionId, snapshotData) {
   try {
-    dataStore.addMarketSnapshot(collectionId, snapshotData);
+    await dataStore.addMarketSnapshot(collectionId, snapshotData);
     affectedCollections.add(collectionId);
 
     logger.info('Market snapshot ingested', {
@@ -30,7 +30,7 @@ async function ingestMarketSnapshot(collectionId, snapshotData) {
 
 async function ingestListingEvent(collectionId, eventData) {
   try {
-    dataStore.addListingEvent(collectionId, eventData);
+    await dataStore.addListingEvent(collectionId, eventData);
     affectedCollections.add(collectionId);
 
     logger.info('Listing event ingested', {
@@ -54,7 +54,7 @@ async function ingestListingEvent(collectionId, eventData) {
 
 async function ingestPurchaseEvent(collectionId, eventData) {
   try {
-    dataStore.addPurchaseEvent(collectionId, eventData);
+    await dataStore.addPurchaseEvent(collectionId, eventData);
     affectedCollections.add(collectionId);
 
     logger.info('Purchase event ingested', {
@@ -83,6 +83,7 @@ async function refreshAffectedMetrics(analyticsRepository) {
       return {
         success: true,
         collectionsRefreshed: 0,
+        collections: [],
       };
     }
 
@@ -103,6 +104,7 @@ async function refreshAffectedMetrics(analyticsRepository) {
 
     return {
       success: true,
+      collections,
       ...result,
     };
   } catch (error) {
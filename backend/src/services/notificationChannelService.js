@@ -0,0 +1,88 @@
+const { notificationChannelRepository } = require('../repositories/notificationChannelRepository');
+const { trackedCollectionRepository } = require('../repositories/trackedCollectionRepository');
+const { DEFAULT_CHANNEL, resolveChannel } = require('../notifications/notificationRouter');
+const logger = require('../utils/logger');
+
+function channelError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+// Collections whose notification_channel names each channel.
+async function getCollectionsByChannel() {
+  const byChannel = {};
+  (await trackedCollectionRepository.getAllTrackedCollections()).forEach((trackedCollection) => {
+    const channel = trackedCollection.notificationChannel;
+    if (channel) {
+      byChannel[channel] = [...(byChannel[channel] || []), trackedCollection.collectionId];
+    }
+  });
+  return byChannel;
+}
+
+const notificationChannelService = {
+  async listChannels() {
+    const channels = await notificationChannelRepository.findAll();
+    const byChannel = await getCollectionsByChannel();
+    return channels.map((channel) => ({ ...channel, collections: byChannel[channel.name] || [] }));
+  },
+
+  async getChannel(name) {
+    const channel = await notificationChannelRepository.findByName(name);
+    if (!channel) {
+      return null;
+    }
+    const byChannel = await getCollectionsByChannel();
+    return { ...channel, collections: byChannel[name] || [] };
+  },
+
+  async saveChannel(name, data) {
+    const channel = await notificationChannelRepository.save(name, data);
+    logger.info('Notification channel updated', { name, destinations: channel.destinations.length });
+    return channel;
+  },
+
+  /**
+   * Delete a channel unless collections still route to it. Returns `{ deleted, collections }`
+   * where `collections` lists the collections that block the deletion.
+   */
+  async deleteChannel(name) {
+    const collections = (await getCollectionsByChannel())[name] || [];
+    if (collections.length > 0 && name !== DEFAULT_CHANNEL) {
+      return { deleted: false, collections };
+    }
+    return { deleted: await notificationChannelRepository.delete(name), collections: [] };
+  },
+
+  async getCollectionChannel(collectionId) {
+    const trackedCollection = await trackedCollectionRepository.getTrackedCollection(collectionId);
+    const { name, source, destinations } = await resolveChannel(collectionId);
+
+    return {
+      collectionId,
+      notificationChannel: (trackedCollection && trackedCollection.notificationChannel) || null,
+      resolvedChannel: { name, source, destinations },
+    };
+  },
+
+  /**
+   * Route a collection's alerts to a channel, or back to the default channel with null.
+   * The channel must exist, except for `default`, which falls back to the environment.
+   */
+  async setCollectionChannel(collectionId, channelName) {
+    if (channelName && channelName !== DEFAULT_CHANNEL) {
+      const channel = await notificationChannelRepository.findByName(channelName);
+      if (!channel) {
+        throw channelError(`Notification channel "${channelName}" does not exist`);
+      }
+    }
+
+    await trackedCollectionRepository.setNotificationChannel(collectionId, channelName);
+    logger.info('Collection notification channel updated', { collectionId, channel: channelName });
+
+    return this.getCollectionChannel(collectionId);
+  },
+};
+
+module.exports = notificationChannelService;
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { webhookNotifier } = require('../notifications/webhookNotifier');
+const { emailNotifier } = require('../notifications/emailNotifier');
+const { slackNotifier } = require('../notifications/slackNotifier');
+const { discordNotifier } = require('../notifications/discordNotifier');
+const { telegramNotifier } = require('../notifications/telegramNotifier');
+const { wecomNotifier } = require('../notifications/wecomNotifier');
+const { dingtalkNotifier } = require('../notifications/dingtalkNotifier');
+const { notificationOutboxRepository } = require('../repositories/notificationOutboxRepository');
+const logger = require('../utils/logger');
+
+// Notifier for each destination type a channel can list.
+const NOTIFIERS = {
+  webhook: webhookNotifier,
+  email: emailNotifier,
+  slack: slackNotifier,
+  discord: discordNotifier,
+  telegram: telegramNotifier,
+  wecom: wecomNotifier,
+  dingtalk: dingtalkNotifier,
+};
+
+const OUTBOX_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+// Read on every call so changed settings apply without a restart.
+function getRetryPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || 5, 10),
+    backoffMs: parseInt(process.env.NOTIFICATION_BACKOFF_MS || 60000, 10),
+    maxBackoffMs: parseInt(process.env.NOTIFICATION_MAX_BACKOFF_MS || 60 * 60 * 1000, 10),
+    // How long a claimed entry stays with one worker before another may pick it up.
+    leaseMs: parseInt(process.env.NOTIFICATION_LEASE_MS || 2 * 60 * 1000, 10),
+  };
+}
+
+function getRetryDelay(attempts, policy) {
+  return Math.min(policy.backoffMs * Math.pow(2, Math.max(attempts - 1, 0)), policy.maxBackoffMs);
+}
+
+function outboxError(message, name) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Notifiers resolve with `{ sent: false, reason }` when their destination is not configured
+// to send anything, such as a webhook without a URL. Retrying cannot fix that, so the entry
+// goes straight to the dead letters, where it can be replayed once the destination is fixed.
+function notSentError(result) {
+  const error = outboxError(result.reason || 'Notification not sent', 'NotSentError');
+  error.retryable = false;
+  return error;
+}
+
+// Schedule the next attempt of a failed delivery, or move it to the dead letters.
+async function recordFailure(entry, notifier, error) {
+  const policy = getRetryPolicy();
+  const retry = Boolean(notifier) && error.retryable !== false && entry.attempts < entry.maxAttempts;
+  const nextAttemptAt = retry
+    ? new Date(Date.now() + getRetryDelay(entry.attempts, policy))
+    : null;
+
+  const details = {
+    id: entry.id,
+    collectionId: entry.collectionId,
+    alertType: entry.alertType,
+    channel: entry.channel,
+    destinationType: entry.destination.type,
+    attempts: entry.attempts,
+    error: error.message,
+  };
+  if (retry) {
+    logger.warn('Notification delivery failed, retry scheduled', {
+      ...details,
+      nextAttemptAt: nextAttemptAt.toISOString(),
+    });
+  } else {
+    logger.error('Notification delivery failed, moved to dead letters', details);
+  }
+
+  return notificationOutboxRepository.markFailed(entry.id, {
+    error: error.message,
+    nextAttemptAt,
+  });
+}
+
+const notificationOutboxService = {
+  NOTIFIERS,
+  OUTBOX_STATUSES,
+
+  /**
+   * Record a notification for one destination, already claimed for its first attempt so the
+   * caller can deliver it straight away. If the process stops before the attempt is recorded,
+   * the worker picks the entry up once the lease runs out.
+   *
+   * With `options.deliverAt` the entry is left pending instead, for the worker to deliver
+   * once that time has come.
+   */
+  async enqueue(alert, channel, destination, options = {}) {
+    const policy = getRetryPolicy();
+    const deferred = Boolean(options.deliverAt);
+
+    return notificationOutboxRepository.create({
+      deliveryId: crypto.randomUUID(),
+      alertId: alert.id ? String(alert.id) : null,
+      collectionId: alert.collectionId,
+      alertType: alert.type,
+      channel,
+      destination,
+      alert,
+      status: deferred ? 'pending' : 'delivering',
+      attempts: deferred ? 0 : 1,
+      maxAttempts: policy.maxAttempts,
+      nextAttemptAt: deferred
+        ? new Date(options.deliverAt)
+        : new Date(Date.now() + policy.leaseMs),
+    });
+  },
+
+  /**
+   * Make one delivery attempt for a claimed entry and record the outcome: delivered, pending
+   * with the next retry time, or dead once the attempts are used up or when the destination
+   * is not configured to send. Never throws for a failed delivery; returns the updated entry.
+   */
+  async deliver(entry) {
+    const notifier = NOTIFIERS[entry.destination.type];
+
+    try {
+      if (!notifier) {
+        throw new Error(`Unknown destination type "${entry.destination.type}"`);
+      }
+
+      // One request per attempt; the outbox schedules the retries.
+      const result = await notifier.send(entry.alert, entry.destination, {
+        deliveryId: entry.deliveryId,
+        maxRetries: 0,
+      });
+      if (result && result.sent === false) {
+        throw notSentError(result);
+      }
+    } catch (error) {
+      return recordFailure(entry, notifier, error);
+    }
+
+    // The notification went out, so a failure to record it must not schedule a resend. The
+    // entry stays claimed until its lease runs out, like one whose worker stopped after
+    // sending; receivers drop the repeat by its delivery ID.
+    try {
+      return await notificationOutboxRepository.markDelivered(entry.id);
+    } catch (error) {
+      logger.error('Notification sent but not recorded as delivered', {
+        id: entry.id,
+        deliveryId: entry.deliveryId,
+        collectionId: entry.collectionId,
+        channel: entry.channel,
+        error: error.message,
+      });
+      return { ...entry, status: 'delivered' };
+    }
+  },
+
+  /**
+   * Claim the entries whose retry is due (or whose worker's lease ran out) and attempt each.
+   */
+  async processDue(options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const limit = options.limit || 50;
+    const { leaseMs } = getRetryPolicy();
+
+    const entries = await notificationOutboxRepository.claimDue(
+      now,
+      new Date(now.getTime() + leaseMs),
+      limit
+    );
+
+    const summary = { processed: entries.length, delivered: 0, retrying: 0, dead: 0 };
+    for (const entry of entries) {
+      const { status } = await this.deliver(entry);
+      if (status === 'delivered') {
+        summary.delivered += 1;
+      } else if (status === 'dead') {
+        summary.dead += 1;
+      } else {
+        summary.retrying += 1;
+      }
+    }
+
+    return summary;
+  },
+
+  async listEntries(filters = {}) {
+    const [entries, counts] = await Promise.all([
+      notificationOutboxRepository.findAll(filters),
+      notificationOutboxRepository.countByStatus(),
+    ]);
+    return { entries, counts };
+  },
+
+  async getEntry(id) {
+    return notificationOutboxRepository.findById(id);
+  },
+
+  /**
+   * Put a dead letter back in the queue with a fresh set of attempts; the worker delivers it
+   * on its next run with the original delivery ID. Throws a NotFoundError or ConflictError
+   * when the entry is missing or not dead.
+   */
+  async replay(id) {
+    const entry = await notificationOutboxRepository.requeue(id, new Date());
+    if (entry) {
+      logger.info('Dead letter requeued', { id, collectionId: entry.collectionId });
+      return entry;
+    }
+
+    const existing = await notificationOutboxRepository.findById(id);
+    if (!existing) {
+      throw outboxError(`Outbox entry '${id}' not found`, 'NotFoundError');
+    }
+    throw outboxError(
+      `Outbox entry '${id}' is ${existing.status}; only dead letters can be replayed`,
+      'ConflictError'
+    );
+  },
+
+  /**
+   * Requeue the given dead letters, or every dead letter when no ids are given. Ids that are
+   * missing or not dead are reported as skipped.
+   */
+  async replayDeadLetters(ids) {
+    const targetIds = ids
+      ? ids.map(String)
+      : (await notificationOutboxRepository.findAll({ status: 'dead', limit: 1000 })).map(
+          (entry) => entry.id
+        );
+
+    const replayed = [];
+    const skipped = [];
+    for (const id of targetIds) {
+      try {
+        replayed.push(await this.replay(id));
+      } catch (error) {
+        if (error.name !== 'NotFoundError' && error.name !== 'ConflictError') {
+          throw error;
+        }
+        skipped.push({ id, reason: error.message });
+      }
+    }
+
+    return { replayed, skipped };
+  },
+
+  async pruneDelivered(before) {
+    return notificationOutboxRepository.deleteDelivered(before);
+  },
+};
+
+module.exports = notificationOutboxService;
@@ -0,0 +1,331 @@
+const { TIME_WINDOWS } = require('./analyticsService');
+
+// Fields calculateMetrics() produces for every window, also available under listingMetrics.* and
+// purchaseMetrics.*; the 24h-only fields are set by computeMetricsForCollection.
+const BASE_METRICS = [
+  'priceChange',
+  'averagePrice',
+  'medianPrice',
+  'tradeVolume',
+  'buyCount',
+  'sellCount',
+  'liquidityRatio',
+  'eventCount',
+];
+const NESTED_METRICS = ['listingMetrics', 'purchaseMetrics'];
+const WINDOW_METRICS = { '24h': ['priceChange24h', 'volumeChange24h'] };
+
+const TOKEN_PATTERNS = [
+  ['metric', /^(\d+h)\.([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?)/],
+  ['number', /^\d+(?:\.\d+)?/],
+  ['keyword', /^(?:and|or|not)\b/i],
+  ['operator', /^(?:<=|>=|==|!=|&&|\|\||[<>+\-*/()!])/],
+];
+
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const ARITHMETIC = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+const DEFAULT_RULE_MESSAGE = 'Rule "{{ruleName}}" triggered for {{collectionId}}';
+
+function ruleError(message) {
+  // Named like Joi's errors so routes and the app error handler answer with a 400.
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+function validateMetricReference(window, path) {
+  if (!TIME_WINDOWS[window]) {
+    throw ruleError(
+      `Unknown window "${window}" in ${window}.${path}. Expected one of: ${Object.keys(TIME_WINDOWS).join(', ')}`
+    );
+  }
+
+  const [head, field] = path.split('.');
+  const known = field
+    ? NESTED_METRICS.includes(head) && BASE_METRICS.includes(field)
+    : BASE_METRICS.includes(head) || (WINDOW_METRICS[window] || []).includes(head);
+
+  if (!known) {
+    throw ruleError(`Unknown metric "${path}" in ${window}.${path}`);
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  let rest = expression.trim();
+
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS.map(([type, pattern]) => [type, pattern.exec(rest)]).find(
+      ([, result]) => result
+    );
+
+    if (!match) {
+      throw ruleError(`Unexpected input at "${rest.slice(0, 20)}"`);
+    }
+
+    const [type, result] = match;
+    if (type === 'metric') {
+      validateMetricReference(result[1], result[2]);
+      tokens.push({ type, value: result[0], window: result[1], path: result[2] });
+    } else if (type === 'number') {
+      tokens.push({ type, value: parseFloat(result[0]) });
+    } else {
+      // Keywords are aliases for the symbolic operators.
+      const aliases = { and: '&&', or: '||', not: '!' };
+      const value = type === 'keyword' ? aliases[result[0].toLowerCase()] : result[0];
+      tokens.push({ type: 'operator', value });
+    }
+
+    rest = rest.slice(result[0].length).trimStart();
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing an AST whose nodes carry a `kind` of 'number' or
+ * 'boolean', so type errors such as `1h.averagePrice and 2` are rejected when a rule is saved.
+ */
+function parse(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) =>
+    peek() && peek().type === 'operator' && values.includes(peek().value);
+
+  function expect(kind, node, operator) {
+    if (node.kind !== kind) {
+      throw ruleError(`Operator "${operator}" expects ${kind} operands`);
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+
+    if (!token) {
+      throw ruleError('Unexpected end of condition');
+    }
+    if (token.type === 'number') {
+      return { kind: 'number', type: 'literal', value: token.value };
+    }
+    if (token.type === 'metric') {
+      return { kind: 'number', type: 'metric', reference: token.value, window: token.window, path: token.path };
+    }
+    if (token.value === '(') {
+      const node = parseOr();
+      if (!isOperator(')')) {
+        throw ruleError('Missing closing parenthesis');
+      }
+      position += 1;
+      return node;
+    }
+
+    throw ruleError(`Unexpected "${token.value}"`);
+  }
+
+  function parseUnary() {
+    if (isOperator('-')) {
+      position += 1;
+      return { kind: 'number', type: 'negate', operand: expect('number', parseUnary(), '-') };
+    }
+    return parsePrimary();
+  }
+
+  function parseBinary(next, operators, kind) {
+    let left = next();
+    while (isOperator(...operators)) {
+      const operator = tokens[position++].value;
+      const right = next();
+      left = {
+        kind,
+        type: 'binary',
+        operator,
+        left: expect(kind, left, operator),
+        right: expect(kind, right, operator),
+      };
+    }
+    return left;
+  }
+
+  const parseTerm = () => parseBinary(parseUnary, ['*', '/'], 'number');
+  const parseSum = () => parseBinary(parseTerm, ['+', '-'], 'number');
+
+  function parseComparison() {
+    const left = parseSum();
+    if (!isOperator(...Object.keys(COMPARISONS))) {
+      return left;
+    }
+    const operator = tokens[position++].value;
+    const right = parseSum();
+    return {
+      kind: 'boolean',
+      type: 'compare',
+      operator,
+      left: expect('number', left, operator),
+      right: expect('number', right, operator),
+    };
+  }
+
+  function parseNot() {
+    if (isOperator('!')) {
+      position += 1;
+      return { kind: 'boolean', type: 'not', operand: expect('boolean', parseNot(), 'not') };
+    }
+    return parseComparison();
+  }
+
+  const parseAnd = () => parseBinary(parseNot, ['&&'], 'boolean');
+  function parseOr() {
+    return parseBinary(parseAnd, ['||'], 'boolean');
+  }
+
+  const root = parseOr();
+
+  if (position < tokens.length) {
+    throw ruleError(`Unexpected "${tokens[position].value}"`);
+  }
+  if (root.kind !== 'boolean') {
+    throw ruleError('Condition must be a comparison, e.g. "24h.buyCount > 3 * 24h.sellCount"');
+  }
+
+  return root;
+}
+
+function collectReferences(node, references = new Set()) {
+  if (node.type === 'metric') {
+    references.add(node.reference);
+  }
+  ['left', 'right', 'operand'].forEach((key) => {
+    if (node[key]) {
+      collectReferences(node[key], references);
+    }
+  });
+  return references;
+}
+
+/**
+ * Look up `<window>.<path>` in metrics keyed by window. Missing and non-numeric values are null.
+ */
+function resolveMetric(metricsByWindow, reference) {
+  const [window, ...path] = reference.split('.');
+  let value = metricsByWindow ? metricsByWindow[window] : undefined;
+
+  for (const key of path) {
+    value = value === null || value === undefined ? undefined : value[key];
+  }
+
+  const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Numeric nodes evaluate to null when a metric is missing; comparisons against null are false,
+// so a rule never fires on a window without data.
+function evaluateNode(node, metricsByWindow) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'metric':
+      return resolveMetric(metricsByWindow, node.reference);
+    case 'negate': {
+      const value = evaluateNode(node.operand, metricsByWindow);
+      return value === null ? null : -value;
+    }
+    case 'not':
+      return !evaluateNode(node.operand, metricsByWindow);
+    case 'compare': {
+      const left = evaluateNode(node.left, metricsByWindow);
+      const right = evaluateNode(node.right, metricsByWindow);
+      return left !== null && right !== null && COMPARISONS[node.operator](left, right);
+    }
+    case 'binary': {
+      if (node.operator === '&&') {
+        return evaluateNode(node.left, metricsByWindow) && evaluateNode(node.right, metricsByWindow);
+      }
+      if (node.operator === '||') {
+        return evaluateNode(node.left, metricsByWindow) || evaluateNode(node.right, metricsByWindow);
+      }
+      const left = evaluateNode(node.left, metricsByWindow);
+      const right = evaluateNode(node.right, metricsByWindow);
+      return left === null || right === null ? null : ARITHMETIC[node.operator](left, right);
+    }
+    default:
+      throw new Error(`Unsupported node type ${node.type}`);
+  }
+}
+
+/**
+ * Compile a rule condition such as "1h.medianPrice < 0.8 * 72h.averagePrice".
+ * Throws a ValidationError describing the first problem found.
+ */
+function compileCondition(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw ruleError('Condition is required');
+  }
+
+  const ast = parse(tokenize(expression));
+
+  return {
+    expression,
+    references: [...collectReferences(ast)],
+    evaluate: (metricsByWindow) => Boolean(evaluateNode(ast, metricsByWindow)),
+  };
+}
+
+/**
+ * Check that every {{placeholder}} in a message template is collectionId, ruleName or a
+ * metric reference.
+ */
+function validateMessageTemplate(template) {
+  for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (name === 'collectionId' || name === 'ruleName') {
+      continue;
+    }
+
+    const match = /^(\d+h)\.(.+)$/.exec(name);
+    if (!match) {
+      throw ruleError(`Unknown placeholder "{{${name}}}" in message`);
+    }
+    validateMetricReference(match[1], match[2]);
+  }
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function renderMessage(template, context) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (name === 'collectionId' || name === 'ruleName') {
+      return context[name];
+    }
+    return formatValue(resolveMetric(context.metrics, name));
+  });
+}
+
+module.exports = {
+  DEFAULT_RULE_MESSAGE,
+  compileCondition,
+  validateMessageTemplate,
+  renderMessage,
+  resolveMetric,
+};
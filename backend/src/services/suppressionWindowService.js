@@ -0,0 +1,271 @@
+const logger = require('../utils/logger');
+const { normalizeSeverity } = require('../utils/severity');
+const { suppressionWindowRepository } = require('../repositories/suppressionWindowRepository');
+
+const WINDOW_KINDS = ['maintenance', 'quiet_hours'];
+const WINDOW_ACTIONS = ['suppress', 'defer'];
+
+// Fields that only make sense for one kind; they are cleared when a window changes kind.
+const KIND_FIELDS = {
+  maintenance: ['startsAt', 'endsAt'],
+  quiet_hours: ['daysOfWeek', 'startTime', 'endTime', 'timezone'],
+};
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in a time zone.
+function getLocalTime(time, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(time))
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * The instant a wall-clock time on a local day occurs in a time zone. The zone's offset is
+ * taken at a first guess and then at the result, which settles DST changes in between.
+ */
+function localTimeToInstant(date, minutes, timeZone) {
+  const wallClock = Date.UTC(date.year, date.month - 1, date.day) + minutes * 60 * 1000;
+  const offsetAt = (time) => {
+    const local = getLocalTime(time, timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day) + local.minutes * 60 * 1000 - time;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * ONE_DAY_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+  };
+}
+
+function parseClock(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * The occurrence of the window that is active at `at`, as `{ startsAt, endsAt }`, or null.
+ * Quiet hours repeat daily in their time zone (UTC by default) on `daysOfWeek` (0 is Sunday;
+ * all days when empty); when `endTime` is earlier than `startTime` they run past midnight,
+ * and the weekday is the one they start on.
+ */
+function getActiveOccurrence(window, at = new Date()) {
+  const time = new Date(at).getTime();
+
+  if (window.kind === 'maintenance') {
+    const startsAt = new Date(window.startsAt);
+    const endsAt = new Date(window.endsAt);
+    return startsAt.getTime() <= time && time < endsAt.getTime() ? { startsAt, endsAt } : null;
+  }
+
+  const timeZone = window.timezone || 'UTC';
+  const start = parseClock(window.startTime);
+  const end = parseClock(window.endTime);
+  const local = getLocalTime(time, timeZone);
+  const onDay = (weekday) =>
+    !window.daysOfWeek || window.daysOfWeek.length === 0 || window.daysOfWeek.includes(weekday);
+
+  // Candidate start days: today, and yesterday for quiet hours that run past midnight.
+  const candidates = [local];
+  if (end <= start) {
+    candidates.push(shiftDate(local, -1));
+  }
+
+  for (const day of candidates) {
+    const startsAt = localTimeToInstant(day, start, timeZone);
+    const endsAt = localTimeToInstant(shiftDate(day, end <= start ? 1 : 0), end, timeZone);
+    if (onDay(day.weekday) && startsAt.getTime() <= time && time < endsAt.getTime()) {
+      return { startsAt, endsAt };
+    }
+  }
+
+  return null;
+}
+
+function appliesTo(window, alert) {
+  return (
+    (!window.alertTypes || window.alertTypes.includes(alert.type)) &&
+    (!window.severities ||
+      window.severities.map(normalizeSeverity).includes(normalizeSeverity(alert.severity)))
+  );
+}
+
+// Checks that depend on more than one field, run on the window as it will be stored.
+function validateWindow(window) {
+  if (window.kind === 'maintenance') {
+    if (!window.startsAt || !window.endsAt) {
+      throw validationError('Maintenance windows need startsAt and endsAt');
+    }
+    if (new Date(window.endsAt).getTime() <= new Date(window.startsAt).getTime()) {
+      throw validationError('endsAt must be later than startsAt');
+    }
+  } else {
+    if (!window.startTime || !window.endTime) {
+      throw validationError('Quiet hours need startTime and endTime');
+    }
+    if (window.startTime === window.endTime) {
+      throw validationError('startTime and endTime must differ');
+    }
+    if (window.timezone && !isValidTimeZone(window.timezone)) {
+      throw validationError(`Unknown time zone "${window.timezone}"`);
+    }
+  }
+}
+
+function withActiveOccurrence(window, at) {
+  const occurrence = getActiveOccurrence(window, at);
+  return {
+    ...window,
+    active: Boolean(occurrence),
+    activeUntil: occurrence ? occurrence.endsAt.toISOString() : null,
+  };
+}
+
+const suppressionWindowService = {
+  WINDOW_KINDS,
+  WINDOW_ACTIONS,
+
+  /**
+   * List windows with whether each is active now and until when. `active: true` keeps only
+   * the active ones.
+   */
+  async listWindows(filters = {}) {
+    const now = new Date();
+    const { active, ...repositoryFilters } = filters;
+    const windows = (await suppressionWindowRepository.findAll(repositoryFilters)).map((window) =>
+      withActiveOccurrence(window, now)
+    );
+
+    return active === undefined ? windows : windows.filter((window) => window.active === active);
+  },
+
+  async getWindow(id) {
+    const window = await suppressionWindowRepository.findById(id);
+    return window ? withActiveOccurrence(window, new Date()) : null;
+  },
+
+  async createWindow(data) {
+    validateWindow(data);
+
+    const window = await suppressionWindowRepository.create(data);
+    logger.info('Suppression window saved', {
+      windowId: window.id,
+      kind: window.kind,
+      collectionId: window.collectionId,
+    });
+    return withActiveOccurrence(window, new Date());
+  },
+
+  async updateWindow(id, updates) {
+    const existing = await suppressionWindowRepository.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const changes = { ...updates };
+    if (updates.kind && updates.kind !== existing.kind) {
+      KIND_FIELDS[existing.kind].forEach((field) => {
+        if (changes[field] === undefined) {
+          changes[field] = null;
+        }
+      });
+    }
+    validateWindow({ ...existing, ...changes });
+
+    const window = await suppressionWindowRepository.update(id, changes);
+    return window ? withActiveOccurrence(window, new Date()) : null;
+  },
+
+  async deleteWindow(id) {
+    return suppressionWindowRepository.delete(id);
+  },
+
+  /**
+   * Find the window that holds back the alert's notifications at `at`, if any. A window that
+   * suppresses wins over ones that defer; among deferring windows the one ending last is used.
+   * Returns the marker recorded on the alert: `{ windowId, windowName, kind, action, until }`.
+   */
+  async findSuppression(alert, at = new Date()) {
+    const windows = await suppressionWindowRepository.findApplicable(alert.collectionId, at);
+
+    const active = windows
+      .filter((window) => appliesTo(window, alert))
+      .map((window) => ({ window, occurrence: getActiveOccurrence(window, at) }))
+      .filter(({ occurrence }) => occurrence);
+
+    if (active.length === 0) {
+      return null;
+    }
+
+    const chosen =
+      active.find(({ window }) => window.action === 'suppress') ||
+      active.reduce((latest, candidate) =>
+        candidate.occurrence.endsAt > latest.occurrence.endsAt ? candidate : latest
+      );
+
+    return {
+      windowId: chosen.window.id,
+      windowName: chosen.window.name,
+      kind: chosen.window.kind,
+      action: chosen.window.action,
+      until: chosen.occurrence.endsAt.toISOString(),
+    };
+  },
+};
+
+module.exports = suppressionWindowService;
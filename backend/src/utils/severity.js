@@ -0,0 +1,42 @@
+const Joi = require('joi');
+
+// The severity scale of every alert, lowest first: built-in alerts, rules, notification
+// filters, suppression windows, sorting and the notifiers all use it.
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+// Rules used to have a low/medium/high/critical scale. Those names are still accepted on input
+// and mean the level of the same rank.
+const LEGACY_SEVERITIES = {
+  low: 'info',
+  medium: 'warning',
+  high: 'error',
+};
+
+/**
+ * The canonical name of a severity, mapping the legacy rule names; unknown values are returned
+ * unchanged.
+ */
+function normalizeSeverity(severity) {
+  return LEGACY_SEVERITIES[severity] || severity;
+}
+
+// Rank on the scale, from 0 for `info`; -1 for unknown values.
+function getSeverityRank(severity) {
+  return SEVERITIES.indexOf(normalizeSeverity(severity));
+}
+
+// A severity in a request body or query, legacy names included, converted to the canonical name.
+const severitySchema = Joi.string().custom((value, helpers) => {
+  const severity = normalizeSeverity(value);
+  return SEVERITIES.includes(severity)
+    ? severity
+    : helpers.error('any.only', { valids: SEVERITIES });
+});
+
+module.exports = {
+  SEVERITIES,
+  LEGACY_SEVERITIES,
+  normalizeSeverity,
+  getSeverityRank,
+  severitySchema,
+};
@@ -0,0 +1,228 @@
+const logger = require('../utils/logger');
+const { ingestCollections } = require('./ingestCollections');
+const { raiseCircuitOpenAlerts } = require('../services/alertService');
+const dataStore = require('../repositories/dataStore');
+const { alertsRepository } = require('../repositories/alertsRepository');
+const { crawlCheckpointRepository } = require('../repositories/crawlCheckpointRepository');
+
+let lastRun = null;
+
+function toIsoString(value) {
+  if (!value) {
+    return new Date().toISOString();
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isFinite(date.getTime()) ? date.toISOString() : new Date().toISOString();
+}
+
+/**
+ * Convert a normalizePayload() result into the payload shape ingestCollections() expects.
+ */
+function mapCrawlerPayload(normalized) {
+  if (!normalized || !normalized.collectionId) {
+    return null;
+  }
+
+  const { collectionId } = normalized;
+  const payload = {
+    collectionId,
+    listingEvents: (normalized.listingEvents || []).map((event) => ({
+      id: event.eventId,
+      tokenId: event.tokenId,
+      seller: event.seller,
+      price: event.price,
+      marketplace: event.marketplace,
+      timestamp: toIsoString(event.createdAt),
+    })),
+    purchaseEvents: (normalized.purchaseEvents || []).map((event) => ({
+      id: event.eventId,
+      tokenId: event.tokenId,
+      buyer: event.buyer,
+      seller: event.seller,
+      price: event.price,
+      marketplace: event.marketplace,
+      transactionHash: event.transactionHash,
+      timestamp: toIsoString(event.createdAt),
+    })),
+  };
+
+  if (normalized.metadata) {
+    const { collectionId: _ignored, createdAt, updatedAt, ...metadata } = normalized.metadata;
+    payload.metadata = {
+      ...metadata,
+      createdAt: toIsoString(createdAt),
+      updatedAt: toIsoString(updatedAt),
+    };
+  }
+
+  if (normalized.snapshot) {
+    const { collectionId: _ignored, timestamp, ...snapshot } = normalized.snapshot;
+    const snapshotTime = toIsoString(timestamp);
+    payload.snapshot = {
+      id: `${collectionId}-${new Date(snapshotTime).getTime()}`,
+      ...snapshot,
+      timestamp: snapshotTime,
+    };
+  }
+
+  return payload;
+}
+
+function buildTargetOutcome(result, ingestionFailures) {
+  const payload = result.payload;
+  const collectionId = (payload && payload.collectionId) || result.collectionId || result.targetId;
+  const failures = ingestionFailures.filter((failure) => failure.collectionId === collectionId);
+
+  return {
+    targetId: result.targetId || null,
+    collectionId,
+    success: Boolean(result.success) && failures.length === 0,
+    ingested: Boolean(payload),
+    snapshot: Boolean(payload && payload.snapshot),
+    listingEvents: payload ? payload.listingEvents.length : 0,
+    purchaseEvents: payload ? payload.purchaseEvents.length : 0,
+    crawlErrors: result.errors || [],
+    ingestionFailures: failures.length,
+    skippedEvents: result.incremental
+      ? result.incremental.listings.skipped + result.incremental.purchases.skipped
+      : 0,
+    durationMs: result.duration || 0,
+  };
+}
+
+// Read on every run so CRAWLER_CIRCUIT_ALERTS=false applies without a restart.
+function circuitAlertsEnabled() {
+  return process.env.CRAWLER_CIRCUIT_ALERTS !== 'false';
+}
+
+/**
+ * Crawl the configured targets (or the given collections), ingest whatever was parsed,
+ * and record the outcome of each target. The checkpoints a target's crawl proposes are saved
+ * once its collection has been ingested without failures. With `resetCheckpoints` the crawled
+ * collections' checkpoints are deleted first, so everything is fetched again. Targets whose circuit
+ * breaker opened during the crawl raise a `crawler_circuit_open` alert on each stored collection
+ * they cover.
+ */
+async function crawlAndIngest(options = {}) {
+  const startedAt = new Date();
+  // Required lazily: the crawler pulls in the ESM-only p-limit, which only the real run needs.
+  const crawler = options.crawler || new (require('../crawler'))();
+  const collectionIds = Array.isArray(options.collectionIds) ? options.collectionIds : [];
+  const extraPayloads = Array.isArray(options.payloads) ? options.payloads : [];
+
+  logger.info('Crawl and ingest started', {
+    collectionIds: collectionIds.length > 0 ? collectionIds : 'all targets',
+    resetCheckpoints: Boolean(options.resetCheckpoints),
+  });
+
+  if (options.resetCheckpoints) {
+    const cleared = await crawler.resetCheckpoints(collectionIds);
+    logger.info('Crawl checkpoints reset', { cleared });
+  }
+
+  const crawlResult =
+    collectionIds.length > 0
+      ? await crawler.runCollections(collectionIds)
+      : await crawler.runAll();
+  const results = crawlResult.results || [];
+
+  // Targets that failed part-way still carry a payload with whatever was fetched.
+  const payloads = results
+    .map((result) => mapCrawlerPayload(result.payload))
+    .filter(Boolean);
+
+  const ingestion = await ingestCollections([...payloads, ...extraPayloads]);
+
+  const crawlFailures = results
+    .filter((result) => !result.success)
+    .map((result) => ({
+      type: 'crawl',
+      collectionId: (result.payload && result.payload.collectionId) || result.collectionId || result.targetId,
+      targetId: result.targetId || null,
+      error: (result.errors || []).join('; ') || 'Crawl failed',
+    }));
+
+  // Checkpoints only move past events that are stored, so a collection whose ingestion
+  // failed is crawled from the same point next time.
+  const workflowFailed = ingestion.metrics.failures.some((failure) => failure.type === 'workflow');
+  const checkpointFailures = [];
+  for (const result of results) {
+    const checkpoints = result.checkpoints || [];
+    const collectionId = (result.payload && result.payload.collectionId) || result.collectionId || result.targetId;
+    const ingested = !workflowFailed &&
+      !ingestion.metrics.failures.some((failure) => failure.collectionId === collectionId);
+
+    if (checkpoints.length === 0 || !ingested) {
+      continue;
+    }
+
+    try {
+      await crawler.saveCheckpoints(checkpoints);
+    } catch (error) {
+      logger.error('Failed to save crawl checkpoints', { collectionId, error: error.message });
+      checkpointFailures.push({ type: 'checkpoint', collectionId, error: error.message });
+    }
+  }
+
+  const ingestionFailures = [...ingestion.metrics.failures, ...checkpointFailures];
+  const targets = results.map((result) => buildTargetOutcome(result, ingestionFailures));
+
+  // The crawled data is stored by now, so a failure to raise the alerts is reported without
+  // failing the run.
+  const alertFailures = [];
+  const openedCircuits = (crawlResult.circuitTransitions || []).filter((transition) => transition.to === 'open');
+  openedCircuits.forEach((transition) => {
+    logger.warn('Crawler circuit breaker opened', transition);
+  });
+  if (openedCircuits.length > 0 && circuitAlertsEnabled()) {
+    try {
+      await raiseCircuitOpenAlerts(openedCircuits, {
+        alertsRepository,
+        dataStore,
+        crawlCheckpointRepository,
+      });
+    } catch (error) {
+      const targetIds = openedCircuits.map((transition) => transition.targetId);
+      logger.error('Failed to raise crawler circuit alerts', { targetIds, error: error.message });
+      alertFailures.push({ type: 'circuit_alert', targetIds, error: error.message });
+    }
+  }
+
+  const metrics = {
+    ...ingestion.metrics,
+    failures: [...crawlFailures, ...ingestionFailures, ...alertFailures],
+  };
+
+  lastRun = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    success: ingestion.success && crawlFailures.length === 0 && checkpointFailures.length === 0,
+    targets,
+  };
+
+  targets.forEach((target) => {
+    logger[target.success ? 'info' : 'warn']('Crawl target processed', target);
+  });
+
+  logger.info('Crawl and ingest completed', {
+    targets: targets.length,
+    failedTargets: targets.filter((target) => !target.success).length,
+    duration: Date.now() - startedAt.getTime(),
+  });
+
+  return {
+    success: lastRun.success,
+    metrics,
+    targets,
+  };
+}
+
+function getLastCrawlRun() {
+  return lastRun;
+}
+
+module.exports = {
+  crawlAndIngest,
+  mapCrawlerPayload,
+  getLastCrawlRun,
+};
@@ -1,9 +1,14 @@
 const logger = require('../utils/logger');
 const ingestionService = require('../services/ingestionService');
+const { evaluateCollectionAlerts } = require('../services/alertService');
+const dataStore = require('../repositories/dataStore');
 const collectionRepository = require('../repositories/collectionRepository');
 const snapshotRepository = require('../repositories/snapshotRepository');
 const eventRepository = require('../repositories/eventRepository');
 const { analyticsRepository } = require('../repositories/analyticsRepository');
+const { alertsRepository } = require('../repositories/alertsRepository');
+const { trackedCollectionRepository } = require('../repositories/trackedCollectionRepository');
+const { alertRuleRepository } = require('../repositories/alertRuleRepository');
 
 async function ingestCollections(crawlerPayloads = []) {
   const startTime = Date.now();
@@ -12,6 +17,8 @@ async function ingestCollections(crawlerPayloads = []) {
     totalSnapshots: 0,
     totalListingEvents: 0,
     totalPurchaseEvents: 0,
+    triggeredAlerts: [],
+    resolvedAlerts: [],
     failures: [],
     duration: 0,
   };
@@ -150,10 +157,38 @@ async function ingestCollections(crawlerPayloads = []) {
       }
     }
 
-    // Refresh analytics metrics for affected collections
+    // Refresh analytics metrics for affected collections, then evaluate alerts on the fresh metrics
     try {
       const refreshResult = await ingestionService.refreshAffectedMetrics(analyticsRepository);
       logger.info('Analytics metrics refreshed', refreshResult);
+
+      try {
+        const { triggeredAlerts, resolvedAlerts } = await evaluateCollectionAlerts(
+          refreshResult.collections || [],
+          {
+            dataStore,
+            analyticsRepository,
+            alertsRepository,
+            trackedCollectionRepository,
+            alertRuleRepository,
+          }
+        );
+        metrics.triggeredAlerts = triggeredAlerts;
+        metrics.resolvedAlerts = resolvedAlerts;
+        logger.info('Alerts evaluated', {
+          collections: (refreshResult.collections || []).length,
+          triggered: triggeredAlerts.length,
+          resolved: resolvedAlerts.length,
+        });
+      } catch (error) {
+        logger.error('Failed to evaluate alerts', {
+          error: error.message,
+        });
+        metrics.failures.push({
+          type: 'alert_evaluation',
+          error: error.message,
+        });
+      }
     } catch (error) {
       logger.error('Failed to refresh analytics metrics', {
         error: error.message,
@@ -3,6 +3,10 @@ const express = require('express');
 const adminRoutes = require('../src/routes/admin');
 const dataStore = require('../src/repositories/dataStore');
 const collectionRepository = require('../src/repositories/collectionRepository');
+const { trackedCollectionRepository } = require('../src/repositories/trackedCollectionRepository');
+const { alertCooldownRepository } = require('../src/repositories/alertCooldownRepository');
+const { crawlCheckpointRepository } = require('../src/repositories/crawlCheckpointRepository');
+const { circuitBreakers } = require('../src/crawler/circuitBreaker');
 const logger = require('../src/utils/logger');
 
 // Mock logger
@@ -13,6 +17,16 @@ jest.mock('../src/utils/logger', () => ({
   debug: jest.fn(),
 }));
 
+const mockRunCollections = jest.fn();
+const mockResetCheckpoints = jest.fn().mockResolvedValue(2);
+jest.mock('../src/crawler', () =>
+  jest.fn().mockImplementation(() => ({
+    runAll: jest.fn().mockResolvedValue({ success: true, results: [] }),
+    runCollections: mockRunCollections,
+    resetCheckpoints: mockResetCheckpoints,
+  }))
+);
+
 describe('Admin Routes', () => {
   let app;
   const validAdminKey = 'test-admin-key-123';
@@ -26,6 +40,9 @@ describe('Admin Routes', () => {
 
     dataStore.clear();
     collectionRepository.clear();
+    trackedCollectionRepository.clear();
+    alertCooldownRepository.clear();
+    crawlCheckpointRepository.clear();
   });
 
   afterEach(() => {
@@ -248,5 +265,312 @@ describe('Admin Routes', () => {
       expect(listingEvents).toHaveLength(1);
       expect(listingEvents[0].price).toBe(105);
     });
+
+    it('should crawl configured targets when requested', async () => {
+      mockRunCollections.mockResolvedValue({
+        success: false,
+        results: [
+          {
+            collectionId: 'crawled-col',
+            targetId: 'target-1',
+            success: false,
+            errors: ['Purchases request failed: HTTP 503'],
+            payload: {
+              collectionId: 'crawled-col',
+              metadata: null,
+              snapshot: null,
+              listingEvents: [
+                { eventId: 'l-1', price: 2, createdAt: new Date('2024-01-20T14:00:00Z') },
+              ],
+              purchaseEvents: [],
+            },
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .post('/api/admin/refresh')
+        .send({
+          apiKey: validAdminKey,
+          crawl: true,
+          collectionIds: ['crawled-col'],
+        });
+
+      expect(response.status).toBe(200);
+      expect(mockRunCollections).toHaveBeenCalledWith(['crawled-col']);
+      expect(response.body.success).toBe(false);
+      expect(response.body.summary.totalListingEvents).toBe(1);
+      expect(response.body.targets[0]).toMatchObject({
+        targetId: 'target-1',
+        success: false,
+        crawlErrors: ['Purchases request failed: HTTP 503'],
+      });
+      expect(dataStore.getListingEvents('crawled-col')).toHaveLength(1);
+      expect(mockResetCheckpoints).not.toHaveBeenCalled();
+    });
+
+    it('should reset the crawled collections\' checkpoints when requested', async () => {
+      mockRunCollections.mockResolvedValue({ success: true, results: [] });
+
+      const response = await request(app)
+        .post('/api/admin/refresh')
+        .send({
+          apiKey: validAdminKey,
+          crawl: true,
+          collectionIds: ['crawled-col'],
+          resetCheckpoints: true,
+        });
+
+      expect(response.status).toBe(200);
+      expect(mockResetCheckpoints).toHaveBeenCalledWith(['crawled-col']);
+      expect(mockRunCollections).toHaveBeenCalledWith(['crawled-col']);
+    });
+  });
+
+  describe('/api/admin/crawl/checkpoints', () => {
+    beforeEach(async () => {
+      await crawlCheckpointRepository.save({
+        targetId: 'market',
+        collectionId: 'col-1',
+        stream: 'listings',
+        lastEventAt: '2024-01-20T14:30:00.000Z',
+        lastEventId: 'listing-001',
+      });
+      await crawlCheckpointRepository.save({
+        targetId: 'market',
+        collectionId: 'col-2',
+        stream: 'listings',
+      });
+    });
+
+    it('should list checkpoints, optionally for one collection', async () => {
+      const all = await request(app)
+        .get('/api/admin/crawl/checkpoints')
+        .set('x-admin-key', validAdminKey);
+      const filtered = await request(app)
+        .get('/api/admin/crawl/checkpoints?collectionId=col-1')
+        .set('x-admin-key', validAdminKey);
+
+      expect(all.status).toBe(200);
+      expect(all.body.checkpoints).toHaveLength(2);
+      expect(filtered.body.checkpoints).toEqual([
+        expect.objectContaining({
+          targetId: 'market',
+          collectionId: 'col-1',
+          stream: 'listings',
+          lastEventAt: '2024-01-20T14:30:00.000Z',
+          lastEventId: 'listing-001',
+          cursor: null,
+        }),
+      ]);
+    });
+
+    it('should reset checkpoints', async () => {
+      const single = await request(app)
+        .delete('/api/admin/crawl/checkpoints?collectionId=col-1')
+        .set('x-admin-key', validAdminKey);
+      expect(single.body).toEqual({ targetId: null, collectionId: 'col-1', cleared: 1 });
+
+      const all = await request(app)
+        .delete('/api/admin/crawl/checkpoints')
+        .set('x-admin-key', validAdminKey);
+      expect(all.body).toEqual({ targetId: null, collectionId: null, cleared: 1 });
+      expect(await crawlCheckpointRepository.findAll()).toEqual([]);
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).delete('/api/admin/crawl/checkpoints');
+
+      expect(response.status).toBe(403);
+      expect(await crawlCheckpointRepository.findAll()).toHaveLength(2);
+    });
+  });
+
+  describe('/api/admin/crawl/circuit-breakers', () => {
+    beforeEach(() => {
+      circuitBreakers.clear();
+      const breaker = circuitBreakers.get({ id: 'market' }, { consecutiveFailures: 1 });
+      breaker.recordFailure(new Error('HTTP 503'), { collectionId: 'col-1' });
+    });
+
+    afterEach(() => {
+      circuitBreakers.clear();
+    });
+
+    it('should list breaker states and transitions', async () => {
+      const response = await request(app)
+        .get('/api/admin/crawl/circuit-breakers')
+        .set('x-admin-key', validAdminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.breakers).toEqual([
+        expect.objectContaining({ targetId: 'market', state: 'open', lastError: 'HTTP 503' }),
+      ]);
+      expect(response.body.transitions).toEqual([
+        expect.objectContaining({ targetId: 'market', collectionId: 'col-1', from: 'closed', to: 'open' }),
+      ]);
+    });
+
+    it('should reset a breaker', async () => {
+      const response = await request(app)
+        .post('/api/admin/crawl/circuit-breakers/market/reset')
+        .set('x-admin-key', validAdminKey);
+      const missing = await request(app)
+        .post('/api/admin/crawl/circuit-breakers/unknown/reset')
+        .set('x-admin-key', validAdminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ targetId: 'market', state: 'closed' });
+      expect(circuitBreakers.getTransitions().map((transition) => transition.to)).toEqual(['open', 'closed']);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).post('/api/admin/crawl/circuit-breakers/market/reset');
+
+      expect(response.status).toBe(403);
+      expect(circuitBreakers.find('market').state).toBe('open');
+    });
+  });
+
+  describe('GET /api/admin/crawl/last-run', () => {
+    it('should return the outcome of the last crawl', async () => {
+      await request(app)
+        .post('/api/admin/refresh')
+        .send({ apiKey: validAdminKey, crawl: true });
+
+      const response = await request(app)
+        .get('/api/admin/crawl/last-run')
+        .set('x-admin-key', validAdminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.targets).toEqual([]);
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).get('/api/admin/crawl/last-run');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('/api/admin/collections/:collectionId/alert-thresholds', () => {
+    it('should return the global defaults for an untracked collection', async () => {
+      const response = await request(app)
+        .get('/api/admin/collections/col-1/alert-thresholds')
+        .set('x-admin-key', validAdminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.overrides).toEqual({});
+      expect(response.body.thresholds).toEqual(response.body.defaults);
+    });
+
+    it('should store overrides and clear them with null', async () => {
+      const updated = await request(app)
+        .put('/api/admin/collections/col-1/alert-thresholds')
+        .set('x-admin-key', validAdminKey)
+        .send({ priceDrop: 25, volumeSpike: 200 });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.overrides).toEqual({ priceDrop: 25, volumeSpike: 200 });
+      expect(updated.body.thresholds.priceDrop).toBe(25);
+      expect(
+        (await trackedCollectionRepository.getTrackedCollection('col-1')).alertThresholds
+      ).toEqual({ price_drop_percent: 25, volume_spike_percent: 200 });
+
+      const cleared = await request(app)
+        .put('/api/admin/collections/col-1/alert-thresholds')
+        .send({ apiKey: validAdminKey, volumeSpike: null });
+
+      expect(cleared.status).toBe(200);
+      expect(cleared.body.overrides).toEqual({ priceDrop: 25 });
+      expect(cleared.body.thresholds.volumeSpike).toBe(cleared.body.defaults.volumeSpike);
+    });
+
+    it('should reject invalid threshold values', async () => {
+      const negative = await request(app)
+        .put('/api/admin/collections/col-1/alert-thresholds')
+        .set('x-admin-key', validAdminKey)
+        .send({ priceDrop: -5 });
+      const empty = await request(app)
+        .put('/api/admin/collections/col-1/alert-thresholds')
+        .set('x-admin-key', validAdminKey)
+        .send({});
+
+      expect(negative.status).toBe(400);
+      expect(empty.status).toBe(400);
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app)
+        .put('/api/admin/collections/col-1/alert-thresholds')
+        .send({ priceDrop: 25 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('/api/admin/collections/:collectionId/alert-cooldowns', () => {
+    beforeEach(async () => {
+      await alertCooldownRepository.claim('col-1', 'price_drop', 0, new Date());
+      await alertCooldownRepository.claim('col-1', 'volume_spike', 0, new Date('2024-01-15T10:00:00Z'));
+      await alertCooldownRepository.claim('col-2', 'price_drop', 0, new Date());
+    });
+
+    it('should list the cooldowns of a collection with their expiry', async () => {
+      const response = await request(app)
+        .get('/api/admin/collections/col-1/alert-cooldowns')
+        .set('x-admin-key', validAdminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.collectionId).toBe('col-1');
+      expect(response.body.cooldowns).toEqual([
+        expect.objectContaining({ alertType: 'price_drop', cooldownMinutes: 60, active: true }),
+        expect.objectContaining({
+          alertType: 'volume_spike',
+          lastTriggeredAt: '2024-01-15T10:00:00.000Z',
+          expiresAt: '2024-01-15T11:00:00.000Z',
+          active: false,
+        }),
+      ]);
+    });
+
+    it('should list every collection from /alert-cooldowns', async () => {
+      const response = await request(app)
+        .get('/api/admin/alert-cooldowns')
+        .set('x-admin-key', validAdminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.cooldowns.map((cooldown) => cooldown.collectionId)).toEqual([
+        'col-1',
+        'col-1',
+        'col-2',
+      ]);
+    });
+
+    it('should clear one alert type or the whole collection', async () => {
+      const single = await request(app)
+        .delete('/api/admin/collections/col-1/alert-cooldowns?alertType=price_drop')
+        .set('x-admin-key', validAdminKey);
+
+      expect(single.status).toBe(200);
+      expect(single.body).toEqual({ collectionId: 'col-1', alertType: 'price_drop', cleared: 1 });
+
+      const all = await request(app)
+        .delete('/api/admin/collections/col-1/alert-cooldowns')
+        .set('x-admin-key', validAdminKey);
+
+      expect(all.body).toEqual({ collectionId: 'col-1', alertType: null, cleared: 1 });
+      expect(await alertCooldownRepository.findAll()).toEqual([
+        expect.objectContaining({ collectionId: 'col-2' }),
+      ]);
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).delete('/api/admin/collections/col-1/alert-cooldowns');
+
+      expect(response.status).toBe(403);
+    });
   });
 });
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const express = require('express');
+const alertsRoutes = require('../src/routes/alerts');
+const alertBacktestService = require('../src/services/alertBacktestService');
+const dataStore = require('../src/repositories/dataStore');
+const { alertsRepository } = require('../src/repositories/alertsRepository');
+const { alertRuleRepository } = require('../src/repositories/alertRuleRepository');
+const { trackedCollectionRepository } = require('../src/repositories/trackedCollectionRepository');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly purchases from Jan 1 to Jan 3: 100 for two days, then 70 on Jan 3.
+function seedHistory(collectionId = 'col-bt') {
+  const start = Date.parse('2024-01-01T00:00:00.000Z');
+  for (let hour = 0; hour < 72; hour += 1) {
+    dataStore.addPurchaseEvent(collectionId, {
+      id: `p-${hour}`,
+      type: 'buy',
+      price: hour < 48 ? 100 : 70,
+      quantity: 1,
+      timestamp: new Date(start + hour * HOUR_MS).toISOString(),
+    });
+  }
+}
+
+describe('alert backtest', () => {
+  const jan3 = {
+    collectionId: 'col-bt',
+    from: '2024-01-03T00:00:00.000Z',
+    to: '2024-01-03T23:00:00.000Z',
+  };
+
+  beforeEach(async () => {
+    dataStore.clear();
+    alertRuleRepository.clear();
+    trackedCollectionRepository.clear();
+    await alertsRepository.clear();
+    seedHistory();
+  });
+
+  describe('backtestAlerts', () => {
+    it('should replay price drops day over day with cooldowns on the simulated clock', async () => {
+      const result = await alertBacktestService.backtestAlerts({ ...jan3, cooldownMinutes: 180 });
+
+      expect(result.steps).toBe(24);
+      expect(result.alerts.map((alert) => alert.triggeredAt)).toEqual(
+        [8, 11, 14, 17, 20, 23].map((hour) => `2024-01-03T${String(hour).padStart(2, '0')}:00:00.000Z`)
+      );
+      expect(result.alerts[0]).toMatchObject({
+        collectionId: 'col-bt',
+        type: 'price_drop',
+        message: 'Price dropped 10.80% in 24h',
+      });
+      expect(result.summary).toEqual({
+        total: 6,
+        byType: { price_drop: 6 },
+        suppressedByCooldown: { price_drop: 10 },
+      });
+      expect(await alertsRepository.findAll()).toHaveLength(0);
+    });
+
+    it('should apply threshold overrides on top of the collection thresholds', async () => {
+      await trackedCollectionRepository.setAlertThresholds('col-bt', { price_drop_percent: 50 });
+
+      const stored = await alertBacktestService.backtestAlerts({ ...jan3, cooldownMinutes: 0 });
+      const tuned = await alertBacktestService.backtestAlerts({
+        ...jan3,
+        cooldownMinutes: 0,
+        thresholds: { priceDrop: 25 },
+      });
+
+      expect(stored.thresholds.priceDrop).toBe(50);
+      expect(stored.alerts).toHaveLength(0);
+      expect(tuned.alerts.map((alert) => alert.triggeredAt.slice(11, 13))).toEqual([
+        '20',
+        '21',
+        '22',
+        '23',
+      ]);
+    });
+
+    it('should evaluate stored and draft rules with their own cooldowns', async () => {
+      await alertRuleRepository.create({
+        name: 'Stored dip',
+        condition: '1h.averagePrice < 0.8 * 72h.averagePrice',
+        severity: 'error',
+        message: 'Stored dip',
+        cooldownMinutes: 1440,
+        enabled: true,
+      });
+      await alertRuleRepository.create({
+        name: 'Other collection',
+        collectionId: 'col-other',
+        condition: '1h.averagePrice > 0',
+        severity: 'info',
+        message: 'Other',
+        enabled: true,
+      });
+
+      const result = await alertBacktestService.backtestAlerts({
+        ...jan3,
+        thresholds: { priceDrop: 99 },
+        rules: [{ name: 'Draft dip', condition: '1h.averagePrice < 0.8 * 72h.averagePrice' }],
+      });
+
+      expect(result.rules.map((rule) => rule.name)).toEqual(['Stored dip', 'Draft dip']);
+      expect(result.summary.byType).toEqual({ 'rule:1': 1, 'rule:draft-1': 23 });
+      expect(result.alerts[0]).toMatchObject({
+        type: 'rule:1',
+        triggeredAt: '2024-01-03T01:00:00.000Z',
+      });
+      expect(result.summary.suppressedByCooldown).toEqual({ 'rule:1': 22 });
+
+      const withoutStored = await alertBacktestService.backtestAlerts({
+        ...jan3,
+        includeStoredRules: false,
+      });
+      expect(withoutStored.rules).toEqual([]);
+    });
+
+    it('should return null for unknown collections', async () => {
+      expect(
+        await alertBacktestService.backtestAlerts({ ...jan3, collectionId: 'missing' })
+      ).toBeNull();
+    });
+  });
+
+  describe('POST /api/alerts/backtest', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/alerts', alertsRoutes);
+    });
+
+    it('should return the backtest result', async () => {
+      const response = await request(app)
+        .post('/api/alerts/backtest')
+        .send({ ...jan3, stepMinutes: 180, cooldownMinutes: 0 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.steps).toBe(8);
+      expect(response.body.summary.byType).toEqual({ price_drop: 5 });
+    });
+
+    it('should validate the request', async () => {
+      const missingRange = await request(app)
+        .post('/api/alerts/backtest')
+        .send({ collectionId: 'col-bt' });
+      const reversed = await request(app)
+        .post('/api/alerts/backtest')
+        .send({ ...jan3, from: jan3.to, to: jan3.from });
+      const tooManySteps = await request(app)
+        .post('/api/alerts/backtest')
+        .send({ ...jan3, from: '2023-01-01T00:00:00.000Z', stepMinutes: 5 });
+      const badRule = await request(app)
+        .post('/api/alerts/backtest')
+        .send({ ...jan3, rules: [{ condition: '1h.floorPrice < 1' }] });
+
+      expect(missingRange.status).toBe(400);
+      expect(reversed.status).toBe(400);
+      expect(tooManySteps.status).toBe(400);
+      expect(tooManySteps.body.message).toContain('max 2000');
+      expect(badRule.status).toBe(400);
+      expect(badRule.body.message).toContain('Unknown metric');
+    });
+
+    it('should return 404 for unknown collections', async () => {
+      const response = await request(app)
+        .post('/api/alerts/backtest')
+        .send({ ...jan3, collectionId: 'missing' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
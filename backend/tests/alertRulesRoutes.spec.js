@@ -0,0 +1,140 @@
+const request = require('supertest');
+const express = require('express');
+const alertsRoutes = require('../src/routes/alerts');
+const { alertRuleRepository } = require('../src/repositories/alertRuleRepository');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Alert rule routes', () => {
+  let app;
+
+  const validRule = {
+    name: 'Median dip',
+    condition: '1h.medianPrice < 0.8 * 72h.averagePrice',
+    severity: 'error',
+    message: 'Median {{1h.medianPrice}} below 80% of 72h average {{72h.averagePrice}}',
+    cooldownMinutes: 30,
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/alerts', alertsRoutes);
+
+    alertRuleRepository.clear();
+  });
+
+  it('should create, read, update and delete a rule', async () => {
+    const created = await request(app).post('/api/alerts/rules').send(validRule);
+
+    expect(created.status).toBe(201);
+    expect(created.body.rule).toMatchObject({
+      ...validRule,
+      id: expect.any(String),
+      collectionId: null,
+      enabled: true,
+    });
+
+    const ruleId = created.body.rule.id;
+
+    const fetched = await request(app).get(`/api/alerts/rules/${ruleId}`);
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.rule.name).toBe('Median dip');
+
+    const updated = await request(app)
+      .put(`/api/alerts/rules/${ruleId}`)
+      .send({ enabled: false, collectionId: 'col-1' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.rule).toMatchObject({ enabled: false, collectionId: 'col-1', severity: 'error' });
+
+    const deleted = await request(app).delete(`/api/alerts/rules/${ruleId}`);
+    expect(deleted.status).toBe(204);
+
+    const missing = await request(app).get(`/api/alerts/rules/${ruleId}`);
+    expect(missing.status).toBe(404);
+  });
+
+  it('should list rules with filters', async () => {
+    await request(app).post('/api/alerts/rules').send(validRule);
+    await request(app)
+      .post('/api/alerts/rules')
+      .send({ ...validRule, name: 'Buy pressure', collectionId: 'col-1', enabled: false });
+
+    const all = await request(app).get('/api/alerts/rules');
+    const scoped = await request(app).get('/api/alerts/rules?collectionId=col-1');
+    const enabled = await request(app).get('/api/alerts/rules?enabled=true');
+
+    expect(all.body.rules).toHaveLength(2);
+    expect(scoped.body.rules.map((rule) => rule.name)).toEqual(['Buy pressure']);
+    expect(enabled.body.rules.map((rule) => rule.name)).toEqual(['Median dip']);
+  });
+
+  it('should apply defaults for severity and message', async () => {
+    const response = await request(app)
+      .post('/api/alerts/rules')
+      .send({ name: 'Buy pressure', condition: '24h.buyCount > 3 * 24h.sellCount' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.rule.severity).toBe('warning');
+    expect(response.body.rule.message).toBe('Rule "{{ruleName}}" triggered for {{collectionId}}');
+  });
+
+  it('should store legacy severities on the unified scale', async () => {
+    const responses = await Promise.all(
+      ['low', 'medium', 'high', 'critical'].map((severity, index) =>
+        request(app)
+          .post('/api/alerts/rules')
+          .send({ ...validRule, name: `Rule ${index}`, severity })
+      )
+    );
+    const invalid = await request(app)
+      .post('/api/alerts/rules')
+      .send({ ...validRule, severity: 'urgent' });
+
+    expect(responses.map((response) => response.body.rule.severity)).toEqual([
+      'info',
+      'warning',
+      'error',
+      'critical',
+    ]);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should reject invalid conditions and templates', async () => {
+    const badCondition = await request(app)
+      .post('/api/alerts/rules')
+      .send({ ...validRule, condition: '1h.floorPrice < 1' });
+    const badTemplate = await request(app)
+      .post('/api/alerts/rules')
+      .send({ ...validRule, message: '{{floor}}' });
+    const missingName = await request(app)
+      .post('/api/alerts/rules')
+      .send({ condition: validRule.condition });
+
+    expect(badCondition.status).toBe(400);
+    expect(badCondition.body.message).toContain('Unknown metric "floorPrice"');
+    expect(badTemplate.status).toBe(400);
+    expect(missingName.status).toBe(400);
+  });
+
+  it('should validate updates and report missing rules', async () => {
+    const created = await request(app).post('/api/alerts/rules').send(validRule);
+
+    const empty = await request(app).put(`/api/alerts/rules/${created.body.rule.id}`).send({});
+    const badCondition = await request(app)
+      .put(`/api/alerts/rules/${created.body.rule.id}`)
+      .send({ condition: '1h.medianPrice' });
+    const missing = await request(app).put('/api/alerts/rules/999').send({ enabled: false });
+    const missingDelete = await request(app).delete('/api/alerts/rules/999');
+
+    expect(empty.status).toBe(400);
+    expect(badCondition.status).toBe(400);
+    expect(missing.status).toBe(404);
+    expect(missingDelete.status).toBe(404);
+  });
+});
@@ -1,18 +1,30 @@
 const {
   evaluateAlerts,
+  evaluateRules,
+  evaluateCollectionAlerts,
+  detectClearedAlerts,
+  buildAlertInputs,
   getThresholds,
+  getCollectionThresholds,
+  updateCollectionThresholds,
   getCooldownWindow,
+  getCooldowns,
+  clearCollectionCooldowns,
   clearCooldowns,
 } = require('../src/services/alertService');
+const { alertCooldownRepository } = require('../src/repositories/alertCooldownRepository');
 
 describe('AlertService', () => {
   const mockRepository = {
     create: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
   };
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
-    clearCooldowns();
+    await clearCooldowns();
+    mockRepository.findAll.mockResolvedValue([]);
     mockRepository.create.mockResolvedValue({
       id: '1',
       collectionId: 'col-1',
@@ -147,9 +159,55 @@ describe('AlertService', () => {
       expect(mockRepository.create).toHaveBeenCalledTimes(1);
     });
 
+    it('should honour cooldowns recorded by another process', async () => {
+      await alertCooldownRepository.claim('col-1', 'price_drop', 0);
+
+      const alerts = await evaluateAlerts(
+        { collectionId: 'col-1', priceChange24h: -15, volumeChange24h: 0 },
+        mockRepository
+      );
+
+      expect(alerts).toHaveLength(0);
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should report and clear stored cooldowns per collection', async () => {
+      await evaluateAlerts({ collectionId: 'col-1', priceChange24h: -15 }, mockRepository);
+      await evaluateRules(
+        'col-1',
+        { '24h': { buyCount: 10, sellCount: 2 } },
+        [
+          {
+            id: '9',
+            name: 'Buy pressure',
+            condition: '24h.buyCount > 3 * 24h.sellCount',
+            severity: 'warning',
+            message: 'Buy pressure',
+            cooldownMinutes: 15,
+            enabled: true,
+          },
+        ],
+        mockRepository
+      );
+      const alertRuleRepository = {
+        findAll: jest.fn().mockResolvedValue([{ id: '9', cooldownMinutes: 15 }]),
+      };
+
+      const cooldowns = await getCooldowns('col-1', alertRuleRepository);
+
+      expect(cooldowns).toEqual([
+        expect.objectContaining({ alertType: 'price_drop', cooldownMinutes: 60, active: true }),
+        expect.objectContaining({ alertType: 'rule:9', cooldownMinutes: 15, active: true }),
+      ]);
+      expect(await clearCollectionCooldowns('col-1', 'rule:9')).toBe(1);
+      expect((await getCooldowns('col-1')).map((cooldown) => cooldown.alertType)).toEqual([
+        'price_drop',
+      ]);
+    });
+
     it('should allow alert after cooldown expires', async () => {
       process.env.ALERT_COOLDOWN_MINUTES = '0.01';
-      clearCooldowns();
+      await clearCooldowns();
 
       const analytics = {
         collectionId: 'col-1',
@@ -196,6 +254,56 @@ describe('AlertService', () => {
       expect(mockRepository.create).toHaveBeenCalled();
     });
 
+    it('should release the cooldown of an alert that could not be saved', async () => {
+      mockRepository.create.mockRejectedValueOnce(new Error('Database error'));
+      const analytics = { collectionId: 'col-1', priceChange24h: -15, volumeChange24h: 0 };
+
+      await evaluateAlerts(analytics, mockRepository);
+      expect(await getCooldowns('col-1')).toEqual([]);
+
+      const retried = await evaluateAlerts(analytics, mockRepository);
+      expect(retried).toHaveLength(1);
+      expect(mockRepository.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not notify an alert the repository already held', async () => {
+      const notificationRouter = require('../src/notifications/notificationRouter');
+      const dispatchSpy = jest
+        .spyOn(notificationRouter, 'dispatch')
+        .mockResolvedValue({ channel: 'default', sent: 1, failed: 0 });
+      mockRepository.create.mockResolvedValueOnce({ id: '1', collectionId: 'col-1', created: false });
+
+      try {
+        await evaluateAlerts({ collectionId: 'col-1', priceChange24h: -15 }, mockRepository);
+        await clearCooldowns();
+        mockRepository.create.mockResolvedValueOnce({ id: '2', collectionId: 'col-1', created: true });
+        await evaluateAlerts({ collectionId: 'col-1', priceChange24h: -15 }, mockRepository);
+
+        expect(dispatchSpy).toHaveBeenCalledTimes(1);
+        expect(dispatchSpy.mock.calls[0][0]).toEqual({ id: '2', collectionId: 'col-1' });
+      } finally {
+        dispatchSpy.mockRestore();
+      }
+    });
+
+    it('should keep the cooldown of a saved alert whose notification failed', async () => {
+      const notificationRouter = require('../src/notifications/notificationRouter');
+      const dispatchSpy = jest
+        .spyOn(notificationRouter, 'dispatch')
+        .mockRejectedValueOnce(new Error('Channel lookup failed'));
+      const analytics = { collectionId: 'col-1', priceChange24h: -15, volumeChange24h: 0 };
+
+      try {
+        await evaluateAlerts(analytics, mockRepository);
+      } finally {
+        dispatchSpy.mockRestore();
+      }
+
+      expect(await getCooldowns('col-1')).toEqual([
+        expect.objectContaining({ alertType: 'price_drop', active: true }),
+      ]);
+    });
+
     it('should handle null analytics', async () => {
       const alerts = await evaluateAlerts(null, mockRepository);
 
@@ -239,4 +347,443 @@ describe('AlertService', () => {
       expect(cooldown).toBe(60 * 60 * 1000);
     });
   });
+
+  describe('buildAlertInputs', () => {
+    const point = (metricDate, averagePrice, tradeVolume, priceChange24h = 0) => ({
+      collectionId: 'col-1',
+      window: '24h',
+      metricDate,
+      timestamp: `${metricDate}T10:00:00.000Z`,
+      averagePrice,
+      priceChange24h,
+      purchaseMetrics: { tradeVolume },
+    });
+
+    const createRepositories = (history, snapshots = []) => ({
+      analyticsRepository: { getMetricHistory: jest.fn().mockResolvedValue(history) },
+      dataStore: { getMarketSnapshots: jest.fn().mockResolvedValue(snapshots) },
+    });
+
+    it('should compare the latest 24h point with the previous day', async () => {
+      const { analyticsRepository, dataStore } = createRepositories(
+        [point('2024-01-14', 100, 10), point('2024-01-15', 80, 25)],
+        [
+          { timestamp: '2024-01-15T09:00:00.000Z', totalListings: 40 },
+          { timestamp: '2024-01-14T09:00:00.000Z', totalListings: 100 },
+        ]
+      );
+
+      const inputs = await buildAlertInputs('col-1', dataStore, analyticsRepository);
+
+      expect(analyticsRepository.getMetricHistory).toHaveBeenCalledWith('col-1', '24h');
+      expect(inputs).toEqual({
+        collectionId: 'col-1',
+        timestamp: '2024-01-15T10:00:00.000Z',
+        priceChange24h: -20,
+        volumeChange24h: 150,
+        listingCount: 40,
+        previousListingCount: 100,
+      });
+    });
+
+    it('should leave the price change out without history', async () => {
+      const { analyticsRepository, dataStore } = createRepositories([
+        point('2024-01-15', 80, 25, 12),
+      ]);
+
+      const inputs = await buildAlertInputs('col-1', dataStore, analyticsRepository);
+
+      expect(inputs.priceChange24h).toBeNull();
+      expect(inputs.volumeChange24h).toBeNull();
+      expect(inputs.listingCount).toBeNull();
+      expect(inputs.previousListingCount).toBeNull();
+    });
+
+    it('should skip the day-over-day comparison when the previous day is missing', async () => {
+      const { analyticsRepository, dataStore } = createRepositories([
+        point('2024-01-12', 100, 10),
+        point('2024-01-15', 80, 25, 12),
+      ]);
+
+      const inputs = await buildAlertInputs('col-1', dataStore, analyticsRepository);
+
+      expect(inputs.priceChange24h).toBeNull();
+      expect(inputs.volumeChange24h).toBeNull();
+    });
+
+    it('should compare across a month boundary', async () => {
+      const { analyticsRepository, dataStore } = createRepositories([
+        point('2024-02-29', 100, 10),
+        point('2024-03-01', 90, 20),
+      ]);
+
+      const inputs = await buildAlertInputs('col-1', dataStore, analyticsRepository);
+
+      expect(inputs.priceChange24h).toBe(-10);
+      expect(inputs.volumeChange24h).toBe(100);
+    });
+
+    it('should return null when the collection has no metrics', async () => {
+      const { analyticsRepository, dataStore } = createRepositories([]);
+
+      expect(await buildAlertInputs('col-1', dataStore, analyticsRepository)).toBeNull();
+    });
+  });
+
+  describe('evaluateCollectionAlerts', () => {
+    it('should evaluate every collection and collect triggered alerts', async () => {
+      const analyticsRepository = {
+        getMetricHistory: jest.fn(async (collectionId) =>
+          collectionId === 'col-1'
+            ? [
+                { timestamp: '2024-01-14T10:00:00.000Z', averagePrice: 100 },
+                { timestamp: '2024-01-15T10:00:00.000Z', averagePrice: 70 },
+              ]
+            : []
+        ),
+      };
+      const dataStore = { getMarketSnapshots: jest.fn().mockResolvedValue([]) };
+
+      const { triggeredAlerts: alerts } = await evaluateCollectionAlerts(['col-1', 'col-2'], {
+        dataStore,
+        analyticsRepository,
+        alertsRepository: mockRepository,
+      });
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({
+        collectionId: 'col-1',
+        type: 'price_drop',
+        triggeredAt: '2024-01-15T10:00:00.000Z',
+      });
+      expect(mockRepository.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep evaluating when one collection fails', async () => {
+      const analyticsRepository = {
+        getMetricHistory: jest
+          .fn()
+          .mockRejectedValueOnce(new Error('boom'))
+          .mockResolvedValueOnce([{ timestamp: '2024-01-15T10:00:00.000Z', priceChange24h: 0 }]),
+      };
+      const dataStore = {
+        getMarketSnapshots: jest.fn().mockResolvedValue([
+          { timestamp: '2024-01-15T08:00:00.000Z', totalListings: 100 },
+          { timestamp: '2024-01-15T09:00:00.000Z', totalListings: 20 },
+        ]),
+      };
+
+      const { triggeredAlerts: alerts } = await evaluateCollectionAlerts(['broken', 'col-2'], {
+        dataStore,
+        analyticsRepository,
+        alertsRepository: mockRepository,
+      });
+
+      expect(alerts.map((alert) => alert.type)).toEqual(['listing_depletion']);
+    });
+
+    it('should apply per-collection threshold overrides', async () => {
+      const analyticsRepository = {
+        getMetricHistory: jest.fn().mockResolvedValue([
+          { timestamp: '2024-01-14T10:00:00.000Z', averagePrice: 100 },
+          { timestamp: '2024-01-15T10:00:00.000Z', averagePrice: 70 },
+        ]),
+      };
+      const dataStore = { getMarketSnapshots: jest.fn().mockResolvedValue([]) };
+      const trackedCollectionRepository = {
+        getTrackedCollection: jest.fn(async (collectionId) =>
+          collectionId === 'speculative'
+            ? { collectionId, alertThresholds: { price_drop_percent: 40 } }
+            : null
+        ),
+      };
+
+      const { triggeredAlerts: alerts } = await evaluateCollectionAlerts(['speculative', 'blue-chip'], {
+        dataStore,
+        analyticsRepository,
+        alertsRepository: mockRepository,
+        trackedCollectionRepository,
+      });
+
+      expect(alerts.map((alert) => alert.collectionId)).toEqual(['blue-chip']);
+    });
+  });
+
+  describe('evaluateRules', () => {
+    const metricsByWindow = {
+      '1h': { medianPrice: 70 },
+      '24h': { buyCount: 10, sellCount: 2 },
+      '72h': { averagePrice: 100 },
+    };
+
+    const rule = (overrides = {}) => ({
+      id: '7',
+      name: 'Median dip',
+      collectionId: null,
+      condition: '1h.medianPrice < 0.8 * 72h.averagePrice',
+      severity: 'error',
+      message: '{{ruleName}}: median {{1h.medianPrice}} vs {{72h.averagePrice}}',
+      cooldownMinutes: null,
+      enabled: true,
+      ...overrides,
+    });
+
+    it('should raise an alert per matching rule', async () => {
+      const alerts = await evaluateRules('col-1', metricsByWindow, [rule()], mockRepository, {
+        timestamp: '2024-01-15T10:00:00.000Z',
+      });
+
+      expect(alerts).toEqual([
+        {
+          collectionId: 'col-1',
+          type: 'rule:7',
+          severity: 'error',
+          message: 'Median dip: median 70 vs 100',
+          triggeredAt: '2024-01-15T10:00:00.000Z',
+          ruleId: '7',
+          ruleName: 'Median dip',
+          condition: '1h.medianPrice < 0.8 * 72h.averagePrice',
+          metrics: { '1h.medianPrice': 70, '72h.averagePrice': 100 },
+        },
+      ]);
+      expect(mockRepository.create).toHaveBeenCalledWith(alerts[0]);
+    });
+
+    it('should skip disabled rules, rules for other collections and unmet conditions', async () => {
+      const alerts = await evaluateRules(
+        'col-1',
+        metricsByWindow,
+        [
+          rule({ id: '1', enabled: false }),
+          rule({ id: '2', collectionId: 'col-2' }),
+          rule({ id: '3', condition: '24h.buyCount > 10 * 24h.sellCount' }),
+          rule({ id: '4', collectionId: 'col-1', condition: '24h.buyCount > 3 * 24h.sellCount' }),
+        ],
+        mockRepository
+      );
+
+      expect(alerts.map((alert) => alert.type)).toEqual(['rule:4']);
+    });
+
+    it('should throttle each rule by its own cooldown', async () => {
+      const rules = [rule({ id: '1', cooldownMinutes: 0 }), rule({ id: '2' })];
+
+      await evaluateRules('col-1', metricsByWindow, rules, mockRepository);
+      const second = await evaluateRules('col-1', metricsByWindow, rules, mockRepository);
+
+      expect(second.map((alert) => alert.type)).toEqual(['rule:1']);
+    });
+
+    it('should keep evaluating when a stored rule no longer compiles', async () => {
+      const alerts = await evaluateRules(
+        'col-1',
+        metricsByWindow,
+        [rule({ id: '1', condition: '1h.unknown > 1' }), rule({ id: '2' })],
+        mockRepository
+      );
+
+      expect(alerts.map((alert) => alert.type)).toEqual(['rule:2']);
+    });
+
+    it('should run stored rules from evaluateCollectionAlerts', async () => {
+      const analyticsRepository = {
+        getMetricHistory: jest
+          .fn()
+          .mockResolvedValue([{ timestamp: '2024-01-15T10:00:00.000Z', averagePrice: 100 }]),
+        findMetrics: jest.fn().mockResolvedValue([
+          { window: '1h', medianPrice: 70 },
+          { window: '72h', averagePrice: 100 },
+        ]),
+      };
+      const alertRuleRepository = { findAll: jest.fn().mockResolvedValue([rule()]) };
+
+      const { triggeredAlerts: alerts } = await evaluateCollectionAlerts(['col-1'], {
+        dataStore: { getMarketSnapshots: jest.fn().mockResolvedValue([]) },
+        analyticsRepository,
+        alertsRepository: mockRepository,
+        alertRuleRepository,
+      });
+
+      expect(alertRuleRepository.findAll).toHaveBeenCalledWith({ enabled: true });
+      expect(analyticsRepository.findMetrics).toHaveBeenCalledWith({ collectionId: 'col-1' });
+      expect(alerts).toEqual([
+        expect.objectContaining({ type: 'rule:7', triggeredAt: '2024-01-15T10:00:00.000Z' }),
+      ]);
+    });
+  });
+
+  describe('auto-resolution', () => {
+    const thresholds = { priceDrop: 10, volumeSpike: 50, listingDepletion: 30 };
+    const openAlert = (type, id = '1') => ({ id, collectionId: 'col-1', type, resolved: false });
+
+    it('should clear a price drop only once the price recovers past the hysteresis margin', () => {
+      const alerts = [openAlert('price_drop')];
+
+      expect(
+        detectClearedAlerts(alerts, { analytics: { priceChange24h: -9 }, thresholds }, 2)
+      ).toEqual([]);
+      expect(
+        detectClearedAlerts(alerts, { analytics: { priceChange24h: -7.5 }, thresholds }, 2)
+      ).toEqual([
+        { alert: alerts[0], resolution: 'Price change recovered to -7.50% in 24h' },
+      ]);
+    });
+
+    it('should clear volume spikes and listing depletion below their thresholds', () => {
+      const cleared = detectClearedAlerts(
+        [openAlert('volume_spike', '1'), openAlert('listing_depletion', '2')],
+        {
+          analytics: { volumeChange24h: 20, listingCount: 90, previousListingCount: 100 },
+          thresholds,
+        },
+        0
+      );
+
+      expect(cleared.map(({ resolution }) => resolution)).toEqual([
+        'Volume change eased to 20.00% in 24h',
+        'Listing depletion eased to 10.00%',
+      ]);
+    });
+
+    it('should keep alerts open when their metrics are missing', () => {
+      const cleared = detectClearedAlerts(
+        [openAlert('price_drop', '1'), openAlert('listing_depletion', '2')],
+        { analytics: { priceChange24h: null, listingCount: 90 }, thresholds },
+        0
+      );
+
+      expect(cleared).toEqual([]);
+    });
+
+    it('should clear rule alerts whose rule no longer matches', () => {
+      const rules = [
+        { id: '7', name: 'Median dip', condition: '1h.medianPrice < 0.8 * 72h.averagePrice' },
+      ];
+      const alerts = [openAlert('rule:7', '1'), openAlert('rule:8', '2')];
+
+      expect(
+        detectClearedAlerts(alerts, {
+          analytics: {},
+          metricsByWindow: { '1h': { medianPrice: 70 }, '72h': { averagePrice: 100 } },
+          rules,
+        })
+      ).toEqual([]);
+      expect(
+        detectClearedAlerts(alerts, {
+          analytics: {},
+          metricsByWindow: { '1h': { medianPrice: 95 }, '72h': { averagePrice: 100 } },
+          rules,
+        })
+      ).toEqual([{ alert: alerts[0], resolution: 'Rule "Median dip" no longer matches' }]);
+    });
+
+    it('should resolve cleared alerts from evaluateCollectionAlerts', async () => {
+      const analyticsRepository = {
+        getMetricHistory: jest.fn().mockResolvedValue([
+          { timestamp: '2024-01-14T10:00:00.000Z', averagePrice: 100 },
+          { timestamp: '2024-01-15T10:00:00.000Z', averagePrice: 98 },
+        ]),
+      };
+      mockRepository.findAll.mockResolvedValue([openAlert('price_drop', '5')]);
+      mockRepository.update.mockImplementation(async (id, updates) => ({
+        ...openAlert('price_drop', id),
+        ...updates,
+      }));
+
+      const { triggeredAlerts, resolvedAlerts } = await evaluateCollectionAlerts(['col-1'], {
+        dataStore: { getMarketSnapshots: jest.fn().mockResolvedValue([]) },
+        analyticsRepository,
+        alertsRepository: mockRepository,
+      });
+
+      expect(triggeredAlerts).toEqual([]);
+      expect(mockRepository.findAll).toHaveBeenCalledWith({ collectionId: 'col-1', resolved: false });
+      expect(mockRepository.update).toHaveBeenCalledWith('5', {
+        resolved: true,
+        resolvedBy: 'auto',
+        resolution: 'Price change recovered to -2.00% in 24h',
+      });
+      expect(resolvedAlerts).toEqual([
+        expect.objectContaining({ id: '5', resolved: true, resolvedBy: 'auto' }),
+      ]);
+    });
+
+    it('should keep a price drop open on a day without a previous-day point', async () => {
+      const analyticsRepository = {
+        getMetricHistory: jest.fn().mockResolvedValue([
+          { metricDate: '2024-01-12', timestamp: '2024-01-12T10:00:00.000Z', averagePrice: 100 },
+          { metricDate: '2024-01-15', timestamp: '2024-01-15T10:00:00.000Z', averagePrice: 98, priceChange24h: 5 },
+        ]),
+      };
+      mockRepository.findAll.mockResolvedValue([openAlert('price_drop', '5')]);
+
+      const { resolvedAlerts } = await evaluateCollectionAlerts(['col-1'], {
+        dataStore: { getMarketSnapshots: jest.fn().mockResolvedValue([]) },
+        analyticsRepository,
+        alertsRepository: mockRepository,
+      });
+
+      expect(resolvedAlerts).toEqual([]);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('collection thresholds', () => {
+    const createTrackedRepository = (alertThresholds) => {
+      let stored = alertThresholds;
+      return {
+        getTrackedCollection: jest.fn(async (collectionId) =>
+          stored === undefined ? null : { collectionId, alertThresholds: stored }
+        ),
+        setAlertThresholds: jest.fn(async (collectionId, value) => {
+          stored = value;
+        }),
+      };
+    };
+
+    it('should fall back to the global defaults', async () => {
+      const result = await getCollectionThresholds('col-1', createTrackedRepository());
+
+      expect(result).toEqual({
+        collectionId: 'col-1',
+        thresholds: getThresholds(),
+        overrides: {},
+        defaults: getThresholds(),
+      });
+    });
+
+    it('should ignore unknown keys and invalid values', async () => {
+      const repository = createTrackedRepository({
+        price_drop_percent: '20',
+        volume_spike_percent: 'abc',
+        listing_depletion_percent: -1,
+        custom_key: 5,
+      });
+
+      const result = await getCollectionThresholds('col-1', repository);
+
+      expect(result.overrides).toEqual({ priceDrop: 20 });
+      expect(result.thresholds.volumeSpike).toBe(50);
+    });
+
+    it('should merge updates into the stored thresholds', async () => {
+      const repository = createTrackedRepository({
+        price_drop_percent: 10,
+        volume_spike_percent: 50,
+        custom_key: 5,
+      });
+
+      const result = await updateCollectionThresholds(
+        'col-1',
+        { volumeSpike: 120, price_drop_percent: 1, priceDrop: null },
+        repository
+      );
+
+      expect(repository.setAlertThresholds).toHaveBeenCalledWith('col-1', {
+        volume_spike_percent: 120,
+        custom_key: 5,
+      });
+      expect(result.overrides).toEqual({ volumeSpike: 120 });
+    });
+  });
 });
@@ -0,0 +1,144 @@
+const { alertsRepository } = require('../src/repositories/alertsRepository');
+const alertReadService = require('../src/services/alertReadService');
+
+const baseAlert = {
+  collectionId: 'col-1',
+  type: 'price_drop',
+  severity: 'error',
+  message: 'Price dropped',
+};
+
+describe('AlertsRepository', () => {
+  beforeEach(async () => {
+    await alertsRepository.clear();
+  });
+
+  describe('create', () => {
+    it('should not duplicate an alert for the same condition and time', async () => {
+      const triggeredAt = '2024-01-20T14:00:00.000Z';
+
+      const first = await alertsRepository.create({ ...baseAlert, triggeredAt });
+      const second = await alertsRepository.create({ ...baseAlert, triggeredAt });
+
+      expect(second.id).toBe(first.id);
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+      expect(await alertsRepository.findAll()).toHaveLength(1);
+    });
+
+    it('should keep alerts raised at different times', async () => {
+      await alertsRepository.create({ ...baseAlert, triggeredAt: '2024-01-20T14:00:00.000Z' });
+      await alertsRepository.create({ ...baseAlert, triggeredAt: '2024-01-20T15:00:00.000Z' });
+
+      expect(await alertsRepository.findAll()).toHaveLength(2);
+    });
+  });
+
+  describe('findPaginated', () => {
+    beforeEach(async () => {
+      const severities = ['info', 'critical', 'warning', 'error'];
+      for (let i = 0; i < severities.length; i += 1) {
+        await alertsRepository.create({
+          ...baseAlert,
+          severity: severities[i],
+          triggeredAt: new Date(Date.UTC(2024, 0, 20, i)).toISOString(),
+        });
+      }
+    });
+
+    it('should return a page and the total count', async () => {
+      const result = await alertsRepository.findPaginated({}, { page: 2, limit: 3 });
+
+      expect(result.total).toBe(4);
+      expect(result.alerts).toHaveLength(1);
+      expect(result.alerts[0].severity).toBe('info');
+    });
+
+    it('should sort by severity rank', async () => {
+      const result = await alertsRepository.findPaginated(
+        {},
+        { sortBy: 'severity', sortOrder: 'asc' }
+      );
+
+      expect(result.alerts.map((a) => a.severity)).toEqual(['info', 'warning', 'error', 'critical']);
+    });
+
+    it('should honor ascending order for timestamps', async () => {
+      const result = await alertsRepository.findPaginated({}, { sortOrder: 'asc' });
+
+      expect(result.alerts[0].triggeredAt).toBe('2024-01-20T00:00:00.000Z');
+    });
+
+    it('should filter by a since timestamp', async () => {
+      const result = await alertsRepository.findPaginated({ since: '2024-01-20T02:00:00.000Z' });
+
+      expect(result.total).toBe(2);
+    });
+  });
+
+  describe('getSummary', () => {
+    it('should count by resolution, severity, type and collection', async () => {
+      await alertsRepository.create({ ...baseAlert, triggeredAt: '2024-01-20T14:00:00.000Z' });
+      await alertsRepository.create({
+        ...baseAlert,
+        collectionId: 'col-2',
+        type: 'volume_spike',
+        triggeredAt: '2024-01-20T15:00:00.000Z',
+        resolved: true,
+      });
+
+      const summary = await alertsRepository.getSummary();
+
+      expect(summary).toEqual({
+        total: 2,
+        resolved: 1,
+        unresolved: 1,
+        bySeverity: { error: 2 },
+        byType: { price_drop: 1, volume_spike: 1 },
+        byCollection: { 'col-1': 1, 'col-2': 1 },
+      });
+    });
+  });
+
+  describe('alertReadService.getAlertsByCollection', () => {
+    it('should summarize every alert matching the list filters, not only the returned page', async () => {
+      for (let hour = 0; hour < 3; hour += 1) {
+        await alertsRepository.create({
+          ...baseAlert,
+          triggeredAt: new Date(Date.UTC(2024, 0, 20, hour)).toISOString(),
+          resolved: hour === 0,
+        });
+      }
+      await alertsRepository.create({ ...baseAlert, collectionId: 'col-2', triggeredAt: '2024-01-20T05:00:00.000Z' });
+
+      const unresolved = await alertReadService.getAlertsByCollection('col-1', { limit: 1 });
+      const all = await alertReadService.getAlertsByCollection('col-1', { limit: 1, includeResolved: true });
+
+      expect(unresolved.alerts).toHaveLength(1);
+      expect(unresolved.summary).toEqual({
+        total: 2,
+        resolved: 0,
+        unresolved: 2,
+        bySeverity: { error: 2 },
+        byType: { price_drop: 2 },
+        latestAlert: expect.objectContaining({ triggeredAt: '2024-01-20T02:00:00.000Z' }),
+      });
+      expect(all.alerts).toHaveLength(1);
+      expect(all.summary).toMatchObject({ total: 3, resolved: 1, unresolved: 2 });
+    });
+  });
+
+  describe('markAsResolved', () => {
+    it('should record when the alert was resolved', async () => {
+      const alert = await alertsRepository.create({
+        ...baseAlert,
+        triggeredAt: '2024-01-20T14:00:00.000Z',
+      });
+
+      const resolved = await alertsRepository.markAsResolved(alert.id);
+
+      expect(resolved.resolved).toBe(true);
+      expect(resolved.resolvedAt).toBeDefined();
+    });
+  });
+});
@@ -67,7 +67,7 @@ describe('Alerts API Integration Tests', () => {
       await alertsRepository.create({
         collectionId: 'collection-1',
         type: 'price_threshold',
-        severity: 'high',
+        severity: 'error',
         triggeredAt: new Date(baseTime.getTime() + 2 * 60 * 60 * 1000).toISOString(),
         message: 'Price exceeded threshold',
         resolved: false,
@@ -76,7 +76,7 @@ describe('Alerts API Integration Tests', () => {
       await alertsRepository.create({
         collectionId: 'collection-2',
         type: 'volume_spike',
-        severity: 'medium',
+        severity: 'warning',
         triggeredAt: new Date(baseTime.getTime() + 1 * 60 * 60 * 1000).toISOString(),
         message: 'Volume spike detected',
         resolved: true,
@@ -85,7 +85,7 @@ describe('Alerts API Integration Tests', () => {
       await alertsRepository.create({
         collectionId: 'collection-1',
         type: 'liquidity_drop',
-        severity: 'low',
+        severity: 'info',
         triggeredAt: baseTime.toISOString(),
         message: 'Liquidity dropped',
         resolved: false,
@@ -134,12 +134,23 @@ describe('Alerts API Integration Tests', () => {
       const response = await request(app)
         .get('/api/alerts')
         .query({
-          severity: 'high',
+          severity: 'error',
         })
         .expect(200);
 
       expect(response.body.alerts).toHaveLength(1);
-      expect(response.body.alerts[0].severity).toBe('high');
+      expect(response.body.alerts[0].severity).toBe('error');
+    });
+
+    it('should accept every level of the severity scale and the legacy rule names', async () => {
+      const warning = await request(app).get('/api/alerts').query({ severity: 'warning' });
+      const legacy = await request(app).get('/api/alerts').query({ severity: 'high' });
+      const unknown = await request(app).get('/api/alerts').query({ severity: 'urgent' });
+
+      expect(warning.status).toBe(200);
+      expect(warning.body.alerts.map((alert) => alert.severity)).toEqual(['warning']);
+      expect(legacy.body.alerts.map((alert) => alert.severity)).toEqual(['error']);
+      expect(unknown.status).toBe(400);
     });
 
     it('should filter alerts by resolved status', async () => {
@@ -188,9 +199,9 @@ describe('Alerts API Integration Tests', () => {
         .expect(200);
 
       const alerts = response.body.alerts;
-      expect(alerts[0].severity).toBe('low');
-      expect(alerts[1].severity).toBe('medium');
-      expect(alerts[2].severity).toBe('high');
+      expect(alerts[0].severity).toBe('info');
+      expect(alerts[1].severity).toBe('warning');
+      expect(alerts[2].severity).toBe('error');
     });
 
     it('should return 400 for invalid query parameters', async () => {
@@ -225,7 +236,7 @@ describe('Alerts API Integration Tests', () => {
       const createdAlert = await alertsRepository.create({
         collectionId: 'test-collection',
         type: 'price_threshold',
-        severity: 'high',
+        severity: 'error',
         triggeredAt: new Date().toISOString(),
         message: 'Test alert',
       });
@@ -267,7 +278,7 @@ describe('Alerts API Integration Tests', () => {
       testAlert = await alertsRepository.create({
         collectionId: 'test-collection',
         type: 'price_threshold',
-        severity: 'high',
+        severity: 'error',
         triggeredAt: new Date().toISOString(),
         message: 'Test alert',
         resolved: false,
@@ -288,6 +299,23 @@ describe('Alerts API Integration Tests', () => {
       expect(response.body.alert).toHaveProperty('updatedAt');
     });
 
+    it('should record who resolved the alert and forget it when reopened', async () => {
+      const resolved = await request(app)
+        .put(`/api/alerts/${testAlert.id}`)
+        .send({ resolved: true, resolvedBy: 'alice' })
+        .expect(200);
+
+      expect(resolved.body.alert.resolvedBy).toBe('alice');
+
+      const reopened = await request(app)
+        .put(`/api/alerts/${testAlert.id}`)
+        .send({ resolved: false })
+        .expect(200);
+
+      expect(reopened.body.alert.resolved).toBe(false);
+      expect(reopened.body.alert.resolvedBy).toBeNull();
+    });
+
     it('should return 404 when updating non-existent alert', async () => {
       const response = await request(app)
         .put('/api/alerts/non-existent-id')
@@ -329,7 +357,7 @@ describe('Alerts API Integration Tests', () => {
       testAlert = await alertsRepository.create({
         collectionId: 'test-collection',
         type: 'price_threshold',
-        severity: 'high',
+        severity: 'error',
         triggeredAt: new Date().toISOString(),
         message: 'Test alert',
         resolved: false,
@@ -347,6 +375,30 @@ describe('Alerts API Integration Tests', () => {
       expect(response.body.alert).toHaveProperty('updatedAt');
     });
 
+    it('should record the resolution as manual unless a resolver is given', async () => {
+      const response = await request(app)
+        .put(`/api/alerts/${testAlert.id}/resolve`)
+        .expect(200);
+
+      expect(response.body.alert.resolvedBy).toBe('manual');
+
+      const named = await request(app)
+        .put(`/api/alerts/${testAlert.id}/resolve`)
+        .send({ resolvedBy: 'ops-oncall' })
+        .expect(200);
+
+      expect(named.body.alert.resolvedBy).toBe('ops-oncall');
+    });
+
+    it('should return 400 for an empty resolver', async () => {
+      const response = await request(app)
+        .put(`/api/alerts/${testAlert.id}/resolve`)
+        .send({ resolvedBy: '' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid request body');
+    });
+
     it('should return 404 when resolving non-existent alert', async () => {
       const response = await request(app)
         .put('/api/alerts/non-existent-id/resolve')
@@ -370,6 +422,193 @@ describe('Alerts API Integration Tests', () => {
     });
   });
 
+  describe('Alert triage', () => {
+    let alerts;
+
+    const createAlert = (overrides = {}) =>
+      alertsRepository.create({
+        collectionId: 'collection-1',
+        type: 'price_drop',
+        severity: 'warning',
+        triggeredAt: new Date().toISOString(),
+        message: 'Price dropped',
+        ...overrides,
+      });
+
+    beforeEach(async () => {
+      alerts = [
+        await createAlert({ triggeredAt: '2023-01-01T00:00:00.000Z' }),
+        await createAlert({ triggeredAt: '2023-01-01T01:00:00.000Z' }),
+        await createAlert({
+          collectionId: 'collection-2',
+          triggeredAt: '2023-01-01T02:00:00.000Z',
+        }),
+      ];
+    });
+
+    it('should start alerts untriaged', () => {
+      expect(alerts[0]).toMatchObject({
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        assignedTo: null,
+        snoozedUntil: null,
+        note: null,
+      });
+    });
+
+    it('should acknowledge, assign, snooze and annotate an alert', async () => {
+      const response = await request(app)
+        .put(`/api/alerts/${alerts[0].id}`)
+        .send({
+          acknowledged: true,
+          acknowledgedBy: 'alice',
+          assignedTo: 'bob',
+          snoozedUntil: '2030-01-01T00:00:00Z',
+          note: 'Marketplace outage, checking with the API provider',
+        })
+        .expect(200);
+
+      expect(response.body.alert).toMatchObject({
+        acknowledged: true,
+        acknowledgedBy: 'alice',
+        assignedTo: 'bob',
+        snoozedUntil: '2030-01-01T00:00:00.000Z',
+        note: 'Marketplace outage, checking with the API provider',
+        resolved: false,
+      });
+      expect(response.body.alert.acknowledgedAt).toEqual(expect.any(String));
+
+      const stored = await request(app).get(`/api/alerts/${alerts[0].id}`).expect(200);
+      expect(stored.body.alert.assignedTo).toBe('bob');
+    });
+
+    it('should clear triage fields', async () => {
+      await request(app)
+        .put(`/api/alerts/${alerts[0].id}`)
+        .send({
+          acknowledged: true,
+          assignedTo: 'bob',
+          snoozedUntil: '2030-01-01T00:00:00Z',
+          note: 'x',
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/alerts/${alerts[0].id}`)
+        .send({ acknowledged: false, assignedTo: null, snoozedUntil: null, note: '' })
+        .expect(200);
+
+      expect(response.body.alert).toMatchObject({
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        assignedTo: null,
+        snoozedUntil: null,
+        note: null,
+      });
+    });
+
+    it('should record acknowledgements without a user as manual', async () => {
+      const response = await request(app)
+        .put(`/api/alerts/${alerts[0].id}`)
+        .send({ acknowledged: true })
+        .expect(200);
+
+      expect(response.body.alert.acknowledgedBy).toBe('manual');
+    });
+
+    it('should reject invalid triage values', async () => {
+      const responses = await Promise.all([
+        request(app).put(`/api/alerts/${alerts[0].id}`).send({ assignedTo: '' }),
+        request(app).put(`/api/alerts/${alerts[0].id}`).send({ snoozedUntil: 'tomorrow' }),
+        request(app).put(`/api/alerts/${alerts[0].id}`).send({ note: 'x'.repeat(2001) }),
+      ]);
+
+      responses.forEach((response) => {
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty('error', 'Invalid request body');
+      });
+    });
+
+    it('should filter by triage state', async () => {
+      await request(app)
+        .put(`/api/alerts/${alerts[0].id}`)
+        .send({ acknowledged: true, assignedTo: 'bob' })
+        .expect(200);
+      await request(app)
+        .put(`/api/alerts/${alerts[1].id}`)
+        .send({ snoozedUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+        .expect(200);
+      await request(app)
+        .put(`/api/alerts/${alerts[2].id}`)
+        .send({ snoozedUntil: new Date(Date.now() - 60 * 60 * 1000).toISOString() })
+        .expect(200);
+
+      const ids = async (query) =>
+        (await request(app).get(`/api/alerts?${query}`).expect(200)).body.alerts
+          .map((alert) => alert.id)
+          .sort();
+
+      expect(await ids('acknowledged=true')).toEqual([alerts[0].id]);
+      expect(await ids('acknowledged=false')).toEqual([alerts[1].id, alerts[2].id].sort());
+      expect(await ids('assignedTo=bob')).toEqual([alerts[0].id]);
+      expect(await ids('assigned=false')).toEqual([alerts[1].id, alerts[2].id].sort());
+      expect(await ids('snoozed=true')).toEqual([alerts[1].id]);
+      expect(await ids('snoozed=false&acknowledged=false')).toEqual([alerts[2].id]);
+    });
+
+    it('should update listed alerts in bulk and report unknown ids', async () => {
+      const response = await request(app)
+        .post('/api/alerts/bulk')
+        .send({
+          ids: [alerts[0].id, alerts[1].id, '999'],
+          updates: { acknowledged: true, acknowledgedBy: 'alice' },
+        })
+        .expect(200);
+
+      expect(response.body.updated).toBe(2);
+      expect(response.body.skipped).toEqual([
+        { id: '999', reason: "Alert with ID '999' not found" },
+      ]);
+      expect(response.body.alerts.map((alert) => alert.acknowledgedBy)).toEqual([
+        'alice',
+        'alice',
+      ]);
+
+      const unacknowledged = await request(app).get('/api/alerts?acknowledged=false').expect(200);
+      expect(unacknowledged.body.alerts.map((alert) => alert.id)).toEqual([alerts[2].id]);
+    });
+
+    it('should update the alerts matching a filter in bulk', async () => {
+      const response = await request(app)
+        .post('/api/alerts/bulk')
+        .send({
+          filter: { collectionId: 'collection-1', acknowledged: false },
+          updates: { assignedTo: 'carol', resolved: true, resolvedBy: 'carol' },
+        })
+        .expect(200);
+
+      expect(response.body.updated).toBe(2);
+      const assigned = await request(app).get('/api/alerts?assignedTo=carol').expect(200);
+      expect(assigned.body.alerts.every((alert) => alert.resolvedBy === 'carol')).toBe(true);
+      expect(assigned.body.pagination.total).toBe(2);
+    });
+
+    it('should reject bulk requests without exactly one target or without updates', async () => {
+      const responses = await Promise.all([
+        request(app).post('/api/alerts/bulk').send({ updates: { acknowledged: true } }),
+        request(app)
+          .post('/api/alerts/bulk')
+          .send({ ids: ['1'], filter: {}, updates: { acknowledged: true } }),
+        request(app).post('/api/alerts/bulk').send({ ids: ['1'], updates: {} }),
+        request(app).post('/api/alerts/bulk').send({ ids: [], updates: { acknowledged: true } }),
+      ]);
+
+      expect(responses.map((response) => response.status)).toEqual([400, 400, 400, 400]);
+    });
+  });
+
   describe('CORS and Error Handling', () => {
     it('should handle CORS preflight requests', async () => {
       const response = await request(app)
@@ -410,7 +649,7 @@ describe('Alerts API Integration Tests', () => {
         promises.push(alertsRepository.create({
           collectionId: `collection-${i % 10}`,
           type: 'test_type',
-          severity: ['low', 'medium', 'high'][i % 3],
+          severity: ['info', 'warning', 'error'][i % 3],
           triggeredAt: new Date(Date.now() - i * 1000).toISOString(),
           message: `Test alert ${i}`,
           resolved: i % 2 === 0,
@@ -434,7 +673,7 @@ describe('Alerts API Integration Tests', () => {
       await alertsRepository.create({
         collectionId: 'test-collection',
         type: 'test_type',
-        severity: 'high',
+        severity: 'error',
         triggeredAt: new Date().toISOString(),
         message: 'Test alert',
       });
@@ -161,6 +161,76 @@ describe('AnalyticsRepository', () => {
     });
   });
 
+  describe('metric history', () => {
+    beforeEach(async () => {
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 100, listingMetrics: { averagePrice: 90 } },
+        { timestamp: '2024-01-14T10:00:00.000Z' }
+      );
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 105, listingMetrics: { averagePrice: 95 } },
+        { timestamp: '2024-01-15T10:00:00.000Z' }
+      );
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 110, listingMetrics: { averagePrice: 98 } },
+        { timestamp: '2024-01-16T10:00:00.000Z' }
+      );
+    });
+
+    it('should keep one point per day', async () => {
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 112 },
+        { timestamp: '2024-01-16T18:00:00.000Z' }
+      );
+
+      const history = await analyticsRepository.getMetricHistory('col-1', '24h');
+
+      expect(history.map((m) => m.metricDate)).toEqual(['2024-01-14', '2024-01-15', '2024-01-16']);
+      expect(history[2].averagePrice).toBe(112);
+    });
+
+    it('should expose only the latest point through findMetrics', async () => {
+      const result = await analyticsRepository.findMetrics({ collectionId: 'col-1' });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].metricDate).toBe('2024-01-16');
+    });
+
+    it('should return a metric series over a date range', async () => {
+      const series = await analyticsRepository.getMetricSeries('col-1', '24h', 'averagePrice', {
+        from: '2024-01-15',
+        to: '2024-01-16',
+      });
+
+      expect(series).toEqual([
+        { metricDate: '2024-01-15', timestamp: '2024-01-15T10:00:00.000Z', value: 105 },
+        { metricDate: '2024-01-16', timestamp: '2024-01-16T10:00:00.000Z', value: 110 },
+      ]);
+    });
+
+    it('should resolve nested metric names', async () => {
+      const series = await analyticsRepository.getMetricSeries(
+        'col-1',
+        '24h',
+        'listingMetrics.averagePrice'
+      );
+
+      expect(series.map((point) => point.value)).toEqual([90, 95, 98]);
+    });
+
+    it('should count every stored point', async () => {
+      expect(await analyticsRepository.getMetricsCount()).toBe(3);
+    });
+  });
+
   describe('findMetricsById', () => {
     it('should find metric by ID', async () => {
       const created = await analyticsRepository.upsertMetrics('col-1', '24h', {
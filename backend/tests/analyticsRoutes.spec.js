@@ -1,3 +1,6 @@
+const request = require('supertest');
+const express = require('express');
+const analyticsRoutes = require('../src/routes/analytics');
 const { analyticsRepository } = require('../src/repositories/analyticsRepository');
 const dataStore = require('../src/repositories/dataStore');
 const { resetRefreshLog } = require('../src/services/analyticsService');
@@ -121,6 +124,53 @@ describe('Analytics Routes', () => {
     });
   });
 
+  describe('Metric Series API', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/analytics', analyticsRoutes);
+
+    beforeEach(async () => {
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { tradeVolume: 10 },
+        { timestamp: '2024-01-14T10:00:00.000Z' }
+      );
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { tradeVolume: 25 },
+        { timestamp: '2024-01-15T10:00:00.000Z' }
+      );
+    });
+
+    it('should return the daily series for a metric', async () => {
+      const response = await request(app)
+        .get('/api/analytics/collections/col-1/series?metric=tradeVolume&window=24h')
+        .expect(200);
+
+      expect(response.body.collectionId).toBe('col-1');
+      expect(response.body.series.map((point) => point.value)).toEqual([10, 25]);
+    });
+
+    it('should apply the date range', async () => {
+      const response = await request(app)
+        .get('/api/analytics/collections/col-1/series?metric=tradeVolume&from=2024-01-15')
+        .expect(200);
+
+      expect(response.body.series).toHaveLength(1);
+      expect(response.body.series[0].metricDate).toBe('2024-01-15');
+    });
+
+    it('should require a metric name', async () => {
+      const response = await request(app)
+        .get('/api/analytics/collections/col-1/series')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query parameters');
+    });
+  });
+
   describe('Health Status API', () => {
     it('should return health status', async () => {
       await analyticsRepository.upsertMetrics('col-1', '24h', {
@@ -3,6 +3,7 @@ const {
   refreshMetrics,
   calculateMetrics,
   filterEventsByWindow,
+  buildWindowMetrics,
   getRefreshLog,
   resetRefreshLog,
   TIME_WINDOWS,
@@ -165,6 +166,40 @@ describe('AnalyticsService', () => {
 
       expect(result).toHaveLength(2);
     });
+
+    it('should filter relative to a given point in time', () => {
+      const events = [
+        { timestamp: '2024-01-15T08:00:00.000Z', price: 100 },
+        { timestamp: '2024-01-15T09:30:00.000Z', price: 110 },
+        { timestamp: '2024-01-15T11:00:00.000Z', price: 120 },
+      ];
+
+      const result = filterEventsByWindow(
+        events,
+        60 * 60 * 1000,
+        Date.parse('2024-01-15T10:00:00.000Z')
+      );
+
+      expect(result.map((e) => e.price)).toEqual([110]);
+    });
+  });
+
+  describe('buildWindowMetrics', () => {
+    it('should compute every window as of the given time without persisting', async () => {
+      const purchases = [
+        { timestamp: '2024-01-14T12:00:00.000Z', price: 100, quantity: 1, type: 'buy' },
+        { timestamp: '2024-01-15T09:30:00.000Z', price: 80, quantity: 2, type: 'buy' },
+      ];
+
+      const result = buildWindowMetrics([], purchases, Date.parse('2024-01-15T10:00:00.000Z'));
+
+      expect(Object.keys(result)).toEqual(Object.keys(TIME_WINDOWS));
+      expect(result['1h'].averagePrice).toBe(80);
+      expect(result['24h'].averagePrice).toBe(90);
+      expect(result['24h'].volumeChange24h).toBe(3);
+      expect(result['24h'].purchaseMetrics.tradeVolume).toBe(3);
+      expect(await analyticsRepository.getMetricsCount()).toBe(0);
+    });
   });
 
   describe('computeMetricsForCollection', () => {
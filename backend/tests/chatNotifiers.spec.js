@@ -0,0 +1,223 @@
+jest.mock('axios');
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const axios = require('axios');
+const { slackNotifier } = require('../src/notifications/slackNotifier');
+const { discordNotifier } = require('../src/notifications/discordNotifier');
+const { telegramNotifier } = require('../src/notifications/telegramNotifier');
+const { wecomNotifier } = require('../src/notifications/wecomNotifier');
+const { dingtalkNotifier, signDingtalkUrl } = require('../src/notifications/dingtalkNotifier');
+
+describe('chat notifiers', () => {
+  const alert = {
+    id: '1',
+    collectionId: 'col-1',
+    type: 'listing_depletion',
+    severity: 'critical',
+    message: 'Listings depleted by 40.00% <fast>',
+    triggeredAt: '2024-01-15T10:00:00.000Z',
+  };
+
+  const sentBody = () => axios.post.mock.calls[0][1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.post.mockResolvedValue({ status: 200, data: {} });
+    process.env.DASHBOARD_URL = 'https://dashboard.example.com';
+  });
+
+  afterEach(() => {
+    delete process.env.DASHBOARD_URL;
+    delete process.env.TELEGRAM_API_URL;
+  });
+
+  describe('slackNotifier', () => {
+    it('should post blocks in an attachment coloured by severity', async () => {
+      await slackNotifier.send(alert, { type: 'slack', url: 'https://hooks.slack.com/services/X' });
+
+      expect(axios.post.mock.calls[0][0]).toBe('https://hooks.slack.com/services/X');
+      const [attachment] = sentBody().attachments;
+      expect(attachment.color).toBe('#D32F2F');
+      expect(attachment.blocks[0].text.text).toBe('🔴 Critical alert: listing_depletion');
+      expect(attachment.blocks[1].text.text).toBe('Listings depleted by 40.00% &lt;fast&gt;');
+      expect(attachment.blocks[3].elements[0].url).toBe(
+        'https://dashboard.example.com/collections/col-1'
+      );
+      expect(sentBody().text).toContain('col-1');
+    });
+
+    it('should leave out the link without a dashboard URL', async () => {
+      delete process.env.DASHBOARD_URL;
+
+      await slackNotifier.send(alert, { type: 'slack', url: 'https://hooks.slack.com/services/X' });
+
+      expect(sentBody().attachments[0].blocks.map((block) => block.type)).not.toContain('actions');
+    });
+  });
+
+  describe('discordNotifier', () => {
+    it('should post an embed with the severity colour and collection link', async () => {
+      await discordNotifier.send(
+        { ...alert, severity: 'warning' },
+        { type: 'discord', url: 'https://discord.com/api/webhooks/1/abc' }
+      );
+
+      expect(sentBody().embeds[0]).toMatchObject({
+        title: '🟡 Warning alert: listing_depletion',
+        color: 0xfbc02d,
+        url: 'https://dashboard.example.com/collections/col-1',
+        timestamp: alert.triggeredAt,
+      });
+    });
+  });
+
+  describe('telegramNotifier', () => {
+    it('should call sendMessage with escaped HTML', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+      await telegramNotifier.send(alert, {
+        type: 'telegram',
+        botToken: '123:abc',
+        chatId: -100123,
+      });
+
+      expect(axios.post.mock.calls[0][0]).toBe('https://api.telegram.org/bot123:abc/sendMessage');
+      expect(sentBody()).toMatchObject({ chat_id: -100123, parse_mode: 'HTML' });
+      expect(sentBody().text).toContain('🔴 <b>Critical alert: listing_depletion</b>');
+      expect(sentBody().text).toContain('&lt;fast&gt;');
+      expect(sentBody().text).toContain(
+        '<a href="https://dashboard.example.com/collections/col-1">View collection</a>'
+      );
+    });
+
+    it("should surface the Bot API's error description", async () => {
+      axios.post.mockRejectedValueOnce(
+        Object.assign(new Error('Request failed with status code 400'), {
+          response: { data: { ok: false, description: 'Bad Request: chat not found' } },
+        })
+      );
+
+      await expect(
+        telegramNotifier.send(alert, { type: 'telegram', botToken: '123:abc', chatId: 1 })
+      ).rejects.toThrow('Telegram request failed: Bad Request: chat not found');
+    });
+  });
+
+  describe('wecomNotifier', () => {
+    it('should post robot markdown with a WeCom font colour', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200, data: { errcode: 0, errmsg: 'ok' } });
+
+      await wecomNotifier.send(alert, { type: 'wecom', url: 'https://qyapi.weixin.qq.com/x?key=k' });
+
+      expect(sentBody().msgtype).toBe('markdown');
+      expect(sentBody().markdown.content).toContain('<font color="warning">Critical alert');
+      expect(sentBody().markdown.content).toContain(
+        '[View collection](https://dashboard.example.com/collections/col-1)'
+      );
+    });
+
+    it('should reject when the robot answers with an error code', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200, data: { errcode: 93000, errmsg: 'invalid webhook url' } });
+
+      await expect(
+        wecomNotifier.send(alert, { type: 'wecom', url: 'https://qyapi.weixin.qq.com/x?key=k' })
+      ).rejects.toThrow('WeCom rejected the message: 93000 invalid webhook url');
+    });
+  });
+
+  describe('dingtalkNotifier', () => {
+    const url = 'https://oapi.dingtalk.com/robot/send?access_token=t';
+
+    it('should post robot markdown with the severity colour', async () => {
+      await dingtalkNotifier.send(alert, { type: 'dingtalk', url });
+
+      expect(axios.post.mock.calls[0][0]).toBe(url);
+      expect(sentBody().markdown.title).toBe('Critical alert: listing_depletion (col-1)');
+      expect(sentBody().markdown.text).toContain('<font color="#D32F2F">');
+    });
+
+    it('should sign the URL when the robot has a secret', async () => {
+      await dingtalkNotifier.send(alert, { type: 'dingtalk', url, secret: 'SEC' });
+
+      expect(axios.post.mock.calls[0][0]).toMatch(
+        /^https:\/\/oapi\.dingtalk\.com\/robot\/send\?access_token=t&timestamp=\d+&sign=.+$/
+      );
+      expect(signDingtalkUrl(url, 'SEC', 1700000000000)).toBe(
+        `${url}&timestamp=1700000000000&sign=${encodeURIComponent(
+          require('crypto')
+            .createHmac('sha256', 'SEC')
+            .update('1700000000000\nSEC')
+            .digest('base64')
+        )}`
+      );
+    });
+
+    it('should reject when the robot answers with an error code', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200, data: { errcode: 310000, errmsg: 'sign not match' } });
+
+      await expect(dingtalkNotifier.send(alert, { type: 'dingtalk', url })).rejects.toThrow(
+        'DingTalk rejected the message: 310000 sign not match'
+      );
+    });
+  });
+
+  describe('sendDigest', () => {
+    const digest = {
+      period: 'daily',
+      from: '2024-01-14T08:00:00.000Z',
+      to: '2024-01-15T08:00:00.000Z',
+      alerts: {
+        total: 1,
+        resolved: 0,
+        unresolved: 1,
+        bySeverity: { warning: 1 },
+        byType: { price_drop: 1 },
+        collections: [{ collectionId: 'col-1', total: 1, unresolved: 1, byType: { price_drop: 1 } }],
+      },
+      unresolvedTotal: 4,
+      topMovers: [{ collectionId: 'col-1', priceChange: -8.5, averagePrice: 1.2 }],
+      volumeLeaders: [{ collectionId: 'col-1', tradeVolume: 12, eventCount: 30 }],
+    };
+
+    it('should post Slack mrkdwn with collection links', async () => {
+      await slackNotifier.sendDigest(digest, { type: 'slack', url: 'https://hooks.slack.com/X' });
+
+      expect(sentBody().text).toBe('Daily alert digest: 1 alert, 1 unresolved');
+      expect(sentBody().blocks[0].text.text).toContain(
+        '- <https://dashboard.example.com/collections/col-1|col-1>: -8.50%'
+      );
+    });
+
+    it('should send Telegram plain text', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+      await telegramNotifier.sendDigest(digest, { type: 'telegram', botToken: '1:a', chatId: 5 });
+
+      expect(sentBody().parse_mode).toBeUndefined();
+      expect(sentBody().text).toMatch(/^Daily alert digest\n/);
+      expect(sentBody().text).toContain('- col-1: 12 traded');
+    });
+
+    it('should post markdown to Discord, WeCom and DingTalk', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: { errcode: 0 } });
+
+      await discordNotifier.sendDigest(digest, { type: 'discord', url: 'https://discord.test' });
+      await wecomNotifier.sendDigest(digest, { type: 'wecom', url: 'https://wecom.test' });
+      await dingtalkNotifier.sendDigest(digest, { type: 'dingtalk', url: 'https://ding.test' });
+
+      const [discord, wecom, dingtalk] = axios.post.mock.calls.map(([, body]) => body);
+      expect(discord.embeds[0]).toMatchObject({
+        title: 'Daily alert digest',
+        timestamp: digest.to,
+      });
+      expect(discord.embeds[0].description).toContain('**Top movers (24h price change)**');
+      expect(wecom.markdown.content).toContain('**By collection**');
+      expect(dingtalk.markdown.title).toBe('Daily alert digest');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { CircuitBreaker, CircuitBreakerRegistry } = require('../src/crawler/circuitBreaker');
+const Crawler = require('../src/crawler');
+
+function unavailable(message = 'HTTP 503') {
+  return Object.assign(new Error(message), { status: 503, retryable: true });
+}
+
+function buildBreaker(settings = {}) {
+  const clock = { now: 0 };
+  const transitions = [];
+  const breaker = new CircuitBreaker('market', { coolOffMs: 1000, ...settings }, {
+    now: () => clock.now,
+    onTransition: transition => transitions.push(transition)
+  });
+  return { breaker, clock, transitions };
+}
+
+describe('Crawler circuit breaker', () => {
+  describe('CircuitBreaker', () => {
+    test('should open after consecutive failures', () => {
+      const { breaker, transitions } = buildBreaker({ consecutiveFailures: 3 });
+
+      breaker.recordFailure(unavailable());
+      breaker.recordFailure(unavailable());
+      expect(breaker.state).toBe('closed');
+      breaker.recordFailure(unavailable(), { collectionId: 'col-1' });
+
+      expect(breaker.state).toBe('open');
+      expect(breaker.allowRequest()).toBe(false);
+      expect(transitions).toEqual([expect.objectContaining({
+        targetId: 'market',
+        collectionId: 'col-1',
+        from: 'closed',
+        to: 'open',
+        reason: '3 consecutive failed requests',
+        retryAt: new Date(1000).toISOString()
+      })]);
+    });
+
+    test('should open once the failure rate reaches the threshold', () => {
+      const { breaker, transitions } = buildBreaker({ failureRate: 0.5, minimumRequests: 6 });
+
+      [false, true, false, true, false].forEach(failed => {
+        if (failed) breaker.recordFailure(unavailable());
+        else breaker.recordSuccess();
+      });
+      expect(breaker.state).toBe('closed');
+
+      breaker.recordFailure(unavailable());
+      expect(breaker.state).toBe('open');
+      expect(transitions[0].reason).toBe('50% of the last 6 requests failed');
+    });
+
+    test('should let a trial through after the cool-off and close after its successes', () => {
+      const { breaker, clock, transitions } = buildBreaker({ consecutiveFailures: 1, halfOpenSuccesses: 2 });
+      breaker.recordFailure(unavailable());
+
+      clock.now = 999;
+      expect(breaker.allowRequest()).toBe(false);
+      clock.now = 1000;
+      expect(breaker.allowRequest()).toBe(true);
+      expect(breaker.state).toBe('half_open');
+
+      breaker.recordSuccess();
+      expect(breaker.state).toBe('half_open');
+      breaker.recordSuccess();
+
+      expect(breaker.state).toBe('closed');
+      expect(transitions.map(t => `${t.from}>${t.to}`)).toEqual(['closed>open', 'open>half_open', 'half_open>closed']);
+    });
+
+    test('should open again when the trial fails', () => {
+      const { breaker, clock, transitions } = buildBreaker({ consecutiveFailures: 2 });
+      breaker.recordFailure(unavailable());
+      breaker.recordFailure(unavailable());
+      clock.now = 1500;
+      breaker.allowRequest();
+
+      breaker.recordFailure(unavailable());
+
+      expect(breaker.state).toBe('open');
+      expect(breaker.getState().retryAt).toBe(new Date(2500).toISOString());
+      expect(transitions[2].reason).toBe('Trial request failed');
+    });
+
+    test('should stay closed when disabled, and close on reset', () => {
+      const disabled = buildBreaker({ enabled: false, consecutiveFailures: 1 }).breaker;
+      disabled.recordFailure(unavailable());
+      expect(disabled.state).toBe('closed');
+      expect(disabled.allowRequest()).toBe(true);
+
+      const { breaker } = buildBreaker({ consecutiveFailures: 1 });
+      breaker.recordFailure(unavailable());
+      breaker.reset();
+      expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0, retryAt: null });
+    });
+  });
+
+  describe('Crawler', () => {
+    const target = {
+      id: 'market',
+      name: 'Market',
+      baseUrl: 'https://api.example.com',
+      rateLimit: { requestsPerSecond: 10, delayBetweenRequests: 0 },
+      endpoints: {
+        collection: '/collection/{collectionId}',
+        listings: '/collection/{collectionId}/listings',
+        purchases: '/collection/{collectionId}/purchases',
+        snapshot: '/collection/{collectionId}/snapshot'
+      },
+      headers: {},
+      circuitBreaker: { consecutiveFailures: 4 }
+    };
+
+    function buildCrawler(respond) {
+      const crawler = new Crawler({
+        targets: [target],
+        global: { timeout: 1000, retries: 0, retryDelay: 0, concurrency: 1, enableLogging: false }
+      }, { circuitBreakers: new CircuitBreakerRegistry() });
+      crawler.requestHandler.makeMultipleRequests = jest.fn(requests =>
+        Promise.allSettled(requests.map(async request => respond(request.endpoint)))
+      );
+      return crawler;
+    }
+
+    test('should skip a target whose breaker is open', async () => {
+      const crawler = buildCrawler(() => { throw unavailable(); });
+
+      const first = await crawler.runAll();
+      const second = await crawler.runAll();
+
+      expect(first.results[0].errors).toHaveLength(4);
+      expect(first.circuitTransitions).toEqual([expect.objectContaining({ targetId: 'market', to: 'open' })]);
+      expect(crawler.requestHandler.makeMultipleRequests).toHaveBeenCalledTimes(1);
+      expect(second.results[0]).toMatchObject({ success: false, skipped: true });
+      expect(second.results[0].errors[0]).toMatch(/^Circuit open for target market until /);
+      expect(second.metrics.skippedTargets).toBe(1);
+      expect(crawler.getMetrics().circuitBreakers.breakers).toEqual([
+        expect.objectContaining({ targetId: 'market', state: 'open', consecutiveFailures: 4 })
+      ]);
+    });
+
+    test('should not count client errors against the target', async () => {
+      const crawler = buildCrawler(endpoint => {
+        if (endpoint.endsWith('/snapshot')) {
+          throw Object.assign(new Error('HTTP 404'), { status: 404, retryable: false });
+        }
+        return endpoint.endsWith('/listings') || endpoint.endsWith('/purchases') ? [] : {};
+      });
+
+      await crawler.runTarget(target);
+      await crawler.runTarget(target);
+
+      expect(crawler.getCircuitBreaker(target).getState()).toMatchObject({
+        state: 'closed',
+        consecutiveFailures: 0,
+        failureRate: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizePayload } = require('../src/crawler/parsers');
+const {
+  crawlAndIngest,
+  mapCrawlerPayload,
+  getLastCrawlRun,
+} = require('../src/workflows/crawlAndIngest');
+const dataStore = require('../src/repositories/dataStore');
+const collectionRepository = require('../src/repositories/collectionRepository');
+const { analyticsRepository } = require('../src/repositories/analyticsRepository');
+const ingestionService = require('../src/services/ingestionService');
+const { alertsRepository } = require('../src/repositories/alertsRepository');
+const { alertCooldownRepository } = require('../src/repositories/alertCooldownRepository');
+const { crawlCheckpointRepository } = require('../src/repositories/crawlCheckpointRepository');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const fixturesPath = path.join(__dirname, '..', 'src', 'crawler', '__fixtures__');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesPath, name), 'utf8'));
+}
+
+function buildNormalizedPayload(collectionId = 'ibox-sample') {
+  return normalizePayload(
+    {
+      metadata: loadFixture('ibox-collection.json'),
+      listings: loadFixture('ibox-listings.json'),
+      purchases: loadFixture('ibox-purchases.json'),
+      snapshot: loadFixture('ibox-snapshot.json'),
+    },
+    collectionId
+  );
+}
+
+function createCrawlerStub(results) {
+  return {
+    runAll: jest.fn().mockResolvedValue({ success: results.every((r) => r.success), results }),
+    runCollections: jest.fn().mockResolvedValue({ success: results.every((r) => r.success), results }),
+    saveCheckpoints: jest.fn().mockResolvedValue(),
+  };
+}
+
+describe('crawlAndIngest', () => {
+  beforeEach(async () => {
+    dataStore.clear();
+    collectionRepository.clear();
+    await analyticsRepository.clear();
+    ingestionService.resetAffectedCollections();
+    await alertsRepository.clear();
+    alertCooldownRepository.clear();
+    crawlCheckpointRepository.clear();
+  });
+
+  describe('mapCrawlerPayload', () => {
+    it('should map normalized crawler output to the ingestion payload shape', () => {
+      const normalized = buildNormalizedPayload();
+      const payload = mapCrawlerPayload(normalized);
+
+      expect(payload.collectionId).toBe('ibox-sample');
+      expect(payload.listingEvents).toHaveLength(normalized.listingEvents.length);
+      expect(payload.listingEvents[0]).toEqual({
+        id: normalized.listingEvents[0].eventId,
+        tokenId: normalized.listingEvents[0].tokenId,
+        seller: normalized.listingEvents[0].seller,
+        price: normalized.listingEvents[0].price,
+        marketplace: normalized.listingEvents[0].marketplace,
+        timestamp: normalized.listingEvents[0].createdAt.toISOString(),
+      });
+      expect(payload.purchaseEvents[0].id).toBe(normalized.purchaseEvents[0].eventId);
+      expect(payload.snapshot).toMatchObject({
+        id: `ibox-sample-${Date.parse('2024-01-20T14:00:00Z')}`,
+        floorPrice: 0.5,
+        totalListings: 156,
+        timestamp: '2024-01-20T14:00:00.000Z',
+      });
+      expect(payload.snapshot.collectionId).toBeUndefined();
+      expect(typeof payload.metadata.createdAt).toBe('string');
+    });
+
+    it('should skip payloads without a collection id', () => {
+      expect(mapCrawlerPayload(null)).toBeNull();
+      expect(mapCrawlerPayload({ collectionId: null })).toBeNull();
+    });
+  });
+
+  it('should ingest crawled payloads and refresh metrics', async () => {
+    const crawler = createCrawlerStub([
+      { targetId: 'ibox-sample', success: true, errors: [], payload: buildNormalizedPayload(), duration: 12 },
+    ]);
+
+    const result = await crawlAndIngest({ crawler });
+
+    expect(crawler.runAll).toHaveBeenCalled();
+    expect(result.success).toBe(true);
+    expect(result.metrics.totalCollections).toBe(1);
+    expect(result.metrics.totalSnapshots).toBe(1);
+    expect(dataStore.getListingEvents('ibox-sample').length).toBeGreaterThan(0);
+    expect(await collectionRepository.getCollection('ibox-sample')).not.toBeNull();
+    expect(await analyticsRepository.getCollectionMetrics('ibox-sample')).not.toHaveLength(0);
+  });
+
+  it('should crawl only the requested collections', async () => {
+    const crawler = createCrawlerStub([]);
+
+    await crawlAndIngest({ crawler, collectionIds: ['col-a'] });
+
+    expect(crawler.runCollections).toHaveBeenCalledWith(['col-a']);
+    expect(crawler.runAll).not.toHaveBeenCalled();
+  });
+
+  it('should record per-target outcomes', async () => {
+    const partial = normalizePayload({ listings: loadFixture('ibox-listings.json') }, 'partial-col');
+    const crawler = createCrawlerStub([
+      { targetId: 'ok', success: true, errors: [], payload: buildNormalizedPayload('ok-col'), duration: 5 },
+      {
+        targetId: 'partial',
+        success: false,
+        errors: ['Snapshot request failed: HTTP 500'],
+        payload: partial,
+        duration: 7,
+      },
+      { targetId: 'down', success: false, errors: ['Network error'], payload: null, duration: 3 },
+    ]);
+
+    const result = await crawlAndIngest({ crawler });
+
+    expect(result.success).toBe(false);
+    expect(result.targets).toEqual([
+      expect.objectContaining({ targetId: 'ok', collectionId: 'ok-col', success: true, ingested: true, snapshot: true }),
+      expect.objectContaining({
+        targetId: 'partial',
+        collectionId: 'partial-col',
+        success: false,
+        ingested: true,
+        snapshot: false,
+        crawlErrors: ['Snapshot request failed: HTTP 500'],
+      }),
+      expect.objectContaining({ targetId: 'down', collectionId: 'down', success: false, ingested: false }),
+    ]);
+    expect(result.metrics.failures.filter((f) => f.type === 'crawl')).toHaveLength(2);
+    expect(dataStore.getListingEvents('partial-col').length).toBeGreaterThan(0);
+
+    const lastRun = getLastCrawlRun();
+    expect(lastRun.success).toBe(false);
+    expect(lastRun.targets).toEqual(result.targets);
+  });
+
+  it('should save checkpoints only for collections ingested without failures', async () => {
+    const okCheckpoint = { targetId: 'ok', collectionId: 'ok-col', stream: 'listings', lastEventId: 'l-1' };
+    const failedCheckpoint = { targetId: 'bad', collectionId: 'bad-col', stream: 'listings', lastEventId: 'l-9' };
+    const crawler = createCrawlerStub([
+      { targetId: 'ok', success: true, errors: [], payload: buildNormalizedPayload('ok-col'), checkpoints: [okCheckpoint] },
+      { targetId: 'bad', success: true, errors: [], payload: buildNormalizedPayload('bad-col'), checkpoints: [failedCheckpoint] },
+    ]);
+    const ingestListingEvent = ingestionService.ingestListingEvent;
+    const spy = jest.spyOn(ingestionService, 'ingestListingEvent').mockImplementation((collectionId, event) =>
+      collectionId === 'bad-col' ? Promise.reject(new Error('Database unavailable')) : ingestListingEvent(collectionId, event)
+    );
+
+    try {
+      const result = await crawlAndIngest({ crawler });
+
+      expect(crawler.saveCheckpoints).toHaveBeenCalledTimes(1);
+      expect(crawler.saveCheckpoints).toHaveBeenCalledWith([okCheckpoint]);
+      expect(result.targets.find((target) => target.targetId === 'bad').success).toBe(false);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should report checkpoints that fail to save', async () => {
+    const crawler = createCrawlerStub([
+      { targetId: 'ok', success: true, errors: [], payload: buildNormalizedPayload('ok-col'), checkpoints: [{ stream: 'listings' }] },
+    ]);
+    crawler.saveCheckpoints.mockRejectedValue(new Error('Disk full'));
+
+    const result = await crawlAndIngest({ crawler });
+
+    expect(result.success).toBe(false);
+    expect(result.metrics.failures).toEqual([
+      expect.objectContaining({ type: 'checkpoint', collectionId: 'ok-col', error: 'Disk full' }),
+    ]);
+    expect(result.targets[0]).toMatchObject({ success: false, ingestionFailures: 1 });
+  });
+
+  it('should raise an alert on each collection covered by a circuit breaker that opened', async () => {
+    dataStore.addMarketSnapshot('down-col', { floorPrice: 1 });
+    dataStore.addMarketSnapshot('down-col-2', { floorPrice: 2 });
+    await crawlCheckpointRepository.save({ targetId: 'down', collectionId: 'down-col-2', stream: 'listings' });
+    const crawler = createCrawlerStub([]);
+    crawler.runAll.mockResolvedValue({
+      success: false,
+      results: [],
+      circuitTransitions: [
+        { targetId: 'down', collectionId: 'down-col', from: 'closed', to: 'open', reason: '5 consecutive failed requests',
+          at: '2024-01-20T14:00:00.000Z', retryAt: '2024-01-20T14:15:00.000Z', consecutiveFailures: 5, failureRate: 1 },
+        { targetId: 'other', collectionId: null, from: 'half_open', to: 'closed', reason: 'Trial requests succeeded',
+          at: '2024-01-20T14:00:00.000Z', retryAt: null, consecutiveFailures: 0, failureRate: 0 },
+      ],
+    });
+
+    await crawlAndIngest({ crawler });
+
+    const expected = expect.objectContaining({
+      type: 'crawler_circuit_open',
+      severity: 'error',
+      message: 'Crawler target down paused until 2024-01-20T14:15:00.000Z: 5 consecutive failed requests',
+    });
+    expect(await alertsRepository.findAll({ collectionId: 'down-col' })).toEqual([expected]);
+    expect(await alertsRepository.findAll({ collectionId: 'down-col-2' })).toEqual([expected]);
+    expect(await alertsRepository.findAll({ collectionId: 'other' })).toEqual([]);
+  });
+
+  it('should not raise circuit alerts on a target ID without stored data', async () => {
+    const crawler = createCrawlerStub([]);
+    crawler.runAll.mockResolvedValue({
+      success: false,
+      results: [],
+      circuitTransitions: [
+        { targetId: 'ibox-sample', collectionId: 'ibox-sample', from: 'closed', to: 'open', reason: 'Trial request failed',
+          at: '2024-01-20T14:00:00.000Z', retryAt: '2024-01-20T14:15:00.000Z', consecutiveFailures: 1, failureRate: 1 },
+      ],
+    });
+
+    await crawlAndIngest({ crawler });
+
+    expect(await alertsRepository.findAll()).toEqual([]);
+    expect(dataStore.getAllCollections()).toEqual([]);
+  });
+
+  it('should report circuit alerts that fail to be raised without failing the run', async () => {
+    dataStore.addMarketSnapshot('down-col', { floorPrice: 1 });
+    const claimSpy = jest
+      .spyOn(alertCooldownRepository, 'claim')
+      .mockRejectedValue(new Error('Database unavailable'));
+    const crawler = createCrawlerStub([]);
+    crawler.runAll.mockResolvedValue({
+      success: true,
+      results: [],
+      circuitTransitions: [
+        { targetId: 'down', collectionId: 'down-col', from: 'closed', to: 'open', reason: '5 consecutive failed requests',
+          at: '2024-01-20T14:00:00.000Z', retryAt: '2024-01-20T14:15:00.000Z', consecutiveFailures: 5, failureRate: 1 },
+      ],
+    });
+
+    let result;
+    try {
+      result = await crawlAndIngest({ crawler });
+    } finally {
+      claimSpy.mockRestore();
+    }
+
+    expect(result.success).toBe(true);
+    expect(result.metrics.failures).toEqual([
+      { type: 'circuit_alert', targetIds: ['down'], error: 'Database unavailable' },
+    ]);
+    expect(getLastCrawlRun()).toMatchObject({ success: true });
+    expect(await alertsRepository.findAll({ collectionId: 'down-col' })).toEqual([]);
+  });
+
+  it('should not raise circuit alerts when CRAWLER_CIRCUIT_ALERTS is false', async () => {
+    process.env.CRAWLER_CIRCUIT_ALERTS = 'false';
+    const crawler = createCrawlerStub([]);
+    crawler.runAll.mockResolvedValue({
+      success: true,
+      results: [],
+      circuitTransitions: [{ targetId: 'down', collectionId: 'down-col', to: 'open', at: '2024-01-20T14:00:00.000Z' }],
+    });
+
+    try {
+      await crawlAndIngest({ crawler });
+    } finally {
+      delete process.env.CRAWLER_CIRCUIT_ALERTS;
+    }
+
+    expect(await alertsRepository.findAll({ collectionId: 'down-col' })).toEqual([]);
+  });
+});
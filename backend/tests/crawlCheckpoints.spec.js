@@ -0,0 +1,207 @@
+const { fillEndpoint, isSeenEvent, advanceCheckpoint } = require('../src/crawler/checkpoints');
+const { crawlCheckpointRepository } = require('../src/repositories/crawlCheckpointRepository');
+const Crawler = require('../src/crawler');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+function event(eventId, createdAt) {
+  return { eventId, createdAt: new Date(createdAt) };
+}
+
+function listing(id, timestamp) {
+  return { id, tokenId: `token-${id}`, price: 1, timestamp };
+}
+
+const target = {
+  id: 'market',
+  name: 'Market',
+  baseUrl: 'https://api.example.com',
+  rateLimit: { requestsPerSecond: 10, delayBetweenRequests: 0 },
+  endpoints: {
+    collection: '/collection/{collectionId}',
+    listings: '/collection/{collectionId}/listings?since={since}',
+    purchases: '/collection/{collectionId}/purchases?since={since}&after={lastEventId}',
+    snapshot: '/collection/{collectionId}/snapshot'
+  },
+  headers: {}
+};
+
+/**
+ * Crawler whose requests are answered by `respond(endpoint)`, recording the endpoints asked for
+ */
+function buildCrawler(respond) {
+  const crawler = new Crawler({
+    targets: [target],
+    global: { timeout: 1000, retries: 0, retryDelay: 0, concurrency: 1, enableLogging: false }
+  });
+  crawler.requestHandler.makeMultipleRequests = jest.fn(requests =>
+    Promise.allSettled(requests.map(async request => respond(request.endpoint)))
+  );
+  return crawler;
+}
+
+describe('Crawl checkpoints', () => {
+  beforeEach(() => {
+    crawlCheckpointRepository.clear();
+  });
+
+  describe('fillEndpoint', () => {
+    test('should fill the checkpoint placeholders', () => {
+      const checkpoint = { lastEventAt: '2024-01-20T14:30:00.000Z', lastEventId: 'l-1', cursor: 'a b' };
+
+      expect(fillEndpoint('/c/{collectionId}/l?since={since}&after={lastEventId}&c={cursor}', 'col', checkpoint))
+        .toBe('/c/col/l?since=2024-01-20T14%3A30%3A00.000Z&after=l-1&c=a%20b');
+    });
+
+    test('should leave the placeholders empty without a checkpoint', () => {
+      expect(fillEndpoint('/c/{collectionId}/l?since={since}', 'col', null)).toBe('/c/col/l?since=');
+    });
+  });
+
+  describe('isSeenEvent', () => {
+    const checkpoint = { lastEventAt: '2024-01-20T14:00:00.000Z', lastEventId: 'l-2' };
+
+    test('should cover older events and the newest event seen', () => {
+      expect(isSeenEvent(event('l-1', '2024-01-20T13:00:00Z'), checkpoint)).toBe(true);
+      expect(isSeenEvent(event('l-2', '2024-01-20T14:00:00Z'), checkpoint)).toBe(true);
+    });
+
+    test('should not cover newer events or other events at the same time', () => {
+      expect(isSeenEvent(event('l-3', '2024-01-20T15:00:00Z'), checkpoint)).toBe(false);
+      expect(isSeenEvent(event('l-4', '2024-01-20T14:00:00Z'), checkpoint)).toBe(false);
+      expect(isSeenEvent(event('l-1', '2024-01-20T13:00:00Z'), null)).toBe(false);
+    });
+  });
+
+  describe('advanceCheckpoint', () => {
+    test('should move to the newest event', () => {
+      const events = [event('l-2', '2024-01-20T13:00:00Z'), event('l-3', '2024-01-20T15:00:00Z')];
+
+      expect(advanceCheckpoint(null, events, 'c-1')).toEqual({
+        lastEventAt: '2024-01-20T15:00:00.000Z',
+        lastEventId: 'l-3',
+        cursor: 'c-1'
+      });
+    });
+
+    test('should keep the previous checkpoint when nothing newer was fetched', () => {
+      const previous = { lastEventAt: '2024-01-20T16:00:00.000Z', lastEventId: 'l-9', cursor: 'c-9' };
+
+      expect(advanceCheckpoint(previous, [event('l-3', '2024-01-20T15:00:00Z')], null)).toEqual(previous);
+      expect(advanceCheckpoint(null, [], null)).toEqual({ lastEventAt: null, lastEventId: null, cursor: null });
+    });
+  });
+
+  describe('Crawler', () => {
+    test('should request and keep only events newer than the checkpoint', async () => {
+      let listings = [listing('l-2', '2024-01-20T14:00:00Z'), listing('l-1', '2024-01-20T13:00:00Z')];
+      const crawler = buildCrawler(endpoint =>
+        endpoint.includes('/listings') ? listings : endpoint.includes('/purchases') ? [] : {}
+      );
+
+      const first = await crawler.runTarget(target);
+      expect(first.payload.listingEvents).toHaveLength(2);
+      expect(first.incremental.listings).toEqual({ since: null, skipped: 0 });
+      await crawler.saveCheckpoints(first.checkpoints);
+      expect(await crawlCheckpointRepository.find('market', 'market', 'listings')).toMatchObject({
+        lastEventAt: '2024-01-20T14:00:00.000Z',
+        lastEventId: 'l-2'
+      });
+
+      // A source that ignores `since` still has the seen events dropped
+      listings = [listing('l-3', '2024-01-20T15:00:00Z'), ...listings];
+      const second = await crawler.runTarget(target);
+
+      const endpoints = crawler.requestHandler.makeMultipleRequests.mock.calls[1][0].map(r => r.endpoint);
+      expect(endpoints[1]).toBe('/collection/market/listings?since=2024-01-20T14%3A00%3A00.000Z');
+      expect(endpoints[2]).toBe('/collection/market/purchases?since=&after=');
+      expect(second.payload.listingEvents.map(e => e.eventId)).toEqual(['l-3']);
+      expect(second.incremental.listings).toEqual({ since: '2024-01-20T14:00:00.000Z', skipped: 2 });
+      expect(second.checkpoints.find(checkpoint => checkpoint.stream === 'listings').lastEventId).toBe('l-3');
+    });
+
+    test('should not save checkpoints while crawling', async () => {
+      const crawler = buildCrawler(endpoint =>
+        endpoint.includes('/listings') ? [listing('l-1', '2024-01-20T13:00:00Z')] : endpoint.includes('/purchases') ? [] : {}
+      );
+
+      const result = await crawler.runTarget(target);
+
+      expect(result.checkpoints.map(checkpoint => checkpoint.stream)).toEqual(['listings', 'purchases']);
+      expect(await crawlCheckpointRepository.findAll()).toEqual([]);
+    });
+
+    test('should not move the checkpoint of a stream whose request failed', async () => {
+      await crawlCheckpointRepository.save({
+        targetId: 'market',
+        collectionId: 'market',
+        stream: 'purchases',
+        lastEventAt: '2024-01-20T10:00:00.000Z',
+        lastEventId: 'p-1'
+      });
+      const crawler = buildCrawler(endpoint => {
+        if (endpoint.includes('/purchases')) throw new Error('HTTP 503');
+        return endpoint.includes('/listings') ? [listing('l-1', '2024-01-20T13:00:00Z')] : {};
+      });
+
+      const result = await crawler.runTarget(target);
+      await crawler.saveCheckpoints(result.checkpoints);
+
+      expect(result.errors).toEqual(['Purchases request failed: HTTP 503']);
+      expect(result.checkpoints.map(checkpoint => checkpoint.stream)).toEqual(['listings']);
+      expect(await crawlCheckpointRepository.find('market', 'market', 'purchases')).toMatchObject({
+        lastEventAt: '2024-01-20T10:00:00.000Z',
+        lastEventId: 'p-1'
+      });
+      expect(await crawlCheckpointRepository.find('market', 'market', 'listings')).not.toBeNull();
+    });
+
+    test('should not move the checkpoint of a stream cut off at maxPages', async () => {
+      const pagedTarget = { ...target, id: 'paged-market', pagination: { type: 'page', maxPages: 1 } };
+      const crawler = buildCrawler(endpoint =>
+        endpoint.includes('/listings') ? [listing('l-2', '2024-01-20T14:00:00Z')] : endpoint.includes('/purchases') ? [] : {}
+      );
+
+      const result = await crawler.runTarget(pagedTarget);
+
+      expect(result.pagination.listings).toEqual({ pages: 1, stoppedBy: 'maxPages' });
+      expect(result.payload.listingEvents).toHaveLength(1);
+      expect(result.checkpoints.map(checkpoint => checkpoint.stream)).toEqual(['purchases']);
+    });
+
+    test('should save the last cursor of cursor-paginated targets', async () => {
+      const cursorTarget = { ...target, id: 'cursor-market', pagination: { type: 'cursor' } };
+      const crawler = buildCrawler(endpoint =>
+        endpoint.includes('/listings')
+          ? { items: [listing('l-1', '2024-01-20T13:00:00Z')], nextCursor: 'c-2' }
+          : endpoint.includes('/purchases') ? [] : {}
+      );
+      crawler.requestHandler.makeRequest = jest.fn().mockResolvedValue({ items: [], nextCursor: null });
+
+      const result = await crawler.runTarget(cursorTarget, { collectionId: 'col-1' });
+      await crawler.saveCheckpoints(result.checkpoints);
+
+      expect(await crawlCheckpointRepository.find('cursor-market', 'col-1', 'listings')).toMatchObject({
+        lastEventId: 'l-1',
+        cursor: 'c-2'
+      });
+    });
+
+    test('should reset checkpoints for a full re-crawl', async () => {
+      const crawler = buildCrawler(() => []);
+      await Promise.all(['col-1', 'col-2'].map(collectionId =>
+        crawlCheckpointRepository.save({ targetId: 'market', collectionId, stream: 'listings' })
+      ));
+
+      expect(await crawler.resetCheckpoints(['col-1'])).toBe(1);
+      expect(await crawlCheckpointRepository.findAll()).toHaveLength(1);
+      expect(await crawler.resetCheckpoints()).toBe(1);
+      expect(await crawlCheckpointRepository.findAll()).toEqual([]);
+    });
+  });
+});
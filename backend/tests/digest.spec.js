@@ -0,0 +1,276 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../src/notifications/webhookNotifier', () => ({
+  webhookNotifier: { send: jest.fn(), sendDigest: jest.fn() },
+}));
+jest.mock('../src/notifications/emailNotifier', () => ({
+  emailNotifier: { send: jest.fn(), sendDigest: jest.fn() },
+}));
+
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../src/routes/admin');
+const digestService = require('../src/services/digestService');
+const { runDigestJob } = require('../src/jobs/digestJob');
+const { formatDigestText, formatDigestHtml } = require('../src/notifications/digestMessage');
+const { webhookNotifier } = require('../src/notifications/webhookNotifier');
+const { emailNotifier } = require('../src/notifications/emailNotifier');
+const { alertsRepository } = require('../src/repositories/alertsRepository');
+const { analyticsRepository } = require('../src/repositories/analyticsRepository');
+const {
+  notificationChannelRepository,
+} = require('../src/repositories/notificationChannelRepository');
+
+describe('alert digests', () => {
+  const now = new Date('2024-01-15T08:00:00.000Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await alertsRepository.clear();
+    await analyticsRepository.clear();
+    notificationChannelRepository.clear();
+
+    await alertsRepository.create({
+      collectionId: 'col-1',
+      type: 'price_drop',
+      severity: 'warning',
+      message: 'Price dropped',
+      triggeredAt: hoursAgo(2),
+    });
+    await alertsRepository.create({
+      collectionId: 'col-1',
+      type: 'volume_spike',
+      severity: 'critical',
+      message: 'Volume spiked',
+      triggeredAt: hoursAgo(5),
+      resolved: true,
+    });
+    await alertsRepository.create({
+      collectionId: 'col-<2>',
+      type: 'price_drop',
+      severity: 'warning',
+      message: 'Price dropped',
+      triggeredAt: hoursAgo(30),
+    });
+    // Older than a week: only counted in the overall unresolved total.
+    await alertsRepository.create({
+      collectionId: 'col-3',
+      type: 'price_drop',
+      severity: 'warning',
+      message: 'Price dropped',
+      triggeredAt: hoursAgo(24 * 10),
+    });
+
+    const metrics = [
+      ['col-1', { priceChange: 4.5, tradeVolume: 10 }, hoursAgo(1)],
+      ['col-1', { priceChange: 2, tradeVolume: 30 }, hoursAgo(48)],
+      ['col-<2>', { priceChange: -12.25, tradeVolume: 3 }, hoursAgo(1)],
+      ['col-3', { priceChange: null, tradeVolume: 0 }, hoursAgo(1)],
+    ];
+    for (const [collectionId, data, timestamp] of metrics) {
+      await analyticsRepository.upsertMetrics(collectionId, '24h', data, { timestamp });
+    }
+  });
+
+  describe('digestService.buildDigest', () => {
+    it('should group the daily alerts and rank movers and volume', async () => {
+      const digest = await digestService.buildDigest('daily', { now });
+
+      expect(digest).toMatchObject({
+        period: 'daily',
+        from: '2024-01-14T08:00:00.000Z',
+        to: '2024-01-15T08:00:00.000Z',
+        unresolvedTotal: 3,
+      });
+      expect(digest.alerts).toEqual({
+        total: 2,
+        resolved: 1,
+        unresolved: 1,
+        bySeverity: { warning: 1, critical: 1 },
+        byType: { price_drop: 1, volume_spike: 1 },
+        collections: [
+          {
+            collectionId: 'col-1',
+            total: 2,
+            unresolved: 1,
+            byType: { price_drop: 1, volume_spike: 1 },
+          },
+        ],
+      });
+      expect(digest.topMovers.map((entry) => [entry.collectionId, entry.priceChange])).toEqual([
+        ['col-<2>', -12.25],
+        ['col-1', 4.5],
+      ]);
+      expect(digest.volumeLeaders).toEqual([
+        { collectionId: 'col-1', tradeVolume: 10, eventCount: 0 },
+        { collectionId: 'col-<2>', tradeVolume: 3, eventCount: 0 },
+      ]);
+    });
+
+    it('should cover seven days of alerts and volume in the weekly digest', async () => {
+      const digest = await digestService.buildDigest('weekly', { now, limit: 1 });
+
+      expect(digest.alerts.total).toBe(3);
+      expect(digest.alerts.collections.map((entry) => entry.collectionId)).toEqual([
+        'col-1',
+        'col-<2>',
+      ]);
+      expect(digest.topMovers).toHaveLength(1);
+      expect(digest.volumeLeaders).toEqual([
+        { collectionId: 'col-1', tradeVolume: 40, eventCount: 0 },
+      ]);
+    });
+
+    it('should reject unknown periods', async () => {
+      await expect(digestService.buildDigest('monthly')).rejects.toThrow(
+        'Unknown digest period "monthly"'
+      );
+    });
+  });
+
+  describe('digest renderings', () => {
+    afterEach(() => {
+      delete process.env.DASHBOARD_URL;
+    });
+
+    it('should render markdown with collection links and escaped HTML', async () => {
+      process.env.DASHBOARD_URL = 'https://dashboard.example.com';
+      const digest = await digestService.buildDigest('weekly', { now });
+
+      const markdown = formatDigestText(digest, 'markdown');
+      expect(markdown).toContain('**Weekly alert digest**');
+      expect(markdown).toContain('2024-01-08 08:00 UTC – 2024-01-15 08:00 UTC');
+      expect(markdown).toContain(
+        '- [col-1](https://dashboard.example.com/collections/col-1): 2 (1 unresolved): price_drop 1, volume_spike 1'
+      );
+      expect(markdown).toContain('- 3 unresolved in total, including older alerts');
+      expect(markdown).toContain(': -12.25%');
+
+      const text = formatDigestText(digest);
+      expect(text).not.toContain('**');
+      expect(text).toContain('- col-1: 40 traded');
+
+      const html = formatDigestHtml(digest);
+      expect(html).toContain('<h2>Weekly alert digest</h2>');
+      expect(html).toContain(
+        '<li><a href="https://dashboard.example.com/collections/col-%3C2%3E">col-&lt;2&gt;</a>: -12.25%</li>'
+      );
+      expect(html).not.toContain('col-<2>');
+    });
+
+    it('should say so when there is nothing to report', async () => {
+      await alertsRepository.clear();
+      await analyticsRepository.clear();
+
+      const text = formatDigestText(await digestService.buildDigest('daily', { now }));
+
+      expect(text).toContain('No alerts raised.');
+      expect(text).toContain('No price data.');
+      expect(text).toContain('No trades.');
+    });
+  });
+
+  describe('runDigestJob', () => {
+    it('should send the digest to every destination of the digest channel', async () => {
+      await notificationChannelRepository.save('management', {
+        destinations: [
+          { type: 'webhook', url: 'https://hooks.example.com/digest' },
+          { type: 'email', to: ['board@example.com'] },
+        ],
+      });
+      webhookNotifier.sendDigest.mockResolvedValue();
+      emailNotifier.sendDigest.mockRejectedValue(new Error('SMTP_HOST is not configured'));
+
+      const result = await runDigestJob('daily', { now, channel: 'management' });
+
+      expect(result).toMatchObject({
+        period: 'daily',
+        alerts: 2,
+        channel: 'management',
+        sent: 1,
+        failed: 1,
+      });
+      expect(webhookNotifier.sendDigest).toHaveBeenCalledWith(
+        expect.objectContaining({ period: 'daily', to: now.toISOString() }),
+        { type: 'webhook', url: 'https://hooks.example.com/digest' }
+      );
+      expect(webhookNotifier.send).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the environment when no channel is stored', async () => {
+      process.env.WEBHOOK_URL = 'https://hooks.example.com/env';
+      webhookNotifier.sendDigest.mockResolvedValue();
+
+      try {
+        const result = await runDigestJob('weekly', { now });
+
+        expect(result).toMatchObject({ channel: 'default', sent: 1, failed: 0 });
+      } finally {
+        delete process.env.WEBHOOK_URL;
+      }
+    });
+  });
+
+  describe('GET /api/admin/digests/preview', () => {
+    const adminKey = 'test-admin-key-123';
+    let app;
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = adminKey;
+      app = express();
+      app.use(express.json());
+      app.use('/api/admin', adminRoutes);
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_KEY;
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).get('/api/admin/digests/preview');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should preview the digest without sending it', async () => {
+      const response = await request(app)
+        .get('/api/admin/digests/preview?period=weekly')
+        .set('x-admin-key', adminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.subject).toMatch(/^Weekly alert digest: \d+ alerts?, \d+ unresolved$/);
+      expect(response.body.channel).toEqual({
+        name: 'default',
+        source: 'environment',
+        destinationTypes: [],
+      });
+      expect(response.body.digest.period).toBe('weekly');
+      expect(webhookNotifier.sendDigest).not.toHaveBeenCalled();
+    });
+
+    it('should return the HTML and text renderings', async () => {
+      const html = await request(app)
+        .get('/api/admin/digests/preview?format=html')
+        .set('x-admin-key', adminKey);
+      expect(html.status).toBe(200);
+      expect(html.headers['content-type']).toMatch(/text\/html/);
+      expect(html.text).toContain('<h2>Daily alert digest</h2>');
+
+      const slack = await request(app)
+        .get('/api/admin/digests/preview?format=slack')
+        .set('x-admin-key', adminKey);
+      expect(slack.headers['content-type']).toMatch(/text\/plain/);
+      expect(slack.text).toMatch(/^\*Daily alert digest\*/);
+
+      const invalid = await request(app)
+        .get('/api/admin/digests/preview?period=monthly')
+        .set('x-admin-key', adminKey);
+      expect(invalid.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { SMTPServer } = require('smtp-server');
+const { emailNotifier } = require('../src/notifications/emailNotifier');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+// Local SMTP stand-in that records every message it accepts.
+function startSmtpServer(options = {}) {
+  const messages = [];
+  const server = new SMTPServer({
+    disabledCommands: ['STARTTLS'],
+    authOptional: true,
+    allowInsecureAuth: true,
+    logger: false,
+    onData(stream, session, callback) {
+      let raw = '';
+      stream.on('data', (chunk) => {
+        raw += chunk.toString();
+      });
+      stream.on('end', () => {
+        messages.push({
+          from: session.envelope.mailFrom.address,
+          to: session.envelope.rcptTo.map((recipient) => recipient.address),
+          user: session.user,
+          raw,
+        });
+        callback();
+      });
+    },
+    ...options,
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, port: server.server.address().port, messages });
+    });
+  });
+}
+
+describe('EmailNotifier', () => {
+  const mockAlert = {
+    id: '1',
+    collectionId: 'col-1',
+    type: 'price_drop',
+    severity: 'warning',
+    message: 'Floor price dropped <15%> in 24h',
+    triggeredAt: '2024-01-15T10:00:00.000Z',
+  };
+  const originalEnv = { ...process.env };
+  let smtp;
+
+  async function useSmtpServer(options) {
+    smtp = await startSmtpServer(options);
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.SMTP_TIMEOUT_MS = '2000';
+  }
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_USER;
+    process.env.EMAIL_FROM = 'alerts@dashboard.example.com';
+  });
+
+  afterEach(async () => {
+    if (smtp) {
+      await new Promise((resolve) => smtp.server.close(resolve));
+      smtp = null;
+    }
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should deliver a multipart text and HTML email to every recipient', async () => {
+    await useSmtpServer();
+
+    const result = await emailNotifier.send(mockAlert, {
+      type: 'email',
+      to: ['ops@example.com', 'desk@example.com'],
+    });
+
+    expect(result.accepted).toEqual(['ops@example.com', 'desk@example.com']);
+    expect(smtp.messages).toHaveLength(1);
+
+    const [message] = smtp.messages;
+    expect(message.from).toBe('alerts@dashboard.example.com');
+    expect(message.to).toEqual(['ops@example.com', 'desk@example.com']);
+    expect(message.raw).toContain('Subject: [WARNING] Alert - price_drop (col-1)');
+    expect(message.raw).toContain('multipart/alternative');
+    expect(message.raw).toContain('Content-Type: text/plain');
+    expect(message.raw).toContain('Content-Type: text/html');
+    expect(message.raw).toContain('Collection ID: col-1');
+    expect(message.raw).toContain('&lt;15%&gt;');
+  });
+
+  it('should use EMAIL_TO when no destination is given and email is enabled', async () => {
+    await useSmtpServer();
+    process.env.EMAIL_ENABLED = 'true';
+    process.env.EMAIL_TO = 'alerts@example.com';
+
+    await emailNotifier.send(mockAlert);
+
+    expect(smtp.messages[0].to).toEqual(['alerts@example.com']);
+  });
+
+  it('should skip sending when email is disabled and no destination is given', async () => {
+    await useSmtpServer();
+    process.env.EMAIL_ENABLED = 'false';
+    process.env.EMAIL_TO = 'alerts@example.com';
+
+    await expect(emailNotifier.send(mockAlert)).resolves.toEqual({ sent: false, reason: 'Email notifications disabled' });
+    expect(smtp.messages).toHaveLength(0);
+  });
+
+  it('should authenticate with SMTP_USER and SMTP_PASS', async () => {
+    const onAuth = jest.fn((auth, session, callback) => {
+      if (auth.username === 'mailer' && auth.password === 'secret') {
+        return callback(null, { user: auth.username });
+      }
+      return callback(new Error('Invalid credentials'));
+    });
+    await useSmtpServer({ authOptional: false, onAuth });
+    process.env.SMTP_USER = 'mailer';
+    process.env.SMTP_PASS = 'secret';
+
+    await emailNotifier.send(mockAlert, { type: 'email', to: 'ops@example.com' });
+
+    expect(onAuth).toHaveBeenCalled();
+    expect(smtp.messages[0].user).toBe('mailer');
+  });
+
+  it('should reject when the server refuses the message', async () => {
+    await useSmtpServer({
+      onRcptTo(address, session, callback) {
+        const error = new Error('Mailbox unavailable');
+        error.responseCode = 550;
+        callback(error);
+      },
+    });
+
+    await expect(
+      emailNotifier.send(mockAlert, { type: 'email', to: 'nobody@example.com' })
+    ).rejects.toThrow(/Mailbox unavailable/);
+  });
+
+  it('should reject when SMTP_HOST is not configured', async () => {
+    await expect(
+      emailNotifier.send(mockAlert, { type: 'email', to: 'ops@example.com' })
+    ).rejects.toThrow('SMTP_HOST is not configured');
+  });
+
+  it('should email a digest with text and HTML parts', async () => {
+    await useSmtpServer();
+
+    const digest = {
+      period: 'daily',
+      from: '2024-01-14T08:00:00.000Z',
+      to: '2024-01-15T08:00:00.000Z',
+      alerts: {
+        total: 1,
+        resolved: 0,
+        unresolved: 1,
+        bySeverity: { warning: 1 },
+        byType: { price_drop: 1 },
+        collections: [{ collectionId: 'col-1', total: 1, unresolved: 1, byType: { price_drop: 1 } }],
+      },
+      unresolvedTotal: 4,
+      topMovers: [{ collectionId: 'col-1', priceChange: -8.5, averagePrice: 1.2 }],
+      volumeLeaders: [{ collectionId: 'col-1', tradeVolume: 12, eventCount: 30 }],
+    };
+
+    await emailNotifier.sendDigest(digest, { type: 'email', to: ['board@example.com'] });
+
+    expect(smtp.messages[0].to).toEqual(['board@example.com']);
+    const { raw } = smtp.messages[0];
+    expect(raw).toContain('Subject: Daily alert digest: 1 alert, 1 unresolved');
+    expect(raw).toMatch(/Content-Type: text\/plain[\s\S]*\*\*Daily alert digest\*\*/);
+    expect(raw).toMatch(/Content-Type: text\/html[\s\S]*<h2>Daily alert digest<\/h2>/);
+  });
+});
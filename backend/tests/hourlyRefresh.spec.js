@@ -54,6 +54,54 @@ describe('Hourly Refresh Job', () => {
     });
   });
 
+  describe('runHourlyRefreshJob with crawling', () => {
+    it('should crawl targets and ingest the results', async () => {
+      delete require.cache[require.resolve('../src/jobs/hourlyRefresh')];
+      const { runHourlyRefreshJob } = require('../src/jobs/hourlyRefresh');
+      const crawler = {
+        runAll: jest.fn().mockResolvedValue({
+          success: true,
+          results: [
+            {
+              targetId: 'target-1',
+              success: true,
+              errors: [],
+              payload: {
+                collectionId: 'hourly-col',
+                metadata: null,
+                snapshot: null,
+                listingEvents: [
+                  { eventId: 'l-1', price: 1.5, createdAt: new Date('2024-01-20T14:00:00Z') },
+                ],
+                purchaseEvents: [],
+              },
+            },
+          ],
+        }),
+      };
+
+      const result = await runHourlyRefreshJob({ crawl: true, crawler });
+
+      expect(crawler.runAll).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.metrics.totalListingEvents).toBe(1);
+      expect(result.targets).toEqual([
+        expect.objectContaining({ targetId: 'target-1', collectionId: 'hourly-col', success: true }),
+      ]);
+    });
+
+    it('should not crawl unless enabled', async () => {
+      delete require.cache[require.resolve('../src/jobs/hourlyRefresh')];
+      const { runHourlyRefreshJob } = require('../src/jobs/hourlyRefresh');
+      const crawler = { runAll: jest.fn() };
+
+      const result = await runHourlyRefreshJob({ crawl: false, crawler });
+
+      expect(crawler.runAll).not.toHaveBeenCalled();
+      expect(result.targets).toBeUndefined();
+    });
+  });
+
   describe('scheduleHourlyRefresh', () => {
     it('should schedule the cron job with correct expression', () => {
       delete require.cache[require.resolve('../src/jobs/hourlyRefresh')];
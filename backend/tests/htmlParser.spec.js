@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseFieldSelector,
+  extractHtmlRecords,
+  parseHtmlPayload
+} = require('../src/crawler/htmlParser');
+const { normalizePayload } = require('../src/crawler/parsers');
+const Crawler = require('../src/crawler');
+
+describe('HTML crawler parser', () => {
+  const fixturesPath = path.join(__dirname, '..', 'src', 'crawler', '__fixtures__');
+  const listingsHtml = fs.readFileSync(path.join(fixturesPath, 'html-listings.html'), 'utf8');
+  const snapshotHtml = fs.readFileSync(path.join(fixturesPath, 'html-snapshot.html'), 'utf8');
+
+  const htmlTarget = {
+    id: 'html-market',
+    name: 'HTML Market',
+    mode: 'html',
+    baseUrl: 'https://market.example.com',
+    rateLimit: { requestsPerSecond: 10, delayBetweenRequests: 0 },
+    selectors: {
+      collection: '.collection-data',
+      listings: '.listing-item',
+      purchases: '.purchase-item',
+      snapshot: '.snapshot-data'
+    },
+    fieldSelectors: {
+      listings: {
+        tokenId: '.token',
+        seller: '.seller',
+        price: '.price',
+        timestamp: 'time@datetime'
+      },
+      snapshot: {
+        floorPrice: '.floor',
+        totalListings: '.listed',
+        uniqueOwners: '.owners'
+      }
+    },
+    endpoints: {
+      collection: '/c/{collectionId}',
+      listings: '/c/{collectionId}/listings',
+      purchases: '/c/{collectionId}/sales',
+      snapshot: '/c/{collectionId}/stats'
+    },
+    headers: {}
+  };
+
+  describe('parseFieldSelector', () => {
+    test('should split element selectors and attributes', () => {
+      expect(parseFieldSelector('.price')).toEqual({ selector: '.price', attribute: null });
+      expect(parseFieldSelector('time@datetime')).toEqual({ selector: 'time', attribute: 'datetime' });
+      expect(parseFieldSelector('@data-id')).toEqual({ selector: '', attribute: 'data-id' });
+    });
+  });
+
+  describe('extractHtmlRecords', () => {
+    test('should extract one record per matching element', () => {
+      const records = extractHtmlRecords(listingsHtml, '.listing-item', htmlTarget.fieldSelectors.listings);
+
+      expect(records).toHaveLength(2);
+      expect(records[0]).toEqual({
+        id: 'listing-101',
+        marketplace: 'iBox',
+        tokenId: 'Token #101',
+        seller: '0xaaa0000000000000000000000000000000000001',
+        price: '0.75 ETH',
+        timestamp: '2024-01-20T14:30:00Z'
+      });
+    });
+
+    test('should read attributes of the element itself', () => {
+      const records = extractHtmlRecords(listingsHtml, '.listing-item', { seller: 'a@href', listingId: '@data-id' });
+
+      expect(records[1]).toMatchObject({ seller: '/users/bob', listingId: 'listing-102' });
+    });
+
+    test('should leave out fields whose selector matches nothing', () => {
+      const records = extractHtmlRecords(listingsHtml, '.listing-item', { buyer: '.buyer' });
+
+      expect(records[0]).not.toHaveProperty('buyer');
+    });
+
+    test('should return an empty list for missing pages or matches', () => {
+      expect(extractHtmlRecords(null, '.listing-item')).toEqual([]);
+      expect(extractHtmlRecords(listingsHtml, '.purchase-item')).toEqual([]);
+    });
+  });
+
+  describe('parseHtmlPayload', () => {
+    test('should build a raw payload that normalizes like JSON responses', () => {
+      const { rawPayload, errors } = parseHtmlPayload(
+        { collection: null, listings: listingsHtml, purchases: null, snapshot: snapshotHtml },
+        htmlTarget
+      );
+      const payload = normalizePayload(rawPayload, 'html-market');
+
+      expect(errors).toEqual([]);
+      expect(payload.errors).toEqual([]);
+      expect(payload.listingEvents).toHaveLength(2);
+      expect(payload.listingEvents[0]).toMatchObject({
+        eventId: 'listing-101',
+        collectionId: 'html-market',
+        tokenId: 'token-101',
+        seller: '0xaaa0000000000000000000000000000000000001',
+        price: 0.75,
+        marketplace: 'iBox',
+        createdAt: new Date('2024-01-20T14:30:00Z')
+      });
+      expect(payload.purchaseEvents).toEqual([]);
+      expect(payload.snapshot).toMatchObject({
+        floorPrice: 0.5,
+        totalListings: 156,
+        uniqueOwners: 2850,
+        timestamp: new Date('2024-01-20T14:00:00Z')
+      });
+    });
+
+    test('should report single-record pages without a matching element', () => {
+      const { rawPayload, errors } = parseHtmlPayload(
+        { collection: listingsHtml, listings: null, purchases: null, snapshot: null },
+        htmlTarget
+      );
+
+      expect(rawPayload.metadata).toBeNull();
+      expect(errors).toEqual(['No element matches the collection selector ".collection-data"']);
+    });
+
+    test('should report endpoints without a selector', () => {
+      const { errors } = parseHtmlPayload(
+        { collection: null, listings: listingsHtml, purchases: null, snapshot: null },
+        { ...htmlTarget, selectors: {} }
+      );
+
+      expect(errors).toEqual(['No listings selector configured for HTML target html-market']);
+    });
+  });
+
+  describe('Crawler in HTML mode', () => {
+    test('should fetch pages as text and parse them with the target selectors', async () => {
+      const crawler = new Crawler({
+        targets: [htmlTarget],
+        global: { timeout: 1000, retries: 0, retryDelay: 0, concurrency: 1, enableLogging: false }
+      });
+      crawler.requestHandler.makeMultipleRequests = jest.fn().mockResolvedValue([
+        { status: 'rejected', reason: new Error('HTTP 404') },
+        { status: 'fulfilled', value: listingsHtml },
+        { status: 'fulfilled', value: '<html><body></body></html>' },
+        { status: 'fulfilled', value: snapshotHtml }
+      ]);
+
+      const result = await crawler.runTarget(htmlTarget, { collectionId: 'html-market' });
+
+      const requests = crawler.requestHandler.makeMultipleRequests.mock.calls[0][0];
+      expect(requests.map(request => request.options)).toEqual(
+        Array(4).fill({ responseType: 'text' })
+      );
+      expect(result.errors).toEqual(['Collection request failed: HTTP 404']);
+      expect(result.payload.listingEvents).toHaveLength(2);
+      expect(result.payload.purchaseEvents).toEqual([]);
+      expect(result.payload.snapshot.floorPrice).toBe(0.5);
+    });
+  });
+});
@@ -321,5 +321,57 @@ describe('Ingestion Workflow', () => {
       const affected = ingestionService.getAffectedCollections();
       expect(affected).toEqual([]);
     });
+
+    it('should evaluate alerts on the refreshed metrics', async () => {
+      const now = Date.now();
+      const payloads = [
+        {
+          collectionId: 'alert-col',
+          snapshot: { id: 'snap-1', totalListings: 100, timestamp: new Date(now - 7200000).toISOString() },
+        },
+        {
+          collectionId: 'alert-col',
+          snapshot: { id: 'snap-2', totalListings: 40, timestamp: new Date(now - 3600000).toISOString() },
+          listingEvents: [{ id: 'list-1', price: 10, timestamp: new Date(now - 60000).toISOString() }],
+        },
+      ];
+
+      const result = await ingestCollections(payloads);
+
+      expect(result.success).toBe(true);
+      expect(result.metrics.triggeredAlerts).toEqual([
+        expect.objectContaining({
+          collectionId: 'alert-col',
+          type: 'listing_depletion',
+          message: 'Listings depleted by 60.00%',
+        }),
+      ]);
+
+      const { alertsRepository } = require('../src/repositories/alertsRepository');
+      expect(await alertsRepository.findAll({ collectionId: 'alert-col' })).toHaveLength(1);
+    });
+
+    it('should auto-resolve alerts once their condition clears', async () => {
+      const now = Date.now();
+      const snapshot = (id, totalListings, ageMs) => ({
+        collectionId: 'recovering-col',
+        snapshot: { id, totalListings, timestamp: new Date(now - ageMs).toISOString() },
+      });
+
+      const first = await ingestCollections([snapshot('snap-1', 100, 7200000), snapshot('snap-2', 40, 3600000)]);
+      expect(first.metrics.triggeredAlerts.map((alert) => alert.type)).toEqual(['listing_depletion']);
+
+      const second = await ingestCollections([snapshot('snap-3', 95, 60000)]);
+
+      expect(second.metrics.resolvedAlerts).toEqual([
+        expect.objectContaining({
+          collectionId: 'recovering-col',
+          type: 'listing_depletion',
+          resolved: true,
+          resolvedBy: 'auto',
+          resolution: 'Listing depletion eased to -137.50%',
+        }),
+      ]);
+    });
   });
 });
@@ -0,0 +1,213 @@
+const mockPool = {
+  execute: jest.fn(),
+  query: jest.fn(),
+};
+
+jest.mock('../src/lib/db', () => ({
+  getPool: () => mockPool,
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { alertsRepository } = require('../src/repositories/mysql/alertsRepository');
+
+const alertRow = {
+  id: 12,
+  collection_id: 'col-1',
+  alert_type: 'price_drop',
+  severity: 'warning',
+  message: 'Price dropped 15.00% in 24h',
+  event_time: new Date('2024-01-20T14:00:00.000Z'),
+  resolved: 0,
+  resolved_at: null,
+  acknowledged: 0,
+  acknowledged_by: null,
+  acknowledged_at: null,
+  assigned_to: null,
+  snoozed_until: null,
+  note: null,
+  raw_payload: { priceChange: -15 },
+  created_at: new Date('2024-01-20T14:00:01.000Z'),
+};
+
+describe('MySQL alertsRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.execute.mockResolvedValue([[]]);
+    mockPool.query.mockResolvedValue([[]]);
+  });
+
+  describe('create', () => {
+    it('should insert the alert and return the stored row', async () => {
+      mockPool.execute
+        .mockResolvedValueOnce([{}])
+        .mockResolvedValueOnce([{ insertId: 12, affectedRows: 1 }])
+        .mockResolvedValueOnce([[alertRow]]);
+
+      const alert = await alertsRepository.create({
+        collectionId: 'col-1',
+        type: 'price_drop',
+        severity: 'warning',
+        message: 'Price dropped 15.00% in 24h',
+        triggeredAt: '2024-01-20T14:00:00.000Z',
+        priceChange: -15,
+      });
+
+      const [sql, params] = mockPool.execute.mock.calls[1];
+      expect(sql).toContain('INSERT INTO alert_events');
+      expect(sql).not.toContain('ON DUPLICATE KEY');
+      expect(params[4]).toEqual(new Date('2024-01-20T14:00:00.000Z'));
+      expect(JSON.parse(params[7])).toEqual({ priceChange: -15 });
+
+      expect(alert).toEqual({
+        id: '12',
+        collectionId: 'col-1',
+        type: 'price_drop',
+        severity: 'warning',
+        message: 'Price dropped 15.00% in 24h',
+        triggeredAt: '2024-01-20T14:00:00.000Z',
+        resolved: false,
+        resolvedAt: null,
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        assignedTo: null,
+        snoozedUntil: null,
+        note: null,
+        createdAt: '2024-01-20T14:00:01.000Z',
+        priceChange: -15,
+        created: true,
+      });
+    });
+
+    it('should return the existing alert when the dedupe key matches', async () => {
+      mockPool.execute
+        .mockResolvedValueOnce([{}])
+        .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))
+        .mockResolvedValueOnce([[alertRow]]);
+
+      const alert = await alertsRepository.create({
+        collectionId: 'col-1',
+        type: 'price_drop',
+        severity: 'warning',
+        message: 'Price dropped 15.00% in 24h',
+        triggeredAt: '2024-01-20T14:00:00.000Z',
+      });
+
+      expect(alert).toMatchObject({ id: '12', created: false });
+      expect(mockPool.execute.mock.calls[2][1]).toEqual([
+        'col-1',
+        'price_drop',
+        new Date('2024-01-20T14:00:00.000Z'),
+      ]);
+    });
+
+    it('should pass other insert errors through', async () => {
+      mockPool.execute
+        .mockResolvedValueOnce([{}])
+        .mockRejectedValueOnce(Object.assign(new Error('Lock wait timeout'), { code: 'ER_LOCK_WAIT_TIMEOUT' }));
+
+      await expect(
+        alertsRepository.create({
+          collectionId: 'col-1',
+          type: 'price_drop',
+          severity: 'warning',
+          message: 'Price dropped',
+          triggeredAt: '2024-01-20T14:00:00.000Z',
+        })
+      ).rejects.toThrow('Lock wait timeout');
+    });
+  });
+
+  describe('findPaginated', () => {
+    it('should push filters, sorting and paging into SQL', async () => {
+      mockPool.execute.mockResolvedValueOnce([[{ total: 7 }]]);
+      mockPool.query.mockResolvedValueOnce([[alertRow]]);
+
+      const result = await alertsRepository.findPaginated(
+        { collectionId: 'col-1', resolved: false, severity: 'warning' },
+        { page: 2, limit: 5, sortBy: 'severity', sortOrder: 'asc' }
+      );
+
+      const [countSql, countParams] = mockPool.execute.mock.calls[0];
+      expect(countSql).toContain('WHERE collection_id = ? AND resolved = ? AND severity = ?');
+      expect(countParams).toEqual(['col-1', 0, 'warning']);
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain("ORDER BY FIELD(severity, 'info', 'warning', 'error', 'critical') ASC");
+      expect(sql).toContain('LIMIT ? OFFSET ?');
+      expect(params).toEqual(['col-1', 0, 'warning', 5, 5]);
+
+      expect(result.total).toBe(7);
+      expect(result.alerts).toHaveLength(1);
+    });
+
+    it('should default to newest first', async () => {
+      mockPool.execute.mockResolvedValueOnce([[{ total: 0 }]]);
+
+      await alertsRepository.findPaginated();
+
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('ORDER BY event_time DESC, id DESC');
+      expect(params).toEqual([50, 0]);
+    });
+  });
+
+  describe('getSummary', () => {
+    it('should aggregate counts in one grouped query', async () => {
+      mockPool.execute.mockResolvedValueOnce([
+        [
+          { collection_id: 'col-1', alert_type: 'price_drop', severity: 'warning', count: 2, resolved: '1' },
+          { collection_id: 'col-1', alert_type: 'price_drop', severity: 'critical', count: 1, resolved: '0' },
+          { collection_id: 'col-2', alert_type: 'volume_spike', severity: 'warning', count: 1, resolved: '1' },
+        ],
+      ]);
+
+      const summary = await alertsRepository.getSummary({ since: '2024-01-01T00:00:00.000Z' });
+
+      expect(mockPool.execute).toHaveBeenCalledTimes(1);
+      const [sql] = mockPool.execute.mock.calls[0];
+      expect(sql).toContain('WHERE event_time >= ?');
+      expect(sql).toContain('GROUP BY collection_id, alert_type, severity');
+      expect(summary).toEqual({
+        total: 4,
+        resolved: 2,
+        unresolved: 2,
+        bySeverity: { warning: 3, critical: 1 },
+        byType: { price_drop: 3, volume_spike: 1 },
+        byCollection: { 'col-1': 3, 'col-2': 1 },
+      });
+    });
+  });
+
+  describe('update', () => {
+    it('should return null for unknown alerts', async () => {
+      const result = await alertsRepository.update('99', { resolved: true });
+
+      expect(result).toBeNull();
+      expect(mockPool.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should set resolved_at when resolving', async () => {
+      mockPool.execute
+        .mockResolvedValueOnce([[alertRow]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([[{ ...alertRow, resolved: 1, resolved_at: new Date() }]]);
+
+      const result = await alertsRepository.markAsResolved('12');
+
+      const [sql, params] = mockPool.execute.mock.calls[1];
+      expect(sql).toContain('resolved = ?, resolved_at = ?');
+      expect(params[0]).toBe(1);
+      expect(params[1]).toBeInstanceOf(Date);
+      expect(params[params.length - 1]).toBe('12');
+      expect(result.resolved).toBe(true);
+      expect(result.resolvedAt).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const mockPool = {
+  execute: jest.fn(),
+  query: jest.fn(),
+};
+
+jest.mock('../src/lib/db', () => ({
+  getPool: () => mockPool,
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { analyticsRepository } = require('../src/repositories/mysql/analyticsRepository');
+
+function metricRow(id, type, value, overrides = {}) {
+  return {
+    id,
+    collection_id: 'col-1',
+    metric_date: new Date('2024-01-15T00:00:00.000Z'),
+    metric_type: type,
+    metric_timeframe: '24h',
+    metric_value: String(value),
+    computed_at: new Date('2024-01-15T10:00:00.000Z'),
+    ...overrides,
+  };
+}
+
+describe('MySQL analyticsRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.execute.mockResolvedValue([[]]);
+    mockPool.query.mockResolvedValue([[]]);
+  });
+
+  describe('upsertMetrics', () => {
+    it('should write one row per metric type keyed by the metric date', async () => {
+      mockPool.query
+        .mockResolvedValueOnce([{ affectedRows: 3 }])
+        .mockResolvedValueOnce([[metricRow(1, 'averagePrice', 100)]]);
+
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 100, priceChange: null, listingMetrics: { tradeVolume: 4 }, eventCount: 2 },
+        { timestamp: '2024-01-15T10:00:00.000Z' }
+      );
+
+      const [sql, [values]] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO analytics_metrics');
+      expect(sql).toContain('ON DUPLICATE KEY UPDATE');
+
+      const computedAt = new Date('2024-01-15T10:00:00.000Z');
+      expect(values).toEqual([
+        ['col-1', '2024-01-15', 'averagePrice', '24h', 100, computedAt],
+        ['col-1', '2024-01-15', 'listingMetrics.tradeVolume', '24h', 4, computedAt],
+        ['col-1', '2024-01-15', 'eventCount', '24h', 2, computedAt],
+      ]);
+    });
+
+    it('should drop metrics of the same day that were not refreshed', async () => {
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 100 },
+        { timestamp: '2024-01-15T10:00:00.000Z' }
+      );
+
+      const [sql, params] = mockPool.execute.mock.calls[1];
+      expect(sql).toContain('DELETE FROM analytics_metrics');
+      expect(params).toEqual(['col-1', '2024-01-15', '24h', new Date('2024-01-15T10:00:00.000Z')]);
+    });
+  });
+
+  describe('reads', () => {
+    it('should rebuild points from metric rows', async () => {
+      mockPool.query.mockResolvedValueOnce([
+        [
+          metricRow(5, 'averagePrice', 100),
+          metricRow(4, 'listingMetrics.tradeVolume', 4),
+          metricRow(9, 'averagePrice', 120, {
+            metric_timeframe: '1h',
+            computed_at: new Date('2024-01-15T11:00:00.000Z'),
+          }),
+        ],
+      ]);
+
+      const metrics = await analyticsRepository.findMetrics({ collectionId: 'col-1' });
+
+      expect(mockPool.query.mock.calls[0][0]).toContain('MAX(metric_date)');
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['col-1']);
+      expect(metrics).toEqual([
+        {
+          id: '9',
+          collectionId: 'col-1',
+          window: '1h',
+          metricDate: '2024-01-15',
+          timestamp: '2024-01-15T11:00:00.000Z',
+          averagePrice: 120,
+        },
+        {
+          id: '4',
+          collectionId: 'col-1',
+          window: '24h',
+          metricDate: '2024-01-15',
+          timestamp: '2024-01-15T10:00:00.000Z',
+          averagePrice: 100,
+          listingMetrics: { tradeVolume: 4 },
+        },
+      ]);
+    });
+
+    it('should query a metric series over a date range', async () => {
+      mockPool.execute.mockResolvedValueOnce([
+        [
+          {
+            metric_date: new Date('2024-01-14T00:00:00.000Z'),
+            metric_value: '10.000000',
+            computed_at: new Date('2024-01-14T10:00:00.000Z'),
+          },
+        ],
+      ]);
+
+      const series = await analyticsRepository.getMetricSeries('col-1', '24h', 'tradeVolume', {
+        from: '2024-01-10T00:00:00.000Z',
+        to: '2024-01-16',
+      });
+
+      const [sql, params] = mockPool.execute.mock.calls[0];
+      expect(sql).toContain('metric_type = ?');
+      expect(params).toEqual(['col-1', '24h', 'tradeVolume', '2024-01-10', '2024-01-16']);
+      expect(series).toEqual([
+        { metricDate: '2024-01-14', timestamp: '2024-01-14T10:00:00.000Z', value: 10 },
+      ]);
+    });
+
+    it('should count distinct points', async () => {
+      mockPool.execute.mockResolvedValueOnce([[{ total: 6 }]]);
+
+      expect(await analyticsRepository.getMetricsCount()).toBe(6);
+      expect(mockPool.execute.mock.calls[0][0]).toContain(
+        'COUNT(DISTINCT collection_id, metric_timeframe, metric_date)'
+      );
+    });
+  });
+});
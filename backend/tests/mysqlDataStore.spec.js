@@ -0,0 +1,179 @@
+const mockPool = {
+  execute: jest.fn(),
+  query: jest.fn(),
+};
+
+jest.mock('../src/lib/db', () => ({
+  getPool: () => mockPool,
+}));
+
+const mysqlDataStore = require('../src/repositories/mysql/dataStore');
+
+describe('MySQL dataStore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPool.execute.mockResolvedValue([[]]);
+    mockPool.query.mockResolvedValue([{ affectedRows: 0 }]);
+  });
+
+  describe('writes', () => {
+    it('should ensure the parent collection row before inserting a snapshot', async () => {
+      await mysqlDataStore.addMarketSnapshot('col-1', {
+        floorPrice: 1.5,
+        ceilingPrice: 3,
+        totalListings: 42,
+        volume24h: 12.5,
+        timestamp: '2024-01-20T14:30:00.000Z',
+      });
+
+      expect(mockPool.execute).toHaveBeenCalledTimes(2);
+      expect(mockPool.execute.mock.calls[0][0]).toContain('INSERT IGNORE INTO collections');
+      expect(mockPool.execute.mock.calls[0][1]).toEqual(['col-1', 'col-1']);
+
+      const [sql, params] = mockPool.execute.mock.calls[1];
+      expect(sql).toContain('INSERT INTO market_snapshots');
+      expect(params[0]).toBe('col-1');
+      expect(params[1]).toEqual(new Date('2024-01-20T14:30:00.000Z'));
+      expect(params.slice(2, 7)).toEqual([1.5, 3, 42, null, 12.5]);
+      expect(JSON.parse(params[7])).toMatchObject({ collectionId: 'col-1', floorPrice: 1.5 });
+    });
+
+    it('should upsert listing events keyed by source id', async () => {
+      await mysqlDataStore.addListingEvent('col-1', {
+        id: 'lst-1',
+        price: '0.75',
+        seller: '0xabc',
+        timestamp: '2024-01-20T14:30:00.000Z',
+      });
+
+      const [sql, params] = mockPool.execute.mock.calls[1];
+      expect(sql).toContain('INSERT INTO listing_events');
+      expect(sql).toContain('ON DUPLICATE KEY UPDATE');
+      expect(params.slice(0, 6)).toEqual([
+        'col-1',
+        'lst-1',
+        new Date('2024-01-20T14:30:00.000Z'),
+        0.75,
+        1,
+        '0xabc',
+      ]);
+      expect(JSON.parse(params[6]).type).toBe('listing');
+    });
+
+    it('should keep an explicit event type in the stored payload', async () => {
+      await mysqlDataStore.addListingEvent('col-1', { id: 'lst-2', price: 1, type: 'sell' });
+
+      const params = mockPool.execute.mock.calls[1][1];
+      expect(JSON.parse(params[6]).type).toBe('sell');
+    });
+
+    it('should insert purchase events with buyer and seller', async () => {
+      await mysqlDataStore.addPurchaseEvent('col-1', {
+        eventId: 'pur-1',
+        price: 2,
+        quantity: 3,
+        buyer: '0xbuyer',
+        seller: '0xseller',
+      });
+
+      const [sql, params] = mockPool.execute.mock.calls[1];
+      expect(sql).toContain('INSERT INTO purchase_events');
+      expect(params[1]).toBe('pur-1');
+      expect(params.slice(3, 7)).toEqual([2, 3, '0xbuyer', '0xseller']);
+    });
+  });
+
+  describe('reads', () => {
+    it('should map snapshot rows onto the stored payload', async () => {
+      mockPool.execute.mockResolvedValueOnce([
+        [
+          {
+            id: 7,
+            collection_id: 'col-1',
+            snapshot_time: new Date('2024-01-20T14:30:00.000Z'),
+            raw_payload: { floorPrice: 1.5, totalListings: 42 },
+          },
+        ],
+      ]);
+
+      const snapshots = await mysqlDataStore.getMarketSnapshots('col-1');
+
+      expect(mockPool.execute.mock.calls[0][1]).toEqual(['col-1']);
+      expect(snapshots).toEqual([
+        {
+          id: '7',
+          collectionId: 'col-1',
+          timestamp: '2024-01-20T14:30:00.000Z',
+          floorPrice: 1.5,
+          totalListings: 42,
+        },
+      ]);
+    });
+
+    it('should convert decimal columns back to numbers for events', async () => {
+      mockPool.execute.mockResolvedValueOnce([
+        [
+          {
+            collection_id: 'col-1',
+            source_id: 'lst-1',
+            event_time: new Date('2024-01-20T14:30:00.000Z'),
+            price: '0.7500',
+            quantity: 1,
+            raw_payload: JSON.stringify({ type: 'listing', seller: '0xabc' }),
+          },
+        ],
+      ]);
+
+      const events = await mysqlDataStore.getListingEvents('col-1');
+
+      expect(events[0]).toEqual({
+        id: 'lst-1',
+        collectionId: 'col-1',
+        timestamp: '2024-01-20T14:30:00.000Z',
+        type: 'listing',
+        seller: '0xabc',
+        price: 0.75,
+        quantity: 1,
+      });
+    });
+
+    it('should list collections across all event tables', async () => {
+      mockPool.execute.mockResolvedValueOnce([
+        [{ collection_id: 'col-1' }, { collection_id: 'col-2' }],
+      ]);
+
+      const collections = await mysqlDataStore.getAllCollections();
+
+      expect(mockPool.execute.mock.calls[0][0]).toContain('UNION');
+      expect(collections).toEqual(['col-1', 'col-2']);
+    });
+  });
+
+  describe('deletes', () => {
+    it('should delete in batches and return affected rows', async () => {
+      mockPool.query.mockResolvedValueOnce([{ affectedRows: 3 }]);
+      const cutoff = new Date('2024-01-01T00:00:00.000Z');
+
+      const deleted = await mysqlDataStore.deleteListingEventsOlderThan(cutoff, 100);
+
+      expect(deleted).toBe(3);
+      const [sql, params] = mockPool.query.mock.calls[0];
+      expect(sql).toContain('DELETE FROM listing_events WHERE event_time < ?');
+      expect(sql).toContain('LIMIT ?');
+      expect(params).toEqual([cutoff, 100]);
+    });
+
+    it('should fall back to the default batch size for invalid limits', async () => {
+      await mysqlDataStore.deleteMarketSnapshotsOlderThan('2024-01-01T00:00:00.000Z', 'abc');
+
+      expect(mockPool.query.mock.calls[0][1][1]).toBe(500);
+    });
+
+    it('should skip the query for an invalid cutoff', async () => {
+      const deleted = await mysqlDataStore.deletePurchaseEventsOlderThan('not-a-date', 10);
+
+      expect(deleted).toBe(0);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+});
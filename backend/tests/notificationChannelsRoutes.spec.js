@@ -0,0 +1,240 @@
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../src/routes/admin');
+const { trackedCollectionRepository } = require('../src/repositories/trackedCollectionRepository');
+const {
+  notificationChannelRepository,
+} = require('../src/repositories/notificationChannelRepository');
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Notification channel routes', () => {
+  let app;
+  const adminKey = 'test-admin-key-123';
+  const deskChannel = {
+    description: 'NFT desk',
+    destinations: [
+      { type: 'webhook', url: 'https://hooks.example.com/nft-desk', severities: ['critical'] },
+      { type: 'email', to: ['alice@example.com', 'bob@example.com'] },
+    ],
+  };
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = adminKey;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+
+    trackedCollectionRepository.clear();
+    notificationChannelRepository.clear();
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  describe('/api/admin/notification-channels', () => {
+    it('should create, list, replace and delete a channel', async () => {
+      const created = await request(app)
+        .put('/api/admin/notification-channels/nft-desk')
+        .set('x-admin-key', adminKey)
+        .send(deskChannel);
+
+      expect(created.status).toBe(200);
+      expect(created.body.channel).toMatchObject({ name: 'nft-desk', ...deskChannel });
+
+      const listed = await request(app)
+        .get('/api/admin/notification-channels')
+        .set('x-admin-key', adminKey);
+
+      expect(listed.body.channels).toEqual([
+        expect.objectContaining({ name: 'nft-desk', collections: [] }),
+      ]);
+
+      const replaced = await request(app)
+        .put('/api/admin/notification-channels/nft-desk')
+        .send({ apiKey: adminKey, destinations: [{ type: 'email', to: 'carol@example.com' }] });
+
+      expect(replaced.body.channel).toMatchObject({
+        description: null,
+        destinations: [{ type: 'email', to: 'carol@example.com' }],
+      });
+
+      const deleted = await request(app)
+        .delete('/api/admin/notification-channels/nft-desk')
+        .set('x-admin-key', adminKey);
+      const missing = await request(app)
+        .get('/api/admin/notification-channels/nft-desk')
+        .set('x-admin-key', adminKey);
+
+      expect(deleted.status).toBe(204);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should reject invalid destinations and channel names', async () => {
+      const send = (name, body) =>
+        request(app)
+          .put(`/api/admin/notification-channels/${name}`)
+          .set('x-admin-key', adminKey)
+          .send(body);
+
+      const responses = await Promise.all([
+        send('nft-desk', { destinations: [{ type: 'webhook', url: 'ftp://example.com' }] }),
+        send('nft-desk', { destinations: [{ type: 'email', to: 'not-an-address' }] }),
+        send('nft-desk', { destinations: [{ type: 'webhook', to: 'ops@example.com' }] }),
+        send('nft-desk', { destinations: [{ type: 'pager', url: 'https://example.com' }] }),
+        send('nft-desk', {
+          destinations: [{ type: 'email', to: 'ops@example.com', severities: ['urgent'] }],
+        }),
+        send('nft desk', deskChannel),
+      ]);
+
+      expect(responses.map((response) => response.status)).toEqual([400, 400, 400, 400, 400, 400]);
+    });
+
+    it('should accept chat destinations with the fields each platform needs', async () => {
+      const send = (destinations) =>
+        request(app)
+          .put('/api/admin/notification-channels/chat-rooms')
+          .set('x-admin-key', adminKey)
+          .send({ destinations });
+
+      const valid = await send([
+        { type: 'slack', url: 'https://hooks.slack.com/services/T000/B000/XXXX' },
+        { type: 'discord', url: 'https://discord.com/api/webhooks/1/abc' },
+        { type: 'telegram', botToken: '123456:ABC-DEF_ghi', chatId: -1001234567890 },
+        { type: 'wecom', url: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=abc' },
+        {
+          type: 'dingtalk',
+          url: 'https://oapi.dingtalk.com/robot/send?access_token=abc',
+          secret: 'SEC123',
+        },
+      ]);
+      expect(valid.status).toBe(200);
+      expect(valid.body.channel.destinations).toHaveLength(5);
+      expect(valid.body.channel.destinations[2]).toEqual({
+        type: 'telegram',
+        chatId: -1001234567890,
+        hasBotToken: true,
+      });
+      expect(valid.body.channel.destinations[4]).toMatchObject({ hasSecret: true });
+      expect(valid.body.channel.destinations[4]).not.toHaveProperty('secret');
+
+      const invalid = await Promise.all([
+        send([{ type: 'telegram', botToken: '123456:ABC' }]),
+        send([{ type: 'telegram', chatId: '42', botToken: 'not-a-token' }]),
+        send([{ type: 'slack', url: 'https://hooks.slack.com/x', secret: 'SEC' }]),
+        send([{ type: 'discord' }]),
+      ]);
+      expect(invalid.map((response) => response.status)).toEqual([400, 400, 400, 400]);
+    });
+
+    it('should accept a signing secret and payload version on webhook destinations', async () => {
+      const send = (destinations) =>
+        request(app)
+          .put('/api/admin/notification-channels/receivers')
+          .set('x-admin-key', adminKey)
+          .send({ destinations });
+
+      const valid = await send([
+        { type: 'webhook', url: 'https://desk.example.com/hook', secret: 'desk-secret', payloadVersion: 2 },
+      ]);
+      expect(valid.status).toBe(200);
+      expect(valid.body.channel.destinations[0]).toMatchObject({ hasSecret: true, payloadVersion: 2 });
+      expect(valid.body.channel.destinations[0]).not.toHaveProperty('secret');
+
+      const stored = await notificationChannelRepository.findByName('receivers');
+      expect(stored.destinations[0].secret).toBe('desk-secret');
+
+      const fetched = await request(app)
+        .get('/api/admin/notification-channels/receivers')
+        .set('x-admin-key', adminKey);
+      expect(fetched.body.channel.destinations[0]).toMatchObject({ hasSecret: true });
+      expect(fetched.body.channel.destinations[0]).not.toHaveProperty('secret');
+
+      const invalid = await Promise.all([
+        send([{ type: 'webhook', url: 'https://desk.example.com/hook', payloadVersion: 3 }]),
+        send([{ type: 'slack', url: 'https://hooks.slack.com/x', payloadVersion: 2 }]),
+      ]);
+      expect(invalid.map((response) => response.status)).toEqual([400, 400]);
+    });
+
+    it('should refuse to delete a channel collections still use', async () => {
+      await notificationChannelRepository.save('nft-desk', deskChannel);
+      await trackedCollectionRepository.setNotificationChannel('col-1', 'nft-desk');
+
+      const response = await request(app)
+        .delete('/api/admin/notification-channels/nft-desk')
+        .set('x-admin-key', adminKey);
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toContain('col-1');
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).get('/api/admin/notification-channels');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('/api/admin/collections/:collectionId/notification-channel', () => {
+    it('should route a collection to a channel and back to the default', async () => {
+      await notificationChannelRepository.save('nft-desk', deskChannel);
+
+      const assigned = await request(app)
+        .put('/api/admin/collections/col-1/notification-channel')
+        .set('x-admin-key', adminKey)
+        .send({ channel: 'nft-desk' });
+
+      expect(assigned.status).toBe(200);
+      expect(assigned.body).toMatchObject({
+        collectionId: 'col-1',
+        notificationChannel: 'nft-desk',
+        resolvedChannel: { name: 'nft-desk', source: 'collection' },
+      });
+
+      const reset = await request(app)
+        .put('/api/admin/collections/col-1/notification-channel')
+        .set('x-admin-key', adminKey)
+        .send({ channel: null });
+
+      expect(reset.body).toMatchObject({
+        notificationChannel: null,
+        resolvedChannel: { name: 'default', source: 'environment' },
+      });
+    });
+
+    it('should not return the secrets of the resolved channel', async () => {
+      await notificationChannelRepository.save('signed', {
+        destinations: [{ type: 'webhook', url: 'https://desk.example.com/hook', secret: 'desk-secret' }],
+      });
+      await trackedCollectionRepository.setNotificationChannel('col-1', 'signed');
+
+      const response = await request(app)
+        .get('/api/admin/collections/col-1/notification-channel')
+        .set('x-admin-key', adminKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.resolvedChannel.destinations).toEqual([
+        { type: 'webhook', url: 'https://desk.example.com/hook', hasSecret: true },
+      ]);
+    });
+
+    it('should reject unknown channels', async () => {
+      const response = await request(app)
+        .put('/api/admin/collections/col-1/notification-channel')
+        .set('x-admin-key', adminKey)
+        .send({ channel: 'nobody' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Notification channel "nobody" does not exist');
+    });
+  });
+});
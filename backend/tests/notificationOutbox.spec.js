@@ -0,0 +1,318 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../src/notifications/webhookNotifier', () => ({
+  webhookNotifier: { send: jest.fn() },
+}));
+jest.mock('../src/notifications/emailNotifier', () => ({
+  emailNotifier: { send: jest.fn() },
+}));
+
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../src/routes/admin');
+const { webhookNotifier } = require('../src/notifications/webhookNotifier');
+const notificationOutboxService = require('../src/services/notificationOutboxService');
+const { runNotificationOutboxJob } = require('../src/jobs/notificationOutboxJob');
+const {
+  notificationOutboxRepository,
+} = require('../src/repositories/notificationOutboxRepository');
+
+describe('notification outbox', () => {
+  const alert = {
+    id: '7',
+    collectionId: 'col-1',
+    type: 'price_drop',
+    severity: 'warning',
+    message: 'Price dropped 15.00% in 24h',
+    triggeredAt: '2024-01-15T10:00:00.000Z',
+  };
+  const destination = { type: 'webhook', url: 'https://hooks.example.com/desk' };
+
+  async function queueAndDeliver() {
+    const entry = await notificationOutboxService.enqueue(alert, 'desk', destination);
+    return notificationOutboxService.deliver(entry);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationOutboxRepository.clear();
+    process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+    process.env.NOTIFICATION_BACKOFF_MS = '60000';
+  });
+
+  afterEach(() => {
+    delete process.env.NOTIFICATION_MAX_ATTEMPTS;
+    delete process.env.NOTIFICATION_BACKOFF_MS;
+  });
+
+  describe('notificationOutboxService', () => {
+    it('should record a successful delivery', async () => {
+      webhookNotifier.send.mockResolvedValue();
+
+      const entry = await queueAndDeliver();
+
+      expect(entry).toMatchObject({
+        alertId: '7',
+        collectionId: 'col-1',
+        channel: 'desk',
+        status: 'delivered',
+        attempts: 1,
+        lastError: null,
+      });
+      expect(webhookNotifier.send).toHaveBeenCalledWith(alert, destination, {
+        deliveryId: entry.deliveryId,
+        maxRetries: 0,
+      });
+    });
+
+    it('should schedule retries with backoff and dead-letter after the last attempt', async () => {
+      webhookNotifier.send.mockRejectedValue(new Error('HTTP 503'));
+      const start = Date.now();
+
+      const failed = await queueAndDeliver();
+      expect(failed).toMatchObject({ status: 'pending', attempts: 1, lastError: 'HTTP 503' });
+      expect(new Date(failed.nextAttemptAt).getTime()).toBeGreaterThanOrEqual(start + 60000);
+
+      // Nothing is due until the backoff has passed.
+      expect((await notificationOutboxService.processDue({ now: start })).processed).toBe(0);
+
+      const second = await notificationOutboxService.processDue({ now: start + 61000 });
+      expect(second).toEqual({ processed: 1, delivered: 0, retrying: 1, dead: 0 });
+      const retried = await notificationOutboxRepository.findById(failed.id);
+      expect(new Date(retried.nextAttemptAt).getTime()).toBeGreaterThanOrEqual(start + 120000);
+
+      const third = await notificationOutboxService.processDue({ now: start + 10 * 60000 });
+      expect(third).toEqual({ processed: 1, delivered: 0, retrying: 0, dead: 1 });
+
+      expect(await notificationOutboxRepository.findById(failed.id)).toMatchObject({
+        status: 'dead',
+        attempts: 3,
+      });
+      const deliveryIds = webhookNotifier.send.mock.calls.map(([, , options]) => options.deliveryId);
+      expect(new Set(deliveryIds).size).toBe(1);
+    });
+
+    it('should pick up entries whose worker stopped mid-delivery once the lease expires', async () => {
+      const entry = await notificationOutboxService.enqueue(alert, 'desk', destination);
+      webhookNotifier.send.mockResolvedValue();
+
+      expect((await notificationOutboxService.processDue()).processed).toBe(0);
+
+      const summary = await notificationOutboxService.processDue({
+        now: new Date(entry.nextAttemptAt).getTime() + 1,
+      });
+
+      expect(summary).toEqual({ processed: 1, delivered: 1, retrying: 0, dead: 0 });
+      expect(await notificationOutboxRepository.findById(entry.id)).toMatchObject({
+        status: 'delivered',
+        attempts: 2,
+      });
+    });
+
+    it('should not resend a sent notification whose delivery could not be recorded', async () => {
+      webhookNotifier.send.mockResolvedValue();
+      const markDelivered = jest
+        .spyOn(notificationOutboxRepository, 'markDelivered')
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+      const markFailed = jest.spyOn(notificationOutboxRepository, 'markFailed');
+
+      try {
+        const entry = await queueAndDeliver();
+
+        expect(entry.status).toBe('delivered');
+        expect(markFailed).not.toHaveBeenCalled();
+        expect((await notificationOutboxRepository.findById(entry.id)).status).toBe('delivering');
+        expect((await notificationOutboxService.processDue()).processed).toBe(0);
+        expect(webhookNotifier.send).toHaveBeenCalledTimes(1);
+      } finally {
+        markDelivered.mockRestore();
+        markFailed.mockRestore();
+      }
+    });
+
+    it('should dead-letter unknown destination types without retrying', async () => {
+      const entry = await notificationOutboxService.enqueue(alert, 'desk', { type: 'pager' });
+
+      const result = await notificationOutboxService.deliver(entry);
+
+      expect(result).toMatchObject({
+        status: 'dead',
+        lastError: 'Unknown destination type "pager"',
+      });
+    });
+  });
+
+  describe('unconfigured destinations', () => {
+    const realWebhookNotifier = jest.requireActual('../src/notifications/webhookNotifier').webhookNotifier;
+
+    it('should dead-letter a webhook without a URL instead of marking it delivered', async () => {
+      const webhookUrl = process.env.WEBHOOK_URL;
+      delete process.env.WEBHOOK_URL;
+      webhookNotifier.send.mockImplementation(realWebhookNotifier.send);
+
+      try {
+        const entry = await notificationOutboxService.enqueue(alert, 'desk', { type: 'webhook' });
+        const result = await notificationOutboxService.deliver(entry);
+
+        expect(result).toMatchObject({
+          status: 'dead',
+          attempts: 1,
+          lastError: 'Webhook URL not configured',
+        });
+        expect(result.deliveredAt || null).toBeNull();
+      } finally {
+        if (webhookUrl !== undefined) process.env.WEBHOOK_URL = webhookUrl;
+      }
+    });
+  });
+
+  describe('runNotificationOutboxJob', () => {
+    it('should deliver due entries and prune old delivered ones', async () => {
+      webhookNotifier.send.mockRejectedValueOnce(new Error('timeout')).mockResolvedValue();
+      const failed = await queueAndDeliver();
+      const now = new Date(failed.nextAttemptAt).getTime() + 1;
+
+      const first = await runNotificationOutboxJob({ now });
+      expect(first).toMatchObject({ processed: 1, delivered: 1, pruned: 0 });
+
+      const later = await runNotificationOutboxJob({ now: now + 73 * 60 * 60 * 1000 });
+      expect(later).toMatchObject({ processed: 0, pruned: 1 });
+      expect(await notificationOutboxRepository.findById(failed.id)).toBeNull();
+    });
+  });
+
+  describe('/api/admin/notification-outbox', () => {
+    const adminKey = 'test-admin-key-123';
+    let app;
+
+    async function createDeadLetter() {
+      process.env.NOTIFICATION_MAX_ATTEMPTS = '1';
+      webhookNotifier.send.mockRejectedValueOnce(new Error('HTTP 410'));
+      return queueAndDeliver();
+    }
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = adminKey;
+      app = express();
+      app.use(express.json());
+      app.use('/api/admin', adminRoutes);
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_KEY;
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).get('/api/admin/notification-outbox');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should list entries with counts and the dead letters', async () => {
+      webhookNotifier.send.mockResolvedValueOnce();
+      await queueAndDeliver();
+      const dead = await createDeadLetter();
+
+      const all = await request(app)
+        .get('/api/admin/notification-outbox')
+        .set('x-admin-key', adminKey);
+
+      expect(all.status).toBe(200);
+      expect(all.body.entries.map((entry) => entry.id)).toEqual([dead.id, '1']);
+      expect(all.body.counts).toEqual({ pending: 0, delivering: 0, delivered: 1, dead: 1 });
+
+      const deadLetters = await request(app)
+        .get('/api/admin/notification-outbox/dead-letters')
+        .set('x-admin-key', adminKey);
+
+      expect(deadLetters.body).toEqual({
+        deadLetters: [expect.objectContaining({ id: dead.id, lastError: 'HTTP 410' })],
+        total: 1,
+      });
+
+      const invalid = await request(app)
+        .get('/api/admin/notification-outbox?status=lost')
+        .set('x-admin-key', adminKey);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should replay a dead letter for the worker to deliver', async () => {
+      const dead = await createDeadLetter();
+      process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+
+      const response = await request(app)
+        .post(`/api/admin/notification-outbox/${dead.id}/replay`)
+        .set('x-admin-key', adminKey);
+
+      expect(response.status).toBe(202);
+      expect(response.body.entry).toMatchObject({ status: 'pending', attempts: 0 });
+
+      webhookNotifier.send.mockResolvedValueOnce();
+      await runNotificationOutboxJob();
+
+      expect(await notificationOutboxRepository.findById(dead.id)).toMatchObject({
+        status: 'delivered',
+        deliveryId: dead.deliveryId,
+      });
+
+      const again = await request(app)
+        .post(`/api/admin/notification-outbox/${dead.id}/replay`)
+        .set('x-admin-key', adminKey);
+      expect(again.status).toBe(409);
+
+      const missing = await request(app)
+        .post('/api/admin/notification-outbox/999/replay')
+        .set('x-admin-key', adminKey);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should show whether a queued destination has a secret without returning it', async () => {
+      webhookNotifier.send.mockResolvedValueOnce();
+      const entry = await notificationOutboxService.deliver(
+        await notificationOutboxService.enqueue(alert, 'desk', { ...destination, secret: 'desk-secret' })
+      );
+
+      const [list, single] = await Promise.all([
+        request(app).get('/api/admin/notification-outbox').set('x-admin-key', adminKey),
+        request(app).get(`/api/admin/notification-outbox/${entry.id}`).set('x-admin-key', adminKey),
+      ]);
+
+      expect(list.body.entries[0].destination).toEqual({ ...destination, hasSecret: true });
+      expect(single.body.entry.destination).toEqual({ ...destination, hasSecret: true });
+      expect((await notificationOutboxRepository.findById(entry.id)).destination.secret).toBe(
+        'desk-secret'
+      );
+    });
+
+    it('should replay every dead letter in bulk and report skipped ids', async () => {
+      const first = await createDeadLetter();
+      const second = await createDeadLetter();
+
+      const response = await request(app)
+        .post('/api/admin/notification-outbox/dead-letters/replay')
+        .set('x-admin-key', adminKey)
+        .send({});
+
+      expect(response.status).toBe(202);
+      expect(response.body.replayed).toBe(2);
+      expect(response.body.entries.map((entry) => entry.id).sort()).toEqual(
+        [first.id, second.id].sort()
+      );
+
+      const selected = await request(app)
+        .post('/api/admin/notification-outbox/dead-letters/replay')
+        .set('x-admin-key', adminKey)
+        .send({ ids: [first.id, '999'] });
+
+      expect(selected.body.replayed).toBe(0);
+      expect(selected.body.skipped).toEqual([
+        { id: first.id, reason: expect.stringContaining('only dead letters') },
+        { id: '999', reason: "Outbox entry '999' not found" },
+      ]);
+    });
+  });
+});
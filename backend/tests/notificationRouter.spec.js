@@ -0,0 +1,133 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../src/notifications/webhookNotifier', () => ({
+  webhookNotifier: { send: jest.fn() },
+}));
+jest.mock('../src/notifications/emailNotifier', () => ({
+  emailNotifier: { send: jest.fn() },
+}));
+
+const { webhookNotifier } = require('../src/notifications/webhookNotifier');
+const { emailNotifier } = require('../src/notifications/emailNotifier');
+const { dispatch, resolveChannel } = require('../src/notifications/notificationRouter');
+const { trackedCollectionRepository } = require('../src/repositories/trackedCollectionRepository');
+const {
+  notificationChannelRepository,
+} = require('../src/repositories/notificationChannelRepository');
+const {
+  notificationOutboxRepository,
+} = require('../src/repositories/notificationOutboxRepository');
+
+describe('notificationRouter', () => {
+  const alert = {
+    id: '1',
+    collectionId: 'col-1',
+    type: 'price_drop',
+    severity: 'warning',
+    message: 'Price dropped 15.00% in 24h',
+    triggeredAt: '2024-01-15T10:00:00.000Z',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookNotifier.send.mockResolvedValue();
+    emailNotifier.send.mockResolvedValue();
+    trackedCollectionRepository.clear();
+    notificationChannelRepository.clear();
+    notificationOutboxRepository.clear();
+    delete process.env.WEBHOOK_URL;
+    delete process.env.EMAIL_ENABLED;
+    delete process.env.EMAIL_TO;
+  });
+
+  it("should send to the destinations of the collection's channel that accept the severity", async () => {
+    const pager = { type: 'webhook', url: 'https://pager.example.com/hook', severities: ['critical'] };
+    const chat = { type: 'webhook', url: 'https://chat.example.com/hook' };
+    const desk = { type: 'email', to: ['desk@example.com'], severities: ['warning', 'critical'] };
+    await notificationChannelRepository.save('nft-desk', { destinations: [pager, chat, desk] });
+    await trackedCollectionRepository.setNotificationChannel('col-1', 'nft-desk');
+
+    const result = await dispatch(alert);
+
+    expect(result).toEqual({ channel: 'nft-desk', sent: 2, failed: 0 });
+    expect(webhookNotifier.send).toHaveBeenCalledTimes(1);
+    expect(webhookNotifier.send).toHaveBeenCalledWith(
+      alert,
+      chat,
+      expect.objectContaining({ deliveryId: expect.any(String), maxRetries: 0 })
+    );
+    expect(emailNotifier.send).toHaveBeenCalledWith(alert, desk, expect.any(Object));
+  });
+
+  it('should read legacy rule severities in stored filters as their canonical level', async () => {
+    const pager = { type: 'webhook', url: 'https://pager.example.com/hook', severities: ['high'] };
+    const desk = { type: 'email', to: ['desk@example.com'], severities: ['medium'] };
+    await notificationChannelRepository.save('nft-desk', { destinations: [pager, desk] });
+    await trackedCollectionRepository.setNotificationChannel('col-1', 'nft-desk');
+
+    const result = await dispatch({ ...alert, severity: 'error' });
+
+    expect(result).toEqual({ channel: 'nft-desk', sent: 1, failed: 0 });
+    expect(webhookNotifier.send).toHaveBeenCalledTimes(1);
+    expect(emailNotifier.send).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the stored default channel, then to the environment', async () => {
+    process.env.WEBHOOK_URL = 'https://env.example.com/hook';
+
+    expect(await resolveChannel('col-1')).toMatchObject({
+      name: 'default',
+      source: 'environment',
+      destinations: [{ type: 'webhook', url: 'https://env.example.com/hook' }],
+    });
+
+    await notificationChannelRepository.save('default', {
+      destinations: [{ type: 'email', to: 'ops@example.com' }],
+    });
+    await trackedCollectionRepository.setNotificationChannel('col-1', 'removed-channel');
+
+    expect(await resolveChannel('col-1')).toMatchObject({ name: 'default', source: 'default' });
+
+    await dispatch(alert);
+    expect(emailNotifier.send).toHaveBeenCalledWith(
+      alert,
+      { type: 'email', to: 'ops@example.com' },
+      expect.any(Object)
+    );
+    expect(webhookNotifier.send).not.toHaveBeenCalled();
+  });
+
+  it('should only add email to the environment channel when EMAIL_ENABLED is set', async () => {
+    process.env.EMAIL_TO = 'ops@example.com';
+
+    expect((await resolveChannel('col-1')).destinations).toEqual([]);
+
+    process.env.EMAIL_ENABLED = 'true';
+
+    expect((await resolveChannel('col-1')).destinations).toEqual([
+      { type: 'email', to: 'ops@example.com' },
+    ]);
+  });
+
+  it('should keep delivering when one destination fails', async () => {
+    await notificationChannelRepository.save('default', {
+      destinations: [
+        { type: 'webhook', url: 'https://down.example.com/hook' },
+        { type: 'email', to: 'ops@example.com' },
+      ],
+    });
+    webhookNotifier.send.mockRejectedValueOnce(new Error('HTTP 503'));
+
+    const result = await dispatch(alert);
+
+    expect(result).toEqual({ channel: 'default', sent: 1, failed: 1 });
+    expect(emailNotifier.send).toHaveBeenCalled();
+    expect(await notificationOutboxRepository.findAll({ status: 'pending' })).toEqual([
+      expect.objectContaining({ channel: 'default', attempts: 1, lastError: 'HTTP 503' }),
+    ]);
+  });
+});
@@ -0,0 +1,277 @@
+const {
+  getPaginationConfig,
+  getFirstPageParams,
+  readPage,
+  reachesSince
+} = require('../src/crawler/pagination');
+const Crawler = require('../src/crawler');
+
+function listing(id, timestamp) {
+  return { id, tokenId: `token-${id}`, price: 1, timestamp };
+}
+
+function buildTarget(id, pagination, overrides = {}) {
+  return {
+    id,
+    name: id,
+    baseUrl: 'https://api.example.com',
+    rateLimit: { requestsPerSecond: 10, delayBetweenRequests: 0 },
+    endpoints: {
+      collection: '/collection/{collectionId}',
+      listings: '/collection/{collectionId}/listings',
+      purchases: '/collection/{collectionId}/purchases',
+      snapshot: '/collection/{collectionId}/snapshot'
+    },
+    headers: {},
+    pagination,
+    ...overrides
+  };
+}
+
+/**
+ * Crawler whose requests are answered by `respond(url, params)`; the first page of each
+ * endpoint goes through makeMultipleRequests, the others through makeRequest.
+ */
+function buildCrawler(target, respond) {
+  const crawler = new Crawler({
+    targets: [target],
+    global: { timeout: 1000, retries: 0, retryDelay: 0, concurrency: 1, enableLogging: false }
+  });
+  const answer = async (endpoint, options = {}) =>
+    respond(crawler.requestHandler.buildUrl(target.baseUrl, endpoint), options.params || {});
+
+  crawler.requestHandler.makeRequest = jest.fn((requestTarget, endpoint, options) => answer(endpoint, options));
+  crawler.requestHandler.makeMultipleRequests = jest.fn(requests =>
+    Promise.allSettled(requests.map(request => answer(request.endpoint, request.options)))
+  );
+  return crawler;
+}
+
+describe('Crawler pagination', () => {
+  describe('getPaginationConfig', () => {
+    test('should apply defaults to configured pagination', () => {
+      expect(getPaginationConfig(buildTarget('t', { type: 'page', limit: 50 }))).toMatchObject({
+        type: 'page',
+        pageParam: 'page',
+        startPage: 1,
+        limit: 50,
+        maxPages: 10
+      });
+    });
+
+    test('should return null without a known pagination type', () => {
+      expect(getPaginationConfig(buildTarget('t', null))).toBeNull();
+      expect(getPaginationConfig(buildTarget('t', { type: 'offset' }))).toBeNull();
+    });
+  });
+
+  describe('readPage', () => {
+    test('should read items and the next page number', () => {
+      const pagination = getPaginationConfig(buildTarget('t', { type: 'page', limit: 2 }));
+      const request = { url: 'https://api.example.com/l', params: getFirstPageParams(pagination) };
+
+      expect(request.params).toEqual({ page: 1, limit: 2 });
+      expect(readPage([listing('a'), listing('b')], {}, 'listings', pagination, request)).toEqual({
+        items: [listing('a'), listing('b')],
+        next: { params: { page: 2, limit: 2 } }
+      });
+      expect(readPage([listing('c')], {}, 'listings', pagination, request).next).toBeNull();
+    });
+
+    test('should read cursors and items from configured paths', () => {
+      const pagination = getPaginationConfig(
+        buildTarget('t', { type: 'cursor', itemsPath: 'data.items', cursorPath: 'meta.next' })
+      );
+      const page = readPage(
+        { data: { items: [listing('a')] }, meta: { next: 'abc' } },
+        {},
+        'listings',
+        pagination,
+        { url: 'https://api.example.com/l', params: {} }
+      );
+
+      expect(page).toEqual({ items: [listing('a')], next: { params: { cursor: 'abc' } } });
+    });
+
+    test('should resolve next links against the page URL', () => {
+      const pagination = getPaginationConfig(buildTarget('t', { type: 'link' }));
+      const page = readPage(
+        { items: [listing('a')], next: '/v1/listings?after=a' },
+        {},
+        'listings',
+        pagination,
+        { url: 'https://api.example.com/v1/listings', params: {} }
+      );
+
+      expect(page.next).toEqual({ url: 'https://api.example.com/v1/listings?after=a' });
+    });
+
+    test('should read HTML pages with the target selectors', () => {
+      const target = buildTarget('t', { type: 'link' }, {
+        mode: 'html',
+        selectors: { listings: '.listing-item' },
+        fieldSelectors: { listings: { price: '.price' } }
+      });
+      const html = `
+        <div class="listing-item" data-id="l1"><span class="price">2</span></div>
+        <a rel="next" href="?page=2">Next</a>`;
+      const page = readPage(html, target, 'listings', getPaginationConfig(target), {
+        url: 'https://market.example.com/listings',
+        params: {}
+      });
+
+      expect(page).toEqual({
+        items: [{ id: 'l1', price: '2' }],
+        next: { url: 'https://market.example.com/listings?page=2' }
+      });
+    });
+  });
+
+  describe('reachesSince', () => {
+    test('should find items older than the last crawl', () => {
+      const items = [listing('a', '2024-01-20T14:00:00Z'), listing('b', '2024-01-20T12:00:00Z')];
+
+      expect(reachesSince(items, '2024-01-20T13:00:00Z', 'timestamp')).toBe(true);
+      expect(reachesSince(items, '2024-01-20T11:00:00Z', 'timestamp')).toBe(false);
+      expect(reachesSince(items, null, 'timestamp')).toBe(false);
+    });
+  });
+
+  describe('runTarget', () => {
+    test('should fetch every page of listings and purchases', async () => {
+      const target = buildTarget('paged', { type: 'page', limit: 2 });
+      const crawler = buildCrawler(target, (url, params) => {
+        if (url.endsWith('/listings')) {
+          return [[listing('l1'), listing('l2')], [listing('l3'), listing('l4')], [listing('l5')]][params.page - 1];
+        }
+        if (url.endsWith('/purchases')) {
+          return params.page === 1 ? [listing('p1'), listing('p2')] : [];
+        }
+        return { id: 'paged' };
+      });
+
+      const result = await crawler.runTarget(target, { since: null });
+
+      expect(result.errors).toEqual([]);
+      expect(result.payload.listingEvents.map(event => event.eventId)).toEqual(['l1', 'l2', 'l3', 'l4', 'l5']);
+      expect(result.payload.purchaseEvents).toHaveLength(2);
+      expect(result.pagination).toEqual({
+        listings: { pages: 3, stoppedBy: 'end' },
+        purchases: { pages: 2, stoppedBy: 'end' }
+      });
+      expect(crawler.getMetrics().totalRequests).toBe(7);
+    });
+
+    test('should follow cursors until there are none', async () => {
+      const target = buildTarget('cursor', { type: 'cursor', limit: 1 });
+      const pages = {
+        '': { items: [listing('l1')], nextCursor: 'c2' },
+        c2: { items: [listing('l2')], nextCursor: 'c3' },
+        c3: { items: [listing('l3')], nextCursor: null }
+      };
+      const crawler = buildCrawler(target, (url, params) =>
+        url.endsWith('/listings') ? pages[params.cursor || ''] : url.endsWith('/purchases') ? [] : {}
+      );
+
+      const result = await crawler.runTarget(target, { since: null });
+
+      expect(result.payload.listingEvents).toHaveLength(3);
+      expect(crawler.requestHandler.makeRequest).toHaveBeenCalledWith(
+        target,
+        'https://api.example.com/collection/cursor/listings',
+        { params: { limit: 1, cursor: 'c3' } }
+      );
+    });
+
+    test('should stop at the page cap', async () => {
+      const target = buildTarget('capped', { type: 'page', maxPages: 2 });
+      const crawler = buildCrawler(target, (url, params) =>
+        url.endsWith('/listings') ? [listing(`l${params.page}`)] : []
+      );
+
+      const result = await crawler.runTarget(target, { since: null });
+
+      expect(result.payload.listingEvents).toHaveLength(2);
+      expect(result.pagination.listings).toEqual({ pages: 2, stoppedBy: 'maxPages' });
+    });
+
+    test('should stop once a page reaches events older than since', async () => {
+      const target = buildTarget('since', { type: 'page' });
+      const crawler = buildCrawler(target, (url, params) => {
+        if (!url.endsWith('/listings')) return [];
+        return [
+          [listing('l1', '2024-01-20T14:00:00Z'), listing('l2', '2024-01-20T13:30:00Z')],
+          [listing('l3', '2024-01-20T13:10:00Z'), listing('l4', '2024-01-20T12:50:00Z')],
+          [listing('l5', '2024-01-20T12:00:00Z')]
+        ][params.page - 1];
+      });
+
+      const result = await crawler.runTarget(target, { since: '2024-01-20T13:00:00Z' });
+
+      expect(result.pagination.listings).toEqual({ pages: 2, stoppedBy: 'since' });
+      expect(result.payload.listingEvents).toHaveLength(4);
+    });
+
+    test('should stop at events the previous crawl has seen', async () => {
+      const target = buildTarget('repeat', { type: 'page', limit: 2 });
+      const listings = [
+        listing('l3', '2024-01-20T13:00:00Z'),
+        listing('l2', '2024-01-20T12:00:00Z'),
+        listing('l1', '2024-01-20T11:00:00Z')
+      ];
+      const crawler = buildCrawler(target, (url, params) =>
+        url.endsWith('/listings') ? listings.slice((params.page - 1) * 2, params.page * 2) : []
+      );
+
+      const first = await crawler.runTarget(target);
+      expect(first.pagination.listings).toEqual({ pages: 2, stoppedBy: 'end' });
+      await crawler.saveCheckpoints(first.checkpoints);
+
+      listings.unshift(listing('l5', '2024-01-20T15:00:00Z'), listing('l4', '2024-01-20T14:00:00Z'));
+      const second = await crawler.runTarget(target);
+
+      expect(second.pagination.listings).toEqual({ pages: 2, stoppedBy: 'since' });
+      expect(second.payload.listingEvents.map(event => event.eventId)).toEqual(['l5', 'l4']);
+    });
+
+    test('should keep the items fetched before a failing page', async () => {
+      const target = buildTarget('failing', { type: 'page' });
+      const crawler = buildCrawler(target, (url, params) => {
+        if (!url.endsWith('/listings')) return [];
+        if (params.page === 2) throw new Error('HTTP 500');
+        return [listing(`l${params.page}`)];
+      });
+
+      const result = await crawler.runTarget(target, { since: null });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(['Listings page 2 request failed: HTTP 500']);
+      expect(result.payload.listingEvents).toHaveLength(1);
+      expect(result.pagination.listings).toEqual({ pages: 1, stoppedBy: 'error' });
+    });
+
+    test('should not revisit a next link it already fetched', async () => {
+      const target = buildTarget('loop', { type: 'link' });
+      const crawler = buildCrawler(target, url =>
+        url.includes('/listings')
+          ? { items: [listing('l1')], next: '/collection/loop/listings' }
+          : []
+      );
+
+      const result = await crawler.runTarget(target, { since: null });
+
+      expect(result.pagination.listings).toEqual({ pages: 1, stoppedBy: 'end' });
+    });
+
+    test('should request targets without pagination once', async () => {
+      const target = buildTarget('single', null);
+      const crawler = buildCrawler(target, url => (url.endsWith('/listings') ? [listing('l1')] : []));
+
+      const result = await crawler.runTarget(target);
+
+      expect(result.pagination).toBeNull();
+      expect(crawler.requestHandler.makeRequest).not.toHaveBeenCalled();
+      expect(crawler.requestHandler.makeMultipleRequests.mock.calls[0][0][1].options).toBeUndefined();
+    });
+  });
+});
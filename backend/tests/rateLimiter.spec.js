@@ -0,0 +1,189 @@
+const axios = require('axios');
+const { TokenBucket, RateLimiter, parseRetryAfter } = require('../src/crawler/rateLimiter');
+const RequestHandler = require('../src/crawler/request');
+
+jest.mock('axios');
+
+const target = {
+  id: 'market',
+  baseUrl: 'https://api.example.com',
+  rateLimit: { requestsPerSecond: 2, delayBetweenRequests: 0 },
+  headers: {}
+};
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, statusText: 'Error', headers };
+  return error;
+}
+
+/**
+ * Request handler on a fake clock: `sleep` moves the clock instead of waiting
+ */
+function buildHandler(global = {}) {
+  const handler = new RequestHandler({
+    global: { timeout: 1000, retries: 2, retryDelay: 100, concurrency: 2, enableLogging: false, ...global }
+  });
+  const clock = { now: 0, sleeps: [] };
+
+  handler.sleep = jest.fn(async ms => {
+    clock.sleeps.push(ms);
+    clock.now += ms;
+  });
+  handler.rateLimiter.now = () => clock.now;
+  return { handler, clock };
+}
+
+describe('Crawler rate limiting', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should read seconds and HTTP dates', () => {
+      const now = Date.parse('2024-01-20T14:00:00Z');
+
+      expect(parseRetryAfter('5')).toBe(5000);
+      expect(parseRetryAfter('Sat, 20 Jan 2024 14:00:30 GMT', now)).toBe(30000);
+      expect(parseRetryAfter('Sat, 20 Jan 2024 13:00:00 GMT', now)).toBe(0);
+    });
+
+    test('should return null without a readable value', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('TokenBucket', () => {
+    test('should space queued requests at the configured rate', () => {
+      const bucket = new TokenBucket({ requestsPerSecond: 2 }, 0);
+
+      expect([bucket.reserve(0), bucket.reserve(0), bucket.reserve(0)]).toEqual([0, 500, 1000]);
+      expect(bucket.reserve(2000)).toBe(0);
+    });
+
+    test('should allow bursts and cap the rate at delayBetweenRequests', () => {
+      const burst = new TokenBucket({ requestsPerSecond: 10, burst: 3 }, 0);
+      expect([burst.reserve(0), burst.reserve(0), burst.reserve(0), burst.reserve(0)]).toEqual([0, 0, 0, 100]);
+
+      const delayed = new TokenBucket({ requestsPerSecond: 10, delayBetweenRequests: 250 }, 0);
+      expect([delayed.reserve(0), delayed.reserve(0)]).toEqual([0, 250]);
+    });
+
+    test('should slow down when throttled and recover on success', () => {
+      const bucket = new TokenBucket({ requestsPerSecond: 4, minRequestsPerSecond: 1.5 }, 0);
+
+      bucket.throttle(0);
+      expect(bucket.rate).toBe(2);
+      bucket.throttle(0);
+      expect(bucket.rate).toBe(1.5);
+
+      bucket.recover(0);
+      expect(bucket.rate).toBeCloseTo(1.9);
+      expect(bucket.getState(0)).toMatchObject({ configuredRequestsPerSecond: 4, throttled: true });
+    });
+
+    test('should hold every request until Retry-After has passed', () => {
+      const bucket = new TokenBucket({ requestsPerSecond: 2 }, 0);
+      bucket.reserve(0);
+
+      bucket.throttle(0, 3000);
+
+      expect(bucket.reserve(1000)).toBe(2000);
+      expect(bucket.reserve(1000)).toBe(3000);
+      expect(bucket.getState(1000).pausedUntil).toBe(new Date(3000).toISOString());
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('should queue concurrent requests for a target instead of sending them together', async () => {
+      const waits = [];
+      const limiter = new RateLimiter({ now: () => 0, sleep: async ms => { waits.push(ms); } });
+
+      await Promise.all([1, 2, 3].map(() => limiter.acquire(target)));
+
+      expect(waits).toEqual([500, 1000]);
+    });
+
+    test('should queue waiting requests again when the target pauses them', async () => {
+      const clock = { now: 0 };
+      let pause = true;
+      const limiter = new RateLimiter({
+        now: () => clock.now,
+        sleep: async ms => {
+          if (pause) {
+            pause = false;
+            limiter.throttle(target, 2000);
+          }
+          clock.now += ms;
+        }
+      });
+
+      await limiter.acquire(target);
+      await limiter.acquire(target);
+
+      expect(clock.now).toBe(2000);
+    });
+  });
+
+  describe('RequestHandler', () => {
+    test('should wait for the rate limit before each request', async () => {
+      const { handler, clock } = buildHandler();
+      axios.get.mockResolvedValue({ data: { ok: true } });
+
+      await Promise.all([handler.makeRequest(target, '/a'), handler.makeRequest(target, '/b')]);
+
+      expect(clock.sleeps).toEqual([500]);
+      expect(handler.getStats().requestCounts).toEqual({ market: 2 });
+    });
+
+    test('should not retry client errors other than 408, 425 and 429', async () => {
+      const { handler } = buildHandler();
+      axios.get.mockRejectedValue(httpError(404));
+
+      await expect(handler.makeRequest(target, '/missing')).rejects.toMatchObject({
+        message: 'HTTP 404 for https://api.example.com/missing: Error',
+        status: 404,
+        retryable: false
+      });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry server errors with backoff', async () => {
+      const { handler, clock } = buildHandler();
+      axios.get
+        .mockRejectedValueOnce(httpError(500))
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: 'ok' });
+
+      await expect(handler.makeRequest(target, '/flaky')).resolves.toBe('ok');
+      // Backoff after each failure, then the wait for the next token at two requests per second
+      expect(clock.sleeps).toEqual([100, 400, 200, 300]);
+    });
+
+    test('should wait for Retry-After on 429 and slow the target down', async () => {
+      const { handler, clock } = buildHandler();
+      axios.get
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '3' }))
+        .mockResolvedValueOnce({ data: 'ok' });
+
+      await expect(handler.makeRequest(target, '/busy')).resolves.toBe('ok');
+
+      expect(clock.sleeps[0]).toBe(3000);
+      expect(clock.now).toBe(3000);
+      expect(handler.getStats().rateLimits.market).toMatchObject({
+        requestsPerSecond: 1.2,
+        configuredRequestsPerSecond: 2,
+        throttled: true
+      });
+    });
+
+    test('should give up when Retry-After is longer than maxRetryAfterMs', async () => {
+      const { handler } = buildHandler({ maxRetryAfterMs: 1000 });
+      axios.get.mockRejectedValue(httpError(503, { 'retry-after': '120' }));
+
+      await expect(handler.makeRequest(target, '/down')).rejects.toMatchObject({ status: 503, retryAfterMs: 120000 });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+});
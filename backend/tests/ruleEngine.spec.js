@@ -0,0 +1,94 @@
+const {
+  compileCondition,
+  validateMessageTemplate,
+  renderMessage,
+  resolveMetric,
+} = require('../src/services/ruleEngine');
+
+describe('ruleEngine', () => {
+  const metrics = {
+    '1h': { medianPrice: 70, buyCount: 2, sellCount: 0 },
+    '24h': {
+      buyCount: 10,
+      sellCount: 3,
+      priceChange24h: 4.5,
+      listingMetrics: { averagePrice: 95.456 },
+    },
+    '72h': { averagePrice: 100 },
+  };
+
+  describe('compileCondition', () => {
+    it('should compare metrics across windows', () => {
+      const condition = compileCondition('1h.medianPrice < 0.8 * 72h.averagePrice');
+
+      expect(condition.evaluate(metrics)).toBe(true);
+      expect(condition.references).toEqual(['1h.medianPrice', '72h.averagePrice']);
+    });
+
+    it('should support arithmetic, logic keywords and parentheses', () => {
+      expect(compileCondition('24h.buyCount > 3 * 24h.sellCount').evaluate(metrics)).toBe(true);
+      expect(
+        compileCondition('24h.buyCount > 3 * 24h.sellCount and not (1h.medianPrice >= 80)').evaluate(
+          metrics
+        )
+      ).toBe(true);
+      expect(
+        compileCondition('24h.listingMetrics.averagePrice > 100 || -24h.priceChange24h < -4').evaluate(
+          metrics
+        )
+      ).toBe(true);
+      expect(compileCondition('(24h.buyCount - 24h.sellCount) / 24h.buyCount >= 0.7').evaluate(metrics)).toBe(
+        true
+      );
+    });
+
+    it('should not fire when a referenced metric is missing or divides by zero', () => {
+      expect(compileCondition('6h.averagePrice < 1000').evaluate(metrics)).toBe(false);
+      expect(compileCondition('1h.buyCount / 1h.sellCount > 1').evaluate(metrics)).toBe(false);
+      expect(compileCondition('not (6h.averagePrice < 1000)').evaluate(metrics)).toBe(true);
+    });
+
+    it.each([
+      ['', 'Condition is required'],
+      ['1h.floorPrice > 1', 'Unknown metric "floorPrice"'],
+      ['2h.averagePrice > 1', 'Unknown window "2h"'],
+      ['1h.priceChange24h > 1', 'Unknown metric "priceChange24h"'],
+      ['1h.averagePrice', 'Condition must be a comparison'],
+      ['1h.averagePrice > 1 and 2', 'expects boolean operands'],
+      ['(1h.averagePrice > 1', 'Missing closing parenthesis'],
+      ['1h.averagePrice > 1 > 2', 'Unexpected ">"'],
+      ['price > 1', 'Unexpected input'],
+    ])('should reject "%s"', (expression, message) => {
+      expect(() => compileCondition(expression)).toThrow(message);
+
+      try {
+        compileCondition(expression);
+      } catch (error) {
+        expect(error.name).toBe('ValidationError');
+      }
+    });
+  });
+
+  describe('message templates', () => {
+    it('should render metric values and rule context', () => {
+      const message = renderMessage(
+        '{{ruleName}}: {{collectionId}} 1h median {{1h.medianPrice}} vs {{24h.listingMetrics.averagePrice}} ({{6h.averagePrice}})',
+        { ruleName: 'Median dip', collectionId: 'col-1', metrics }
+      );
+
+      expect(message).toBe('Median dip: col-1 1h median 70 vs 95.46 (n/a)');
+    });
+
+    it('should reject unknown placeholders', () => {
+      expect(() => validateMessageTemplate('{{1h.medianPrice}} on {{collectionId}}')).not.toThrow();
+      expect(() => validateMessageTemplate('{{floorPrice}}')).toThrow('Unknown placeholder');
+      expect(() => validateMessageTemplate('{{1h.floorPrice}}')).toThrow('Unknown metric');
+    });
+  });
+
+  it('should resolve nested metrics and ignore non-numeric values', () => {
+    expect(resolveMetric(metrics, '24h.listingMetrics.averagePrice')).toBe(95.456);
+    expect(resolveMetric({ '1h': { averagePrice: 'n/a' } }, '1h.averagePrice')).toBeNull();
+    expect(resolveMetric(undefined, '1h.averagePrice')).toBeNull();
+  });
+});
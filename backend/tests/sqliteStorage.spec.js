@@ -0,0 +1,600 @@
+process.env.SQLITE_FILENAME = ':memory:';
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { closeDatabase } = require('../src/lib/sqlite');
+const dataStore = require('../src/repositories/sqlite/dataStore');
+const { alertsRepository } = require('../src/repositories/sqlite/alertsRepository');
+const { analyticsRepository } = require('../src/repositories/sqlite/analyticsRepository');
+const collectionRepository = require('../src/repositories/sqlite/collectionRepository');
+const { alertRuleRepository } = require('../src/repositories/sqlite/alertRuleRepository');
+const { alertCooldownRepository } = require('../src/repositories/sqlite/alertCooldownRepository');
+const {
+  notificationChannelRepository,
+} = require('../src/repositories/sqlite/notificationChannelRepository');
+const {
+  notificationOutboxRepository,
+} = require('../src/repositories/sqlite/notificationOutboxRepository');
+const {
+  suppressionWindowRepository,
+} = require('../src/repositories/sqlite/suppressionWindowRepository');
+const {
+  trackedCollectionRepository,
+} = require('../src/repositories/sqlite/trackedCollectionRepository');
+const {
+  crawlCheckpointRepository,
+} = require('../src/repositories/sqlite/crawlCheckpointRepository');
+
+describe('SQLite storage driver', () => {
+  afterAll(() => {
+    closeDatabase();
+  });
+
+  describe('dataStore', () => {
+    beforeEach(async () => {
+      await dataStore.clear();
+    });
+
+    it('should upsert events by source id and return them in time order', async () => {
+      await dataStore.addListingEvent('col-1', {
+        id: 'l-2',
+        price: 120,
+        timestamp: '2024-01-15T11:00:00.000Z',
+      });
+      await dataStore.addListingEvent('col-1', {
+        id: 'l-1',
+        price: 100,
+        type: 'sell',
+        timestamp: '2024-01-15T10:00:00.000Z',
+      });
+      await dataStore.addListingEvent('col-1', {
+        id: 'l-2',
+        price: 125,
+        timestamp: '2024-01-15T11:00:00.000Z',
+      });
+
+      const events = await dataStore.getListingEvents('col-1');
+
+      expect(events.map((e) => [e.id, e.price, e.type])).toEqual([
+        ['l-1', 100, 'sell'],
+        ['l-2', 125, 'listing'],
+      ]);
+    });
+
+    it('should delete old rows in batches', async () => {
+      for (let hour = 0; hour < 3; hour += 1) {
+        await dataStore.addMarketSnapshot('col-1', {
+          floorPrice: 10 + hour,
+          timestamp: new Date(Date.UTC(2024, 0, 15, hour)).toISOString(),
+        });
+      }
+
+      const deleted = await dataStore.deleteMarketSnapshotsOlderThan('2024-01-15T02:00:00.000Z', 1);
+
+      expect(deleted).toBe(1);
+      expect(await dataStore.getMarketSnapshots('col-1')).toHaveLength(2);
+      expect(await dataStore.getAllCollections()).toEqual(['col-1']);
+    });
+  });
+
+  describe('alertsRepository', () => {
+    const baseAlert = {
+      collectionId: 'col-1',
+      type: 'price_drop',
+      severity: 'error',
+      message: 'Price dropped',
+      triggeredAt: '2024-01-20T14:00:00.000Z',
+      priceChange: -12,
+    };
+
+    beforeEach(async () => {
+      await alertsRepository.clear();
+    });
+
+    it('should return the existing alert for a duplicate condition', async () => {
+      const first = await alertsRepository.create(baseAlert);
+      const second = await alertsRepository.create(baseAlert);
+
+      expect(second.id).toBe(first.id);
+      expect([first.created, second.created]).toEqual([true, false]);
+      expect(first.priceChange).toBe(-12);
+      expect(await alertsRepository.findAll()).toHaveLength(1);
+    });
+
+    it('should page, sort by severity and summarize', async () => {
+      await alertsRepository.create(baseAlert);
+      await alertsRepository.create({
+        ...baseAlert,
+        severity: 'critical',
+        triggeredAt: '2024-01-20T15:00:00.000Z',
+      });
+      await alertsRepository.create({
+        ...baseAlert,
+        type: 'volume_spike',
+        severity: 'info',
+        triggeredAt: '2024-01-20T16:00:00.000Z',
+      });
+
+      const page = await alertsRepository.findPaginated(
+        {},
+        { sortBy: 'severity', sortOrder: 'desc', limit: 2 }
+      );
+      const summary = await alertsRepository.getSummary({ type: 'price_drop' });
+
+      expect(page.total).toBe(3);
+      expect(page.alerts.map((a) => a.severity)).toEqual(['critical', 'error']);
+      expect(summary.bySeverity).toEqual({ critical: 1, error: 1 });
+    });
+
+    it('should resolve alerts and merge extra fields into the payload', async () => {
+      const alert = await alertsRepository.create(baseAlert);
+
+      const updated = await alertsRepository.update(alert.id, { resolved: true, note: 'handled' });
+
+      expect(updated.resolved).toBe(true);
+      expect(updated.resolvedAt).toBeTruthy();
+      expect(updated.note).toBe('handled');
+      expect(updated.priceChange).toBe(-12);
+    });
+
+    it('should record who resolved an alert and drop it when reopened', async () => {
+      const alert = await alertsRepository.create(baseAlert);
+
+      const resolved = await alertsRepository.markAsResolved(alert.id, 'auto');
+      expect(resolved.resolvedBy).toBe('auto');
+
+      const reopened = await alertsRepository.update(alert.id, { resolved: false, resolvedBy: null });
+      expect(reopened.resolved).toBe(false);
+      expect(reopened.resolvedAt).toBeNull();
+      expect(reopened.resolvedBy).toBeUndefined();
+    });
+
+    it('should store triage state in its own columns and filter by it', async () => {
+      const alert = await alertsRepository.create(baseAlert);
+      const other = await alertsRepository.create({
+        ...baseAlert,
+        triggeredAt: '2024-01-01T01:00:00.000Z',
+      });
+
+      const triaged = await alertsRepository.update(alert.id, {
+        acknowledged: true,
+        acknowledgedBy: 'alice',
+        assignedTo: 'bob',
+        snoozedUntil: new Date('2024-01-02T00:00:00.000Z'),
+        note: 'Checking',
+      });
+      expect(triaged).toMatchObject({
+        acknowledged: true,
+        acknowledgedBy: 'alice',
+        assignedTo: 'bob',
+        snoozedUntil: '2024-01-02T00:00:00.000Z',
+        note: 'Checking',
+      });
+      expect(triaged.acknowledgedAt).toEqual(expect.any(String));
+
+      const now = '2024-01-01T12:00:00.000Z';
+      const ids = async (filters) =>
+        (await alertsRepository.findAll(filters)).map((found) => found.id);
+      expect(await ids({ acknowledged: true })).toEqual([alert.id]);
+      expect(await ids({ assigned: false })).toEqual([other.id]);
+      expect(await ids({ snoozed: true, now })).toEqual([alert.id]);
+      expect(await ids({ snoozed: false, now: '2024-01-03T00:00:00.000Z' })).toHaveLength(2);
+
+      const cleared = await alertsRepository.update(alert.id, {
+        acknowledged: false,
+        acknowledgedBy: null,
+        snoozedUntil: null,
+      });
+      expect(cleared).toMatchObject({
+        acknowledged: false,
+        acknowledgedAt: null,
+        snoozedUntil: null,
+      });
+    });
+  });
+
+  describe('analyticsRepository', () => {
+    beforeEach(async () => {
+      await analyticsRepository.clear();
+    });
+
+    it('should keep a daily history and expose the latest point', async () => {
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 100, listingMetrics: { tradeVolume: 4 } },
+        { timestamp: '2024-01-14T10:00:00.000Z' }
+      );
+      await analyticsRepository.upsertMetrics(
+        'col-1',
+        '24h',
+        { averagePrice: 110, listingMetrics: { tradeVolume: 6 } },
+        { timestamp: '2024-01-15T10:00:00.000Z' }
+      );
+
+      const latest = await analyticsRepository.findMetrics({ collectionId: 'col-1' });
+      const series = await analyticsRepository.getMetricSeries(
+        'col-1',
+        '24h',
+        'listingMetrics.tradeVolume'
+      );
+
+      expect(latest).toHaveLength(1);
+      expect(latest[0]).toMatchObject({
+        metricDate: '2024-01-15',
+        averagePrice: 110,
+        listingMetrics: { tradeVolume: 6 },
+      });
+      expect(series.map((point) => point.value)).toEqual([4, 6]);
+      expect(await analyticsRepository.getMetricsCount()).toBe(2);
+    });
+  });
+
+  describe('collectionRepository', () => {
+    it('should keep the stored name when metadata omits it', async () => {
+      await collectionRepository.upsertCollection('col-9', { name: 'Collection Nine' });
+      await collectionRepository.upsertCollection('col-9', { source: 'crawler' });
+
+      const collection = await collectionRepository.getCollection('col-9');
+
+      expect(collection).toMatchObject({ id: 'col-9', name: 'Collection Nine', source: 'crawler' });
+      expect(collection.updatedAt).toBeTruthy();
+    });
+  });
+
+  describe('trackedCollectionRepository', () => {
+    it('should read the seeded thresholds', async () => {
+      const demo = await trackedCollectionRepository.getTrackedCollection('demo-collection');
+
+      expect(demo).toMatchObject({
+        displayName: 'Demo Collection',
+        isEnabled: true,
+        alertThresholds: { price_drop_percent: 10, volume_spike_percent: 50 },
+        notificationChannel: 'default',
+      });
+    });
+
+    it('should start tracking a collection when thresholds are set', async () => {
+      await trackedCollectionRepository.setAlertThresholds('col-new', { price_drop_percent: 25 });
+      await trackedCollectionRepository.setAlertThresholds('col-new', { volume_spike_percent: 80 });
+
+      const tracked = await trackedCollectionRepository.getTrackedCollection('col-new');
+
+      expect(tracked).toMatchObject({
+        collectionId: 'col-new',
+        displayName: 'col-new',
+        alertThresholds: { volume_spike_percent: 80 },
+      });
+      expect(await collectionRepository.getCollection('col-new')).not.toBeNull();
+    });
+  });
+
+  describe('alertRuleRepository', () => {
+    beforeEach(async () => {
+      await alertRuleRepository.clear();
+    });
+
+    it('should create, filter, update and delete rules', async () => {
+      const global = await alertRuleRepository.create({
+        name: 'Median dip',
+        condition: '1h.medianPrice < 0.8 * 72h.averagePrice',
+        severity: 'error',
+        message: 'Median dip',
+      });
+      await alertRuleRepository.create({
+        name: 'Buy pressure',
+        collectionId: 'col-rules',
+        condition: '24h.buyCount > 3 * 24h.sellCount',
+        severity: 'warning',
+        message: 'Buy pressure',
+        cooldownMinutes: 15,
+        enabled: false,
+      });
+
+      expect(global).toMatchObject({ collectionId: null, cooldownMinutes: null, enabled: true });
+      expect((await alertRuleRepository.findAll({ enabled: true })).map((r) => r.name)).toEqual([
+        'Median dip',
+      ]);
+      expect(await alertRuleRepository.findAll({ collectionId: 'col-rules' })).toEqual([
+        expect.objectContaining({ name: 'Buy pressure', cooldownMinutes: 15, enabled: false }),
+      ]);
+
+      const updated = await alertRuleRepository.update(global.id, { severity: 'critical', enabled: false });
+      expect(updated).toMatchObject({ severity: 'critical', enabled: false, name: 'Median dip' });
+      expect(await alertRuleRepository.update('999', { enabled: true })).toBeNull();
+
+      expect(await alertRuleRepository.delete(global.id)).toBe(true);
+      expect(await alertRuleRepository.delete(global.id)).toBe(false);
+      expect(await alertRuleRepository.findAll()).toHaveLength(1);
+    });
+  });
+
+  describe('alertCooldownRepository', () => {
+    beforeEach(async () => {
+      await alertCooldownRepository.clear();
+    });
+
+    it('should claim a trigger only once per cooldown window', async () => {
+      const hour = 60 * 60 * 1000;
+      const start = new Date('2024-01-15T10:00:00.000Z');
+
+      expect(await alertCooldownRepository.claim('col-1', 'price_drop', hour, start)).toBe(true);
+      expect(
+        await alertCooldownRepository.claim('col-1', 'price_drop', hour, new Date(start.getTime() + hour / 2))
+      ).toBe(false);
+      expect(await alertCooldownRepository.claim('col-1', 'rule:7', hour, start)).toBe(true);
+      expect(
+        await alertCooldownRepository.claim('col-1', 'price_drop', hour, new Date(start.getTime() + hour))
+      ).toBe(true);
+
+      expect(await alertCooldownRepository.findAll({ collectionId: 'col-1' })).toEqual([
+        { collectionId: 'col-1', alertType: 'price_drop', lastTriggeredAt: '2024-01-15T11:00:00.000Z' },
+        { collectionId: 'col-1', alertType: 'rule:7', lastTriggeredAt: '2024-01-15T10:00:00.000Z' },
+      ]);
+    });
+
+    it('should delete cooldowns per collection or alert type', async () => {
+      await alertCooldownRepository.claim('col-1', 'price_drop', 0);
+      await alertCooldownRepository.claim('col-1', 'volume_spike', 0);
+      await alertCooldownRepository.claim('col-2', 'price_drop', 0);
+
+      expect(await alertCooldownRepository.delete('col-1', 'price_drop')).toBe(1);
+      expect(await alertCooldownRepository.delete('col-1')).toBe(1);
+      expect((await alertCooldownRepository.findAll()).map((c) => c.collectionId)).toEqual(['col-2']);
+    });
+  });
+
+  describe('notificationChannelRepository', () => {
+    beforeEach(async () => {
+      await notificationChannelRepository.clear();
+    });
+
+    it('should save, replace and delete channels', async () => {
+      const destinations = [
+        { type: 'webhook', url: 'https://hooks.example.com/desk', severities: ['critical'] },
+      ];
+
+      const created = await notificationChannelRepository.save('desk', {
+        description: 'NFT desk',
+        destinations,
+      });
+      expect(created).toMatchObject({ name: 'desk', description: 'NFT desk', destinations });
+
+      await notificationChannelRepository.save('desk', {
+        destinations: [{ type: 'email', to: 'ops@example.com' }],
+      });
+      expect(await notificationChannelRepository.findAll()).toEqual([
+        expect.objectContaining({
+          description: null,
+          destinations: [{ type: 'email', to: 'ops@example.com' }],
+        }),
+      ]);
+
+      expect(await notificationChannelRepository.delete('desk')).toBe(true);
+      expect(await notificationChannelRepository.findByName('desk')).toBeNull();
+    });
+
+    it("should set a collection's channel without touching its thresholds", async () => {
+      await trackedCollectionRepository.setAlertThresholds('col-channel', { price_drop_percent: 20 });
+
+      const tracked = await trackedCollectionRepository.setNotificationChannel('col-channel', 'desk');
+
+      expect(tracked).toMatchObject({
+        notificationChannel: 'desk',
+        alertThresholds: { price_drop_percent: 20 },
+      });
+    });
+  });
+
+  describe('notificationOutboxRepository', () => {
+    const now = new Date('2024-01-15T10:00:00.000Z');
+    const queue = (overrides = {}) =>
+      notificationOutboxRepository.create({
+        deliveryId: `delivery-${Math.random()}`,
+        alertId: '1',
+        collectionId: 'col-outbox',
+        alertType: 'price_drop',
+        channel: 'default',
+        destination: { type: 'webhook', url: 'https://hooks.example.com/a' },
+        alert: { id: '1', collectionId: 'col-outbox', type: 'price_drop' },
+        maxAttempts: 2,
+        nextAttemptAt: now,
+        ...overrides,
+      });
+
+    beforeEach(async () => {
+      await notificationOutboxRepository.clear();
+    });
+
+    it('should claim due entries once and record failures until they are dead', async () => {
+      const entry = await queue();
+      await queue({ nextAttemptAt: new Date(now.getTime() + 60000) });
+      const leaseUntil = new Date(now.getTime() + 120000);
+
+      const claimed = await notificationOutboxRepository.claimDue(now, leaseUntil, 10);
+      expect(claimed).toEqual([
+        expect.objectContaining({
+          id: entry.id,
+          status: 'delivering',
+          attempts: 1,
+          destination: { type: 'webhook', url: 'https://hooks.example.com/a' },
+        }),
+      ]);
+      expect(await notificationOutboxRepository.claimDue(now, leaseUntil, 10)).toEqual([]);
+
+      await notificationOutboxRepository.markFailed(entry.id, {
+        error: 'HTTP 500',
+        nextAttemptAt: now,
+      });
+      await notificationOutboxRepository.claimDue(now, leaseUntil, 1);
+      const dead = await notificationOutboxRepository.markFailed(entry.id, {
+        error: 'HTTP 500',
+        nextAttemptAt: null,
+      });
+
+      expect(dead).toMatchObject({ status: 'dead', attempts: 2, lastError: 'HTTP 500' });
+      expect(await notificationOutboxRepository.countByStatus()).toEqual({
+        pending: 1,
+        delivering: 0,
+        delivered: 0,
+        dead: 1,
+      });
+    });
+
+    it('should requeue dead letters and prune delivered entries', async () => {
+      const entry = await queue();
+      await notificationOutboxRepository.markFailed(entry.id, { error: 'gone', nextAttemptAt: null });
+
+      const requeued = await notificationOutboxRepository.requeue(entry.id, now);
+      expect(requeued).toMatchObject({ status: 'pending', attempts: 0 });
+      expect(await notificationOutboxRepository.requeue(entry.id, now)).toBeNull();
+
+      await notificationOutboxRepository.markDelivered(entry.id, now);
+      expect(
+        await notificationOutboxRepository.deleteDelivered(new Date(now.getTime() + 1))
+      ).toBe(1);
+      expect(await notificationOutboxRepository.findAll()).toEqual([]);
+    });
+  });
+
+  describe('suppressionWindowRepository', () => {
+    beforeEach(async () => {
+      await suppressionWindowRepository.clear();
+    });
+
+    it('should store windows and find the ones that apply to a collection', async () => {
+      const at = new Date('2024-01-01T12:00:00.000Z');
+      const maintenance = await suppressionWindowRepository.create({
+        name: 'Maintenance',
+        kind: 'maintenance',
+        collectionId: 'col-1',
+        startsAt: new Date('2024-01-01T10:00:00.000Z'),
+        endsAt: new Date('2024-01-01T14:00:00.000Z'),
+        alertTypes: ['listing_depletion'],
+      });
+      const quietHours = await suppressionWindowRepository.create({
+        name: 'Night',
+        kind: 'quiet_hours',
+        action: 'defer',
+        startTime: '22:00',
+        endTime: '07:00',
+        timezone: 'Europe/Berlin',
+        daysOfWeek: [1, 2, 3],
+      });
+      await suppressionWindowRepository.create({
+        name: 'Ended',
+        kind: 'maintenance',
+        startsAt: new Date('2024-01-01T08:00:00.000Z'),
+        endsAt: new Date('2024-01-01T12:00:00.000Z'),
+      });
+
+      expect(maintenance).toMatchObject({
+        action: 'suppress',
+        startsAt: '2024-01-01T10:00:00.000Z',
+        alertTypes: ['listing_depletion'],
+        severities: null,
+        startTime: null,
+      });
+      expect(quietHours).toMatchObject({ collectionId: null, daysOfWeek: [1, 2, 3] });
+
+      const forCol1 = await suppressionWindowRepository.findApplicable('col-1', at);
+      const forCol2 = await suppressionWindowRepository.findApplicable('col-2', at);
+      expect(forCol1.map((window) => window.name).sort()).toEqual(['Maintenance', 'Night']);
+      expect(forCol2.map((window) => window.name)).toEqual(['Night']);
+      expect(await suppressionWindowRepository.findAll({ kind: 'maintenance' })).toHaveLength(2);
+    });
+
+    it('should update and delete windows', async () => {
+      const window = await suppressionWindowRepository.create({
+        name: 'Night',
+        kind: 'quiet_hours',
+        startTime: '22:00',
+        endTime: '07:00',
+      });
+
+      const updated = await suppressionWindowRepository.update(window.id, {
+        severities: ['info'],
+        timezone: 'UTC',
+      });
+      expect(updated).toMatchObject({ name: 'Night', severities: ['info'], timezone: 'UTC' });
+
+      expect(await suppressionWindowRepository.delete(window.id)).toBe(true);
+      expect(await suppressionWindowRepository.findById(window.id)).toBeNull();
+      expect(await suppressionWindowRepository.update(window.id, { name: 'x' })).toBeNull();
+    });
+  });
+
+  describe('crawlCheckpointRepository', () => {
+    beforeEach(async () => {
+      await crawlCheckpointRepository.clear();
+    });
+
+    it('should save, replace and find checkpoints', async () => {
+      const saved = await crawlCheckpointRepository.save({
+        targetId: 'market',
+        collectionId: 'col-1',
+        stream: 'listings',
+        lastEventAt: new Date('2024-01-20T14:30:00.000Z'),
+        lastEventId: 'listing-001',
+      });
+      expect(saved).toMatchObject({
+        targetId: 'market',
+        collectionId: 'col-1',
+        stream: 'listings',
+        lastEventAt: '2024-01-20T14:30:00.000Z',
+        lastEventId: 'listing-001',
+        cursor: null,
+      });
+
+      await crawlCheckpointRepository.save({
+        targetId: 'market',
+        collectionId: 'col-1',
+        stream: 'listings',
+        lastEventAt: '2024-01-20T15:00:00.000Z',
+        lastEventId: 'listing-002',
+        cursor: 'c-2',
+      });
+      await crawlCheckpointRepository.save({
+        targetId: 'market',
+        collectionId: 'col-2',
+        stream: 'purchases',
+      });
+
+      expect(await crawlCheckpointRepository.find('market', 'col-1', 'listings')).toMatchObject({
+        lastEventAt: '2024-01-20T15:00:00.000Z',
+        lastEventId: 'listing-002',
+        cursor: 'c-2',
+      });
+      expect(await crawlCheckpointRepository.find('market', 'col-1', 'purchases')).toBeNull();
+      expect(await crawlCheckpointRepository.findAll()).toHaveLength(2);
+      expect(await crawlCheckpointRepository.findAll({ collectionId: 'col-2' })).toHaveLength(1);
+    });
+
+    it('should delete checkpoints by collection or all of them', async () => {
+      await crawlCheckpointRepository.save({
+        targetId: 'a',
+        collectionId: 'col-1',
+        stream: 'listings',
+      });
+      await crawlCheckpointRepository.save({
+        targetId: 'a',
+        collectionId: 'col-1',
+        stream: 'purchases',
+      });
+      await crawlCheckpointRepository.save({
+        targetId: 'a',
+        collectionId: 'col-2',
+        stream: 'listings',
+      });
+
+      expect(await crawlCheckpointRepository.delete({ collectionId: 'col-1' })).toBe(2);
+      expect(await crawlCheckpointRepository.delete()).toBe(1);
+      expect(await crawlCheckpointRepository.findAll()).toEqual([]);
+    });
+  });
+});
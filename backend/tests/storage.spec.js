@@ -0,0 +1,87 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('storage driver selection', () => {
+  const originalDriver = process.env.STORAGE_DRIVER;
+
+  afterEach(() => {
+    if (originalDriver === undefined) {
+      delete process.env.STORAGE_DRIVER;
+    } else {
+      process.env.STORAGE_DRIVER = originalDriver;
+    }
+  });
+
+  function loadWithDriver(driver, modulePath) {
+    if (driver === undefined) {
+      delete process.env.STORAGE_DRIVER;
+    } else {
+      process.env.STORAGE_DRIVER = driver;
+    }
+
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require(modulePath);
+    });
+    return loaded;
+  }
+
+  it('should default to the memory driver', () => {
+    const { getStorage } = loadWithDriver(undefined, '../src/repositories/storage');
+
+    expect(getStorage().driver).toBe('memory');
+  });
+
+  it('should resolve every repository through the selected driver', () => {
+    let storage;
+    let resolved;
+
+    process.env.STORAGE_DRIVER = 'MySQL';
+    jest.isolateModules(() => {
+      storage = require('../src/repositories/storage').getStorage();
+      resolved = {
+        dataStore: require('../src/repositories/dataStore'),
+        alertsRepository: require('../src/repositories/alertsRepository').alertsRepository,
+        alertRuleRepository: require('../src/repositories/alertRuleRepository').alertRuleRepository,
+        alertCooldownRepository: require('../src/repositories/alertCooldownRepository')
+          .alertCooldownRepository,
+        analyticsRepository: require('../src/repositories/analyticsRepository').analyticsRepository,
+        collectionRepository: require('../src/repositories/collectionRepository'),
+        trackedCollectionRepository: require('../src/repositories/trackedCollectionRepository')
+          .trackedCollectionRepository,
+        notificationChannelRepository: require('../src/repositories/notificationChannelRepository')
+          .notificationChannelRepository,
+        notificationOutboxRepository: require('../src/repositories/notificationOutboxRepository')
+          .notificationOutboxRepository,
+        suppressionWindowRepository: require('../src/repositories/suppressionWindowRepository')
+          .suppressionWindowRepository,
+        crawlCheckpointRepository: require('../src/repositories/crawlCheckpointRepository')
+          .crawlCheckpointRepository,
+        mysqlDataStore: require('../src/repositories/mysql/dataStore'),
+      };
+    });
+
+    expect(storage.driver).toBe('mysql');
+    expect(resolved.dataStore).toBe(resolved.mysqlDataStore);
+    expect(resolved.alertsRepository).toBe(storage.alertsRepository);
+    expect(resolved.alertRuleRepository).toBe(storage.alertRuleRepository);
+    expect(resolved.alertCooldownRepository).toBe(storage.alertCooldownRepository);
+    expect(resolved.analyticsRepository).toBe(storage.analyticsRepository);
+    expect(resolved.collectionRepository).toBe(storage.collectionRepository);
+    expect(resolved.trackedCollectionRepository).toBe(storage.trackedCollectionRepository);
+    expect(resolved.notificationChannelRepository).toBe(storage.notificationChannelRepository);
+    expect(resolved.notificationOutboxRepository).toBe(storage.notificationOutboxRepository);
+    expect(resolved.suppressionWindowRepository).toBe(storage.suppressionWindowRepository);
+    expect(resolved.crawlCheckpointRepository).toBe(storage.crawlCheckpointRepository);
+  });
+
+  it('should reject unknown drivers', () => {
+    const { getStorage } = loadWithDriver('postgres', '../src/repositories/storage');
+
+    expect(() => getStorage()).toThrow('Unknown STORAGE_DRIVER "postgres"');
+  });
+});
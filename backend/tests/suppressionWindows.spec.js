@@ -0,0 +1,298 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../src/notifications/webhookNotifier', () => ({
+  webhookNotifier: { send: jest.fn() },
+}));
+
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../src/routes/admin');
+const { evaluateAlerts, clearCooldowns } = require('../src/services/alertService');
+const suppressionWindowService = require('../src/services/suppressionWindowService');
+const { runNotificationOutboxJob } = require('../src/jobs/notificationOutboxJob');
+const { webhookNotifier } = require('../src/notifications/webhookNotifier');
+const { alertsRepository } = require('../src/repositories/alertsRepository');
+const {
+  notificationOutboxRepository,
+} = require('../src/repositories/notificationOutboxRepository');
+const {
+  suppressionWindowRepository,
+} = require('../src/repositories/suppressionWindowRepository');
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+// HH:MM in UTC, `offsetMs` from now.
+function clock(offsetMs) {
+  return new Date(Date.now() + offsetMs).toISOString().slice(11, 16);
+}
+
+describe('suppression windows', () => {
+  const depletion = (collectionId) => ({
+    collectionId,
+    listingCount: 0,
+    previousListingCount: 100,
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await alertsRepository.clear();
+    await clearCooldowns();
+    notificationOutboxRepository.clear();
+    suppressionWindowRepository.clear();
+    webhookNotifier.send.mockResolvedValue();
+    process.env.WEBHOOK_URL = 'https://hooks.example.com/alerts';
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_URL;
+  });
+
+  describe('alert evaluation', () => {
+    it('should record but not send alerts during a maintenance window', async () => {
+      const window = await suppressionWindowService.createWindow({
+        name: 'Marketplace maintenance',
+        kind: 'maintenance',
+        startsAt: new Date(Date.now() - ONE_HOUR_MS),
+        endsAt: new Date(Date.now() + ONE_HOUR_MS),
+        alertTypes: ['listing_depletion'],
+      });
+
+      const [alert] = await evaluateAlerts(depletion('col-1'), alertsRepository);
+
+      const [stored] = await alertsRepository.findAll({ collectionId: 'col-1' });
+      expect(stored.type).toBe('listing_depletion');
+      expect(stored.suppression).toEqual({
+        windowId: window.id,
+        windowName: 'Marketplace maintenance',
+        kind: 'maintenance',
+        action: 'suppress',
+        until: window.endsAt,
+      });
+      expect(alert.type).toBe('listing_depletion');
+      expect(webhookNotifier.send).not.toHaveBeenCalled();
+      expect(await notificationOutboxRepository.findAll()).toEqual([]);
+    });
+
+    it('should only hold back the alerts a window covers', async () => {
+      await suppressionWindowService.createWindow({
+        name: 'col-1 migration',
+        kind: 'maintenance',
+        collectionId: 'col-1',
+        startsAt: new Date(Date.now() - ONE_HOUR_MS),
+        endsAt: new Date(Date.now() + ONE_HOUR_MS),
+      });
+      await suppressionWindowService.createWindow({
+        name: 'Ended',
+        kind: 'maintenance',
+        startsAt: new Date(Date.now() - 2 * ONE_HOUR_MS),
+        endsAt: new Date(Date.now() - ONE_HOUR_MS),
+      });
+
+      await evaluateAlerts(depletion('col-2'), alertsRepository);
+
+      const [stored] = await alertsRepository.findAll({ collectionId: 'col-2' });
+      expect(stored.suppression).toBeUndefined();
+      expect(webhookNotifier.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should defer notifications to the end of quiet hours', async () => {
+      await suppressionWindowService.createWindow({
+        name: 'Night',
+        kind: 'quiet_hours',
+        action: 'defer',
+        startTime: clock(-ONE_HOUR_MS),
+        endTime: clock(ONE_HOUR_MS),
+      });
+
+      await evaluateAlerts(depletion('col-1'), alertsRepository);
+
+      const [stored] = await alertsRepository.findAll({ collectionId: 'col-1' });
+      expect(stored.suppression).toMatchObject({ kind: 'quiet_hours', action: 'defer' });
+      const until = new Date(stored.suppression.until).getTime();
+      expect(until).toBeGreaterThan(Date.now() + ONE_HOUR_MS - 2 * 60 * 1000);
+      expect(until).toBeLessThanOrEqual(Date.now() + ONE_HOUR_MS);
+
+      const [entry] = await notificationOutboxRepository.findAll();
+      expect(entry).toMatchObject({ status: 'pending', attempts: 0 });
+      expect(entry.nextAttemptAt).toBe(stored.suppression.until);
+      expect(webhookNotifier.send).not.toHaveBeenCalled();
+
+      expect((await runNotificationOutboxJob()).processed).toBe(0);
+      const result = await runNotificationOutboxJob({ now: until + 1 });
+      expect(result).toMatchObject({ processed: 1, delivered: 1 });
+      expect(webhookNotifier.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let a suppressing window win over a deferring one', async () => {
+      await suppressionWindowService.createWindow({
+        name: 'Night',
+        kind: 'quiet_hours',
+        action: 'defer',
+        startTime: clock(-ONE_HOUR_MS),
+        endTime: clock(ONE_HOUR_MS),
+      });
+      const maintenance = await suppressionWindowService.createWindow({
+        name: 'Maintenance',
+        kind: 'maintenance',
+        startsAt: new Date(Date.now() - ONE_HOUR_MS),
+        endsAt: new Date(Date.now() + ONE_HOUR_MS),
+      });
+
+      const suppression = await suppressionWindowService.findSuppression({
+        collectionId: 'col-1',
+        type: 'price_drop',
+        severity: 'warning',
+      });
+
+      expect(suppression).toMatchObject({ windowId: maintenance.id, action: 'suppress' });
+    });
+  });
+
+  describe('quiet hours', () => {
+    it('should follow the time zone, weekdays and overnight periods', async () => {
+      await suppressionWindowService.createWindow({
+        name: 'Friday night',
+        kind: 'quiet_hours',
+        startTime: '22:00',
+        endTime: '07:00',
+        timezone: 'America/New_York',
+        daysOfWeek: [5],
+        severities: ['info', 'warning'],
+      });
+      const alert = { collectionId: 'col-1', type: 'price_drop', severity: 'warning' };
+      const at = (time) => suppressionWindowService.findSuppression(alert, new Date(time));
+
+      // Friday 23:00 and Saturday 06:59 in New York (EST, UTC-5).
+      expect(await at('2024-01-13T04:00:00.000Z')).toMatchObject({
+        until: '2024-01-13T12:00:00.000Z',
+      });
+      expect(await at('2024-01-13T11:59:00.000Z')).not.toBeNull();
+      // Saturday 07:00, and Saturday 23:00.
+      expect(await at('2024-01-13T12:00:00.000Z')).toBeNull();
+      expect(await at('2024-01-14T04:00:00.000Z')).toBeNull();
+      // Critical alerts are not covered.
+      expect(
+        await suppressionWindowService.findSuppression(
+          { ...alert, severity: 'critical' },
+          new Date('2024-01-13T04:00:00.000Z')
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('/api/admin/suppression-windows', () => {
+    const adminKey = 'test-admin-key-123';
+    let app;
+
+    const api = () => ({
+      get: (path) => request(app).get(path).set('x-admin-key', adminKey),
+      post: (path, body) => request(app).post(path).set('x-admin-key', adminKey).send(body),
+      put: (path, body) => request(app).put(path).set('x-admin-key', adminKey).send(body),
+      delete: (path) => request(app).delete(path).set('x-admin-key', adminKey),
+    });
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = adminKey;
+      app = express();
+      app.use(express.json());
+      app.use('/api/admin', adminRoutes);
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_KEY;
+    });
+
+    it('should require the admin key', async () => {
+      const response = await request(app).get('/api/admin/suppression-windows');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should create, list, update and delete windows', async () => {
+      const created = await api().post('/api/admin/suppression-windows', {
+        name: 'Marketplace maintenance',
+        kind: 'maintenance',
+        startsAt: new Date(Date.now() - ONE_HOUR_MS).toISOString(),
+        endsAt: new Date(Date.now() + ONE_HOUR_MS).toISOString(),
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.window).toMatchObject({
+        id: '1',
+        collectionId: null,
+        action: 'suppress',
+        active: true,
+      });
+
+      await api().post('/api/admin/suppression-windows', {
+        name: 'Weekends',
+        kind: 'quiet_hours',
+        action: 'defer',
+        collectionId: 'col-1',
+        startTime: '00:00',
+        endTime: '23:59',
+        daysOfWeek: [0, 6],
+        timezone: 'Europe/Berlin',
+      });
+
+      const active = await api().get('/api/admin/suppression-windows?active=true&kind=maintenance');
+      expect(active.body.windows.map((window) => window.id)).toEqual(['1']);
+      expect(active.body.windows[0].activeUntil).toBe(created.body.window.endsAt);
+
+      const forCollection = await api().get('/api/admin/suppression-windows?collectionId=col-1');
+      expect(forCollection.body.windows.map((window) => window.name)).toEqual(['Weekends']);
+
+      const switched = await api().put('/api/admin/suppression-windows/1', {
+        kind: 'quiet_hours',
+        startTime: '01:00',
+        endTime: '02:00',
+      });
+      expect(switched.status).toBe(200);
+      expect(switched.body.window).toMatchObject({
+        kind: 'quiet_hours',
+        startsAt: null,
+        endsAt: null,
+      });
+
+      expect((await api().delete('/api/admin/suppression-windows/1')).status).toBe(204);
+      expect((await api().get('/api/admin/suppression-windows/1')).status).toBe(404);
+      expect((await api().delete('/api/admin/suppression-windows/1')).status).toBe(404);
+    });
+
+    it('should reject incomplete or inconsistent windows', async () => {
+      const responses = await Promise.all([
+        api().post('/api/admin/suppression-windows', { name: 'x', kind: 'maintenance' }),
+        api().post('/api/admin/suppression-windows', {
+          name: 'x',
+          kind: 'maintenance',
+          startsAt: '2024-01-02T00:00:00Z',
+          endsAt: '2024-01-01T00:00:00Z',
+        }),
+        api().post('/api/admin/suppression-windows', {
+          name: 'x',
+          kind: 'quiet_hours',
+          startTime: '22:00',
+          endTime: '07:00',
+          timezone: 'Mars/Olympus_Mons',
+        }),
+        api().post('/api/admin/suppression-windows', {
+          name: 'x',
+          kind: 'quiet_hours',
+          startTime: '25:00',
+          endTime: '07:00',
+        }),
+        api().post('/api/admin/suppression-windows', { name: 'x', kind: 'blackout' }),
+        api().get('/api/admin/suppression-windows/abc'),
+      ]);
+
+      expect(responses.map((response) => response.status)).toEqual([
+        400, 400, 400, 400, 400, 400,
+      ]);
+      expect(responses[1].body.message).toBe('endsAt must be later than startsAt');
+      expect(responses[2].body.message).toBe('Unknown time zone "Mars/Olympus_Mons"');
+    });
+  });
+});
@@ -2,6 +2,10 @@ jest.mock('axios');
 
 const axios = require('axios');
 const { webhookNotifier } = require('../src/notifications/webhookNotifier');
+const {
+  signWebhookPayload,
+  verifyWebhookSignature,
+} = require('../src/notifications/webhookSignature');
 
 describe('WebhookNotifier', () => {
   const mockAlert = {
@@ -22,8 +26,13 @@ describe('WebhookNotifier', () => {
 
   afterEach(() => {
     delete process.env.WEBHOOK_URL;
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_PAYLOAD_VERSION;
+    delete process.env.DASHBOARD_URL;
   });
 
+  const sentPayload = (call = 0) => JSON.parse(axios.post.mock.calls[call][1]);
+
   describe('send', () => {
     it('should send webhook notification successfully', async () => {
       axios.post.mockResolvedValueOnce({ status: 200 });
@@ -32,36 +41,87 @@ describe('WebhookNotifier', () => {
 
       expect(axios.post).toHaveBeenCalledWith(
         'https://webhook.example.com/alerts',
+        expect.any(String),
+        expect.any(Object)
+      );
+      expect(sentPayload()).toEqual(
         expect.objectContaining({
           collectionId: mockAlert.collectionId,
           type: mockAlert.type,
           severity: mockAlert.severity,
           message: mockAlert.message,
           triggeredAt: mockAlert.triggeredAt,
-        }),
-        expect.any(Object)
+        })
+      );
+    });
+
+    it('should send the version 2 payload to a destination that opts in', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+      process.env.DASHBOARD_URL = 'https://dashboard.example.com/';
+
+      await webhookNotifier.send(
+        { ...mockAlert, metrics: { priceChange24h: -15 } },
+        { type: 'webhook', url: 'https://desk.example.com/hook', payloadVersion: 2 }
       );
+
+      expect(sentPayload()).toEqual({
+        id: '1',
+        collectionId: 'col-1',
+        type: 'price_drop',
+        severity: 'warning',
+        message: 'Price dropped 15% in 24h',
+        triggeredAt: expect.any(String),
+        metrics: { priceChange24h: -15 },
+        collectionUrl: 'https://dashboard.example.com/collections/col-1',
+      });
+      expect(axios.post.mock.calls[0][2].headers['x-webhook-version']).toBe('2');
     });
 
-    it('should format alert payload correctly', async () => {
+    it('should send the original payload by default', async () => {
       axios.post.mockResolvedValueOnce({ status: 200 });
 
       await webhookNotifier.send(mockAlert);
 
-      const payload = axios.post.mock.calls[0][1];
-      expect(payload).toEqual({
+      expect(sentPayload()).toEqual({
         collectionId: 'col-1',
         type: 'price_drop',
         severity: 'warning',
         message: 'Price dropped 15% in 24h',
         triggeredAt: expect.any(String),
       });
+      expect(axios.post.mock.calls[0][2].headers['x-webhook-version']).toBe('1');
+    });
+
+    it('should let a destination keep version 1 when WEBHOOK_PAYLOAD_VERSION is 2', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      process.env.WEBHOOK_PAYLOAD_VERSION = '2';
+
+      await webhookNotifier.send(mockAlert);
+      await webhookNotifier.send(mockAlert, { type: 'webhook', url: 'https://old.example.com/hook', payloadVersion: 1 });
+
+      expect(sentPayload(0)).toHaveProperty('id', '1');
+      expect(sentPayload(1)).not.toHaveProperty('id');
+    });
+
+    it("should post to the destination's URL when one is given", async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+
+      await webhookNotifier.send(mockAlert, { type: 'webhook', url: 'https://desk.example.com/hook' });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://desk.example.com/hook',
+        expect.any(String),
+        expect.any(Object)
+      );
     });
 
     it('should skip webhook when URL is not configured', async () => {
       delete process.env.WEBHOOK_URL;
 
-      await webhookNotifier.send(mockAlert);
+      await expect(webhookNotifier.send(mockAlert)).resolves.toEqual({
+        sent: false,
+        reason: 'Webhook URL not configured',
+      });
 
       expect(axios.post).not.toHaveBeenCalled();
     });
@@ -88,9 +148,141 @@ describe('WebhookNotifier', () => {
           timeout: 10000,
           headers: {
             'Content-Type': 'application/json',
+            'x-webhook-timestamp': expect.stringMatching(/^\d+$/),
+            'x-webhook-delivery': expect.any(String),
+            'x-webhook-version': '1',
           },
         })
       );
     });
+
+    it('should sign the body with WEBHOOK_SECRET', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+      process.env.WEBHOOK_SECRET = 'shh';
+
+      await webhookNotifier.send(mockAlert);
+
+      const [, body, { headers }] = axios.post.mock.calls[0];
+      expect(headers['x-webhook-signature']).toBe(
+        signWebhookPayload('shh', headers['x-webhook-timestamp'], body)
+      );
+      expect(verifyWebhookSignature({ secret: 'shh', body, headers })).toEqual(
+        expect.objectContaining({ valid: true, deliveryId: headers['x-webhook-delivery'] })
+      );
+    });
+
+    it("should sign with the destination's secret over WEBHOOK_SECRET", async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      process.env.WEBHOOK_SECRET = 'shh';
+
+      await webhookNotifier.send(mockAlert, { type: 'webhook', url: 'https://desk.example.com/hook', secret: 'desk-secret' });
+      await webhookNotifier.send(mockAlert, { type: 'webhook', url: 'https://ops.example.com/hook' });
+
+      const verify = (call, secret) => {
+        const [, body, { headers }] = axios.post.mock.calls[call];
+        return verifyWebhookSignature({ secret, body, headers }).valid;
+      };
+      expect(verify(0, 'desk-secret')).toBe(true);
+      expect(verify(0, 'shh')).toBe(false);
+      expect(verify(1, 'shh')).toBe(true);
+    });
+
+    it('should keep the delivery ID across retries', async () => {
+      process.env.WEBHOOK_MAX_RETRIES = '1';
+      process.env.WEBHOOK_BACKOFF_MS = '10';
+      axios.post.mockRejectedValueOnce(new Error('Network error'));
+      axios.post.mockResolvedValueOnce({ status: 200 });
+
+      const result = await webhookNotifier.send(mockAlert);
+
+      const deliveryIds = axios.post.mock.calls.map(([, , config]) => config.headers['x-webhook-delivery']);
+      expect(deliveryIds).toEqual([result.deliveryId, result.deliveryId]);
+    }, 10000);
+  });
+
+  describe('sendDigest', () => {
+    it('should post the digest as a signed payload of type digest', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+      process.env.WEBHOOK_SECRET = 'shh';
+      const digest = { period: 'weekly', alerts: { total: 0 }, topMovers: [] };
+
+      await webhookNotifier.sendDigest(digest, { url: 'https://hooks.example.com/digest' });
+
+      const [url, body, { headers }] = axios.post.mock.calls[0];
+      expect(url).toBe('https://hooks.example.com/digest');
+      expect(JSON.parse(body)).toEqual({ type: 'digest', ...digest });
+      expect(verifyWebhookSignature({ secret: 'shh', body, headers }).valid).toBe(true);
+    });
+
+    it('should leave the version header out, whatever the payload version', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+      const digest = { period: 'daily', alerts: { total: 0 }, topMovers: [] };
+
+      await webhookNotifier.sendDigest(digest, {
+        url: 'https://hooks.example.com/digest',
+        payloadVersion: 2,
+      });
+
+      const [, body, { headers }] = axios.post.mock.calls[0];
+      expect(headers).not.toHaveProperty('x-webhook-version');
+      expect(JSON.parse(body)).toEqual({ type: 'digest', ...digest });
+    });
+  });
+  });
+
+describe('verifyWebhookSignature', () => {
+  const secret = 'shared-secret';
+  const body = JSON.stringify({ collectionId: 'col-1', type: 'price_drop' });
+  const now = Date.parse('2024-01-15T10:00:00Z');
+  const timestamp = String(now / 1000);
+
+  const signedHeaders = (overrides = {}) => ({
+    'X-Webhook-Signature': signWebhookPayload(secret, timestamp, body),
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Delivery': 'delivery-1',
+    'X-Webhook-Version': '2',
+    ...overrides,
+  });
+
+  it('should accept a correctly signed request', () => {
+    expect(
+      verifyWebhookSignature({ secret, body: Buffer.from(body), headers: signedHeaders(), now })
+    ).toEqual({ valid: true, deliveryId: 'delivery-1', version: '2', timestamp: now / 1000 });
+  });
+
+  it('should reject a tampered body', () => {
+    const result = verifyWebhookSignature({
+      secret,
+      body: body.replace('price_drop', 'volume_spike'),
+      headers: signedHeaders(),
+      now,
+    });
+
+    expect(result).toEqual({ valid: false, reason: 'Signature mismatch' });
+  });
+
+  it('should reject a wrong secret or a missing signature', () => {
+    expect(verifyWebhookSignature({ secret: 'other', body, headers: signedHeaders(), now }).valid).toBe(
+      false
+    );
+    expect(
+      verifyWebhookSignature({
+        secret,
+        body,
+        headers: signedHeaders({ 'X-Webhook-Signature': undefined }),
+        now,
+      })
+    ).toEqual({ valid: false, reason: 'Missing signature or timestamp header' });
+  });
+
+  it('should reject a replay outside the tolerance window', () => {
+    const result = verifyWebhookSignature({
+      secret,
+      body,
+      headers: signedHeaders(),
+      now: now + 10 * 60 * 1000,
+    });
+
+    expect(result).toEqual({ valid: false, reason: 'Timestamp outside the tolerance window' });
   });
 });
@@ -33,14 +33,40 @@ export interface CollectionEvent {
 export interface Alert {
   id: string;
   collectionId: string;
-  severity: 'info' | 'warning' | 'critical';
+  severity: 'info' | 'warning' | 'error' | 'critical';
   type: 'price_drop' | 'volume_spike' | 'listing_depletion' | string;
   message: string;
   triggeredAt: string;
   resolved?: boolean;
+  resolvedAt?: string | null;
+  /** 'auto' when the backend resolved the alert because its condition cleared. */
+  resolvedBy?: string | null;
+  resolution?: string;
   createdAt?: string;
   updatedAt?: string;
   acknowledged?: boolean;
+  acknowledgedBy?: string | null;
+  acknowledgedAt?: string | null;
+  assignedTo?: string | null;
+  snoozedUntil?: string | null;
+  note?: string | null;
+}
+
+/** Triage changes accepted by `PUT /api/alerts/:id` and `POST /api/alerts/bulk`. */
+export interface AlertUpdate {
+  resolved?: boolean;
+  resolvedBy?: string;
+  acknowledged?: boolean;
+  acknowledgedBy?: string;
+  assignedTo?: string | null;
+  snoozedUntil?: string | null;
+  note?: string | null;
+}
+
+export interface BulkAlertUpdateResponse {
+  updated: number;
+  skipped: { id: string; reason: string }[];
+  alerts: Alert[];
 }
 
 export interface CollectionsResponse {
@@ -232,4 +258,23 @@ export async function fetchAlerts(params?: Record<string, unknown>): Promise<Ale
   };
 }
 
+export async function updateAlert(alertId: string, updates: AlertUpdate): Promise<Alert> {
+  const response = await apiClient.put<{ alert: Alert }>(`/api/alerts/${alertId}`, updates);
+  return sanitizeAlerts([response.data.alert])[0];
+}
+
+export async function bulkUpdateAlerts(
+  target: { ids: string[] } | { filter: Record<string, unknown> },
+  updates: AlertUpdate
+): Promise<BulkAlertUpdateResponse> {
+  const response = await apiClient.post<BulkAlertUpdateResponse>('/api/alerts/bulk', {
+    ...target,
+    updates,
+  });
+  return {
+    ...response.data,
+    alerts: sanitizeAlerts(response.data?.alerts ?? []),
+  };
+}
+
 export { apiClient };
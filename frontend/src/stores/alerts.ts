@@ -1,8 +1,8 @@
 import { defineStore } from 'pinia';
-import type { Alert } from '@/services/api';
-import { fetchAlerts } from '@/services/api';
+import type { Alert, AlertUpdate } from '@/services/api';
+import { bulkUpdateAlerts, fetchAlerts, updateAlert } from '@/services/api';
 
-export type AlertFilter = 'all' | 'info' | 'warning' | 'critical';
+export type AlertFilter = 'all' | 'info' | 'warning' | 'error' | 'critical';
 
 interface AlertsState {
   alerts: Alert[];
@@ -55,13 +55,26 @@ export const useAlertsStore = defineStore('alerts', {
         this.autoRefreshInterval = interval;
       }
     },
-    acknowledgeAlert(alertId: string) {
-      this.alerts = this.alerts.map((alert) =>
-        alert.id === alertId ? { ...alert, acknowledged: true } : alert
-      );
+    replaceAlerts(updated: Alert[]) {
+      const byId = new Map(updated.map((alert) => [alert.id, alert]));
+      this.alerts = this.alerts.map((alert) => byId.get(alert.id) ?? alert);
     },
-    acknowledgeAll() {
-      this.alerts = this.alerts.map((alert) => ({ ...alert, acknowledged: true }));
+    // Triage state is stored by the backend so the whole team sees the same state.
+    async updateAlert(alertId: string, updates: AlertUpdate) {
+      const alert = await updateAlert(alertId, updates);
+      this.replaceAlerts([alert]);
+      return alert;
+    },
+    async acknowledgeAlert(alertId: string, acknowledgedBy?: string) {
+      return this.updateAlert(alertId, { acknowledged: true, acknowledgedBy });
+    },
+    async acknowledgeAll(acknowledgedBy?: string) {
+      const ids = this.alerts.filter((alert) => !alert.acknowledged).map((alert) => alert.id);
+      if (ids.length === 0) {
+        return;
+      }
+      const { alerts } = await bulkUpdateAlerts({ ids }, { acknowledged: true, acknowledgedBy });
+      this.replaceAlerts(alerts);
     },
     async loadAlerts(params?: Record<string, unknown>) {
       this.loading = true;
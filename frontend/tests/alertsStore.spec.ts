@@ -3,13 +3,19 @@ import { createPinia, setActivePinia } from 'pinia';
 
 vi.mock('@/services/api', () => ({
   fetchAlerts: vi.fn(),
+  updateAlert: vi.fn(),
+  bulkUpdateAlerts: vi.fn(),
 }));
 
-import { fetchAlerts } from '@/services/api';
+import { bulkUpdateAlerts, fetchAlerts, updateAlert } from '@/services/api';
 import type { Alert } from '@/services/api';
 import { useAlertsStore } from '@/stores/alerts';
 
 const mockedFetchAlerts = fetchAlerts as unknown as vi.MockedFunction<typeof fetchAlerts>;
+const mockedUpdateAlert = updateAlert as unknown as vi.MockedFunction<typeof updateAlert>;
+const mockedBulkUpdateAlerts = bulkUpdateAlerts as unknown as vi.MockedFunction<
+  typeof bulkUpdateAlerts
+>;
 
 const baseAlert: Alert = {
   id: 'alert-1',
@@ -24,6 +30,8 @@ const baseAlert: Alert = {
 beforeEach(() => {
   setActivePinia(createPinia());
   mockedFetchAlerts.mockReset();
+  mockedUpdateAlert.mockReset();
+  mockedBulkUpdateAlerts.mockReset();
 });
 
 describe('Alerts Store', () => {
@@ -50,7 +58,16 @@ describe('Alerts Store', () => {
     await store.loadAlerts();
     expect(store.unreadCount).toBe(1);
 
-    store.acknowledgeAlert('alert-1');
+    mockedUpdateAlert.mockResolvedValue({
+      ...baseAlert,
+      acknowledged: true,
+      acknowledgedBy: 'alice',
+    });
+    await store.acknowledgeAlert('alert-1', 'alice');
+    expect(mockedUpdateAlert).toHaveBeenCalledWith('alert-1', {
+      acknowledged: true,
+      acknowledgedBy: 'alice',
+    });
     expect(store.unreadCount).toBe(0);
 
     mockedFetchAlerts.mockResolvedValue({
@@ -63,7 +80,18 @@ describe('Alerts Store', () => {
     await store.loadAlerts();
     expect(store.unreadCount).toBe(2);
 
-    store.acknowledgeAll();
+    mockedBulkUpdateAlerts.mockImplementation(async ({ ids }: { ids: string[] }) => ({
+      updated: ids.length,
+      skipped: [],
+      alerts: store.alerts
+        .filter((alert) => ids.includes(alert.id))
+        .map((alert) => ({ ...alert, acknowledged: true })),
+    }));
+    await store.acknowledgeAll();
+    expect(mockedBulkUpdateAlerts).toHaveBeenCalledWith(
+      { ids: ['alert-4', 'alert-3'] },
+      { acknowledged: true, acknowledgedBy: undefined }
+    );
     expect(store.unreadCount).toBe(0);
   });
 });